@@ -0,0 +1,234 @@
+/**
+ * AeroOS Calculator Engine
+ * Loaded as a plain script by index.html (CalcEngine/CalcError become globals)
+ * and as a CommonJS module by the unit tests in tests/.
+ */
+
+class CalcError extends Error {}
+
+const CALC_FUNCTIONS = {
+  sin: (x, toRad) => Math.sin(toRad(x)),
+  cos: (x, toRad) => Math.cos(toRad(x)),
+  tan: (x, toRad) => Math.tan(toRad(x)),
+  asin: (x, toRad, fromRad) => fromRad(Math.asin(x)),
+  acos: (x, toRad, fromRad) => fromRad(Math.acos(x)),
+  atan: (x, toRad, fromRad) => fromRad(Math.atan(x)),
+  sqrt: (x) => Math.sqrt(x),
+  abs: (x) => Math.abs(x),
+  ln: (x) => Math.log(x),
+  log: (x) => Math.log10(x),
+  exp: (x) => Math.exp(x),
+};
+const CALC_CONSTANTS = { pi: Math.PI, π: Math.PI, e: Math.E };
+
+/**
+ * Safe replacement for eval(): a tokenizer + recursive-descent parser.
+ * Precedence (low → high): + -, * / % (and implicit multiplication),
+ * unary -, ^ (right-assoc), postfix !
+ */
+class CalcEngine {
+  constructor() {
+    this.angle = "deg"; // "deg" | "rad"
+  }
+
+  // `vars` are names besides the functions and constants (e.g. ans)
+  tokenize(src, vars = {}) {
+    const tokens = [];
+    const re =
+      /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z]+|π)|([-+*/%^!(),×÷−]))/iy;
+    let match;
+    re.lastIndex = 0;
+    while (re.lastIndex < src.length) {
+      const start = re.lastIndex;
+      match = re.exec(src);
+      if (!match) {
+        if (!src.slice(start).trim()) break;
+        throw new CalcError(`Unexpected "${src.slice(start).trim()[0]}"`);
+      }
+      const [, num, ident, op] = match;
+      if (num !== undefined) tokens.push({ type: "num", value: Number(num) });
+      else if (ident !== undefined) {
+        this._splitNames(ident.toLowerCase(), vars).forEach((value) =>
+          tokens.push({ type: "ident", value }),
+        );
+      } else {
+        const normalized = { "×": "*", "÷": "/", "−": "-" }[op] || op;
+        tokens.push({ type: "op", value: normalized });
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Splits a run of letters into known names, longest first, so implicit
+   * multiplication works without spaces: eπ, esin(30), 2pie. A run that
+   * doesn't split completely stays whole, for the "Unknown name" error.
+   */
+  _splitNames(run, vars) {
+    const known = [CALC_FUNCTIONS, CALC_CONSTANTS, vars]
+      .flatMap((names) => Object.keys(names))
+      .sort((a, b) => b.length - a.length);
+    const names = [];
+    let rest = run;
+    while (rest) {
+      const name = known.find((k) => rest.startsWith(k));
+      if (!name) return [run];
+      names.push(name);
+      rest = rest.slice(name.length);
+    }
+    return names;
+  }
+
+  evaluate(src, vars = {}) {
+    this.tokens = this.tokenize(src, vars);
+    this.pos = 0;
+    this.vars = vars;
+    if (!this.tokens.length) throw new CalcError("Empty expression");
+
+    const result = this._expr();
+    if (this.pos < this.tokens.length) {
+      const token = this.tokens[this.pos];
+      throw new CalcError(
+        token.value === ")"
+          ? "Mismatched parentheses"
+          : `Unexpected "${token.value}"`,
+      );
+    }
+    if (Number.isNaN(result)) throw new CalcError("Invalid input");
+    // x / 0 is caught where it happens; anything else infinite is too large
+    if (!Number.isFinite(result)) throw new CalcError("Overflow");
+    // Trim binary floating point noise (0.1 + 0.2 → 0.3)
+    return parseFloat(result.toPrecision(12));
+  }
+
+  _peek() {
+    return this.tokens[this.pos];
+  }
+
+  _isOp(value) {
+    const token = this._peek();
+    return token?.type === "op" && token.value === value;
+  }
+
+  _expect(value) {
+    if (!this._isOp(value)) {
+      throw new CalcError(
+        value === ")" ? "Mismatched parentheses" : `Expected "${value}"`,
+      );
+    }
+    this.pos++;
+  }
+
+  _expr() {
+    let left = this._term();
+    while (this._isOp("+") || this._isOp("-")) {
+      const op = this.tokens[this.pos++].value;
+      const right = this._term();
+      left = op === "+" ? left + right : left - right;
+    }
+    return left;
+  }
+
+  _term() {
+    let left = this._unary();
+    for (;;) {
+      const token = this._peek();
+      if (this._isOp("*") || this._isOp("/") || this._isOp("%")) {
+        const op = this.tokens[this.pos++].value;
+        const right = this._unary();
+        if (op === "*") left *= right;
+        else if (right === 0) throw new CalcError("Division by zero");
+        else left = op === "/" ? left / right : left % right;
+      } else if (token && (token.type === "ident" || token.value === "(")) {
+        // Implicit multiplication: 2π, 3(4 + 1), 2sin(30)
+        left *= this._unary();
+      } else {
+        return left;
+      }
+    }
+  }
+
+  _unary() {
+    if (this._isOp("-")) {
+      this.pos++;
+      return -this._unary();
+    }
+    if (this._isOp("+")) {
+      this.pos++;
+      return this._unary();
+    }
+    return this._power();
+  }
+
+  _power() {
+    const base = this._postfix();
+    if (this._isOp("^")) {
+      this.pos++;
+      return Math.pow(base, this._unary());
+    }
+    return base;
+  }
+
+  _postfix() {
+    let value = this._primary();
+    while (this._isOp("!")) {
+      this.pos++;
+      value = this._factorial(value);
+    }
+    return value;
+  }
+
+  _primary() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new CalcError("Unexpected end of expression");
+
+    if (token.type === "num") return token.value;
+
+    if (token.value === "(") {
+      const value = this._expr();
+      this._expect(")");
+      return value;
+    }
+
+    if (token.type === "ident") {
+      const name = token.value;
+      if (Object.hasOwn(CALC_FUNCTIONS, name)) {
+        this._expect("(");
+        const arg = this._expr();
+        this._expect(")");
+        return CALC_FUNCTIONS[name](
+          arg,
+          (x) => this._toRad(x),
+          (x) => this._fromRad(x),
+        );
+      }
+      if (Object.hasOwn(this.vars, name)) return this.vars[name];
+      if (Object.hasOwn(CALC_CONSTANTS, name)) return CALC_CONSTANTS[name];
+      throw new CalcError(`Unknown name "${name}"`);
+    }
+
+    throw new CalcError(`Unexpected "${token.value}"`);
+  }
+
+  _factorial(n) {
+    if (n < 0 || !Number.isInteger(n)) {
+      throw new CalcError("Factorial needs a whole number");
+    }
+    if (n > 170) throw new CalcError("Overflow");
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+  }
+
+  _toRad(x) {
+    return this.angle === "deg" ? (x * Math.PI) / 180 : x;
+  }
+
+  _fromRad(x) {
+    return this.angle === "deg" ? (x * 180) / Math.PI : x;
+  }
+}
+
+if (typeof module !== "undefined") {
+  module.exports = { CalcEngine, CalcError, CALC_FUNCTIONS, CALC_CONSTANTS };
+}
@@ -0,0 +1,60 @@
+// Sample AeroOS package: install via Settings → Apps → "Install from file..."
+export const manifest = {
+  id: "stopwatch",
+  title: "Stopwatch",
+  icon: "⏱️",
+  permissions: ["storage"],
+  window: { width: 320, height: 200 },
+};
+
+export default function render(ctx) {
+  const div = document.createElement("div");
+  div.className = "stopwatch-app";
+  div.innerHTML = `
+    <div class="sw-time" style="font-size: 32px; text-align: center">0.0s</div>
+    <div style="display: flex; gap: 5px; justify-content: center">
+      <button class="sw-toggle">Start</button>
+      <button class="sw-reset">Reset</button>
+    </div>
+    <p class="sw-best" style="text-align: center; font-size: 12px"></p>
+  `;
+
+  const time = div.querySelector(".sw-time");
+  const best = div.querySelector(".sw-best");
+  let elapsed = 0;
+  let timer = null;
+
+  const showBest = () => {
+    const value = ctx.storage.get("best");
+    best.textContent = value ? `Longest run: ${value}s` : "";
+  };
+
+  div.querySelector(".sw-toggle").onclick = (e) => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+      e.target.textContent = "Start";
+      if (elapsed > Number(ctx.storage.get("best") || 0)) {
+        ctx.storage.set("best", elapsed.toFixed(1));
+        showBest();
+      }
+    } else {
+      timer = setInterval(() => {
+        elapsed += 0.1;
+        time.textContent = `${elapsed.toFixed(1)}s`;
+      }, 100);
+      e.target.textContent = "Stop";
+    }
+  };
+
+  div.querySelector(".sw-reset").onclick = () => {
+    elapsed = 0;
+    time.textContent = "0.0s";
+  };
+
+  // The interval would keep running after the window is gone
+  ctx.onClose(() => clearInterval(timer));
+
+  showBest();
+  return div;
+}
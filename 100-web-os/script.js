@@ -1,17 +1,322 @@
 /**
  * AeroOS Core Architecture
  * 1. ProcessManager: Handles PIDs and state.
- * 2. WindowManager: Handles DOM, Drag/Drop, Z-Index.
- * 3. System: Clock, Battery, Start Menu.
+ * 2. WindowManager: Handles DOM, Drag/Drop, Snapping, Tiling, Z-Order, Session.
+ * 3. AppRegistry: Built-in + installed app manifests (persisted in IndexedDB).
+ * 4. VirtualFS: Shared file system (IndexedDB) with Open/Save dialogs.
+ * 5. System: Clock, Battery, Start Menu, Desktop Icons, File Associations.
+ * The calculator's CalcEngine lives in calc-engine.js (loaded first, unit tested).
  */
 
+// --- Persistence (IndexedDB) ---
+
+class SystemDB {
+  constructor(name, version, stores) {
+    this.name = name;
+    this.version = version;
+    this.stores = stores;
+    this._db = null;
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(this.name, this.version);
+        req.onupgradeneeded = () => {
+          Object.entries(this.stores).forEach(([name, indexes]) => {
+            const store = req.result.objectStoreNames.contains(name)
+              ? req.transaction.objectStore(name)
+              : req.result.createObjectStore(name, { keyPath: "id" });
+            indexes
+              .filter((index) => !store.indexNames.contains(index))
+              .forEach((index) => store.createIndex(index, index));
+          });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this._db;
+  }
+
+  async _run(store, mode, action) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const req = action(db.transaction(store, mode).objectStore(store));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  getAll(store) {
+    return this._run(store, "readonly", (s) => s.getAll());
+  }
+
+  getAllBy(store, index, value) {
+    return this._run(store, "readonly", (s) => s.index(index).getAll(value));
+  }
+
+  get(store, id) {
+    return this._run(store, "readonly", (s) => s.get(id));
+  }
+
+  put(store, value) {
+    return this._run(store, "readwrite", (s) => s.put(value));
+  }
+
+  delete(store, id) {
+    return this._run(store, "readwrite", (s) => s.delete(id));
+  }
+}
+
+const systemDB = new SystemDB("aeroos", 2, { apps: [], files: ["parent"] });
+
+// --- Virtual File System ---
+
+const MIME_TYPES = {
+  txt: "text/plain",
+  log: "text/plain",
+  md: "text/markdown",
+  json: "application/json",
+  js: "text/javascript",
+  html: "text/html",
+  css: "text/css",
+  csv: "text/csv",
+  svg: "image/svg+xml",
+  png: "image/png",
+  jpg: "image/jpeg",
+  gif: "image/gif",
+};
+const DEFAULT_DIRS = ["/Desktop", "/Documents", "/Pictures"];
+
+/**
+ * OS-wide file system shared by every app.
+ * Nodes are stored by absolute path: { id, name, parent, type, mime, size, created, modified, content }
+ */
+class VirtualFS {
+  constructor(db) {
+    this.db = db;
+    this.listeners = new Set();
+  }
+
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  _notify(path) {
+    this.listeners.forEach((fn) => fn(path));
+  }
+
+  // --- Path helpers ---
+
+  static normalize(path) {
+    const parts = [];
+    String(path)
+      .split("/")
+      .forEach((part) => {
+        if (part === "..") parts.pop();
+        else if (part && part !== ".") parts.push(part);
+      });
+    return "/" + parts.join("/");
+  }
+
+  static join(...parts) {
+    return VirtualFS.normalize(parts.join("/"));
+  }
+
+  static dirname(path) {
+    return VirtualFS.normalize(VirtualFS.normalize(path) + "/..");
+  }
+
+  static basename(path) {
+    return VirtualFS.normalize(path).split("/").pop();
+  }
+
+  static extname(path) {
+    const name = VirtualFS.basename(path);
+    const dot = name.lastIndexOf(".");
+    return dot > 0 ? name.slice(dot).toLowerCase() : "";
+  }
+
+  static mimeType(path) {
+    return (
+      MIME_TYPES[VirtualFS.extname(path).slice(1)] || "application/octet-stream"
+    );
+  }
+
+  // --- Setup ---
+
+  async init() {
+    if (!(await this.exists("/"))) {
+      await this.db.put("files", this._node("/", "dir"));
+    }
+    for (const dir of DEFAULT_DIRS) {
+      if (!(await this.exists(dir))) await this.mkdir(dir);
+    }
+
+    // Notepad used to keep a single note in localStorage
+    const legacyNote = localStorage.getItem("os-notepad");
+    if (legacyNote !== null) {
+      await this.writeFile("/Documents/notes.txt", legacyNote);
+      localStorage.removeItem("os-notepad");
+    }
+  }
+
+  _node(path, type, extra = {}) {
+    const now = Date.now();
+    return {
+      id: path,
+      name: path === "/" ? "/" : VirtualFS.basename(path),
+      parent: path === "/" ? null : VirtualFS.dirname(path),
+      type,
+      mime: type === "dir" ? "inode/directory" : VirtualFS.mimeType(path),
+      size: 0,
+      created: now,
+      modified: now,
+      ...extra,
+    };
+  }
+
+  // --- Queries ---
+
+  async stat(path) {
+    const node = await this.db.get("files", VirtualFS.normalize(path));
+    if (!node) throw new Error(`No such file or directory: ${path}`);
+    const { content, ...meta } = node;
+    return meta;
+  }
+
+  async exists(path) {
+    return !!(await this.db.get("files", VirtualFS.normalize(path)));
+  }
+
+  // Directories first, then files, both alphabetical
+  async readdir(path) {
+    const dir = await this.stat(path);
+    if (dir.type !== "dir") throw new Error(`Not a directory: ${path}`);
+    const children = await this.db.getAllBy("files", "parent", dir.id);
+    return children
+      .map(({ content, ...meta }) => meta)
+      .sort(
+        (a, b) =>
+          (a.type === "dir" ? 0 : 1) - (b.type === "dir" ? 0 : 1) ||
+          a.name.localeCompare(b.name),
+      );
+  }
+
+  async readFile(path) {
+    const node = await this.db.get("files", VirtualFS.normalize(path));
+    if (!node) throw new Error(`No such file or directory: ${path}`);
+    if (node.type === "dir") throw new Error(`Is a directory: ${path}`);
+    return node.content;
+  }
+
+  // --- Mutations ---
+
+  async _assertParentDir(path) {
+    const parent = await this.db.get("files", VirtualFS.dirname(path));
+    if (!parent || parent.type !== "dir") {
+      throw new Error(`No such directory: ${VirtualFS.dirname(path)}`);
+    }
+  }
+
+  async writeFile(path, content, { mime } = {}) {
+    path = VirtualFS.normalize(path);
+    const existing = await this.db.get("files", path);
+    if (existing?.type === "dir") throw new Error(`Is a directory: ${path}`);
+    await this._assertParentDir(path);
+
+    const node = this._node(path, "file", {
+      content,
+      size: typeof content === "string" ? content.length : content.size || 0,
+      mime: mime || VirtualFS.mimeType(path),
+      created: existing?.created || Date.now(),
+    });
+    await this.db.put("files", node);
+    this._notify(path);
+  }
+
+  async mkdir(path, { recursive = false } = {}) {
+    path = VirtualFS.normalize(path);
+    if (await this.exists(path)) {
+      if (recursive) return;
+      throw new Error(`File exists: ${path}`);
+    }
+    if (recursive && path !== "/") {
+      await this.mkdir(VirtualFS.dirname(path), { recursive });
+    }
+    await this._assertParentDir(path);
+    await this.db.put("files", this._node(path, "dir"));
+    this._notify(path);
+  }
+
+  // Removes files and whole directory trees
+  async remove(path) {
+    path = VirtualFS.normalize(path);
+    if (path === "/") throw new Error("Cannot remove the root directory");
+    const node = await this.stat(path);
+    if (node.type === "dir") {
+      for (const child of await this.readdir(path)) {
+        await this.remove(child.id);
+      }
+    }
+    await this.db.delete("files", path);
+    this._notify(path);
+  }
+
+  // Rename or move a file/directory; directories take their subtree along
+  async rename(from, to) {
+    from = VirtualFS.normalize(from);
+    to = VirtualFS.normalize(to);
+    if (from === "/") throw new Error("Cannot move the root directory");
+    if (to === from) return;
+    if (to.startsWith(from + "/")) {
+      throw new Error(`Cannot move ${from} into itself`);
+    }
+    if (await this.exists(to)) throw new Error(`File exists: ${to}`);
+    await this._assertParentDir(to);
+
+    const all = await this.db.getAll("files");
+    const moved = all.filter(
+      (node) => node.id === from || node.id.startsWith(from + "/"),
+    );
+    if (!moved.length) throw new Error(`No such file or directory: ${from}`);
+
+    for (const node of moved) {
+      const path = to + node.id.slice(from.length);
+      await this.db.delete("files", node.id);
+      await this.db.put("files", {
+        ...node,
+        id: path,
+        name: VirtualFS.basename(path),
+        parent: VirtualFS.dirname(path),
+        mime: node.type === "dir" ? node.mime : VirtualFS.mimeType(path),
+        modified: Date.now(),
+      });
+    }
+    this._notify(to);
+  }
+}
+
+const vfs = new VirtualFS(systemDB);
+
+const SNAP_MARGIN = 12; // px from a desktop edge that triggers snapping
+const TILE_LAYOUTS = ["master", "columns", "grid"];
+const SESSION_KEY = "os-session";
+
 class WindowManager {
   constructor() {
     this.desktop = document.getElementById("desktop");
     this.template = document.getElementById("window-template");
     this.dock = document.getElementById("dock");
     this.windows = new Map(); // Store active windows
-    this.zIndex = 100;
+    this.stack = []; // PIDs in z-order, topmost last
+    this.zBase = 100;
+    this.nextId = 1;
+    this.tiling = false;
+    this.layout = TILE_LAYOUTS[0];
+    this.switcher = null; // Alt+Tab overlay state
     this.dragState = { isDragging: false, win: null, offsetX: 0, offsetY: 0 };
     this.resizeState = {
       isResizing: false,
@@ -21,6 +326,11 @@ class WindowManager {
       startX: 0,
       startY: 0,
     };
+    this.snapTarget = null;
+
+    this.snapPreview = document.createElement("div");
+    this.snapPreview.className = "snap-preview hidden";
+    this.desktop.appendChild(this.snapPreview);
 
     this._initGlobalListeners();
   }
@@ -29,6 +339,9 @@ class WindowManager {
     // Global Drag & Resize Handlers (attached to window to catch fast mouse movements)
     window.addEventListener("mousemove", (e) => this._onMouseMove(e));
     window.addEventListener("mouseup", () => this._onMouseUp());
+    window.addEventListener("keydown", (e) => this._onKeyDown(e));
+    window.addEventListener("keyup", (e) => this._onKeyUp(e));
+    window.addEventListener("resize", () => this._reflow());
 
     // Bring to front on click
     this.desktop.addEventListener("mousedown", (e) => {
@@ -37,16 +350,19 @@ class WindowManager {
     });
   }
 
-  spawnWindow(appId, title, contentEl, icon = "🖥️") {
-    const pid = "win_" + Date.now();
+  spawnWindow(appId, title, contentEl, icon = "🖥️", size = {}, state = {}) {
+    const pid = "win_" + Date.now() + "_" + this.nextId++;
     const clone = this.template.content.cloneNode(true);
     const winEl = clone.querySelector(".window");
 
     // Setup Window
     winEl.id = pid;
-    winEl.style.zIndex = ++this.zIndex;
-    winEl.style.left = 50 + this.windows.size * 20 + "px";
-    winEl.style.top = 50 + this.windows.size * 20 + "px";
+    winEl.style.left = (state.left ?? 50 + this.windows.size * 20) + "px";
+    winEl.style.top = (state.top ?? 50 + this.windows.size * 20) + "px";
+    const width = state.width ?? size.width;
+    const height = state.height ?? size.height;
+    if (width) winEl.style.width = width + "px";
+    if (height) winEl.style.height = height + "px";
 
     // Fill Content
     winEl.querySelector(".win-text").textContent = title;
@@ -56,89 +372,506 @@ class WindowManager {
     // Header Controls
     const header = winEl.querySelector(".window-header");
     header.addEventListener("mousedown", (e) => this._startDrag(e, winEl));
+    header.addEventListener("dblclick", (e) => {
+      if (!e.target.closest(".window-controls")) this.toggleMaximize(pid);
+    });
 
     winEl.querySelector(".close").onclick = () => this.closeWindow(pid);
-    winEl.querySelector(".minimize").onclick = () => this.toggleMinimize(pid);
-    winEl.querySelector(".maximize").onclick = () => this.toggleMaximize(winEl);
+    winEl.querySelector(".minimize").onclick = () => this.minimize(pid);
+    winEl.querySelector(".maximize").onclick = () => this.toggleMaximize(pid);
 
     // Resize Handle
     const resizer = winEl.querySelector(".resize-handle");
     resizer.addEventListener("mousedown", (e) => this._startResize(e, winEl));
 
     this.desktop.appendChild(winEl);
-    this.windows.set(pid, { id: pid, app: appId, minimized: false });
+    this.windows.set(pid, {
+      id: pid,
+      app: appId,
+      title,
+      icon,
+      args: state.args || {}, // Launch arguments, e.g. { file }
+      minimized: false,
+      snap: null, // "maximize" | "left" | "right" | "top-left" | ...
+      restoreRect: state.restoreRect || null,
+      closeHandlers: [],
+    });
+    this.stack.push(pid);
 
     this._addToDock(pid, title, icon);
-    this.focusWindow(pid);
+    if (state.snap) this.snap(pid, state.snap, { keepRestore: true });
+    if (state.minimized) this.minimize(pid);
+    else this.focusWindow(pid);
+    this._reflow();
 
     return winEl;
   }
 
   focusWindow(pid) {
     const winEl = document.getElementById(pid);
-    if (winEl) {
-      winEl.style.zIndex = ++this.zIndex;
-      // Update active state in dock
-      document
-        .querySelectorAll(".dock-item")
-        .forEach((el) => el.classList.remove("active"));
+    const winData = this.windows.get(pid);
+    if (!winEl || !winData) return;
+    if (winData.minimized) {
+      winData.minimized = false;
+      winEl.classList.remove("minimized");
+      this._reflow();
+    }
+
+    this.stack = this.stack.filter((id) => id !== pid).concat(pid);
+    this._applyZOrder();
+
+    // Update active state in dock
+    document.querySelectorAll(".dock-item").forEach((el) => {
+      el.classList.toggle("active", el.id === "dock-" + pid);
+    });
+    document.getElementById("dock-" + pid).classList.remove("minimized");
+    this._saveSession();
+  }
+
+  // Topmost visible window, if any
+  activeWindow() {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      if (!this.windows.get(this.stack[i]).minimized) return this.stack[i];
+    }
+    return null;
+  }
+
+  // Apps retitle their window (e.g. after opening a file) and update launch args
+  updateWindow(pid, { title, args }) {
+    const winData = this.windows.get(pid);
+    if (!winData) return;
+    if (title) {
+      winData.title = title;
+      document.querySelector(`#${pid} .win-text`).textContent = title;
       const dockItem = document.getElementById("dock-" + pid);
-      if (dockItem) dockItem.classList.add("active");
+      dockItem.title = title;
+      dockItem.querySelector(".dock-title").textContent = title;
     }
+    if (args) winData.args = args;
+    this._saveSession();
+  }
+
+  closeAppWindows(appId) {
+    this.windows.forEach((win) => {
+      if (win.app === appId) this.closeWindow(win.id);
+    });
+  }
+
+  // A window that is already closed runs the handler right away
+  onWindowClose(pid, fn) {
+    const win = this.windows.get(pid);
+    if (win) win.closeHandlers.push(fn);
+    else fn();
   }
 
   closeWindow(pid) {
     const winEl = document.getElementById(pid);
     if (winEl) {
+      this.windows.get(pid)?.closeHandlers.forEach((fn) => {
+        try {
+          fn();
+        } catch (err) {
+          console.error("Window close handler failed:", err);
+        }
+      });
       winEl.style.opacity = "0";
       winEl.style.transform = "scale(0.9)";
       setTimeout(() => winEl.remove(), 200);
       this.windows.delete(pid);
+      this.stack = this.stack.filter((id) => id !== pid);
       document.getElementById("dock-" + pid)?.remove();
+      this._focusTopmost();
+      this._reflow();
+      this._saveSession();
     }
   }
 
+  minimize(pid) {
+    const winEl = document.getElementById(pid);
+    const winData = this.windows.get(pid);
+    if (!winData || winData.minimized) return;
+    winEl.classList.add("minimized");
+    winData.minimized = true;
+    const dockItem = document.getElementById("dock-" + pid);
+    dockItem.classList.remove("active");
+    dockItem.classList.add("minimized");
+    this._focusTopmost();
+    this._reflow();
+    this._saveSession();
+  }
+
   toggleMinimize(pid) {
+    const winData = this.windows.get(pid);
+    if (winData.minimized) this.focusWindow(pid);
+    else this.minimize(pid);
+  }
+
+  toggleMaximize(pid) {
+    const winData = this.windows.get(pid);
+    if (!winData) return;
+    if (winData.snap === "maximize") this.restore(pid);
+    else this.snap(pid, "maximize");
+  }
+
+  // Snap a window to a named region of the desktop, remembering its free geometry
+  snap(pid, region, { keepRestore = false } = {}) {
     const winEl = document.getElementById(pid);
     const winData = this.windows.get(pid);
-    if (winData.minimized) {
-      winEl.style.display = "flex";
-      this.focusWindow(pid);
-      winData.minimized = false;
+    if (!winData.snap && !keepRestore)
+      winData.restoreRect = this._rectOf(winEl);
+    winData.snap = region;
+    winEl.classList.toggle("maximized", region === "maximize");
+    this._setRect(winEl, this._snapRect(region));
+    this._saveSession();
+  }
+
+  restore(pid) {
+    const winEl = document.getElementById(pid);
+    const winData = this.windows.get(pid);
+    if (!winData.snap) return;
+    winData.snap = null;
+    winEl.classList.remove("maximized");
+    if (winData.restoreRect) this._setRect(winEl, winData.restoreRect);
+    this._reflow();
+    this._saveSession();
+  }
+
+  // --- Tiling ---
+
+  toggleTiling() {
+    this.tiling = !this.tiling;
+    this.desktop.classList.toggle("tiling", this.tiling);
+    if (this.tiling) {
+      // Snapped windows join the layout but keep their free geometry
+      this.windows.forEach((win) => {
+        if (!win.snap) return;
+        win.snap = "tile";
+        document.getElementById(win.id).classList.remove("maximized");
+      });
     } else {
-      winEl.style.display = "none";
-      document.getElementById("dock-" + pid).classList.remove("active");
-      winData.minimized = true;
+      this.windows.forEach((win) => {
+        if (win.snap === "tile") this.restore(win.id);
+      });
     }
+    this._reflow();
+    this._saveSession();
   }
 
-  toggleMaximize(winEl) {
-    if (winEl.style.width === "100%") {
-      winEl.style.width = "";
-      winEl.style.height = "";
-      winEl.style.top = "50px";
-      winEl.style.left = "50px";
-    } else {
-      winEl.style.width = "100%";
-      winEl.style.height = "100%";
-      winEl.style.top = "0";
-      winEl.style.left = "0";
+  cycleLayout() {
+    const i = TILE_LAYOUTS.indexOf(this.layout);
+    this.layout = TILE_LAYOUTS[(i + 1) % TILE_LAYOUTS.length];
+    this._reflow();
+    this._saveSession();
+  }
+
+  // Move the window one slot along the tiling order (dir = -1 | 1)
+  moveInTiling(pid, dir) {
+    const tiled = this._tiledWindows();
+    const i = tiled.indexOf(pid);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= tiled.length) return;
+    // Tiling order is the Map's insertion order, independent of z-order
+    const order = [...this.windows.keys()];
+    const a = order.indexOf(tiled[i]);
+    const b = order.indexOf(tiled[j]);
+    [order[a], order[b]] = [order[b], order[a]];
+    this.windows = new Map(order.map((id) => [id, this.windows.get(id)]));
+    this._reflow();
+  }
+
+  _tiledWindows() {
+    return [...this.windows.values()]
+      .filter((win) => !win.minimized && win.snap !== "maximize")
+      .map((win) => win.id);
+  }
+
+  _reflow() {
+    this.windows.forEach((win) => {
+      if (win.snap && win.snap !== "tile") {
+        this._setRect(
+          document.getElementById(win.id),
+          this._snapRect(win.snap),
+        );
+      }
+    });
+    if (!this.tiling) return;
+
+    const tiled = this._tiledWindows();
+    const rects = this._tileRects(tiled.length);
+    tiled.forEach((pid, i) => {
+      const winData = this.windows.get(pid);
+      if (!winData.snap) {
+        winData.restoreRect = this._rectOf(document.getElementById(pid));
+      }
+      winData.snap = "tile";
+      this._setRect(document.getElementById(pid), rects[i]);
+    });
+  }
+
+  _tileRects(count) {
+    const { width: W, height: H } = this._bounds();
+    if (count === 0) return [];
+    if (count === 1) return [{ left: 0, top: 0, width: W, height: H }];
+
+    if (this.layout === "columns") {
+      const w = W / count;
+      return Array.from({ length: count }, (_, i) => ({
+        left: i * w,
+        top: 0,
+        width: w,
+        height: H,
+      }));
+    }
+
+    if (this.layout === "grid") {
+      const cols = Math.ceil(Math.sqrt(count));
+      const rows = Math.ceil(count / cols);
+      return Array.from({ length: count }, (_, i) => ({
+        left: (i % cols) * (W / cols),
+        top: Math.floor(i / cols) * (H / rows),
+        width: W / cols,
+        height: H / rows,
+      }));
+    }
+
+    // master: first window takes the left half, the rest stack on the right
+    const stackH = H / (count - 1);
+    return [
+      { left: 0, top: 0, width: W / 2, height: H },
+      ...Array.from({ length: count - 1 }, (_, i) => ({
+        left: W / 2,
+        top: i * stackH,
+        width: W / 2,
+        height: stackH,
+      })),
+    ];
+  }
+
+  // --- Geometry helpers ---
+
+  _bounds() {
+    return {
+      width: this.desktop.clientWidth,
+      height: this.desktop.clientHeight,
+    };
+  }
+
+  _snapRect(region) {
+    const { width: W, height: H } = this._bounds();
+    const halfW = W / 2;
+    const halfH = H / 2;
+    const regions = {
+      maximize: { left: 0, top: 0, width: W, height: H },
+      left: { left: 0, top: 0, width: halfW, height: H },
+      right: { left: halfW, top: 0, width: halfW, height: H },
+      "top-left": { left: 0, top: 0, width: halfW, height: halfH },
+      "top-right": { left: halfW, top: 0, width: halfW, height: halfH },
+      "bottom-left": { left: 0, top: halfH, width: halfW, height: halfH },
+      "bottom-right": { left: halfW, top: halfH, width: halfW, height: halfH },
+    };
+    return regions[region];
+  }
+
+  // Which snap region the cursor is hovering, based on desktop edges
+  _snapRegionAt(x, y) {
+    const box = this.desktop.getBoundingClientRect();
+    const nearLeft = x - box.left < SNAP_MARGIN;
+    const nearRight = box.right - x < SNAP_MARGIN;
+    const nearTop = y - box.top < SNAP_MARGIN;
+    const nearBottom = box.bottom - y < SNAP_MARGIN;
+    const upper = y < box.top + box.height / 2;
+
+    if (nearLeft && (nearTop || nearBottom)) {
+      return upper ? "top-left" : "bottom-left";
     }
+    if (nearRight && (nearTop || nearBottom)) {
+      return upper ? "top-right" : "bottom-right";
+    }
+    if (nearLeft) return "left";
+    if (nearRight) return "right";
+    if (nearTop) return "maximize";
+    return null;
+  }
+
+  _rectOf(winEl) {
+    return {
+      left: winEl.offsetLeft,
+      top: winEl.offsetTop,
+      width: winEl.offsetWidth,
+      height: winEl.offsetHeight,
+    };
+  }
+
+  _setRect(winEl, rect) {
+    winEl.style.left = `${rect.left}px`;
+    winEl.style.top = `${rect.top}px`;
+    winEl.style.width = `${rect.width}px`;
+    winEl.style.height = `${rect.height}px`;
+  }
+
+  _applyZOrder() {
+    this.stack.forEach((id, i) => {
+      document.getElementById(id).style.zIndex = this.zBase + i;
+    });
+  }
+
+  _focusTopmost() {
+    const top = this.activeWindow();
+    if (top) this.focusWindow(top);
   }
 
   _addToDock(pid, title, icon) {
     const btn = document.createElement("div");
     btn.className = "dock-item active";
     btn.id = "dock-" + pid;
-    btn.innerHTML = `${icon} ${title}`;
-    btn.onclick = () => this.toggleMinimize(pid);
+    btn.title = title;
+    btn.innerHTML = `<span></span><span class="dock-title"></span>`;
+    btn.querySelector("span").textContent = icon;
+    btn.querySelector(".dock-title").textContent = title;
+    // Clicking the focused window's button minimizes it, otherwise focus it
+    btn.onclick = () => {
+      if (this.activeWindow() === pid) this.minimize(pid);
+      else this.focusWindow(pid);
+    };
+    btn.onauxclick = (e) => {
+      if (e.button === 1) this.closeWindow(pid);
+    };
     this.dock.appendChild(btn);
   }
 
+  // --- Keyboard (Alt+Tab switcher, snapping, tiling) ---
+  // Alt+Tab / Alt+`   cycle windows (Shift reverses)
+  // Alt+Arrows        snap left/right, maximize, restore/minimize
+  //                   (in tiling mode Left/Right move the window in the layout)
+  // Alt+T / Alt+L     toggle tiling / cycle tiling layout
+  // Alt+M / Alt+W     minimize / close the active window
+
+  _onKeyDown(e) {
+    if (!e.altKey) return;
+
+    // Alt+Tab is often taken by the host OS, so Alt+` cycles too
+    if (e.code === "Tab" || e.code === "Backquote") {
+      e.preventDefault();
+      this._cycleSwitcher(e.shiftKey ? -1 : 1);
+      return;
+    }
+
+    const pid = this.activeWindow();
+    const actions = {
+      KeyT: () => this.toggleTiling(),
+      KeyL: () => this.tiling && this.cycleLayout(),
+      KeyW: () => pid && this.closeWindow(pid),
+      KeyM: () => pid && this.minimize(pid),
+      ArrowUp: () => pid && !this.tiling && this.snap(pid, "maximize"),
+      ArrowDown: () => pid && !this.tiling && this._snapDown(pid),
+      ArrowLeft: () =>
+        pid &&
+        (this.tiling ? this.moveInTiling(pid, -1) : this.snap(pid, "left")),
+      ArrowRight: () =>
+        pid &&
+        (this.tiling ? this.moveInTiling(pid, 1) : this.snap(pid, "right")),
+    };
+    if (actions[e.code]) {
+      e.preventDefault();
+      actions[e.code]();
+    }
+  }
+
+  _onKeyUp(e) {
+    if (e.key === "Alt" && this.switcher) this._commitSwitcher();
+  }
+
+  // Alt+Down steps back: maximized/snapped → restored → minimized
+  _snapDown(pid) {
+    if (this.windows.get(pid).snap) this.restore(pid);
+    else this.minimize(pid);
+  }
+
+  _cycleSwitcher(dir) {
+    // Most recently focused first, the same order as the z-stack
+    const order = [...this.stack].reverse();
+    if (order.length < 2) return;
+
+    if (!this.switcher) {
+      const el = document.createElement("div");
+      el.className = "window-switcher glass";
+      document.body.appendChild(el);
+      this.switcher = { el, order, index: 0 };
+    }
+    const sw = this.switcher;
+    sw.order = sw.order.filter((id) => this.windows.has(id));
+    sw.index = (sw.index + dir + sw.order.length) % sw.order.length;
+    sw.el.innerHTML = "";
+    sw.order.forEach((id, i) => {
+      const win = this.windows.get(id);
+      const item = document.createElement("div");
+      item.className = "switcher-item" + (i === sw.index ? " selected" : "");
+      item.innerHTML = `<div class="icon-img"></div><span></span>`;
+      item.querySelector(".icon-img").textContent = win.icon;
+      item.querySelector("span").textContent = win.title;
+      sw.el.appendChild(item);
+    });
+  }
+
+  _commitSwitcher() {
+    const { el, order, index } = this.switcher;
+    el.remove();
+    this.switcher = null;
+    if (this.windows.has(order[index])) this.focusWindow(order[index]);
+  }
+
+  // --- Session (restored by the OS after reload) ---
+
+  _saveSession() {
+    const session = this.stack.map((pid) => {
+      const win = this.windows.get(pid);
+      const winEl = document.getElementById(pid);
+      const rect = win.snap ? win.restoreRect : this._rectOf(winEl);
+      return {
+        app: win.app,
+        ...rect,
+        args: win.args,
+        minimized: win.minimized,
+        snap: win.snap === "tile" ? null : win.snap,
+        restoreRect: win.restoreRect,
+      };
+    });
+    localStorage.setItem(
+      SESSION_KEY,
+      JSON.stringify({ tiling: this.tiling, layout: this.layout, session }),
+    );
+  }
+
+  loadSession() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SESSION_KEY));
+      if (!saved) return [];
+      this.layout = saved.layout || this.layout;
+      if (saved.tiling) this.toggleTiling();
+      return saved.session || [];
+    } catch {
+      return [];
+    }
+  }
+
   // --- Physics Engine (Drag & Resize) ---
 
   _startDrag(e, winEl) {
     if (e.target.closest(".window-controls")) return; // Don't drag if clicking buttons
+    const winData = this.windows.get(winEl.id);
+    if (winData.snap === "tile") return; // Tiled windows are placed by the layout
+    // Dragging a snapped window pops it back to its free size under the cursor
+    if (winData.snap && winData.restoreRect) {
+      const { width } = winData.restoreRect;
+      const box = this.desktop.getBoundingClientRect();
+      winData.snap = null;
+      winEl.classList.remove("maximized");
+      this._setRect(winEl, {
+        ...winData.restoreRect,
+        left: e.clientX - box.left - width / 2,
+        top: e.clientY - box.top - 16,
+      });
+    }
     this.dragState = {
       isDragging: true,
       win: winEl,
@@ -150,6 +883,10 @@ class WindowManager {
 
   _startResize(e, winEl) {
     e.stopPropagation();
+    const winData = this.windows.get(winEl.id);
+    if (winData.snap === "tile") return;
+    winData.snap = null;
+    winEl.classList.remove("maximized");
     this.resizeState = {
       isResizing: true,
       win: winEl,
@@ -166,8 +903,10 @@ class WindowManager {
       const { win, offsetX, offsetY } = this.dragState;
       // Tablet mode guard
       if (window.innerWidth > 768) {
-        win.style.left = `${e.clientX - offsetX}px`;
-        win.style.top = `${e.clientY - offsetY}px`;
+        const box = this.desktop.getBoundingClientRect();
+        win.style.left = `${e.clientX - offsetX - box.left}px`;
+        win.style.top = `${e.clientY - offsetY - box.top}px`;
+        this._showSnapPreview(this._snapRegionAt(e.clientX, e.clientY));
       }
     }
     if (this.resizeState.isResizing) {
@@ -177,32 +916,143 @@ class WindowManager {
     }
   }
 
+  _showSnapPreview(region) {
+    this.snapTarget = region;
+    this.snapPreview.classList.toggle("hidden", !region);
+    if (region) this._setRect(this.snapPreview, this._snapRect(region));
+  }
+
   _onMouseUp() {
+    const { isDragging, win } = this.dragState;
+    if (isDragging && this.snapTarget) this.snap(win.id, this.snapTarget);
+    this._showSnapPreview(null);
+    if (isDragging || this.resizeState.isResizing) this._saveSession();
     this.dragState.isDragging = false;
     this.resizeState.isResizing = false;
   }
 }
 
+// --- File Dialogs ---
+
+/**
+ * Modal Open / Save As dialog over the desktop.
+ * Resolves with the chosen absolute path, or null when cancelled.
+ */
+function showFileDialog({
+  mode = "open",
+  title,
+  dir = "/Documents",
+  name = "",
+} = {}) {
+  return new Promise((resolve) => {
+    const backdrop = document.createElement("div");
+    backdrop.className = "modal-backdrop";
+    backdrop.innerHTML = `
+      <div class="file-dialog glass">
+        <div class="window-header">
+          <div class="window-title"></div>
+        </div>
+        <div class="dialog-body">
+          <div class="fs-toolbar">
+            <button class="fs-up" title="Up">⬆</button>
+            <input class="fs-path" readonly />
+          </div>
+          <ul class="fs-list"></ul>
+          <div class="dialog-footer">
+            <input class="fs-name" placeholder="File name" />
+            <button class="fs-confirm"></button>
+            <button class="fs-cancel">Cancel</button>
+          </div>
+        </div>
+      </div>
+    `;
+    const $ = (sel) => backdrop.querySelector(sel);
+    $(".window-title").textContent =
+      title || (mode === "save" ? "Save As" : "Open");
+    $(".fs-confirm").textContent = mode === "save" ? "Save" : "Open";
+    $(".fs-name").value = name;
+    $(".fs-name").readOnly = mode === "open";
+
+    let cwd = dir;
+
+    const close = (result) => {
+      backdrop.remove();
+      resolve(result);
+    };
+
+    const navigate = async (path) => {
+      let entries;
+      try {
+        entries = await vfs.readdir(path);
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      cwd = VirtualFS.normalize(path);
+      $(".fs-path").value = cwd;
+      const list = $(".fs-list");
+      list.innerHTML = "";
+      entries.forEach((entry) => {
+        const li = document.createElement("li");
+        li.textContent = `${entry.type === "dir" ? "📁" : "📄"} ${entry.name}`;
+        li.onclick = () => {
+          list.querySelector(".selected")?.classList.remove("selected");
+          li.classList.add("selected");
+          if (entry.type === "file") $(".fs-name").value = entry.name;
+        };
+        li.ondblclick = () => {
+          if (entry.type === "dir") navigate(entry.id);
+          else confirmChoice();
+        };
+        list.appendChild(li);
+      });
+    };
+
+    const confirmChoice = async () => {
+      const fileName = $(".fs-name").value.trim();
+      if (!fileName) return;
+      if (fileName.includes("/")) {
+        alert("File names cannot contain '/'");
+        return;
+      }
+      const path = VirtualFS.join(cwd, fileName);
+      const exists = await vfs.exists(path);
+      if (mode === "open" && !exists) return;
+      if (mode === "save" && exists && !confirm(`Replace ${fileName}?`)) return;
+      close(path);
+    };
+
+    $(".fs-up").onclick = () => navigate(VirtualFS.dirname(cwd));
+    $(".fs-confirm").onclick = confirmChoice;
+    $(".fs-cancel").onclick = () => close(null);
+    $(".fs-name").onkeydown = (e) => {
+      if (e.key === "Enter") confirmChoice();
+      if (e.key === "Escape") close(null);
+    };
+
+    document.body.appendChild(backdrop);
+    navigate(dir).then(() => $(".fs-name").focus());
+  });
+}
+
 // --- Application Logic ---
 
-const apps = {
+const builtinApps = {
+  explorer: {
+    title: "File Explorer",
+    shortTitle: "My PC",
+    icon: "💻",
+    render: (win) => renderExplorer(win),
+  },
   notepad: {
     title: "Notepad",
     icon: "📝",
-    render: () => {
-      const div = document.createElement("div");
-      div.style.height = "100%";
-      const area = document.createElement("textarea");
-      area.className = "notepad-area";
-      area.placeholder = "Type here... (Auto-saved)";
-      area.value = localStorage.getItem("os-notepad") || "";
-      area.oninput = (e) => localStorage.setItem("os-notepad", e.target.value);
-      div.appendChild(area);
-      return div;
-    },
+    fileTypes: [".txt", ".md", ".log", ".json", ".js", ".css", ".html", ".csv"],
+    render: (win) => renderNotepad(win),
   },
   browser: {
     title: "Web Browser",
+    shortTitle: "Browser",
     icon: "🌐",
     render: () => {
       const iframe = document.createElement("iframe");
@@ -213,57 +1063,15 @@ const apps = {
   },
   calculator: {
     title: "Calculator",
+    shortTitle: "Calc",
     icon: "🧮",
-    render: () => {
-      const container = document.createElement("div");
-      container.className = "calc-grid";
-      const display = document.createElement("div");
-      display.className = "calc-display";
-      display.textContent = "0";
-      container.appendChild(display);
-
-      [
-        "7",
-        "8",
-        "9",
-        "/",
-        "4",
-        "5",
-        "6",
-        "*",
-        "1",
-        "2",
-        "3",
-        "-",
-        "C",
-        "0",
-        "=",
-        "+",
-      ].forEach((key) => {
-        const btn = document.createElement("button");
-        btn.textContent = key;
-        btn.onclick = () => {
-          if (key === "C") display.textContent = "0";
-          else if (key === "=") {
-            try {
-              display.textContent = eval(display.textContent);
-            } catch {
-              display.textContent = "Error";
-            }
-          } else {
-            if (display.textContent === "0") display.textContent = key;
-            else display.textContent += key;
-          }
-        };
-        container.appendChild(btn);
-      });
-      return container;
-    },
+    window: { width: 460, height: 400 },
+    render: () => renderCalculator(),
   },
   settings: {
     title: "Settings",
     icon: "⚙️",
-    render: () => {
+    render: (win) => {
       const div = document.createElement("div");
       div.innerHTML = "<h3>Background</h3>";
       const bgs = [
@@ -283,11 +1091,674 @@ const apps = {
           (document.body.style.background = bg + " center/cover no-repeat");
         div.appendChild(btn);
       });
+      div.appendChild(renderAppManager(win));
       return div;
     },
   },
 };
 
+function renderNotepad(win) {
+  const div = document.createElement("div");
+  div.className = "notepad";
+  div.innerHTML = `
+    <div class="fs-toolbar">
+      <button data-action="new">New</button>
+      <button data-action="open">Open...</button>
+      <button data-action="save">Save</button>
+      <button data-action="saveAs">Save As...</button>
+      <span class="notepad-status"></span>
+    </div>
+    <textarea class="notepad-area" placeholder="Type here..."></textarea>
+  `;
+  const area = div.querySelector("textarea");
+  const status = div.querySelector(".notepad-status");
+  let file = null;
+  let dirty = false;
+
+  const setFile = (path) => {
+    file = path;
+    dirty = false;
+    status.textContent = "";
+    win.update({
+      title: `${path ? VirtualFS.basename(path) : "Untitled"} - Notepad`,
+      args: path ? { file: path } : {},
+    });
+  };
+
+  const open = async (path) => {
+    try {
+      area.value = await vfs.readFile(path);
+      setFile(path);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const save = async (path) => {
+    if (!path) return;
+    try {
+      await vfs.writeFile(path, area.value);
+      setFile(path);
+      status.textContent = "Saved";
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const saveAs = async () =>
+    save(
+      await showFileDialog({
+        mode: "save",
+        dir: file ? VirtualFS.dirname(file) : "/Documents",
+        name: file ? VirtualFS.basename(file) : "untitled.txt",
+      }),
+    );
+
+  const actions = {
+    new: () => {
+      if (dirty && !confirm("Discard unsaved changes?")) return;
+      area.value = "";
+      setFile(null);
+    },
+    open: async () => {
+      if (dirty && !confirm("Discard unsaved changes?")) return;
+      const path = await showFileDialog({ mode: "open" });
+      if (path) open(path);
+    },
+    save: () => (file ? save(file) : saveAs()),
+    saveAs,
+  };
+
+  div.querySelector(".fs-toolbar").onclick = (e) => {
+    const action = e.target.dataset.action;
+    if (action) actions[action]();
+  };
+  area.oninput = () => {
+    dirty = true;
+    status.textContent = "● Unsaved";
+  };
+  area.onkeydown = (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === "s") {
+      e.preventDefault();
+      actions.save();
+    }
+  };
+
+  if (win.args.file) open(win.args.file);
+  return div;
+}
+
+const CALC_BASIC_KEYS = [
+  ["C", "(", ")", "÷"],
+  ["7", "8", "9", "×"],
+  ["4", "5", "6", "-"],
+  ["1", "2", "3", "+"],
+  ["⌫", "0", ".", "="],
+];
+const CALC_SCIENTIFIC_KEYS = [
+  ["MC", "MR", "M+", "M-"],
+  ["sin", "cos", "tan", "DEG"],
+  ["ln", "log", "√", "^"],
+  ["x²", "π", "e", "!"],
+];
+const CALC_INSERTS = {
+  sin: "sin(",
+  cos: "cos(",
+  tan: "tan(",
+  ln: "ln(",
+  log: "log(",
+  "√": "sqrt(",
+  "x²": "^2",
+};
+
+function renderCalculator() {
+  const engine = new CalcEngine();
+  let memory = 0;
+  let ans = 0;
+  let justEvaluated = false;
+
+  const div = document.createElement("div");
+  div.className = "calculator";
+  div.tabIndex = 0;
+  div.innerHTML = `
+    <div class="calc-main">
+      <div class="calc-toolbar">
+        <button class="calc-mode">Scientific</button>
+        <span class="calc-indicators"></span>
+      </div>
+      <div class="calc-display">
+        <div class="calc-expr"></div>
+        <div class="calc-result">0</div>
+      </div>
+      <div class="calc-grid calc-scientific hidden"></div>
+      <div class="calc-grid calc-basic"></div>
+    </div>
+    <ul class="calc-tape" title="History (click to reuse)"></ul>
+  `;
+  const exprEl = div.querySelector(".calc-expr");
+  const resultEl = div.querySelector(".calc-result");
+  const tape = div.querySelector(".calc-tape");
+  const indicators = div.querySelector(".calc-indicators");
+  let expr = "";
+
+  const update = () => {
+    exprEl.textContent = expr;
+    indicators.textContent = `${engine.angle.toUpperCase()}${memory ? " · M" : ""}`;
+    div.querySelector("[data-key='DEG']").textContent =
+      engine.angle === "deg" ? "RAD" : "DEG";
+  };
+
+  const evaluate = () => engine.evaluate(expr, { ans });
+
+  const addToTape = (input, result) => {
+    const li = document.createElement("li");
+    li.innerHTML = `<div class="tape-expr"></div><div class="tape-result"></div>`;
+    li.querySelector(".tape-expr").textContent = input;
+    li.querySelector(".tape-result").textContent = `= ${result}`;
+    li.onclick = () => {
+      expr = String(result);
+      justEvaluated = true;
+      update();
+    };
+    tape.appendChild(li);
+    tape.scrollTop = tape.scrollHeight;
+  };
+
+  const press = (key) => {
+    if (key === "=") {
+      if (!expr) return;
+      try {
+        const result = evaluate();
+        addToTape(expr, result);
+        ans = result;
+        expr = String(result);
+        resultEl.textContent = result;
+        justEvaluated = true;
+      } catch (err) {
+        resultEl.textContent = err.message;
+      }
+      return update();
+    }
+
+    // Mode and memory keys leave the expression alone
+    if (key === "DEG") {
+      engine.angle = engine.angle === "deg" ? "rad" : "deg";
+      return update();
+    }
+    if (key === "MC") memory = 0;
+    if (key === "M+" || key === "M-") {
+      try {
+        const value = expr ? evaluate() : ans;
+        memory += key === "M+" ? value : -value;
+      } catch (err) {
+        resultEl.textContent = err.message;
+      }
+    }
+    if (["MC", "M+", "M-"].includes(key)) return update();
+
+    if (key === "C") expr = "";
+    else if (key === "⌫") expr = expr.slice(0, -1);
+    else {
+      // Typing a number or function right after "=" starts a new expression
+      let insert = CALC_INSERTS[key] || key;
+      if (justEvaluated && (key === "MR" || /^[\d.(πa-z]/.test(insert))) {
+        expr = "";
+      }
+      if (key === "MR") {
+        // Right after a value the recall multiplies, like 2π (not 2 → 27)
+        insert = /[\d.)!a-zπ]$/i.test(expr) ? `(${memory})` : String(memory);
+      }
+      expr += insert;
+    }
+    justEvaluated = false;
+    update();
+  };
+
+  const renderKeys = (grid, rows) => {
+    rows.flat().forEach((key) => {
+      const btn = document.createElement("button");
+      btn.textContent = key;
+      btn.dataset.key = key;
+      if (key === "=") btn.className = "calc-equals";
+      btn.onclick = () => press(key);
+      grid.appendChild(btn);
+    });
+  };
+  renderKeys(div.querySelector(".calc-basic"), CALC_BASIC_KEYS);
+  renderKeys(div.querySelector(".calc-scientific"), CALC_SCIENTIFIC_KEYS);
+
+  div.querySelector(".calc-mode").onclick = (e) => {
+    const sci = div.querySelector(".calc-scientific");
+    sci.classList.toggle("hidden");
+    e.target.textContent = sci.classList.contains("hidden")
+      ? "Scientific"
+      : "Basic";
+  };
+
+  div.onkeydown = (e) => {
+    const keyMap = {
+      Enter: "=",
+      Backspace: "⌫",
+      Escape: "C",
+      "*": "×",
+      "/": "÷",
+    };
+    const key = keyMap[e.key] || e.key;
+    if (
+      /^[\d.+\-^!()%]$/.test(key) ||
+      ["=", "⌫", "C", "×", "÷"].includes(key)
+    ) {
+      e.preventDefault();
+      press(key);
+    }
+  };
+
+  update();
+  return div;
+}
+
+function renderExplorer(win) {
+  const div = document.createElement("div");
+  div.className = "explorer";
+  div.innerHTML = `
+    <div class="fs-toolbar">
+      <button data-action="up" title="Up">⬆</button>
+      <input class="fs-path" />
+      <button data-action="newFolder">📁 New Folder</button>
+      <button data-action="newFile">📄 New File</button>
+      <button data-action="rename" class="needs-selection">Rename</button>
+      <button data-action="delete" class="needs-selection">Delete</button>
+      <select class="fs-open-with needs-selection"></select>
+    </div>
+    <ul class="fs-list fs-grid"></ul>
+    <div class="fs-statusbar"></div>
+  `;
+  const list = div.querySelector(".fs-list");
+  const pathInput = div.querySelector(".fs-path");
+  const openWith = div.querySelector(".fs-open-with");
+  const statusBar = div.querySelector(".fs-statusbar");
+  let cwd = win.args.dir || "/";
+  let selected = null;
+
+  const select = (entry) => {
+    selected = entry;
+    list.querySelectorAll("li").forEach((li) => {
+      li.classList.toggle("selected", li.dataset.path === entry?.id);
+    });
+    div.querySelectorAll(".needs-selection").forEach((el) => {
+      el.disabled = !entry;
+    });
+
+    openWith.innerHTML = "<option value=''>Open with...</option>";
+    if (entry?.type === "file") {
+      registry.list().forEach((app) => {
+        const option = document.createElement("option");
+        option.value = app.id;
+        option.textContent = `${app.icon} ${app.title}`;
+        openWith.appendChild(option);
+      });
+    }
+    openWith.disabled = entry?.type !== "file";
+    statusBar.textContent = entry
+      ? `${entry.name} — ${entry.type === "dir" ? "Folder" : `${entry.mime}, ${entry.size} bytes`} — modified ${new Date(entry.modified).toLocaleString()}`
+      : "";
+  };
+
+  const refresh = async () => {
+    let entries;
+    try {
+      entries = await vfs.readdir(cwd);
+    } catch {
+      cwd = "/";
+      entries = await vfs.readdir(cwd);
+    }
+    pathInput.value = cwd;
+    win.update({
+      title: `${cwd === "/" ? "My PC" : VirtualFS.basename(cwd)} - File Explorer`,
+      args: { dir: cwd },
+    });
+    list.innerHTML = "";
+    entries.forEach((entry) => {
+      const li = document.createElement("li");
+      li.dataset.path = entry.id;
+      li.innerHTML = `<div class="icon-img">${entry.type === "dir" ? "📁" : fileIcon(entry.id)}</div><span></span>`;
+      li.querySelector("span").textContent = entry.name;
+      li.onclick = (e) => {
+        e.stopPropagation();
+        select(entry);
+      };
+      li.ondblclick = () => {
+        if (entry.type === "dir") navigate(entry.id);
+        else os.openFile(entry.id);
+      };
+      list.appendChild(li);
+    });
+    select(entries.find((entry) => entry.id === selected?.id) || null);
+  };
+
+  const navigate = (path) => {
+    cwd = VirtualFS.normalize(path);
+    selected = null;
+    refresh();
+  };
+
+  const run = async (task) => {
+    try {
+      await task();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Same rule as the file dialog: a name is a single path segment
+  const askName = (message, value) => {
+    const name = prompt(message, value)?.trim();
+    if (name?.includes("/")) {
+      alert("File names cannot contain '/'");
+      return null;
+    }
+    return name;
+  };
+
+  const actions = {
+    up: () => navigate(VirtualFS.dirname(cwd)),
+    newFolder: () => {
+      const name = askName("Folder name:", "New Folder");
+      if (name) run(() => vfs.mkdir(VirtualFS.join(cwd, name)));
+    },
+    newFile: () => {
+      const name = askName("File name:", "New File.txt");
+      if (name) run(() => vfs.writeFile(VirtualFS.join(cwd, name), ""));
+    },
+    rename: () => {
+      const name = askName("New name:", selected.name);
+      if (name && name !== selected.name) {
+        run(() => vfs.rename(selected.id, VirtualFS.join(cwd, name)));
+      }
+    },
+    delete: () => {
+      if (confirm(`Delete ${selected.name}?`)) {
+        run(() => vfs.remove(selected.id));
+      }
+    },
+  };
+
+  div.querySelector(".fs-toolbar").onclick = (e) => {
+    const action = e.target.dataset.action;
+    if (action) actions[action]();
+  };
+  list.onclick = () => select(null);
+  pathInput.onkeydown = (e) => {
+    if (e.key === "Enter") navigate(pathInput.value);
+  };
+  openWith.onchange = () => {
+    if (openWith.value) os.openFile(selected.id, openWith.value);
+    openWith.value = "";
+  };
+
+  win.onClose(vfs.subscribe(refresh));
+  refresh();
+  return div;
+}
+
+function fileIcon(path) {
+  const mime = VirtualFS.mimeType(path);
+  if (mime.startsWith("image/")) return "🖼️";
+  if (mime.startsWith("text/") || mime === "application/json") return "📄";
+  return "📦";
+}
+
+// Installed apps manage themselves from the Settings window.
+function renderAppManager(win) {
+  const section = document.createElement("div");
+  section.className = "app-manager";
+  section.innerHTML = `
+    <h3>Apps</h3>
+    <label class="install-btn">
+      📦 Install from file...
+      <input type="file" accept=".json,.js,.mjs" hidden />
+    </label>
+    <ul class="app-list"></ul>
+  `;
+
+  const list = section.querySelector(".app-list");
+  const renderList = () => {
+    list.innerHTML = "";
+    const installed = registry.list().filter((app) => !app.builtin);
+    if (!installed.length) {
+      list.innerHTML = "<li class='empty'>No installed apps</li>";
+      return;
+    }
+    installed.forEach((app) => {
+      const li = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = `${app.icon} ${app.title}`;
+      li.appendChild(label);
+      const btn = document.createElement("button");
+      btn.textContent = "Uninstall";
+      btn.onclick = () => os.uninstall(app.id);
+      li.appendChild(btn);
+      list.appendChild(li);
+    });
+  };
+
+  section.querySelector("input").onchange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) await os.installFromFile(file);
+  };
+
+  win.onClose(registry.subscribe(renderList));
+  renderList();
+  return section;
+}
+
+// --- App Registry ---
+
+/**
+ * Manifest format (JSON package):
+ * {
+ *   "id": "stopwatch",              // unique, [a-z0-9-]
+ *   "title": "Stopwatch",
+ *   "icon": "⏱️",
+ *   "entry": "export default (ctx) => { ... }", // ES module source, default export renders
+ *   "permissions": ["storage", "filesystem"],
+ *   "fileTypes": [".txt"],          // extensions the app can open ("open with")
+ *   "window": { "width": 320, "height": 240 }
+ * }
+ * A JS package is an ES module exporting `manifest` (without entry) and a default render.
+ *
+ * Packages are not sandboxed: the module runs in the page, with the same DOM and
+ * storage access as AeroOS itself. Permissions only choose which OS services
+ * are handed to the app (see AppRegistry._context).
+ */
+const APP_PERMISSIONS = ["storage", "filesystem"];
+
+class AppStorage {
+  constructor(appId) {
+    this.prefix = `os-app:${appId}:`;
+  }
+
+  get(key) {
+    return localStorage.getItem(this.prefix + key);
+  }
+
+  set(key, value) {
+    localStorage.setItem(this.prefix + key, value);
+  }
+
+  remove(key) {
+    localStorage.removeItem(this.prefix + key);
+  }
+
+  clear() {
+    Object.keys(localStorage)
+      .filter((key) => key.startsWith(this.prefix))
+      .forEach((key) => localStorage.removeItem(key));
+  }
+}
+
+class AppRegistry {
+  constructor(db) {
+    this.db = db;
+    this.apps = new Map();
+    this.listeners = new Set();
+
+    Object.entries(builtinApps).forEach(([id, app]) =>
+      this.apps.set(id, {
+        fileTypes: [],
+        ...app,
+        id,
+        builtin: true,
+        permissions: [],
+      }),
+    );
+  }
+
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  _notify() {
+    this.listeners.forEach((fn) => fn());
+  }
+
+  list() {
+    return [...this.apps.values()];
+  }
+
+  get(appId) {
+    return this.apps.get(appId);
+  }
+
+  // Default app for a file; installed apps take precedence over built-ins
+  appForFile(path) {
+    const ext = VirtualFS.extname(path);
+    return this.list()
+      .reverse()
+      .find((app) => app.fileTypes.includes(ext));
+  }
+
+  // Restore apps installed in previous sessions
+  async load() {
+    const records = await this.db.getAll("apps");
+    for (const record of records) {
+      try {
+        this.apps.set(record.id, await this._activate(record));
+      } catch (err) {
+        console.error(`Failed to load app "${record.id}":`, err);
+      }
+    }
+    this._notify();
+  }
+
+  async install(source, fileName = "") {
+    const record = fileName.endsWith(".json")
+      ? this._parseJsonPackage(source)
+      : await this._parseModulePackage(source);
+
+    if (this.apps.get(record.id)?.builtin) {
+      throw new Error(`"${record.id}" is a system app and cannot be replaced`);
+    }
+
+    const app = await this._activate(record);
+    await this.db.put("apps", record);
+    this.apps.set(record.id, app);
+    this._notify();
+    return app;
+  }
+
+  async uninstall(appId) {
+    const app = this.apps.get(appId);
+    if (!app || app.builtin) return;
+    await this.db.delete("apps", appId);
+    new AppStorage(appId).clear();
+    this.apps.delete(appId);
+    this._notify();
+  }
+
+  _parseJsonPackage(source) {
+    const manifest = JSON.parse(source);
+    if (typeof manifest.entry !== "string") {
+      throw new Error("Manifest is missing an `entry` module");
+    }
+    return this._validate(manifest, manifest.entry);
+  }
+
+  async _parseModulePackage(source) {
+    const mod = await this._import(source);
+    if (!mod.manifest) throw new Error("Module does not export a `manifest`");
+    return this._validate(mod.manifest, source);
+  }
+
+  _validate(manifest, entry) {
+    const {
+      id,
+      title,
+      icon = "📦",
+      permissions = [],
+      fileTypes = [],
+      window = {},
+    } = manifest;
+    if (!/^[a-z0-9-]+$/.test(id || "")) {
+      throw new Error("Manifest `id` must match [a-z0-9-]+");
+    }
+    if (!title) throw new Error("Manifest is missing a `title`");
+    const unknown = permissions.filter((p) => !APP_PERMISSIONS.includes(p));
+    if (unknown.length) {
+      throw new Error(`Unknown permissions: ${unknown.join(", ")}`);
+    }
+    if (!fileTypes.every((ext) => /^\.[a-z0-9]+$/.test(ext))) {
+      throw new Error("Manifest `fileTypes` must be extensions like .txt");
+    }
+    return {
+      id,
+      title,
+      icon,
+      permissions,
+      fileTypes,
+      window: { width: window.width, height: window.height },
+      entry,
+    };
+  }
+
+  _import(source) {
+    const url = URL.createObjectURL(
+      new Blob([source], { type: "text/javascript" }),
+    );
+    return import(url).finally(() => URL.revokeObjectURL(url));
+  }
+
+  async _activate(record) {
+    const mod = await this._import(record.entry);
+    if (typeof mod.default !== "function") {
+      throw new Error("Entry module must default-export a render function");
+    }
+    return {
+      ...record,
+      builtin: false,
+      render: (win) => mod.default({ ...this._context(record), ...win }),
+    };
+  }
+
+  // OS services handed to an app, as declared in its manifest. This is a
+  // convenience, not isolation: the module can reach anything the page can.
+  _context(record) {
+    const ctx = { appId: record.id, permissions: [...record.permissions] };
+    if (record.permissions.includes("storage")) {
+      ctx.storage = new AppStorage(record.id);
+    }
+    if (record.permissions.includes("filesystem")) {
+      ctx.fs = vfs;
+      ctx.showFileDialog = showFileDialog;
+    }
+    return ctx;
+  }
+}
+
+const registry = new AppRegistry(systemDB);
+
 // --- OS Bootloader ---
 
 class OS {
@@ -318,13 +1789,26 @@ class OS {
       });
     }
 
-    // Desktop Icons
-    document.querySelectorAll(".desktop-icon").forEach((icon) => {
-      icon.addEventListener("dblclick", () => {
-        const appKey = icon.dataset.app;
-        if (appKey === "pc") alert("System Drive: C:/");
-        else this.launch(appKey);
-      });
+    // Desktop Icons & Start Menu entries follow the registry
+    registry.subscribe(() => this.renderLaunchers());
+    this.renderLaunchers();
+    // Files in /Desktop show up as desktop icons
+    vfs.subscribe(() => this.renderDesktopFiles());
+
+    // Installed apps and the file system must be ready before windows come back
+    Promise.all([
+      registry.load().catch((err) => console.error("App registry:", err)),
+      vfs.init().catch((err) => console.error("File system:", err)),
+    ]).then(() => {
+      this.renderDesktopFiles();
+      this.restoreSession();
+    });
+
+    this.wm.desktop.addEventListener("dblclick", (e) => {
+      const icon = e.target.closest(".desktop-icon");
+      if (!icon) return;
+      if (icon.dataset.path) this.openFile(icon.dataset.path);
+      else this.launch(icon.dataset.app);
     });
 
     // Start Menu
@@ -339,13 +1823,133 @@ class OS {
     });
   }
 
-  launch(appId) {
-    if (apps[appId]) {
-      const app = apps[appId];
-      this.wm.spawnWindow(appId, app.title, app.render(), app.icon);
+  renderLaunchers() {
+    const apps = registry.list();
+
+    this.wm.desktop
+      .querySelectorAll(".desktop-icon.app-launcher")
+      .forEach((el) => el.remove());
+    apps.forEach((app) => {
+      const icon = document.createElement("div");
+      icon.className = "desktop-icon app-launcher";
+      icon.dataset.app = app.id;
+      icon.innerHTML = `<div class="icon-img"></div><span></span>`;
+      icon.querySelector(".icon-img").textContent = app.icon;
+      icon.querySelector("span").textContent = app.shortTitle || app.title;
+      this.wm.desktop.appendChild(icon);
+    });
+
+    const grid = document.querySelector("#start-menu .app-grid");
+    grid.innerHTML = "";
+    apps.forEach((app) => {
+      const btn = document.createElement("button");
+      btn.textContent = `${app.icon} ${app.title}`;
+      btn.onclick = () => this.launch(app.id);
+      grid.appendChild(btn);
+    });
+  }
+
+  async renderDesktopFiles() {
+    let entries = [];
+    try {
+      entries = await vfs.readdir("/Desktop");
+    } catch {
+      // No Desktop folder (yet)
+    }
+    this.wm.desktop
+      .querySelectorAll(".desktop-icon.file-icon")
+      .forEach((el) => el.remove());
+    entries.forEach((entry) => {
+      const icon = document.createElement("div");
+      icon.className = "desktop-icon file-icon";
+      icon.dataset.path = entry.id;
+      icon.innerHTML = `<div class="icon-img">${entry.type === "dir" ? "📁" : fileIcon(entry.id)}</div><span></span>`;
+      icon.querySelector("span").textContent = entry.name;
+      this.wm.desktop.appendChild(icon);
+    });
+  }
+
+  // Open a file with its associated app, or a specific one ("open with")
+  async openFile(path, appId) {
+    let node;
+    try {
+      node = await vfs.stat(path);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    if (node.type === "dir") {
+      this.launch("explorer", { args: { dir: node.id } });
+      return;
+    }
+    const app = appId ? registry.get(appId) : registry.appForFile(node.id);
+    if (!app) {
+      alert(`There is no app associated with "${node.name}"`);
+      return;
+    }
+    this.launch(app.id, { args: { file: node.id } });
+  }
+
+  restoreSession() {
+    this.wm.loadSession().forEach((state) => this.launch(state.app, state));
+  }
+
+  launch(appId, state = {}) {
+    const app = registry.get(appId);
+    if (app) {
+      // Handle given to the app for talking back to its window
+      let winEl = null;
+      const closeHandlers = [];
+      const win = {
+        args: state.args || {},
+        update: (patch) => winEl && this.wm.updateWindow(winEl.id, patch),
+        // Apps release timers and listeners here when their window closes.
+        // Calls made during render() wait until the window exists.
+        onClose: (fn) =>
+          winEl ? this.wm.onWindowClose(winEl.id, fn) : closeHandlers.push(fn),
+      };
+      let content;
+      try {
+        content = app.render(win);
+      } catch (err) {
+        alert(`${app.title} failed to start: ${err.message}`);
+        return;
+      }
+      winEl = this.wm.spawnWindow(
+        appId,
+        app.title,
+        content,
+        app.icon,
+        app.window,
+        state,
+      );
+      closeHandlers.forEach((fn) => this.wm.onWindowClose(winEl.id, fn));
       document.getElementById("start-menu").classList.add("hidden");
     }
   }
+
+  async installFromFile(file) {
+    // Package code runs with full access to the page, so ask first
+    const ok = confirm(
+      `Install "${file.name}"?\n\nApps run with full access to AeroOS and its data. Only install apps you trust.`,
+    );
+    if (!ok) return;
+    try {
+      const app = await registry.install(await file.text(), file.name);
+      alert(`${app.title} installed`);
+    } catch (err) {
+      alert(`Install failed: ${err.message}`);
+    }
+  }
+
+  async uninstall(appId) {
+    const app = registry.get(appId);
+    if (!app || !confirm(`Uninstall ${app.title}? Its data will be removed.`)) {
+      return;
+    }
+    this.wm.closeAppWindows(appId);
+    await registry.uninstall(appId);
+  }
 }
 
 // Boot
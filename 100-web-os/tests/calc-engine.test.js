@@ -0,0 +1,165 @@
+// Unit tests for the calculator engine. Run with: node --test 100-web-os/tests
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CalcEngine, CalcError } = require("../calc-engine.js");
+
+const calc = (src, { angle = "deg", vars } = {}) => {
+  const engine = new CalcEngine();
+  engine.angle = angle;
+  return engine.evaluate(src, vars);
+};
+
+const fails = (src, message) =>
+  assert.throws(
+    () => calc(src),
+    (err) => err instanceof CalcError && err.message === message,
+  );
+
+test("tokenizer", async (t) => {
+  const engine = new CalcEngine();
+
+  await t.test("splits numbers, names and operators", () => {
+    assert.deepEqual(engine.tokenize("2.5e3 * sin(x)"), [
+      { type: "num", value: 2500 },
+      { type: "op", value: "*" },
+      { type: "ident", value: "sin" },
+      { type: "op", value: "(" },
+      { type: "ident", value: "x" },
+      { type: "op", value: ")" },
+    ]);
+  });
+
+  await t.test("normalizes display operators and case", () => {
+    assert.deepEqual(
+      engine.tokenize("6×2÷3−PI").map((token) => token.value),
+      [6, "*", 2, "/", 3, "-", "pi"],
+    );
+  });
+
+  await t.test("splits adjacent names, longest first", () => {
+    const names = (src, vars) =>
+      engine.tokenize(src, vars).map((token) => token.value);
+    assert.deepEqual(names("eπ"), ["e", "π"]);
+    assert.deepEqual(names("πe"), ["π", "e"]);
+    assert.deepEqual(names("esin(30)"), ["e", "sin", "(", 30, ")"]);
+    assert.deepEqual(names("exp(1)"), ["exp", "(", 1, ")"]);
+    assert.deepEqual(names("pie"), ["pi", "e"]);
+    assert.deepEqual(names("eans", { ans: 1 }), ["e", "ans"]);
+    assert.deepEqual(names("sinh"), ["sinh"]);
+  });
+
+  await t.test("accepts leading-dot numbers and ignores whitespace", () => {
+    assert.deepEqual(engine.tokenize("  .5 +\t1.  "), [
+      { type: "num", value: 0.5 },
+      { type: "op", value: "+" },
+      { type: "num", value: 1 },
+    ]);
+  });
+
+  await t.test("rejects unknown characters", () => {
+    assert.throws(() => engine.tokenize("1 $ 2"), {
+      message: 'Unexpected "$"',
+    });
+  });
+});
+
+test("operator precedence", () => {
+  assert.equal(calc("2 + 3 * 4"), 14);
+  assert.equal(calc("(2 + 3) * 4"), 20);
+  assert.equal(calc("10 - 4 - 3"), 3);
+  assert.equal(calc("24 / 4 / 2"), 3);
+  assert.equal(calc("7 % 4 * 2"), 6);
+  assert.equal(calc("2 * 3 ^ 2"), 18);
+  assert.equal(calc("1 + 3!"), 7);
+  assert.equal(calc("0.1 + 0.2"), 0.3);
+});
+
+test("^ is right-associative", () => {
+  assert.equal(calc("2 ^ 3 ^ 2"), 512);
+  assert.equal(calc("(2 ^ 3) ^ 2"), 64);
+  assert.equal(calc("2 ^ -1"), 0.5);
+});
+
+test("unary minus", () => {
+  assert.equal(calc("-3 + 5"), 2);
+  assert.equal(calc("--3"), 3);
+  assert.equal(calc("+-3"), -3);
+  assert.equal(calc("4 * -2"), -8);
+  // Binds looser than ^, as in math notation
+  assert.equal(calc("-2 ^ 2"), -4);
+  assert.equal(calc("(-2) ^ 2"), 4);
+});
+
+test("implicit multiplication", () => {
+  assert.equal(calc("2π"), calc("2 * pi"));
+  assert.equal(calc("3(4 + 1)"), 15);
+  assert.equal(calc("(1 + 1)(2 + 1)"), 6);
+  assert.equal(calc("2sin(30)"), 1);
+  assert.equal(calc("eπ"), calc("e * pi"));
+  assert.equal(calc("πe"), calc("pi * e"));
+  assert.equal(calc("esin(30)"), calc("e / 2"));
+  assert.equal(calc("2eπ"), calc("2 * e * pi"));
+  assert.equal(calc("2ans", { vars: { ans: 4 } }), 8);
+  assert.equal(calc("1 + 2(3)"), 7);
+  // How the calculator inserts a recalled memory value after a number
+  assert.equal(calc("3(-5)"), -15);
+});
+
+test("parentheses must balance", () => {
+  fails("(1 + 2", "Mismatched parentheses");
+  fails("1 + 2)", "Mismatched parentheses");
+  fails("((1)", "Mismatched parentheses");
+  fails("sqrt(4", "Mismatched parentheses");
+  assert.equal(calc("((1 + 2))"), 3);
+});
+
+test("factorial", () => {
+  assert.equal(calc("0!"), 1);
+  assert.equal(calc("5!"), 120);
+  assert.equal(calc("3!!"), 720);
+  assert.equal(calc("(2 + 1)!"), 6);
+  fails("(-1)!", "Factorial needs a whole number");
+  fails("2.5!", "Factorial needs a whole number");
+  fails("171!", "Overflow");
+});
+
+test("trigonometry in degrees and radians", () => {
+  assert.equal(calc("sin(30)"), 0.5);
+  assert.equal(calc("cos(60)"), 0.5);
+  assert.equal(calc("tan(45)"), 1);
+  assert.equal(calc("asin(1)"), 90);
+  assert.equal(calc("sin(pi / 2)", { angle: "rad" }), 1);
+  assert.equal(calc("cos(pi)", { angle: "rad" }), -1);
+  assert.equal(calc("asin(1)", { angle: "rad" }), calc("pi / 2"));
+});
+
+test("functions, constants and variables", () => {
+  assert.equal(calc("sqrt(16) + abs(-2)"), 6);
+  assert.equal(calc("ln(e)"), 1);
+  assert.equal(calc("log(1000)"), 3);
+  assert.equal(calc("ans * 2", { vars: { ans: 21 } }), 42);
+});
+
+test("error cases", () => {
+  fails("", "Empty expression");
+  fails("   ", "Empty expression");
+  fails("1 / 0", "Division by zero");
+  fails("5 % 0", "Division by zero");
+  fails("2 +", "Unexpected end of expression");
+  fails("2 3", 'Unexpected "3"');
+  fails("* 2", 'Unexpected "*"');
+  fails("foo + 1", 'Unknown name "foo"');
+  fails("sinh(1)", 'Unknown name "sinh"');
+  fails("sin 30", 'Expected "("');
+  fails("sqrt(-1)", "Invalid input");
+  fails("1 # 2", 'Unexpected "#"');
+  fails("1e400", "Overflow");
+  fails("10 ^ 400", "Overflow");
+  fails("-1e400", "Overflow");
+});
+
+test("object prototype names are not functions or variables", () => {
+  fails("constructor(1)", 'Unknown name "constructor"');
+  fails("tostring", 'Unknown name "tostring"');
+  fails("valueof", 'Unknown name "valueof"');
+});
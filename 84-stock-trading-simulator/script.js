@@ -2,56 +2,321 @@
    1. MARKET ENGINE & DATA
    ========================================= */
 
+// liquidity: shares available per side per tick; bigger orders fill partially
 const STOCK_DATA = [
-  { symbol: "AAPL", price: 150.0, volatility: 0.02 },
-  { symbol: "GOOGL", price: 2800.0, volatility: 0.015 },
-  { symbol: "TSLA", price: 700.0, volatility: 0.04 }, // High volatility
-  { symbol: "AMZN", price: 3400.0, volatility: 0.012 },
-  { symbol: "MSFT", price: 299.0, volatility: 0.015 },
-  { symbol: "NFLX", price: 550.0, volatility: 0.03 },
+  { symbol: "AAPL", price: 150.0, volatility: 0.02, liquidity: 40 },
+  { symbol: "GOOGL", price: 2800.0, volatility: 0.015, liquidity: 3 },
+  { symbol: "TSLA", price: 700.0, volatility: 0.04, liquidity: 8 }, // High volatility
+  { symbol: "AMZN", price: 3400.0, volatility: 0.012, liquidity: 2 },
+  { symbol: "MSFT", price: 299.0, volatility: 0.015, liquidity: 20 },
+  { symbol: "NFLX", price: 550.0, volatility: 0.03, liquidity: 10 },
 ];
 
+/* --- Seeded Randomness --- */
+
+/**
+ * Small seeded PRNG (mulberry32). The same seed always produces the same
+ * sequence, so a session can be replayed tick for tick.
+ */
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+    this.spare = null; // Box-Muller yields normals in pairs
+  }
+
+  // Uniform in [0, 1)
+  next() {
+    let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Standard normal (mean 0, variance 1)
+  normal() {
+    if (this.spare !== null) {
+      const value = this.spare;
+      this.spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = this.next();
+    const r = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * this.next();
+    this.spare = r * Math.sin(theta);
+    return r * Math.cos(theta);
+  }
+}
+
+/* --- Price Models --- */
+// A model turns a stock's current price into the next tick's price.
+// One tick is one time step; stock.volatility is the per-tick sigma.
+
+class RandomWalkModel {
+  static label = "Random Walk";
+
+  // Uniform +/- volatility percentage move (the original simulator)
+  nextPrice(stock, rng) {
+    const move = (rng.next() - 0.5) * 2 * stock.volatility;
+    return stock.price * (1 + move);
+  }
+}
+
+class GBMModel {
+  static label = "Geometric Brownian Motion";
+
+  constructor({ drift = 0.0005 } = {}) {
+    this.drift = drift; // Expected return per tick
+  }
+
+  nextPrice(stock, rng) {
+    const sigma = stock.volatility;
+    return (
+      stock.price *
+      Math.exp(this.drift - (sigma * sigma) / 2 + sigma * rng.normal())
+    );
+  }
+}
+
+// Ornstein-Uhlenbeck on log price: pulled back toward the opening price
+class MeanReversionModel {
+  static label = "Mean Reversion";
+
+  constructor({ speed = 0.1 } = {}) {
+    this.speed = speed; // Fraction of the gap closed per tick
+  }
+
+  nextPrice(stock, rng) {
+    const x = Math.log(stock.price);
+    const mean = Math.log(stock.startPrice);
+    return Math.exp(
+      x + this.speed * (mean - x) + stock.volatility * rng.normal(),
+    );
+  }
+}
+
+// Merton: GBM plus rare normally distributed jumps in log price
+class JumpDiffusionModel extends GBMModel {
+  static label = "Jump Diffusion";
+
+  constructor({
+    intensity = 0.03,
+    jumpMean = -0.01,
+    jumpVol = 0.08,
+    ...gbm
+  } = {}) {
+    super(gbm);
+    this.intensity = intensity; // Chance of a jump per tick
+    this.jumpMean = jumpMean;
+    this.jumpVol = jumpVol;
+  }
+
+  nextPrice(stock, rng) {
+    const price = super.nextPrice(stock, rng);
+    if (rng.next() >= this.intensity) return price;
+    return price * Math.exp(this.jumpMean + this.jumpVol * rng.normal());
+  }
+}
+
+const CSV_SYMBOL = /^[A-Z0-9.\-]{1,10}$/;
+
+/**
+ * Replays closing prices from a CSV with date, symbol and close (or price)
+ * columns, plus an optional volume column. The CSV defines the tradable
+ * symbols; a symbol missing on some date keeps its previous close.
+ * Deterministic by nature, so the seed is unused.
+ */
+class CSVReplayModel {
+  static label = "Historical CSV Replay";
+
+  constructor({ dates, series, volumes = {} }) {
+    this.dates = dates;
+    this.series = series; // { AAPL: [close per date] }
+    this.volumes = volumes; // { AAPL: [volume per date, or null] }
+  }
+
+  static parse(text) {
+    const lines = text.trim().split(/\r?\n/);
+    const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+    const col = {
+      date: header.indexOf("date"),
+      symbol: header.indexOf("symbol"),
+      close: header.includes("close")
+        ? header.indexOf("close")
+        : header.indexOf("price"),
+    };
+    if (Object.values(col).includes(-1)) {
+      throw new Error("CSV needs date, symbol and close columns");
+    }
+    const volumeCol = header.indexOf("volume");
+
+    const byDate = new Map();
+    lines.slice(1).forEach((line, i) => {
+      if (!line.trim()) return;
+      const cells = line.split(",").map((c) => c.trim().replace(/^"|"$/g, ""));
+      const close = parseFloat(cells[col.close]);
+      if (!(close > 0)) throw new Error(`Invalid close on line ${i + 2}`);
+      // Symbols end up in table markup and selectors, so keep them plain
+      const symbol = (cells[col.symbol] ?? "").toUpperCase();
+      if (!CSV_SYMBOL.test(symbol)) {
+        throw new Error(`Invalid symbol on line ${i + 2}`);
+      }
+      const date = cells[col.date];
+      const volume = parseFloat(cells[volumeCol]);
+      if (!byDate.has(date)) byDate.set(date, {});
+      byDate.get(date)[symbol] = {
+        close,
+        volume: volume >= 0 ? volume : null,
+      };
+    });
+
+    const dates = [...byDate.keys()].sort();
+    if (dates.length < 2) throw new Error("CSV needs at least two dates");
+    const symbols = [
+      ...new Set(dates.flatMap((d) => Object.keys(byDate.get(d)))),
+    ];
+    const series = {};
+    const volumes = {};
+    symbols.forEach((symbol) => {
+      let last = null;
+      series[symbol] = dates.map(
+        (d) => (last = byDate.get(d)[symbol]?.close ?? last),
+      );
+      // Symbols listed later start at their first known close
+      const first = series[symbol].find((p) => p !== null);
+      series[symbol] = series[symbol].map((p) => p ?? first);
+      volumes[symbol] = dates.map((d) => byDate.get(d)[symbol]?.volume ?? null);
+    });
+    return new CSVReplayModel({ dates, series, volumes });
+  }
+
+  // The CSV replaces STOCK_DATA as the tradable universe
+  get stocks() {
+    return Object.entries(this.series).map(([symbol, closes]) => {
+      const returns = closes.slice(1).map((p, i) => Math.log(p / closes[i]));
+      const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+      const variance =
+        returns.reduce((a, r) => a + (r - mean) ** 2, 0) / returns.length;
+      return {
+        symbol,
+        price: closes[0],
+        volatility: Math.sqrt(variance),
+        liquidity: 20,
+      };
+    });
+  }
+
+  nextPrice(stock, rng, tick) {
+    return this.series[stock.symbol][tick] ?? stock.price;
+  }
+
+  // Recorded volume, when the CSV has one
+  volumeAt(stock, tick) {
+    return this.volumes[stock.symbol]?.[tick] ?? null;
+  }
+
+  isFinished(tick) {
+    return tick >= this.dates.length - 1;
+  }
+
+  clock(tick) {
+    return this.dates[tick];
+  }
+}
+
+const PRICE_MODELS = {
+  "random-walk": RandomWalkModel,
+  gbm: GBMModel,
+  "mean-reversion": MeanReversionModel,
+  "jump-diffusion": JumpDiffusionModel,
+  csv: CSVReplayModel,
+};
+
+/* --- Market --- */
+
+const MAX_BARS = 1000; // Per symbol and interval
+
+/**
+ * Moves every stock one step per tick using a pluggable price model.
+ * All randomness comes from one seeded generator, consumed in a fixed
+ * order, so the same model and seed reproduce the same session.
+ */
 class MarketEngine {
-  constructor(stocks) {
+  constructor(
+    stocks,
+    { model = new RandomWalkModel(), seed = 1, barIntervals = [1, 5, 15] } = {},
+  ) {
     // Create deep copy to avoid mutating config
-    this.stocks = stocks.map((s) => ({
+    this.stocks = (model.stocks ?? stocks).map((s) => ({
       ...s,
       startPrice: s.price,
       change: 0,
     }));
+    this.model = model;
+    this.seed = seed;
+    this.rng = new SeededRandom(seed);
+    this.tickCount = 0;
     this.callbacks = [];
     this.isRunning = false;
+    this.timer = null;
+    this.orderBook = null; // Pending orders checked after every price move
+
+    // OHLC bars per symbol, one series per interval (in ticks)
+    this.barIntervals = barIntervals;
+    this.bars = {};
+    this.stocks.forEach((s) => {
+      this.bars[s.symbol] = Object.fromEntries(
+        barIntervals.map((interval) => [interval, []]),
+      );
+    });
   }
 
-  // Register UI updates
+  // Register UI updates; returns an unsubscribe function
   subscribe(callback) {
     this.callbacks.push(callback);
+    return () =>
+      (this.callbacks = this.callbacks.filter((cb) => cb !== callback));
   }
 
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
     // The Market Tick: 2 seconds
-    setInterval(() => this.tick(), 2000);
+    this.timer = setInterval(() => this.tick(), 2000);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.isRunning = false;
+  }
+
+  get finished() {
+    return !!this.model.isFinished?.(this.tickCount);
+  }
+
+  // Session time: a date for CSV replays, otherwise the tick number
+  get clockLabel() {
+    return this.model.clock?.(this.tickCount) ?? `Tick ${this.tickCount}`;
   }
 
   tick() {
-    this.stocks.forEach((stock) => {
-      // RANDOM WALK ALGORITHM
-      // Calculate random percentage change based on volatility
-      // (Math.random() - 0.5) generates -0.5 to 0.5
-      // Multiply by volatility (e.g., 0.02) -> +/- 1% swings typically
-      const move = (Math.random() - 0.5) * 2 * stock.volatility;
+    if (this.finished) return this.stop();
+    this.tickCount++;
 
+    this.stocks.forEach((stock) => {
       const oldPrice = stock.price;
-      const newPrice = oldPrice * (1 + move);
+      const newPrice = this.model.nextPrice(stock, this.rng, this.tickCount);
 
       stock.price = parseFloat(newPrice.toFixed(2)); // Round to 2 decimals
       stock.change =
         ((stock.price - stock.startPrice) / stock.startPrice) * 100;
       stock.moveDirection = stock.price > oldPrice ? "up" : "down";
+      this.recordBar(stock, oldPrice, this.tickVolume(stock, oldPrice));
     });
 
+    this.orderBook?.evaluate();
+    if (this.finished) this.stop();
     this.notify();
   }
 
@@ -62,28 +327,131 @@ class MarketEngine {
   getStock(symbol) {
     return this.stocks.find((s) => s.symbol === symbol);
   }
+
+  /**
+   * Simulated volume rises with the size of the move. It is derived from
+   * the prices rather than the RNG so adding it doesn't change a seed's prices.
+   */
+  tickVolume(stock, oldPrice) {
+    const recorded = this.model.volumeAt?.(stock, this.tickCount);
+    if (recorded !== null && recorded !== undefined) return recorded;
+    const move = Math.abs(Math.log(stock.price / oldPrice));
+    return Math.round(
+      stock.liquidity * 25 * (1 + move / (stock.volatility || 1)),
+    );
+  }
+
+  // A bar opens at the previous close and spans `interval` ticks
+  recordBar(stock, open, volume) {
+    const label = this.clockLabel;
+    for (const interval of this.barIntervals) {
+      const series = this.bars[stock.symbol][interval];
+      const start = Math.floor((this.tickCount - 1) / interval) * interval;
+      let bar = series[series.length - 1];
+      if (!bar || bar.start !== start) {
+        bar = {
+          start,
+          label,
+          open,
+          high: open,
+          low: open,
+          close: open,
+          volume: 0,
+        };
+        series.push(bar);
+        if (series.length > MAX_BARS) series.shift();
+      }
+      bar.high = Math.max(bar.high, stock.price);
+      bar.low = Math.min(bar.low, stock.price);
+      bar.close = stock.price;
+      bar.volume += volume;
+    }
+  }
+
+  getBars(symbol, interval) {
+    return this.bars[symbol]?.[interval] ?? [];
+  }
 }
 
 /* =========================================
    2. PORTFOLIO LOGIC
    ========================================= */
 
+const PORTFOLIO_STORAGE_KEY = "quanttrade-portfolio";
+const TICKS_PER_YEAR = 252; // One tick is treated as one trading day
+
+// Commission per fill, given quantity and price
+const FEE_MODELS = {
+  none: { label: "No Fees", fee: () => 0 },
+  flat: { label: "Flat $4.95", fee: () => 4.95 },
+  "per-share": {
+    label: "$0.005/Share (min $1)",
+    fee: (qty) => Math.max(1, qty * 0.005),
+  },
+  percent: { label: "0.1% of Value", fee: (qty, price) => qty * price * 0.001 },
+};
+
+const COST_BASIS_METHODS = { fifo: "FIFO", average: "Average Cost" };
+
+/**
+ * Cash, positions and the trade ledger.
+ * Positions are kept as lots so each sale can be matched against its cost
+ * (FIFO or average cost). Buy fees are part of a lot's cost; sell fees
+ * reduce the proceeds. The whole portfolio serializes to localStorage.
+ */
 class Portfolio {
-  constructor(initialCash = 10000) {
+  constructor(
+    initialCash = 10000,
+    { feeModel = "none", costBasis = "fifo" } = {},
+  ) {
+    this.initialCash = initialCash;
     this.cash = initialCash;
     this.holdings = {}; // { 'AAPL': 10 }
-    this.history = []; // Array of transaction objects
+    this.lots = {}; // { 'AAPL': [{ qty, cost (per share), timestamp }] }
+    this.history = []; // Ledger, newest first
+    this.realized = 0;
+    this.feesPaid = 0;
+    this.equityCurve = []; // [{ label, equity }] once per market tick
+    this.feeModel = feeModel;
+    this.costBasis = costBasis;
+    this.nextTxId = 1;
+  }
+
+  feeFor(price, quantity) {
+    const model = FEE_MODELS[this.feeModel] ?? FEE_MODELS.none;
+    return Math.round(model.fee(quantity, price) * 100) / 100;
+  }
+
+  costOf(price, quantity) {
+    return price * quantity + this.feeFor(price, quantity);
+  }
+
+  // Largest quantity the cash covers, fees included
+  maxAffordable(price) {
+    let qty = Math.floor(this.cash / price);
+    while (qty > 0 && this.costOf(price, qty) > this.cash) qty--;
+    return qty;
   }
 
   buy(symbol, price, quantity) {
-    const cost = price * quantity;
+    const fee = this.feeFor(price, quantity);
+    const cost = price * quantity + fee;
     if (cost > this.cash) return { success: false, msg: "Insufficient Funds" };
 
     this.cash -= cost;
+    this.feesPaid += fee;
     this.holdings[symbol] = (this.holdings[symbol] || 0) + quantity;
+    (this.lots[symbol] ??= []).push({
+      qty: quantity,
+      cost: cost / quantity,
+      timestamp: new Date().toISOString(),
+    });
 
-    this.logTransaction("BUY", symbol, price, quantity);
-    return { success: true, msg: `Bought ${quantity} ${symbol} @ $${price}` };
+    this.logTransaction("BUY", symbol, price, quantity, { fee });
+    return {
+      success: true,
+      msg: `Bought ${quantity} ${symbol} @ $${price}${fee ? ` (fee $${fee.toFixed(2)})` : ""}`,
+    };
   }
 
   sell(symbol, price, quantity) {
@@ -91,40 +459,1346 @@ class Portfolio {
     if (currentQty < quantity)
       return { success: false, msg: "Not enough shares" };
 
-    const revenue = price * quantity;
-    this.cash += revenue;
+    const fee = this.feeFor(price, quantity);
+    const proceeds = price * quantity - fee;
+    const basis = this.consumeLots(symbol, quantity);
+    const realized = Math.round((proceeds - basis) * 100) / 100;
+    this.cash += proceeds;
+    this.feesPaid += fee;
+    this.realized += realized;
     this.holdings[symbol] -= quantity;
 
     // Clean up 0 holdings
-    if (this.holdings[symbol] === 0) delete this.holdings[symbol];
+    if (this.holdings[symbol] === 0) {
+      delete this.holdings[symbol];
+      delete this.lots[symbol];
+    }
+
+    this.logTransaction("SELL", symbol, price, quantity, { fee, realized });
+    return {
+      success: true,
+      msg: `Sold ${quantity} ${symbol} @ $${price} (P&L ${fmtMoney(realized)})`,
+    };
+  }
+
+  // Removes `quantity` shares from the lots and returns their total cost
+  consumeLots(symbol, quantity) {
+    let lots = this.lots[symbol] ?? [];
+    if (this.costBasis === "average" && lots.length > 1) {
+      // Averaging merges the lots, so the remaining shares keep the same cost
+      const qty = lots.reduce((a, l) => a + l.qty, 0);
+      const cost = lots.reduce((a, l) => a + l.qty * l.cost, 0) / qty;
+      lots = [{ qty, cost, timestamp: lots[0].timestamp }];
+    }
 
-    this.logTransaction("SELL", symbol, price, quantity);
-    return { success: true, msg: `Sold ${quantity} ${symbol} @ $${price}` };
+    let remaining = quantity;
+    let basis = 0;
+    while (remaining > 0 && lots.length) {
+      const lot = lots[0];
+      const take = Math.min(lot.qty, remaining);
+      basis += take * lot.cost;
+      lot.qty -= take;
+      remaining -= take;
+      if (lot.qty === 0) lots.shift();
+    }
+    this.lots[symbol] = lots;
+    return basis;
   }
 
-  logTransaction(type, symbol, price, qty) {
+  logTransaction(type, symbol, price, qty, { fee = 0, realized = null } = {}) {
     this.history.unshift({
+      id: this.nextTxId++,
       type,
       symbol,
       price,
       qty,
+      fee,
       total: price * qty,
-      time: new Date().toLocaleTimeString(),
+      realized,
+      timestamp: new Date().toISOString(),
     });
   }
 
+  /* --- Valuation --- */
+
+  // Total cost of the shares still held (what unrealized P&L is measured against)
+  costBasisOf(symbol) {
+    return (this.lots[symbol] ?? []).reduce((a, l) => a + l.qty * l.cost, 0);
+  }
+
+  averageCost(symbol) {
+    const qty = this.holdings[symbol] || 0;
+    return qty ? this.costBasisOf(symbol) / qty : 0;
+  }
+
+  unrealizedOf(symbol, price) {
+    return price * (this.holdings[symbol] || 0) - this.costBasisOf(symbol);
+  }
+
+  getUnrealized(marketStocks) {
+    return Object.keys(this.holdings).reduce((sum, symbol) => {
+      const stock = marketStocks.find((s) => s.symbol === symbol);
+      return stock ? sum + this.unrealizedOf(symbol, stock.price) : sum;
+    }, 0);
+  }
+
   getNetWorth(marketStocks) {
     let stockValue = 0;
     for (const [symbol, qty] of Object.entries(this.holdings)) {
       const stock = marketStocks.find((s) => s.symbol === symbol);
-      if (stock) stockValue += stock.price * qty;
+      // Symbols missing from this session's market are valued at cost
+      stockValue += stock ? stock.price * qty : this.costBasisOf(symbol);
     }
     return this.cash + stockValue;
   }
+
+  /* --- Performance --- */
+
+  recordEquity(label, marketStocks) {
+    this.equityCurve.push({ label, equity: this.getNetWorth(marketStocks) });
+    if (this.equityCurve.length > 5000) this.equityCurve.shift();
+  }
+
+  // Largest peak-to-trough fall of the equity curve, as a fraction
+  maxDrawdown() {
+    let peak = -Infinity;
+    let worst = 0;
+    for (const { equity } of this.equityCurve) {
+      peak = Math.max(peak, equity);
+      worst = Math.max(worst, (peak - equity) / peak);
+    }
+    return worst;
+  }
+
+  // Annualized Sharpe ratio of per-tick returns (risk-free rate 0)
+  sharpeRatio() {
+    const returns = this.equityCurve
+      .slice(1)
+      .map((p, i) => p.equity / this.equityCurve[i].equity - 1);
+    if (returns.length < 2) return null;
+    const mean = returns.reduce((a, r) => a + r, 0) / returns.length;
+    const variance =
+      returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+    const sd = Math.sqrt(variance);
+    return sd === 0 ? null : (mean / sd) * Math.sqrt(TICKS_PER_YEAR);
+  }
+
+  summary(marketStocks) {
+    const netWorth = this.getNetWorth(marketStocks);
+    return {
+      netWorth,
+      cash: this.cash,
+      realized: this.realized,
+      unrealized: this.getUnrealized(marketStocks),
+      feesPaid: this.feesPaid,
+      totalReturn: (netWorth - this.initialCash) / this.initialCash,
+      maxDrawdown: this.maxDrawdown(),
+      sharpe: this.sharpeRatio(),
+    };
+  }
+
+  /* --- Export & Persistence --- */
+
+  ledgerCSV() {
+    const columns = ["id", "timestamp", "type", "symbol", "qty", "price"];
+    columns.push("fee", "total", "realized");
+    const rows = [...this.history]
+      .reverse()
+      .map((t) => columns.map((c) => t[c] ?? "").join(","));
+    return [columns.join(","), ...rows].join("\n");
+  }
+
+  statement(marketStocks) {
+    return {
+      exportedAt: new Date().toISOString(),
+      costBasis: this.costBasis,
+      feeModel: this.feeModel,
+      summary: this.summary(marketStocks),
+      holdings: Object.keys(this.holdings).map((symbol) => ({
+        symbol,
+        qty: this.holdings[symbol],
+        averageCost: this.averageCost(symbol),
+        lots: this.lots[symbol],
+      })),
+      ledger: [...this.history].reverse(),
+      equityCurve: this.equityCurve,
+    };
+  }
+
+  save() {
+    localStorage.setItem(PORTFOLIO_STORAGE_KEY, JSON.stringify(this));
+  }
+
+  static load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(PORTFOLIO_STORAGE_KEY));
+      if (!data) return null;
+      return Object.assign(new Portfolio(data.initialCash), data);
+    } catch {
+      return null; // Corrupt save: start over
+    }
+  }
+
+  static clear() {
+    localStorage.removeItem(PORTFOLIO_STORAGE_KEY);
+  }
+}
+
+/* =========================================
+   3. ORDER BOOK
+   ========================================= */
+
+const ORDER_TYPES = ["market", "limit", "stop", "stop-limit"];
+const ORDER_SIDES = ["buy", "sell"];
+const ACTIVE_STATUSES = ["open", "partial"];
+
+const fmtPrice = (num) => `$${num.toFixed(2)}`;
+
+// e.g. "BUY 10 AAPL STP $140.00 LMT $139.50"
+function describeOrder(order) {
+  let text = `${order.side.toUpperCase()} ${order.qty} ${order.symbol}`;
+  if (order.type === "market") text += " MKT";
+  if (order.stopPrice !== null) text += ` STP ${fmtPrice(order.stopPrice)}`;
+  if (order.limitPrice !== null) text += ` LMT ${fmtPrice(order.limitPrice)}`;
+  return text;
+}
+
+/**
+ * Pending orders, evaluated against the market on every tick.
+ * Fills are limited by each stock's liquidity per bar, so large orders
+ * fill partially over several ticks. OCO legs share one quantity: a fill
+ * on one leg shrinks the others, and a complete fill cancels them.
+ * Bracket exits are an OCO pair that waits for its entry order to fill.
+ */
+class OrderBook {
+  constructor(market, portfolio) {
+    this.market = market;
+    this.portfolio = portfolio;
+    this.orders = []; // Time priority: oldest first
+    this.nextId = 1;
+    this.liquidityUsed = {}; // { 'AAPL:buy': 40 } shares taken this bar
+    this.liquidityBar = null; // Tick that closes the bar liquidityUsed covers
+    this.callbacks = [];
+  }
+
+  // Register UI updates; called with the fills of each evaluation
+  subscribe(callback) {
+    this.callbacks.push(callback);
+  }
+
+  notify(fills) {
+    this.callbacks.forEach((cb) => cb(fills));
+  }
+
+  get openOrders() {
+    return this.orders.filter(
+      (o) => this.isActive(o) || o.status === "pending",
+    );
+  }
+
+  isActive(order) {
+    return ACTIVE_STATUSES.includes(order.status);
+  }
+
+  getOrder(id) {
+    return this.orders.find((o) => o.id === id);
+  }
+
+  /* --- Placement --- */
+
+  place(spec) {
+    const order = this._create(spec);
+    const error = this._validate(order);
+    if (error) return { success: false, msg: error };
+
+    this.orders.push(order);
+    this._enterBar(this.market.tickCount + 1);
+    const fills = this._evaluate(order);
+    this.notify(fills);
+    return { success: true, msg: this._placedMessage(order, fills), order };
+  }
+
+  // Two legs on the same side and quantity; whichever fills first cancels
+  // the other
+  placeOCO(first, second) {
+    const legs = [first, second].map((spec) => this._create(spec));
+    const error = legs.map((o) => this._validate(o)).find(Boolean);
+    if (error) return { success: false, msg: error };
+    if (legs[0].symbol !== legs[1].symbol || legs[0].side !== legs[1].side) {
+      return { success: false, msg: "OCO legs must share symbol and side" };
+    }
+    // Both legs cover one position, so one leg can't be larger
+    if (legs[0].qty !== legs[1].qty) {
+      return { success: false, msg: "OCO legs must have the same quantity" };
+    }
+
+    const group = `oco-${legs[0].id}`;
+    legs.forEach((o) => {
+      o.ocoGroup = group;
+      o.groupQty = legs[0].qty;
+    });
+    this.orders.push(...legs);
+    this._enterBar(this.market.tickCount + 1);
+    const fills = legs.flatMap((o) => this._evaluate(o));
+    this.notify(fills);
+    return {
+      success: true,
+      msg: `OCO #${legs[0].id}/#${legs[1].id} placed`,
+      orders: legs,
+    };
+  }
+
+  /**
+   * Entry buy (market, or limit when limitPrice is set) plus a take-profit
+   * limit and a stop-loss stop that activate as the entry fills.
+   */
+  placeBracket({ symbol, qty, limitPrice = null, takeProfit, stopLoss }) {
+    const entry = this._create({
+      symbol,
+      side: "buy",
+      type: limitPrice === null ? "market" : "limit",
+      qty,
+      limitPrice,
+    });
+    const error = this._validate(entry);
+    if (error) return { success: false, msg: error };
+    if (!(takeProfit > 0 && stopLoss > 0)) {
+      return { success: false, msg: "Take profit and stop loss required" };
+    }
+    if (takeProfit <= stopLoss) {
+      return { success: false, msg: "Take profit must be above stop loss" };
+    }
+
+    const group = `bracket-${entry.id}`;
+    const exit = { symbol, side: "sell", qty: 0, parentId: entry.id };
+    const legs = [
+      this._create({ ...exit, type: "limit", limitPrice: takeProfit }),
+      this._create({ ...exit, type: "stop", stopPrice: stopLoss }),
+    ];
+    legs.forEach((o) => {
+      o.ocoGroup = group;
+      o.status = "pending";
+    });
+
+    this.orders.push(entry, ...legs);
+    this._enterBar(this.market.tickCount + 1);
+    const fills = this._evaluate(entry);
+    this.notify(fills);
+    return {
+      success: true,
+      msg: this._placedMessage(entry, fills),
+      order: entry,
+    };
+  }
+
+  cancel(id) {
+    const order = this.getOrder(id);
+    if (!order || !(this.isActive(order) || order.status === "pending")) {
+      return { success: false, msg: "Order is no longer open" };
+    }
+
+    // Cancelling one leg of an OCO pair cancels the pair
+    const targets = order.ocoGroup
+      ? this.orders.filter((o) => o.ocoGroup === order.ocoGroup)
+      : [order];
+    targets.forEach((o) => this._close(o, "cancelled"));
+
+    // Exits of an unfilled entry have nothing left to protect
+    this.orders
+      .filter((o) => o.parentId === id)
+      .forEach((child) => this._syncGroup(child.ocoGroup));
+
+    this.notify([]);
+    return { success: true, msg: `Order #${id} cancelled` };
+  }
+
+  /* --- Evaluation --- */
+
+  // Called by MarketEngine.tick after prices move
+  evaluate() {
+    this._enterBar(this.market.tickCount);
+    // Snapshot: exits activated by a fill wait for the next tick
+    const fills = this.orders
+      .filter((o) => this.isActive(o))
+      .flatMap((o) => this._evaluate(o));
+    if (fills.length) this.notify(fills);
+  }
+
+  /**
+   * Liquidity is shared by everything that fills in one bar. Orders placed
+   * between ticks trade in the bar the next tick closes, so they don't
+   * compete with fills from the tick that just happened.
+   */
+  _enterBar(bar) {
+    if (bar === this.liquidityBar) return;
+    this.liquidityBar = bar;
+    this.liquidityUsed = {};
+  }
+
+  _evaluate(order) {
+    if (!this.isActive(order)) return [];
+    const { price } = this.market.getStock(order.symbol);
+    const buying = order.side === "buy";
+
+    if (order.stopPrice !== null && !order.triggered) {
+      if (buying ? price < order.stopPrice : price > order.stopPrice) return [];
+      order.triggered = true; // Now a market (stop) or limit (stop-limit) order
+    }
+    if (order.limitPrice !== null) {
+      if (buying ? price > order.limitPrice : price < order.limitPrice)
+        return [];
+    }
+    return this._fill(order, price);
+  }
+
+  _fill(order, price) {
+    const stock = this.market.getStock(order.symbol);
+    const key = `${order.symbol}:${order.side}`;
+    const available = stock.liquidity - (this.liquidityUsed[key] || 0);
+    if (available <= 0) return []; // Book is dry until the next bar
+
+    const held = this.portfolio.holdings[order.symbol] || 0;
+    const affordable =
+      order.side === "buy" ? this.portfolio.maxAffordable(price) : held;
+    const qty = Math.min(order.qty - order.filled, available, affordable);
+    if (qty <= 0) {
+      this._close(
+        order,
+        "rejected",
+        order.side === "buy" ? "Insufficient Funds" : "Not enough shares",
+      );
+      if (order.ocoGroup) this._syncGroup(order.ocoGroup);
+      return [];
+    }
+
+    const result =
+      order.side === "buy"
+        ? this.portfolio.buy(order.symbol, price, qty)
+        : this.portfolio.sell(order.symbol, price, qty);
+    if (!result.success) return [];
+
+    this.liquidityUsed[key] = (this.liquidityUsed[key] || 0) + qty;
+    order.avgPrice =
+      (order.avgPrice * order.filled + price * qty) / (order.filled + qty);
+    order.filled += qty;
+    order.status = order.filled === order.qty ? "filled" : "partial";
+
+    if (order.ocoGroup) this._syncGroup(order.ocoGroup);
+    const group = this.orders.find((o) => o.parentId === order.id)?.ocoGroup;
+    if (group) this._syncGroup(group);
+
+    return [{ order, price, qty, msg: result.msg }];
+  }
+
+  /**
+   * Resizes the legs of an OCO group to the position they still cover.
+   * Bracket exits cover whatever the entry has filled; plain OCO pairs
+   * cover the quantity they were placed with.
+   */
+  _syncGroup(group) {
+    const legs = this.orders.filter((o) => o.ocoGroup === group);
+    const parent = this.getOrder(legs[0].parentId);
+    const total = parent ? parent.filled : legs[0].groupQty;
+    const groupFilled = legs.reduce((sum, o) => sum + o.filled, 0);
+    const remaining = Math.max(0, total - groupFilled);
+    const waiting = parent && this.isActive(parent);
+    const closed = legs.some((o) =>
+      ["cancelled", "rejected"].includes(o.status),
+    );
+
+    legs.forEach((leg) => {
+      if (!(this.isActive(leg) || leg.status === "pending")) return;
+      leg.qty = leg.filled + (closed ? 0 : remaining);
+      if (leg.qty > leg.filled) {
+        leg.status = leg.filled ? "partial" : "open";
+      } else if (waiting && !closed && !leg.filled) {
+        leg.status = "pending";
+      } else {
+        this._close(leg, leg.filled ? "filled" : "cancelled");
+      }
+    });
+  }
+
+  _close(order, status, reason = null) {
+    if (!(this.isActive(order) || order.status === "pending")) return;
+    order.status = order.filled && status === "cancelled" ? "filled" : status;
+    if (order.filled) order.qty = order.filled; // Unfilled rest is void
+    order.reason = reason;
+  }
+
+  /* --- Helpers --- */
+
+  _create({
+    symbol,
+    side,
+    type = "market",
+    qty,
+    limitPrice = null,
+    stopPrice = null,
+    parentId = null,
+  }) {
+    const usesLimit = type === "limit" || type === "stop-limit";
+    const usesStop = type === "stop" || type === "stop-limit";
+    return {
+      id: this.nextId++,
+      symbol,
+      side,
+      type,
+      qty,
+      filled: 0,
+      avgPrice: 0,
+      limitPrice: usesLimit ? limitPrice : null,
+      stopPrice: usesStop ? stopPrice : null,
+      triggered: false,
+      status: "open",
+      reason: null,
+      ocoGroup: null,
+      groupQty: null,
+      parentId,
+      time: new Date().toLocaleTimeString(),
+    };
+  }
+
+  // Returns an error message, or null when the order can be placed
+  _validate(order) {
+    const stock = this.market.getStock(order.symbol);
+    if (!stock) return "Unknown symbol";
+    if (!ORDER_SIDES.includes(order.side)) return "Side must be buy or sell";
+    if (!ORDER_TYPES.includes(order.type)) return "Unknown order type";
+    if (!Number.isInteger(order.qty) || order.qty <= 0) {
+      return "Invalid Quantity";
+    }
+    const { type, limitPrice, stopPrice } = order;
+    if ((type === "limit" || type === "stop-limit") && !(limitPrice > 0)) {
+      return "Limit price required";
+    }
+    if ((type === "stop" || type === "stop-limit") && !(stopPrice > 0)) {
+      return "Stop price required";
+    }
+
+    if (order.side === "sell") {
+      // No short selling: pending sells must be covered by current holdings
+      const held = this.portfolio.holdings[order.symbol] || 0;
+      if (order.qty > held) return "Not enough shares";
+    } else {
+      const price = limitPrice ?? Math.max(stock.price, stopPrice ?? 0);
+      if (this.portfolio.costOf(price, order.qty) > this.portfolio.cash) {
+        return "Insufficient Funds";
+      }
+    }
+    return null;
+  }
+
+  _placedMessage(order, fills) {
+    if (order.status === "filled") return fills.map((f) => f.msg).join(", ");
+    if (order.status === "partial") {
+      return `#${order.id} partially filled: ${order.filled}/${order.qty}`;
+    }
+    return `Order #${order.id} placed: ${describeOrder(order)}`;
+  }
+}
+
+/* =========================================
+   4. CHARTS & INDICATORS
+   ========================================= */
+
+// Every indicator returns an array aligned with its input; null during warm-up
+const Indicators = {
+  sma(values, period) {
+    let sum = 0;
+    return values.map((v, i) => {
+      sum += v;
+      if (i >= period) sum -= values[i - period];
+      return i >= period - 1 ? sum / period : null;
+    });
+  },
+
+  // Seeded with the SMA of the first `period` values; skips leading nulls
+  ema(values, period) {
+    const k = 2 / (period + 1);
+    const seed = [];
+    let prev = null;
+    return values.map((v) => {
+      if (v === null) return null;
+      if (prev !== null) return (prev = v * k + prev * (1 - k));
+      seed.push(v);
+      if (seed.length === period) {
+        prev = seed.reduce((a, b) => a + b, 0) / period;
+      }
+      return prev;
+    });
+  },
+
+  bollinger(values, period = 20, mult = 2) {
+    return Indicators.sma(values, period).map((mid, i) => {
+      if (mid === null) return null;
+      const recent = values.slice(i - period + 1, i + 1);
+      const sd = Math.sqrt(
+        recent.reduce((a, v) => a + (v - mid) ** 2, 0) / period,
+      );
+      return { mid, upper: mid + mult * sd, lower: mid - mult * sd };
+    });
+  },
+
+  // Wilder's RSI
+  rsi(values, period = 14) {
+    let gain = 0;
+    let loss = 0;
+    return values.map((v, i) => {
+      if (i === 0) return null;
+      const change = v - values[i - 1];
+      const up = Math.max(change, 0);
+      const down = Math.max(-change, 0);
+      if (i <= period) {
+        gain += up / period;
+        loss += down / period;
+        if (i < period) return null;
+      } else {
+        gain = (gain * (period - 1) + up) / period;
+        loss = (loss * (period - 1) + down) / period;
+      }
+      return loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+    });
+  },
+
+  macd(values, fast = 12, slow = 26, signal = 9) {
+    const fastEma = Indicators.ema(values, fast);
+    const slowEma = Indicators.ema(values, slow);
+    const line = values.map((_, i) =>
+      slowEma[i] === null ? null : fastEma[i] - slowEma[i],
+    );
+    const signalLine = Indicators.ema(line, signal);
+    return line.map((macd, i) =>
+      signalLine[i] === null
+        ? null
+        : { macd, signal: signalLine[i], histogram: macd - signalLine[i] },
+    );
+  },
+};
+
+const CHART_COLORS = {
+  up: "#00e676",
+  down: "#ff1744",
+  grid: "#2c3340",
+  text: "#8899a6",
+  sma: "#ffb300",
+  ema: "#29b6f6",
+  bollinger: "#ab47bc",
+  signal: "#ff7043",
+};
+
+/**
+ * Canvas candlestick chart with a volume overlay and optional RSI/MACD
+ * panes. Mouse wheel zooms, dragging pans back through history and a
+ * double click jumps back to the latest bar.
+ */
+class CandleChart {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.bars = [];
+    this.visible = 60; // Bars across the plot
+    this.offset = 0; // Bars hidden to the right; 0 follows the live edge
+    this.hover = null; // Bar index under the cursor
+    this.drag = null;
+    this.indicators = {
+      sma: true,
+      ema: false,
+      bollinger: false,
+      rsi: true,
+      macd: false,
+    };
+    this.initEventListeners();
+  }
+
+  initEventListeners() {
+    this.canvas.addEventListener("wheel", (e) => {
+      e.preventDefault();
+      const factor = e.deltaY > 0 ? 1.15 : 1 / 1.15;
+      this.visible = Math.round(
+        Math.min(Math.max(this.visible * factor, 10), 300),
+      );
+      this.clampOffset();
+      this.draw();
+    });
+
+    this.canvas.addEventListener("pointerdown", (e) => {
+      this.canvas.setPointerCapture(e.pointerId);
+      this.drag = { x: e.offsetX, offset: this.offset };
+    });
+    this.canvas.addEventListener("pointermove", (e) => {
+      if (this.drag) {
+        const moved = Math.round((e.offsetX - this.drag.x) / this.barWidth());
+        this.offset = this.drag.offset + moved;
+        this.clampOffset();
+      }
+      this.hover = this.indexAt(e.offsetX);
+      this.draw();
+    });
+    this.canvas.addEventListener("pointerup", () => (this.drag = null));
+    this.canvas.addEventListener("pointerleave", () => {
+      this.hover = null;
+      this.draw();
+    });
+    this.canvas.addEventListener("dblclick", () => {
+      this.offset = 0;
+      this.draw();
+    });
+  }
+
+  setData(bars) {
+    this.bars = bars;
+    this.clampOffset();
+    this.draw();
+  }
+
+  clampOffset() {
+    const max = Math.max(0, this.bars.length - 10);
+    this.offset = Math.min(Math.max(this.offset, 0), max);
+  }
+
+  // Plot area excludes the right-hand price axis
+  plotWidth() {
+    return this.canvas.clientWidth - 60;
+  }
+
+  barWidth() {
+    return this.plotWidth() / this.visible;
+  }
+
+  range() {
+    const end = this.bars.length - this.offset;
+    return { start: Math.max(0, end - this.visible), end };
+  }
+
+  indexAt(x) {
+    const { start, end } = this.range();
+    const index = start + Math.floor(x / this.barWidth());
+    return index < end ? index : null;
+  }
+
+  x(index) {
+    return (index - this.range().start + 0.5) * this.barWidth();
+  }
+
+  draw() {
+    const { canvas, ctx } = this;
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== width * dpr || canvas.height !== height * dpr) {
+      canvas.width = width * dpr;
+      canvas.height = height * dpr;
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    if (this.bars.length === 0) {
+      ctx.fillStyle = CHART_COLORS.text;
+      ctx.font = "13px sans-serif";
+      ctx.textAlign = "center";
+      ctx.fillText("Waiting for market data…", width / 2, height / 2);
+      return;
+    }
+
+    // Indicators use the full history so warm-up doesn't depend on zoom
+    const closes = this.bars.map((b) => b.close);
+    const panes = [{ draw: (p) => this.drawPrice(p, closes), weight: 3 }];
+    if (this.indicators.rsi) {
+      panes.push({ draw: (p) => this.drawRSI(p, closes), weight: 1 });
+    }
+    if (this.indicators.macd) {
+      panes.push({ draw: (p) => this.drawMACD(p, closes), weight: 1 });
+    }
+
+    const axisHeight = 18;
+    const gap = 8;
+    const total = panes.reduce((a, p) => a + p.weight, 0);
+    const available = height - axisHeight - gap * (panes.length - 1);
+    let top = 0;
+    panes.forEach((pane) => {
+      const paneHeight = (available * pane.weight) / total;
+      pane.draw({ top, height: paneHeight });
+      top += paneHeight + gap;
+    });
+
+    this.drawTimeAxis(height - axisHeight + 12);
+    this.drawReadout();
+  }
+
+  // Maps values to pixels within a pane, with horizontal grid lines
+  scale(pane, min, max, ticks = 4) {
+    const pad = (max - min) * 0.05 || 1;
+    const lo = min - pad;
+    const hi = max + pad;
+    const y = (v) => pane.top + ((hi - v) / (hi - lo)) * pane.height;
+
+    const { ctx } = this;
+    ctx.strokeStyle = CHART_COLORS.grid;
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.font = "11px sans-serif";
+    ctx.textAlign = "left";
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= ticks; i++) {
+      const value = lo + ((hi - lo) * i) / ticks;
+      ctx.beginPath();
+      ctx.moveTo(0, y(value));
+      ctx.lineTo(this.plotWidth(), y(value));
+      ctx.stroke();
+      ctx.fillText(value.toFixed(2), this.plotWidth() + 6, y(value) + 4);
+    }
+    return y;
+  }
+
+  line(values, y, color) {
+    const { ctx } = this;
+    const { start, end } = this.range();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let drawing = false;
+    for (let i = start; i < end; i++) {
+      if (values[i] === null) continue;
+      if (drawing) ctx.lineTo(this.x(i), y(values[i]));
+      else ctx.moveTo(this.x(i), y(values[i]));
+      drawing = true;
+    }
+    ctx.stroke();
+  }
+
+  drawPrice(pane, closes) {
+    const { ctx, bars } = this;
+    const { start, end } = this.range();
+    const visible = bars.slice(start, end);
+    const bands = this.indicators.bollinger
+      ? Indicators.bollinger(closes)
+      : null;
+
+    let min = Math.min(...visible.map((b) => b.low));
+    let max = Math.max(...visible.map((b) => b.high));
+    bands?.slice(start, end).forEach((b) => {
+      if (!b) return;
+      min = Math.min(min, b.lower);
+      max = Math.max(max, b.upper);
+    });
+    const y = this.scale(pane, min, max);
+
+    // Volume sits behind the candles in the bottom fifth of the pane
+    const maxVolume = Math.max(...visible.map((b) => b.volume), 1);
+    const barWidth = this.barWidth();
+    const body = Math.max(1, barWidth * 0.7);
+    visible.forEach((bar, i) => {
+      const h = (bar.volume / maxVolume) * pane.height * 0.2;
+      ctx.fillStyle =
+        bar.close >= bar.open ? "rgba(0,230,118,0.2)" : "rgba(255,23,68,0.2)";
+      ctx.fillRect(
+        this.x(start + i) - body / 2,
+        pane.top + pane.height - h,
+        body,
+        h,
+      );
+    });
+
+    if (bands) {
+      const upper = bands.map((b) => b?.upper ?? null);
+      const lower = bands.map((b) => b?.lower ?? null);
+      this.line(upper, y, CHART_COLORS.bollinger);
+      this.line(lower, y, CHART_COLORS.bollinger);
+      this.line(
+        bands.map((b) => b?.mid ?? null),
+        y,
+        "rgba(171,71,188,0.5)",
+      );
+    }
+
+    visible.forEach((bar, i) => {
+      const x = this.x(start + i);
+      const color = bar.close >= bar.open ? CHART_COLORS.up : CHART_COLORS.down;
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, y(bar.high));
+      ctx.lineTo(x, y(bar.low));
+      ctx.stroke();
+      const top = y(Math.max(bar.open, bar.close));
+      const bottom = y(Math.min(bar.open, bar.close));
+      ctx.fillRect(x - body / 2, top, body, Math.max(1, bottom - top));
+    });
+
+    if (this.indicators.sma) {
+      this.line(Indicators.sma(closes, 20), y, CHART_COLORS.sma);
+    }
+    if (this.indicators.ema) {
+      this.line(Indicators.ema(closes, 12), y, CHART_COLORS.ema);
+    }
+  }
+
+  drawRSI(pane, closes) {
+    const y = this.scale(pane, 0, 100, 2);
+    const { ctx } = this;
+    ctx.strokeStyle = "rgba(136,153,166,0.5)";
+    ctx.setLineDash([4, 4]);
+    [30, 70].forEach((level) => {
+      ctx.beginPath();
+      ctx.moveTo(0, y(level));
+      ctx.lineTo(this.plotWidth(), y(level));
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    this.line(Indicators.rsi(closes), y, CHART_COLORS.ema);
+    this.paneTitle(pane, "RSI 14");
+  }
+
+  drawMACD(pane, closes) {
+    const values = Indicators.macd(closes);
+    const { start, end } = this.range();
+    const visible = values.slice(start, end).filter(Boolean);
+    const extent = Math.max(
+      ...visible.flatMap((v) => [
+        Math.abs(v.macd),
+        Math.abs(v.signal),
+        Math.abs(v.histogram),
+      ]),
+      0.01,
+    );
+    const y = this.scale(pane, -extent, extent, 2);
+
+    const { ctx } = this;
+    const body = Math.max(1, this.barWidth() * 0.7);
+    for (let i = start; i < end; i++) {
+      if (!values[i]) continue;
+      const { histogram } = values[i];
+      ctx.fillStyle = histogram >= 0 ? CHART_COLORS.up : CHART_COLORS.down;
+      ctx.fillRect(
+        this.x(i) - body / 2,
+        y(Math.max(histogram, 0)),
+        body,
+        Math.abs(y(histogram) - y(0)),
+      );
+    }
+    this.line(
+      values.map((v) => v?.macd ?? null),
+      y,
+      CHART_COLORS.ema,
+    );
+    this.line(
+      values.map((v) => v?.signal ?? null),
+      y,
+      CHART_COLORS.signal,
+    );
+    this.paneTitle(pane, "MACD 12 26 9");
+  }
+
+  paneTitle(pane, text) {
+    this.ctx.fillStyle = CHART_COLORS.text;
+    this.ctx.font = "11px sans-serif";
+    this.ctx.textAlign = "left";
+    this.ctx.fillText(text, 6, pane.top + 12);
+  }
+
+  drawTimeAxis(baseline) {
+    const { ctx } = this;
+    const { start, end } = this.range();
+    const every = Math.ceil(this.visible / 6);
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.font = "11px sans-serif";
+    ctx.textAlign = "center";
+    for (let i = start; i < end; i++) {
+      if (i % every === 0)
+        ctx.fillText(this.bars[i].label, this.x(i), baseline);
+    }
+  }
+
+  // OHLCV of the hovered bar, or the latest one
+  drawReadout() {
+    const index = this.hover ?? this.range().end - 1;
+    const bar = this.bars[index];
+    if (!bar) return;
+    const { ctx } = this;
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.font = "12px sans-serif";
+    ctx.textAlign = "left";
+    ctx.fillText(
+      `${bar.label}  O ${bar.open.toFixed(2)}  H ${bar.high.toFixed(2)}  L ${bar.low.toFixed(2)}  C ${bar.close.toFixed(2)}  V ${bar.volume.toLocaleString()}`,
+      6,
+      14,
+    );
+
+    if (this.hover !== null) {
+      ctx.strokeStyle = "rgba(136,153,166,0.4)";
+      ctx.beginPath();
+      ctx.moveTo(this.x(index), 0);
+      ctx.lineTo(this.x(index), this.canvas.clientHeight);
+      ctx.stroke();
+    }
+  }
+}
+
+/**
+ * Equity curves on a shared scale, with a dashed break-even line at the
+ * starting capital. Used by the performance tab and backtest reports.
+ */
+function drawEquityChart(canvas, series, breakEven) {
+  const ctx = canvas.getContext("2d");
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const all = series.flatMap((s) => s.values);
+  const length = Math.max(...series.map((s) => s.values.length));
+  if (length < 2) return;
+  const min = Math.min(...all, breakEven);
+  const max = Math.max(...all, breakEven);
+  const x = (i) => (i / (length - 1)) * width;
+  const y = (v) => height - 4 - ((v - min) / (max - min || 1)) * (height - 8);
+
+  ctx.strokeStyle = CHART_COLORS.grid;
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(0, y(breakEven));
+  ctx.lineTo(width, y(breakEven));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  series.forEach(({ values, color }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    values.forEach((v, i) =>
+      i ? ctx.lineTo(x(i), y(v)) : ctx.moveTo(0, y(v)),
+    );
+    ctx.stroke();
+  });
+}
+
+/* =========================================
+   5. TRADING BOTS
+   ========================================= */
+
+// Runs inside the worker. Strategy code gets plain data in and returns
+// plain order objects. The usual network and storage APIs are hidden, but
+// this is not a sandbox: import() and WebTransport still reach the network.
+const BOT_WORKER_SOURCE = `
+"use strict";
+for (const name of ["fetch", "XMLHttpRequest", "WebSocket", "EventSource",
+  "importScripts", "Worker", "indexedDB", "caches"]) {
+  try { self[name] = undefined; } catch {}
+}
+const log = (...args) => self.postMessage({ type: "log", text: args.join(" ") });
+let strategy = null;
+
+self.onmessage = (e) => {
+  const { type, id, code, stocks, portfolio } = e.data;
+  try {
+    if (type === "init") {
+      strategy = new Function("log", code + "\\n;return typeof onTick === 'function' ? onTick : null;")(log);
+      if (!strategy) throw new Error("Strategy must define onTick(stocks, portfolio)");
+      self.postMessage({ type: "ready" });
+    } else if (type === "tick") {
+      const orders = strategy(stocks, portfolio) || [];
+      self.postMessage({ type: "orders", id, orders: JSON.parse(JSON.stringify(orders)) });
+    }
+  } catch (err) {
+    self.postMessage({ type: "error", id, message: String((err && err.message) || err) });
+  }
+};
+`;
+
+const BOT_SAMPLES = {
+  "sma-crossover": {
+    label: "SMA Crossover",
+    code: `// Buy when the 10-tick average crosses above the 30-tick average,
+// sell everything when it crosses back below.
+const avg = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+function onTick(stocks, portfolio) {
+  const orders = [];
+  for (const s of stocks) {
+    if (s.history.length < 30) continue;
+    const fast = avg(s.history.slice(-10));
+    const slow = avg(s.history.slice(-30));
+    const held = portfolio.holdings[s.symbol] || 0;
+
+    if (fast > slow && held === 0) {
+      const qty = Math.floor((portfolio.cash * 0.15) / s.price);
+      if (qty > 0) orders.push({ symbol: s.symbol, side: "buy", qty });
+    } else if (fast < slow && held > 0) {
+      orders.push({ symbol: s.symbol, side: "sell", qty: held });
+    }
+  }
+  return orders;
+}
+`,
+  },
+  "rsi-reversion": {
+    label: "RSI Mean Reversion",
+    code: `// Buy oversold stocks (RSI < 30) with a limit just under the price,
+// sell once they become overbought (RSI > 70).
+function rsi(closes, period = 14) {
+  let gain = 0, loss = 0;
+  for (let i = closes.length - period; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gain += change; else loss -= change;
+  }
+  return loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+}
+
+function onTick(stocks, portfolio) {
+  const orders = [];
+  for (const s of stocks) {
+    if (s.history.length < 15) continue;
+    const value = rsi(s.history);
+    const held = portfolio.holdings[s.symbol] || 0;
+    const pending = portfolio.openOrders.some((o) => o.symbol === s.symbol);
+
+    if (value < 30 && held === 0 && !pending) {
+      const qty = Math.floor((portfolio.cash * 0.2) / s.price);
+      const limitPrice = +(s.price * 0.995).toFixed(2);
+      if (qty > 0) orders.push({ symbol: s.symbol, side: "buy", type: "limit", qty, limitPrice });
+    } else if (value > 70 && held > 0) {
+      orders.push({ symbol: s.symbol, side: "sell", qty: held });
+    }
+  }
+  return orders;
+}
+`,
+  },
+  blank: {
+    label: "Blank Strategy",
+    code: `// stocks:    [{ symbol, price, change, volatility, history: [closes] }]
+// portfolio: { cash, holdings, averageCost, netWorth, openOrders }
+// Return orders like { symbol, side: "buy" | "sell", qty, type?, limitPrice?, stopPrice? }
+// or { cancel: orderId }. Call log(...) to write to the bot log.
+function onTick(stocks, portfolio) {
+  return [];
+}
+`,
+  },
+};
+
+/**
+ * A strategy running in its own Web Worker. Each tick is a request/response
+ * round trip; a strategy that doesn't answer in time is terminated.
+ */
+class BotSandbox {
+  constructor(code, { timeout = 1000, onLog = () => {} } = {}) {
+    this.code = code;
+    this.timeout = timeout;
+    this.onLog = onLog;
+    this.worker = null;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.nextId = 1;
+  }
+
+  async start() {
+    const url = URL.createObjectURL(
+      new Blob([BOT_WORKER_SOURCE], { type: "text/javascript" }),
+    );
+    this.worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    this.worker.onmessage = (e) => this.handleMessage(e.data);
+    this.worker.onerror = (e) => {
+      e.preventDefault();
+      this.failAll(new Error(e.message || "Strategy crashed"));
+    };
+    await this.request({ type: "init", code: this.code }, 0);
+  }
+
+  // Ticks are answered in order, so request ids only guard against stale replies
+  request(message, id = this.nextId++) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Strategy timed out after ${this.timeout} ms`));
+        this.terminate(); // A runaway loop never yields, so kill the worker
+      }, this.timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.worker.postMessage({ ...message, id });
+    });
+  }
+
+  handleMessage({ type, id = 0, orders, message, text }) {
+    if (type === "log") return this.onLog(text);
+    const request = this.pending.get(id);
+    if (!request) return;
+    this.pending.delete(id);
+    clearTimeout(request.timer);
+    if (type === "error") request.reject(new Error(message));
+    else request.resolve(orders ?? []);
+  }
+
+  failAll(err) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    this.pending.clear();
+  }
+
+  onTick(stocks, portfolio) {
+    if (!this.worker) return Promise.reject(new Error("Strategy not running"));
+    return this.request({ type: "tick", stocks, portfolio });
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.failAll(new Error("Strategy stopped"));
+  }
+}
+
+// Plain-data view of the market and account handed to strategies
+function botSnapshot(market, portfolio, orderBook) {
+  const stocks = market.stocks.map((s) => ({
+    symbol: s.symbol,
+    price: s.price,
+    change: s.change,
+    volatility: s.volatility,
+    history: market
+      .getBars(s.symbol, 1)
+      .slice(-100)
+      .map((b) => b.close),
+  }));
+  const averageCost = {};
+  Object.keys(portfolio.holdings).forEach((symbol) => {
+    averageCost[symbol] = portfolio.averageCost(symbol);
+  });
+  return {
+    stocks,
+    portfolio: {
+      cash: portfolio.cash,
+      holdings: { ...portfolio.holdings },
+      averageCost,
+      netWorth: portfolio.getNetWorth(market.stocks),
+      openOrders: orderBook.openOrders.map(
+        ({ id, symbol, side, type, qty, filled, limitPrice, stopPrice }) => ({
+          id,
+          symbol,
+          side,
+          type,
+          qty,
+          filled,
+          limitPrice,
+          stopPrice,
+        }),
+      ),
+    },
+  };
+}
+
+// Sends a strategy's orders through the order book; returns one result each
+function applyBotOrders(orders, orderBook) {
+  if (!Array.isArray(orders)) {
+    return [{ success: false, msg: "onTick must return an array of orders" }];
+  }
+  return orders.map((o) => {
+    if (typeof o !== "object" || o === null) {
+      return { success: false, msg: "Each order must be an object" };
+    }
+    if (o.cancel !== undefined) return orderBook.cancel(Number(o.cancel));
+    const { symbol, side, type = "market", qty, limitPrice, stopPrice } = o;
+    return orderBook.place({
+      symbol,
+      side,
+      type,
+      qty,
+      limitPrice: limitPrice ?? null,
+      stopPrice: stopPrice ?? null,
+    });
+  });
+}
+
+/**
+ * Fast-forward backtest: a fresh market from the same model and seed is
+ * ticked in a loop (no 2-second interval) with the strategy trading a fresh
+ * portfolio. An equal-weight buy-and-hold portfolio is the baseline.
+ */
+class Backtester {
+  constructor(
+    createMarket,
+    {
+      ticks = 2000,
+      initialCash = 10000,
+      feeModel = "none",
+      costBasis = "fifo",
+    } = {},
+  ) {
+    this.createMarket = createMarket;
+    this.ticks = ticks;
+    this.initialCash = initialCash;
+    this.accountOptions = { feeModel, costBasis };
+    this.cancelled = false;
+  }
+
+  async run(code, { onProgress = () => {}, onLog = () => {} } = {}) {
+    const market = this.createMarket();
+    const portfolio = new Portfolio(this.initialCash, this.accountOptions);
+    const orderBook = new OrderBook(market, portfolio);
+    market.orderBook = orderBook;
+    const baseline = new Portfolio(this.initialCash, this.accountOptions);
+    this.buyAndHold(baseline, market.stocks);
+    [portfolio, baseline].forEach((p) =>
+      p.recordEquity(market.clockLabel, market.stocks),
+    );
+
+    const bot = new BotSandbox(code, { onLog });
+    let rejected = 0;
+    try {
+      // Inside the try: a failing init must still terminate the worker
+      await bot.start();
+      for (let i = 0; i < this.ticks && !market.finished; i++) {
+        if (this.cancelled) break;
+        market.tick();
+        const snapshot = botSnapshot(market, portfolio, orderBook);
+        const orders = await bot.onTick(snapshot.stocks, snapshot.portfolio);
+        applyBotOrders(orders, orderBook).forEach((result) => {
+          if (result.success) return;
+          // Every rejection would flood the log over thousands of ticks
+          if (rejected++ < 20) onLog(`Tick ${market.tickCount}: ${result.msg}`);
+        });
+        portfolio.recordEquity(market.clockLabel, market.stocks);
+        baseline.recordEquity(market.clockLabel, market.stocks);
+        if (i % 50 === 0) onProgress(i / this.ticks);
+      }
+    } finally {
+      bot.terminate();
+    }
+    onProgress(1);
+
+    return {
+      ticks: market.tickCount,
+      trades: portfolio.history.length,
+      rejected,
+      strategy: portfolio.summary(market.stocks),
+      baseline: baseline.summary(market.stocks),
+      curves: {
+        strategy: portfolio.equityCurve.map((p) => p.equity),
+        baseline: baseline.equityCurve.map((p) => p.equity),
+      },
+    };
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  buyAndHold(portfolio, stocks) {
+    const budget = portfolio.cash / stocks.length;
+    stocks.forEach((s) => {
+      let qty = Math.floor(budget / s.price);
+      while (qty > 0 && portfolio.costOf(s.price, qty) > budget) qty--;
+      if (qty > 0) portfolio.buy(s.symbol, s.price, qty);
+    });
+  }
 }
 
 /* =========================================
-   3. UI CONTROLLER
+   6. UI CONTROLLER
    ========================================= */
 
 const fmtMoney = (num) =>
@@ -134,9 +1808,10 @@ const fmtMoney = (num) =>
 const fmtPct = (num) => `${num > 0 ? "+" : ""}${num.toFixed(2)}%`;
 
 class UI {
-  constructor(market, portfolio) {
+  constructor(market, portfolio, orderBook) {
     this.market = market;
     this.portfolio = portfolio;
+    this.orderBook = orderBook;
     this.selectedSymbol = null;
 
     // DOM Elements
@@ -151,9 +1826,35 @@ class UI {
     this.btnSell = document.getElementById("btn-sell");
     this.tradeMsg = document.getElementById("trade-msg");
     this.maxBuyHint = document.getElementById("max-buy-hint");
+    this.orderTypeSelect = document.getElementById("order-type");
+    this.limitInput = document.getElementById("order-limit");
+    this.limitLabel = document.getElementById("order-limit-label");
+    this.stopInput = document.getElementById("order-stop");
+    this.takeProfitInput = document.getElementById("order-take-profit");
+    this.stopLossInput = document.getElementById("order-stop-loss");
 
     this.holdingsList = document.getElementById("holdings-list");
     this.historyList = document.getElementById("history-list");
+    this.ordersList = document.getElementById("orders-list");
+
+    this.marketStatus = document.getElementById("market-status");
+    this.modelSelect = document.getElementById("model-select");
+    this.seedInput = document.getElementById("seed-input");
+    this.csvInput = document.getElementById("csv-input");
+    this.btnRestart = document.getElementById("btn-restart");
+
+    this.performanceGrid = document.getElementById("performance-grid");
+    this.equityCanvas = document.getElementById("equity-chart");
+    this.feeModelSelect = document.getElementById("fee-model");
+    this.costBasisSelect = document.getElementById("cost-basis");
+
+    this.chart = new CandleChart(document.getElementById("price-chart"));
+    this.chartTitle = document.getElementById("chart-title");
+    this.chartInterval = document.getElementById("chart-interval");
+    this.chartInterval.innerHTML = market.barIntervals
+      .map((n) => `<option value="${n}">${n} tick${n > 1 ? "s" : ""}</option>`)
+      .join("");
+    this.openOrdersCount = document.getElementById("open-orders-count");
 
     this.initEventListeners();
   }
@@ -173,9 +1874,35 @@ class UI {
     // Input validation for visual feedback
     this.tradeQtyInput.addEventListener("input", () => this.updateMaxBuyHint());
 
+    // Only show the price fields the selected order type uses
+    this.orderTypeSelect.addEventListener("change", () =>
+      this.updateOrderFields(),
+    );
+    this.updateOrderFields();
+
+    // Chart Controls
+    this.chartInterval.addEventListener("change", () => this.updateChart());
+    document.querySelectorAll("[data-indicator]").forEach((box) => {
+      box.checked = this.chart.indicators[box.dataset.indicator];
+      box.addEventListener("change", () => {
+        this.chart.indicators[box.dataset.indicator] = box.checked;
+        this.chart.draw();
+      });
+    });
+    window.addEventListener("resize", () => this.chart.draw());
+
+    // Order Cancellation
+    this.ordersList.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-cancel]");
+      if (!btn) return;
+      const result = this.orderBook.cancel(Number(btn.dataset.cancel));
+      this.showTradeMessage(result.msg, result.success ? "up" : "down");
+      this.updateDashboard();
+    });
+
     // Tab Switching
     document.querySelectorAll(".tab-btn").forEach((btn) => {
-      btn.addEventListener("click", (e) => {
+      btn.addEventListener("click", () => {
         document
           .querySelectorAll(".tab-btn")
           .forEach((b) => b.classList.remove("active"));
@@ -183,12 +1910,106 @@ class UI {
           .querySelectorAll(".tab-content")
           .forEach((c) => c.classList.remove("active"));
 
-        e.target.classList.add("active");
+        // btn rather than e.target: the Orders tab has a nested count badge
+        btn.classList.add("active");
         document
-          .getElementById(`tab-${e.target.dataset.tab}`)
+          .getElementById(`tab-${btn.dataset.tab}`)
           .classList.add("active");
+        if (btn.dataset.tab === "performance") this.renderPerformance();
       });
     });
+
+    // Portfolio Settings & Export
+    this.feeModelSelect.innerHTML = Object.entries(FEE_MODELS)
+      .map(([id, m]) => `<option value="${id}">${m.label}</option>`)
+      .join("");
+    this.costBasisSelect.innerHTML = Object.entries(COST_BASIS_METHODS)
+      .map(([id, label]) => `<option value="${id}">${label}</option>`)
+      .join("");
+    this.feeModelSelect.value = this.portfolio.feeModel;
+    this.costBasisSelect.value = this.portfolio.costBasis;
+    this.feeModelSelect.addEventListener("change", () => {
+      this.portfolio.feeModel = this.feeModelSelect.value;
+      this.portfolio.save();
+      this.updateMaxBuyHint();
+    });
+    this.costBasisSelect.addEventListener("change", () => {
+      this.portfolio.costBasis = this.costBasisSelect.value;
+      this.portfolio.save();
+    });
+
+    document
+      .getElementById("btn-export-csv")
+      .addEventListener("click", () =>
+        this.download("ledger.csv", this.portfolio.ledgerCSV(), "text/csv"),
+      );
+    document
+      .getElementById("btn-export-json")
+      .addEventListener("click", () =>
+        this.download(
+          "statement.json",
+          JSON.stringify(this.portfolio.statement(this.market.stocks), null, 2),
+          "application/json",
+        ),
+      );
+    document
+      .getElementById("btn-reset-portfolio")
+      .addEventListener("click", () => {
+        if (!confirm("Reset the portfolio? All trades will be deleted."))
+          return;
+        Portfolio.clear();
+        location.reload();
+      });
+  }
+
+  download(name, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `quanttrade-${name}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  initSessionControls({ modelId, seed }) {
+    this.modelSelect.innerHTML = Object.entries(PRICE_MODELS)
+      .map(([id, Model]) => `<option value="${id}">${Model.label}</option>`)
+      .join("");
+    this.modelSelect.value = modelId;
+    this.seedInput.value = seed;
+
+    const toggleCsv = () =>
+      (this.csvInput.hidden = this.modelSelect.value !== "csv");
+    this.modelSelect.addEventListener("change", toggleCsv);
+    toggleCsv();
+
+    this.btnRestart.addEventListener("click", () => this.restartSession());
+  }
+
+  // A new session is a reload with the chosen model and seed in the URL
+  async restartSession() {
+    const model = this.modelSelect.value;
+    if (model === "csv") {
+      const file = this.csvInput.files[0];
+      if (file) {
+        const text = await file.text();
+        try {
+          CSVReplayModel.parse(text);
+        } catch (err) {
+          this.showTradeMessage(err.message, "down");
+          return;
+        }
+        sessionStorage.setItem(CSV_STORAGE_KEY, text);
+      } else if (!sessionStorage.getItem(CSV_STORAGE_KEY)) {
+        this.showTradeMessage("Choose a CSV file to replay", "down");
+        return;
+      }
+    }
+    const seed = parseInt(this.seedInput.value);
+    const params = new URLSearchParams({ model });
+    if (!Number.isNaN(seed)) params.set("seed", seed);
+    Portfolio.clear(); // A new session is a fresh account
+    location.search = params.toString();
   }
 
   selectStock(symbol) {
@@ -207,6 +2028,16 @@ class UI {
     this.tradeMsg.textContent = ""; // Clear errors
 
     this.updateTradePanel();
+    this.chart.offset = 0; // New symbol starts at the live edge
+    this.updateChart();
+  }
+
+  // Charts the selected stock, or the first one until something is picked
+  updateChart() {
+    const symbol = this.selectedSymbol ?? this.market.stocks[0].symbol;
+    const interval = Number(this.chartInterval.value);
+    this.chartTitle.textContent = `${symbol} · ${interval} tick${interval > 1 ? "s" : ""}`;
+    this.chart.setData(this.market.getBars(symbol, interval));
   }
 
   updateTradePanel() {
@@ -225,24 +2056,62 @@ class UI {
   updateMaxBuyHint() {
     if (!this.selectedSymbol) return;
     const stock = this.market.getStock(this.selectedSymbol);
-    const max = Math.floor(this.portfolio.cash / stock.price);
+    const max = this.portfolio.maxAffordable(stock.price);
     this.maxBuyHint.textContent = `Max buy: ${max} shares`;
   }
 
-  executeTrade(type) {
+  updateOrderFields() {
+    const type = this.orderTypeSelect.value;
+    document.querySelectorAll("[data-order-types]").forEach((el) => {
+      el.hidden = !el.dataset.orderTypes.split(" ").includes(type);
+    });
+    this.limitLabel.textContent =
+      type === "bracket" ? "Entry Limit (blank = market)" : "Limit Price";
+  }
+
+  readPrice(input) {
+    const price = parseFloat(input.value);
+    return price > 0 ? price : null;
+  }
+
+  executeTrade(side) {
     const qty = parseInt(this.tradeQtyInput.value);
     if (qty <= 0 || isNaN(qty)) {
       this.showTradeMessage("Invalid Quantity", "down");
       return;
     }
 
-    const stock = this.market.getStock(this.selectedSymbol);
+    const symbol = this.selectedSymbol;
+    const type = this.orderTypeSelect.value;
+    const limitPrice = this.readPrice(this.limitInput);
+    const stopPrice = this.readPrice(this.stopInput);
     let result;
 
-    if (type === "buy") {
-      result = this.portfolio.buy(stock.symbol, stock.price, qty);
+    if (type === "oco") {
+      result = this.orderBook.placeOCO(
+        { symbol, side, type: "limit", qty, limitPrice },
+        { symbol, side, type: "stop", qty, stopPrice },
+      );
+    } else if (type === "bracket") {
+      result =
+        side === "buy"
+          ? this.orderBook.placeBracket({
+              symbol,
+              qty,
+              limitPrice,
+              takeProfit: this.readPrice(this.takeProfitInput),
+              stopLoss: this.readPrice(this.stopLossInput),
+            })
+          : { success: false, msg: "Brackets open long positions only" };
     } else {
-      result = this.portfolio.sell(stock.symbol, stock.price, qty);
+      result = this.orderBook.place({
+        symbol,
+        side,
+        type,
+        qty,
+        limitPrice,
+        stopPrice,
+      });
     }
 
     this.showTradeMessage(result.msg, result.success ? "up" : "down");
@@ -253,6 +2122,14 @@ class UI {
     }
   }
 
+  // Fills from pending orders arrive between user actions
+  onFills(fills) {
+    if (fills.length === 0) return;
+    this.showTradeMessage(fills.map((f) => f.msg).join(", "), "up");
+    this.updateDashboard();
+    this.updateMaxBuyHint();
+  }
+
   showTradeMessage(msg, type) {
     this.tradeMsg.textContent = msg;
     this.tradeMsg.className = `trade-message color-${type}`;
@@ -305,6 +2182,12 @@ class UI {
       });
     }
 
+    // Session clock; CSV replays stop at the last date
+    this.marketStatus.textContent = `${this.market.isRunning ? "●" : "■"} ${this.market.clockLabel}`;
+    this.marketStatus.classList.toggle("stopped", !this.market.isRunning);
+
+    this.updateChart();
+
     // 2. Update Trade Panel (if stock selected)
     this.updateTradePanel();
 
@@ -327,17 +2210,20 @@ class UI {
       this.holdingsList.innerHTML = holdingsKeys
         .map((symbol) => {
           const qty = this.portfolio.holdings[symbol];
-          const currentPrice = this.market.getStock(symbol).price;
+          const avgCost = this.portfolio.averageCost(symbol);
+          // Holdings restored from storage may not trade in this session
+          const currentPrice = this.market.getStock(symbol)?.price ?? avgCost;
           const totalVal = currentPrice * qty;
+          const pnl = this.portfolio.unrealizedOf(symbol, currentPrice);
           return `
                     <li class="list-item">
                         <div>
                             <strong>${symbol}</strong>
-                            <small>${qty} Shares</small>
+                            <small>${qty} Shares · avg ${fmtMoney(avgCost)}</small>
                         </div>
                         <div class="text-right">
                             <div>${fmtMoney(totalVal)}</div>
-                            <small>@ ${fmtMoney(currentPrice)}</small>
+                            <small class="${pnl >= 0 ? "color-up" : "color-down"}">${fmtMoney(pnl)} (${fmtPct((pnl / (totalVal - pnl)) * 100)})</small>
                         </div>
                     </li>
                 `;
@@ -345,6 +2231,13 @@ class UI {
         .join("");
     }
 
+    this.renderOrders();
+    if (
+      document.getElementById("tab-performance").classList.contains("active")
+    ) {
+      this.renderPerformance();
+    }
+
     // History List
     if (this.portfolio.history.length === 0) {
       this.historyList.innerHTML =
@@ -357,23 +2250,375 @@ class UI {
                 <li class="list-item">
                     <div>
                         <strong class="${t.type === "BUY" ? "color-up" : "color-down"}">${t.type} ${t.symbol}</strong>
-                        <small>${t.time}</small>
+                        <small>${new Date(t.timestamp).toLocaleTimeString()} · ${t.qty} @ ${fmtMoney(t.price)}${t.fee ? ` · fee ${fmtMoney(t.fee)}` : ""}</small>
+                    </div>
+                    <div class="text-right">
+                        <div>${fmtMoney(t.total)}</div>
+                        ${t.realized !== null ? `<small class="${t.realized >= 0 ? "color-up" : "color-down"}">P&amp;L ${fmtMoney(t.realized)}</small>` : ""}
                     </div>
-                    <div>${fmtMoney(t.total)}</div>
                 </li>
             `,
         )
         .join("");
     }
   }
+
+  renderPerformance() {
+    const stats = this.portfolio.summary(this.market.stocks);
+    const signed = (v) => (v >= 0 ? "color-up" : "color-down");
+    const metrics = [
+      ["Realized P&L", fmtMoney(stats.realized), signed(stats.realized)],
+      ["Unrealized P&L", fmtMoney(stats.unrealized), signed(stats.unrealized)],
+      [
+        "Total Return",
+        fmtPct(stats.totalReturn * 100),
+        signed(stats.totalReturn),
+      ],
+      ["Fees Paid", fmtMoney(stats.feesPaid), ""],
+      ["Max Drawdown", fmtPct(-stats.maxDrawdown * 100), "color-down"],
+      [
+        "Sharpe Ratio",
+        stats.sharpe === null ? "--" : stats.sharpe.toFixed(2),
+        "",
+      ],
+    ];
+    this.performanceGrid.innerHTML = metrics
+      .map(
+        ([label, value, cls]) => `
+                <div class="stat">
+                    <span class="label">${label}</span>
+                    <span class="value ${cls}">${value}</span>
+                </div>
+            `,
+      )
+      .join("");
+    this.drawEquityCurve();
+  }
+
+  drawEquityCurve() {
+    const values = this.portfolio.equityCurve.map((p) => p.equity);
+    const { initialCash } = this.portfolio;
+    const color =
+      values[values.length - 1] >= initialCash
+        ? CHART_COLORS.up
+        : CHART_COLORS.down;
+    drawEquityChart(this.equityCanvas, [{ values, color }], initialCash);
+  }
+
+  renderOrders() {
+    const open = this.orderBook.openOrders;
+    const closed = this.orderBook.orders
+      .filter((o) => !open.includes(o))
+      .slice(-10)
+      .reverse();
+    this.openOrdersCount.textContent = open.length ? `(${open.length})` : "";
+
+    if (open.length + closed.length === 0) {
+      this.ordersList.innerHTML = '<li class="empty-state">No orders yet</li>';
+      return;
+    }
+    this.ordersList.innerHTML = [...[...open].reverse(), ...closed]
+      .map((o) => {
+        const cancellable = open.includes(o);
+        return `
+                <li class="list-item order-item ${cancellable ? "" : "order-closed"}">
+                    <div>
+                        <strong class="${o.side === "buy" ? "color-up" : "color-down"}">#${o.id} ${describeOrder(o)}</strong>
+                        <small>${this.orderStatusText(o)} · ${o.time}</small>
+                    </div>
+                    ${cancellable ? `<button class="btn-cancel" data-cancel="${o.id}">Cancel</button>` : ""}
+                </li>
+            `;
+      })
+      .join("");
+  }
+
+  orderStatusText(order) {
+    const tags = [];
+    if (order.ocoGroup) tags.push(order.parentId ? "Bracket exit" : "OCO");
+    if (order.triggered && order.type !== "market") tags.push("Triggered");
+    const avg = order.filled ? ` @ ${fmtMoney(order.avgPrice)}` : "";
+
+    switch (order.status) {
+      case "pending":
+        tags.push(`Waiting for #${order.parentId}`);
+        break;
+      case "open":
+        tags.push("Open");
+        break;
+      case "partial":
+        tags.push(`Filled ${order.filled}/${order.qty}${avg}`);
+        break;
+      case "filled":
+        tags.push(`Filled${avg}`);
+        break;
+      case "cancelled":
+        tags.push("Cancelled");
+        break;
+      case "rejected":
+        tags.push(`Rejected: ${order.reason}`);
+        break;
+    }
+    return tags.join(" · ");
+  }
+}
+
+/**
+ * Strategy Lab dialog: edit a bot, backtest it against buy-and-hold, or run
+ * it live against the session's market and portfolio.
+ */
+class BotPanel {
+  constructor(ui, createMarket) {
+    this.ui = ui;
+    this.createMarket = createMarket;
+    this.live = null; // { sandbox, unsubscribe, busy }
+    this.backtest = null;
+
+    this.dialog = document.getElementById("bot-dialog");
+    this.codeInput = document.getElementById("bot-code");
+    this.sampleSelect = document.getElementById("bot-sample");
+    this.ticksInput = document.getElementById("bot-ticks");
+    this.btnBacktest = document.getElementById("bot-backtest");
+    this.btnLive = document.getElementById("bot-live");
+    this.report = document.getElementById("bot-report");
+    this.equityCanvas = document.getElementById("bot-equity");
+    this.logList = document.getElementById("bot-log");
+
+    this.sampleSelect.innerHTML = Object.entries(BOT_SAMPLES)
+      .map(([id, s]) => `<option value="${id}">${s.label}</option>`)
+      .join("");
+    this.codeInput.value =
+      localStorage.getItem(BOT_STORAGE_KEY) ??
+      BOT_SAMPLES["sma-crossover"].code;
+
+    this.initEventListeners();
+  }
+
+  initEventListeners() {
+    document
+      .getElementById("btn-bots")
+      .addEventListener("click", () => this.dialog.showModal());
+    document
+      .getElementById("bot-close")
+      .addEventListener("click", () => this.dialog.close());
+
+    this.sampleSelect.addEventListener("change", () => {
+      this.codeInput.value = BOT_SAMPLES[this.sampleSelect.value].code;
+      this.saveCode();
+    });
+    this.codeInput.addEventListener("input", () => this.saveCode());
+    // Tab indents instead of leaving the editor
+    this.codeInput.addEventListener("keydown", (e) => {
+      if (e.key !== "Tab") return;
+      e.preventDefault();
+      this.codeInput.setRangeText(
+        "  ",
+        this.codeInput.selectionStart,
+        this.codeInput.selectionEnd,
+        "end",
+      );
+    });
+
+    this.btnBacktest.addEventListener("click", () =>
+      this.backtest ? this.backtest.cancel() : this.runBacktest(),
+    );
+    this.btnLive.addEventListener("click", () =>
+      this.live ? this.stopLive() : this.startLive(),
+    );
+  }
+
+  saveCode() {
+    localStorage.setItem(BOT_STORAGE_KEY, this.codeInput.value);
+  }
+
+  log(text, type = "") {
+    const item = document.createElement("li");
+    item.className = `list-item ${type}`;
+    item.textContent = text;
+    this.logList.prepend(item);
+    while (this.logList.children.length > 200) this.logList.lastChild.remove();
+  }
+
+  async runBacktest() {
+    const ticks = parseInt(this.ticksInput.value);
+    if (!(ticks > 0)) return this.log("Invalid tick count", "color-down");
+
+    const { portfolio } = this.ui;
+    this.backtest = new Backtester(this.createMarket, {
+      ticks,
+      feeModel: portfolio.feeModel,
+      costBasis: portfolio.costBasis,
+    });
+    this.btnBacktest.textContent = "Cancel";
+    this.report.innerHTML = "";
+    this.log(`Backtesting ${ticks} ticks…`);
+    try {
+      const result = await this.backtest.run(this.codeInput.value, {
+        onProgress: (p) =>
+          (this.btnBacktest.textContent = `Cancel (${Math.round(p * 100)}%)`),
+        onLog: (text) => this.log(text),
+      });
+      this.renderReport(result);
+      this.log(
+        `Backtest finished: ${result.ticks} ticks, ${result.trades} trades`,
+        "color-up",
+      );
+    } catch (err) {
+      this.log(err.message, "color-down");
+    } finally {
+      this.backtest = null;
+      this.btnBacktest.textContent = "Backtest";
+    }
+  }
+
+  renderReport({ strategy, baseline, trades, curves }) {
+    const rows = [
+      ["Final Equity", (r) => fmtMoney(r.netWorth)],
+      ["Total Return", (r) => fmtPct(r.totalReturn * 100)],
+      ["Realized P&L", (r) => fmtMoney(r.realized)],
+      ["Max Drawdown", (r) => fmtPct(-r.maxDrawdown * 100)],
+      ["Sharpe Ratio", (r) => (r.sharpe === null ? "--" : r.sharpe.toFixed(2))],
+      ["Fees Paid", (r) => fmtMoney(r.feesPaid)],
+    ];
+    const beat = strategy.totalReturn >= baseline.totalReturn;
+    this.report.innerHTML = `
+            <table class="report-table">
+                <thead><tr><th></th><th>Strategy</th><th>Buy &amp; Hold</th></tr></thead>
+                <tbody>
+                    ${rows.map(([label, fmt]) => `<tr><td>${label}</td><td>${fmt(strategy)}</td><td>${fmt(baseline)}</td></tr>`).join("")}
+                    <tr><td>Trades</td><td>${trades}</td><td>${this.ui.market.stocks.length}</td></tr>
+                </tbody>
+            </table>
+            <p class="${beat ? "color-up" : "color-down"}">
+                Strategy ${beat ? "beat" : "trailed"} buy-and-hold by ${fmtPct(Math.abs(strategy.totalReturn - baseline.totalReturn) * 100).replace("+", "")}
+            </p>
+        `;
+    drawEquityChart(
+      this.equityCanvas,
+      [
+        { values: curves.baseline, color: CHART_COLORS.text },
+        { values: curves.strategy, color: CHART_COLORS.ema },
+      ],
+      this.ui.portfolio.initialCash,
+    );
+  }
+
+  // Trades the real session: orders land in the same order book as the user's
+  async startLive() {
+    const { market, portfolio, orderBook } = this.ui;
+    const sandbox = new BotSandbox(this.codeInput.value, {
+      onLog: (text) => this.log(text),
+    });
+    try {
+      await sandbox.start();
+    } catch (err) {
+      sandbox.terminate();
+      return this.log(err.message, "color-down");
+    }
+
+    this.live = { sandbox, busy: false, unsubscribe: null };
+    this.live.unsubscribe = market.subscribe(() => this.liveTick());
+    this.btnLive.textContent = "Stop Live";
+    this.btnLive.classList.add("btn-sell");
+    this.log("Bot is trading live", "color-up");
+  }
+
+  async liveTick() {
+    const live = this.live;
+    if (!live || live.busy) return; // Skip ticks while the bot is still thinking
+    live.busy = true;
+    const { market, portfolio, orderBook } = this.ui;
+    try {
+      const snapshot = botSnapshot(market, portfolio, orderBook);
+      const orders = await live.sandbox.onTick(
+        snapshot.stocks,
+        snapshot.portfolio,
+      );
+      applyBotOrders(orders, orderBook).forEach((r) =>
+        this.log(`Bot: ${r.msg}`, r.success ? "" : "color-down"),
+      );
+      if (orders.length) this.ui.updateDashboard();
+    } catch (err) {
+      this.log(err.message, "color-down");
+      this.stopLive();
+    } finally {
+      live.busy = false;
+    }
+  }
+
+  stopLive() {
+    if (!this.live) return;
+    this.live.unsubscribe();
+    this.live.sandbox.terminate();
+    this.live = null;
+    this.btnLive.textContent = "Run Live";
+    this.btnLive.classList.remove("btn-sell");
+    this.log("Bot stopped");
+  }
+}
+
+// SESSION CONFIG
+// ?model=gbm&seed=42 pins a session, so a shared link replays the same market
+const CSV_STORAGE_KEY = "quanttrade-csv";
+const BOT_STORAGE_KEY = "quanttrade-bot";
+
+function readSessionConfig() {
+  const params = new URLSearchParams(location.search);
+  const modelId = Object.hasOwn(PRICE_MODELS, params.get("model"))
+    ? params.get("model")
+    : "random-walk";
+  let seed = parseInt(params.get("seed"));
+  if (Number.isNaN(seed)) {
+    seed = Math.floor(Math.random() * 1e9);
+    // Put the seed in the address bar so this session can be reproduced
+    params.set("model", modelId);
+    params.set("seed", seed);
+    history.replaceState(null, "", `?${params}`);
+  }
+  return { modelId, seed };
+}
+
+function createModel(modelId) {
+  if (modelId !== "csv") return new PRICE_MODELS[modelId]();
+  const csv = sessionStorage.getItem(CSV_STORAGE_KEY);
+  try {
+    return CSVReplayModel.parse(csv);
+  } catch (err) {
+    console.warn("CSV replay unavailable, using a random walk:", err);
+    return new RandomWalkModel();
+  }
 }
 
 // INITIALIZATION
 document.addEventListener("DOMContentLoaded", () => {
-  const market = new MarketEngine(STOCK_DATA);
-  const portfolio = new Portfolio(10000);
-  const ui = new UI(market, portfolio);
+  const session = readSessionConfig();
+  const market = new MarketEngine(STOCK_DATA, {
+    model: createModel(session.modelId),
+    seed: session.seed,
+  });
+  const portfolio = Portfolio.load() ?? new Portfolio(10000);
+  const orderBook = new OrderBook(market, portfolio);
+  market.orderBook = orderBook;
+  const ui = new UI(market, portfolio, orderBook);
+  ui.initSessionControls(session);
+  // Backtests replay the session's model and seed from tick 0
+  new BotPanel(
+    ui,
+    () =>
+      new MarketEngine(STOCK_DATA, {
+        model: createModel(session.modelId),
+        seed: session.seed,
+      }),
+  );
 
-  market.subscribe((stocks) => ui.render(stocks));
+  orderBook.subscribe((fills) => {
+    if (fills.length) portfolio.save();
+    ui.onFills(fills);
+  });
+  market.subscribe((stocks) => {
+    portfolio.recordEquity(market.clockLabel, stocks);
+    portfolio.save();
+    ui.render(stocks);
+  });
   market.start();
 });
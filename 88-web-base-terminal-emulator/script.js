@@ -1,17 +1,23 @@
 /* * SYSTEM CONFIGURATION & STATE
  */
+const HOME_PATH = ["root", "home", "user"];
+
 const state = {
   // 1. The Virtual File System (Nested Objects = Dirs, Strings = Files)
   fileSystem: {
     root: {
       home: {
         user: {
-          "about.txt": "System Engineer with a passion for CLI tools.",
+          "about.txt": "System Engineer with a passion for CLI tools.\n",
           projects: {
-            "vfs.js": "// Virtual File System Logic",
-            "style.css": "/* Retro Styles */",
+            "vfs.js": "// Virtual File System Logic\n",
+            "style.css": "/* Retro Styles */\n",
+            "greet.js":
+              "// Try: js projects/greet.js World\n" +
+              "const name = argv[1] ?? env.USER;\n" +
+              "stdout.write(`\\x1b[1;32mHello, ${name}!\\x1b[0m\\n`);\n",
           },
-          "todo.txt": "1. Build Terminal\n2. Drink Coffee",
+          "todo.txt": "1. Build Terminal\n2. Drink Coffee\n",
         },
       },
       var: { log: {} },
@@ -19,7 +25,20 @@ const state = {
     },
   },
   // Track current path as an array of keys, e.g., ['root', 'home', 'user']
-  path: ["root", "home", "user"],
+  path: [...HOME_PATH],
+
+  // Shell environment ($VAR expansion, export/env) and the last exit status ($?).
+  // No prototype, so names like constructor or __proto__ are plain variables.
+  env: Object.assign(Object.create(null), {
+    HOME: "/home/user",
+    USER: "user",
+    SHELL: "/bin/wsh",
+    PWD: "/home/user",
+  }),
+  lastStatus: 0,
+  running: false,
+  interrupts: new Set(), // Ctrl+C handlers of what is running (js scripts)
+  search: null, // Ctrl+R state while a reverse search is active
 
   // Command History Buffer
   history: [],
@@ -39,127 +58,2014 @@ const elements = {
 /* * CORE VFS LOGIC
  */
 
-// Helper: Get the actual directory object based on current path
-function getCurrentDirectory() {
-  return state.path.reduce((dir, subDir) => dir[subDir], state.fileSystem);
-}
-
-// Helper: Resolve a specific directory object from a path array
+// Helper: Resolve a node (directory object or file string) from a path array.
+// Returns null when any segment is missing.
 function resolvePath(pathArray) {
   return pathArray.reduce((dir, subDir) => {
-    return dir && dir[subDir] ? dir[subDir] : null;
+    return dir && typeof dir === "object" && Object.hasOwn(dir, subDir)
+      ? dir[subDir]
+      : null;
   }, state.fileSystem);
 }
 
+// Helper: Turn a path string (absolute or relative, with . and ..) into a path array
+function parsePath(pathStr, base = state.path) {
+  const parts = pathStr.startsWith("/") ? ["root"] : [...base];
+  pathStr.split("/").forEach((segment) => {
+    if (!segment || segment === ".") return;
+    if (segment === "..") {
+      if (parts.length > 1) parts.pop(); // Prevent going above root
+    } else {
+      parts.push(segment);
+    }
+  });
+  return parts;
+}
+
+// Helper: File content as lines, ignoring the final newline
+function splitLines(text) {
+  return text ? text.replace(/\n$/, "").split("\n") : [];
+}
+
+// Helper: Path array back to an absolute path string
+function formatPath(pathArray) {
+  return "/" + pathArray.slice(1).join("/");
+}
+
 // Helper: Update the UI prompt
 function updatePrompt() {
   // Convert path array to string (e.g., ~/projects)
   let pathStr = "";
-  if (
-    state.path.length >= 3 &&
-    state.path[0] === "root" &&
-    state.path[1] === "home" &&
-    state.path[2] === "user"
-  ) {
-    const relPath = state.path.slice(3);
+  if (HOME_PATH.every((key, i) => state.path[i] === key)) {
+    const relPath = state.path.slice(HOME_PATH.length);
     pathStr = "~" + (relPath.length ? "/" + relPath.join("/") : "");
   } else {
-    pathStr = "/" + state.path.slice(1).join("/");
+    pathStr = formatPath(state.path);
   }
   elements.prompt.innerText = `user@web-terminal:${pathStr}$`;
 }
 
+/* * ANSI RENDERER
+ * Terminal output is plain text with VT100 escape sequences. Every command
+ * line renders into its own AnsiScreen: a grid of cells with a cursor and
+ * the current SGR attributes, drawn as one element per line. The cursor
+ * cannot leave the command line's output, so earlier output stays intact.
+ * Supported: \n \r \b, SGR (m), cursor movement (A-G, H/f), erase (J, K).
+ */
+const ESC = "\x1b";
+
+// Tango palette: 0-7 normal, 8-15 bright
+const ANSI_PALETTE = [
+  "#2e3436",
+  "#cc0000",
+  "#4e9a06",
+  "#c4a000",
+  "#3465a4",
+  "#75507b",
+  "#06989a",
+  "#d3d7cf",
+  "#555753",
+  "#ef2929",
+  "#8ae234",
+  "#fce94f",
+  "#729fcf",
+  "#ad7fa8",
+  "#34e2e2",
+  "#eeeeec",
+];
+
+const DEFAULT_ATTRS = Object.freeze({
+  bold: false,
+  dim: false,
+  italic: false,
+  underline: false,
+  inverse: false,
+  fg: null,
+  bg: null,
+});
+
+// Wraps text in an SGR sequence, e.g. sgr("1;94", name) for bold bright blue
+const sgr = (codes, text) => `${ESC}[${codes}m${text}${ESC}[0m`;
+
+// xterm 256 colors: the palette, a 6x6x6 cube, then 24 greys
+function color256(n) {
+  if (n < 16) return ANSI_PALETTE[n];
+  if (n < 232) {
+    const level = (i) => (i ? 55 + i * 40 : 0);
+    const i = n - 16;
+    return `rgb(${level(Math.floor(i / 36))},${level(Math.floor(i / 6) % 6)},${level(i % 6)})`;
+  }
+  const grey = 8 + (n - 232) * 10;
+  return `rgb(${grey},${grey},${grey})`;
+}
+
+// Attributes after an SGR sequence; attribute objects are frozen and shared
+function applySgr(attrs, params) {
+  const next = { ...attrs };
+  for (let i = 0; i < params.length; i++) {
+    const code = params[i];
+    if (code === 0) Object.assign(next, DEFAULT_ATTRS);
+    else if (code === 1) next.bold = true;
+    else if (code === 2) next.dim = true;
+    else if (code === 3) next.italic = true;
+    else if (code === 4) next.underline = true;
+    else if (code === 7) next.inverse = true;
+    else if (code === 22) next.bold = next.dim = false;
+    else if (code === 23) next.italic = false;
+    else if (code === 24) next.underline = false;
+    else if (code === 27) next.inverse = false;
+    else if (code >= 30 && code <= 37) next.fg = ANSI_PALETTE[code - 30];
+    else if (code >= 90 && code <= 97) next.fg = ANSI_PALETTE[code - 82];
+    else if (code === 39) next.fg = null;
+    else if (code >= 40 && code <= 47) next.bg = ANSI_PALETTE[code - 40];
+    else if (code >= 100 && code <= 107) next.bg = ANSI_PALETTE[code - 92];
+    else if (code === 49) next.bg = null;
+    else if (code === 38 || code === 48) {
+      // 38;5;n (256 colors) or 38;2;r;g;b (true color)
+      const key = code === 38 ? "fg" : "bg";
+      if (params[i + 1] === 5) {
+        next[key] = color256(params[i + 2] ?? 0);
+        i += 2;
+      } else if (params[i + 1] === 2) {
+        next[key] = `rgb(${params.slice(i + 2, i + 5).join(",")})`;
+        i += 4;
+      }
+    }
+  }
+  return Object.freeze(next);
+}
+
+const BLANK = Object.freeze({ ch: " ", attrs: DEFAULT_ATTRS });
+const CSI = /\x1b\[([0-9;?]*)[ -/]*([@-~])/y;
+// Cursor moves stop here so a huge parameter can't allocate millions of cells
+const MAX_COLUMN = 1000;
+const MAX_ROWS_BELOW = 100; // Past the last line written so far
+
+class AnsiScreen {
+  constructor(row) {
+    this.row = row;
+    this.lines = [[]];
+    this.nodes = [];
+    this.dirty = new Set();
+    this.x = 0;
+    this.y = 0;
+    this.attrs = DEFAULT_ATTRS;
+    this.pending = ""; // An escape sequence split across writes
+  }
+
+  write(text) {
+    text = this.pending + text;
+    this.pending = "";
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === ESC) {
+        CSI.lastIndex = i;
+        const match = CSI.exec(text);
+        if (match) {
+          this.control(match[2], match[1]);
+          i = CSI.lastIndex - 1;
+        } else if (/^\x1b(\[[0-9;?]*[ -/]*)?$/.test(text.slice(i))) {
+          this.pending = text.slice(i);
+          break;
+        } else {
+          i++; // Other two-character escapes are ignored
+        }
+      } else if (ch === "\n") {
+        this.moveTo(0, this.y + 1);
+      } else if (ch === "\r") {
+        this.x = 0;
+      } else if (ch === "\b") {
+        this.x = Math.max(0, this.x - 1);
+      } else if (ch >= " " || ch === "\t") {
+        const line = this.line(this.y);
+        while (line.length < this.x) line.push(BLANK);
+        line[this.x++] = { ch, attrs: this.attrs };
+      }
+    }
+    this.render();
+  }
+
+  line(y) {
+    while (this.lines.length <= y) this.lines.push([]);
+    this.dirty.add(y);
+    return this.lines[y];
+  }
+
+  moveTo(x, y) {
+    this.x = Math.min(Math.max(0, x), MAX_COLUMN);
+    this.y = Math.min(Math.max(0, y), this.lines.length - 1 + MAX_ROWS_BELOW);
+    this.line(this.y);
+  }
+
+  // Handles a CSI sequence: `final` is its command letter
+  control(final, paramText) {
+    const params = paramText.split(";").map((p) => Number(p) || 0);
+    const n = params[0] || 1;
+    switch (final) {
+      case "m":
+        this.attrs = applySgr(this.attrs, params);
+        break;
+      case "A":
+        this.moveTo(this.x, this.y - n);
+        break;
+      case "B":
+        this.moveTo(this.x, this.y + n);
+        break;
+      case "C":
+        this.moveTo(this.x + n, this.y);
+        break;
+      case "D":
+        this.moveTo(this.x - n, this.y);
+        break;
+      case "E":
+        this.moveTo(0, this.y + n);
+        break;
+      case "F":
+        this.moveTo(0, this.y - n);
+        break;
+      case "G":
+        this.moveTo(n - 1, this.y);
+        break;
+      case "H":
+      case "f":
+        this.moveTo((params[1] || 1) - 1, n - 1);
+        break;
+      case "J":
+        this.eraseDisplay(params[0]);
+        break;
+      case "K":
+        this.eraseLine(this.y, params[0]);
+        break;
+    }
+  }
+
+  // 0: cursor to end, 1: start to cursor, 2: whole line
+  eraseLine(y, mode) {
+    const line = this.line(y);
+    if (mode === 2) line.length = 0;
+    else if (mode === 1) line.fill(BLANK, 0, this.x + 1);
+    else line.length = Math.min(line.length, this.x);
+  }
+
+  // Same modes as eraseLine; clearing the whole screen also removes the
+  // output of earlier command lines, which is what `clear` relies on
+  eraseDisplay(mode) {
+    if (mode === 2 || mode === 3) {
+      this.lines.forEach((line, y) => this.eraseLine(y, 2));
+      while (this.row.previousSibling) this.row.previousSibling.remove();
+    } else if (mode === 1) {
+      for (let y = 0; y < this.y; y++) this.eraseLine(y, 2);
+      this.eraseLine(this.y, 1);
+    } else {
+      this.eraseLine(this.y, 0);
+      this.lines.length = this.y + 1;
+    }
+  }
+
+  render() {
+    // Every line but the last ends in "\n": when the count changes, the old
+    // last line is redrawn along with any new ones
+    const kept = Math.min(this.nodes.length, this.lines.length);
+    if (this.nodes.length !== this.lines.length) {
+      for (let y = Math.max(0, kept - 1); y < this.lines.length; y++) {
+        this.dirty.add(y);
+      }
+    }
+    while (this.nodes.length > this.lines.length) this.nodes.pop().remove();
+    while (this.nodes.length < this.lines.length) {
+      this.nodes.push(this.row.appendChild(document.createElement("span")));
+    }
+    this.dirty.forEach((y) => this.nodes[y]?.replaceChildren(...this.draw(y)));
+    this.dirty.clear();
+    elements.terminal.scrollTop = elements.terminal.scrollHeight;
+  }
+
+  // DOM nodes for one line: runs of cells with the same attributes
+  draw(y) {
+    const runs = [];
+    this.lines[y].forEach(({ ch, attrs }) => {
+      const last = runs[runs.length - 1];
+      if (last && last.attrs === attrs) last.text += ch;
+      else runs.push({ attrs, text: ch });
+    });
+    if (y < this.lines.length - 1)
+      runs.push({ attrs: DEFAULT_ATTRS, text: "\n" });
+    return runs.map(({ attrs, text }) => {
+      if (attrs === DEFAULT_ATTRS) return document.createTextNode(text);
+      const span = document.createElement("span");
+      span.textContent = text;
+      ["bold", "dim", "italic", "underline"].forEach((name) => {
+        if (attrs[name]) span.classList.add(`ansi-${name}`);
+      });
+      let { fg, bg } = attrs;
+      if (attrs.inverse) {
+        [fg, bg] = [bg ?? "var(--bg-color)", fg ?? "var(--output-color)"];
+      }
+      if (fg) span.style.color = fg;
+      if (bg) span.style.backgroundColor = bg;
+      return span;
+    });
+  }
+}
+
+/* * STREAMS
+ * Every command gets { stdin, stdout, stderr }. Writers share one interface,
+ * write(text) + close(). Only the terminal has `isTTY`, so commands add
+ * colors there and keep pipes and files plain.
+ */
+
+// A pipe between two commands: the reader awaits chunks until the writer closes it
+class Pipe {
+  constructor() {
+    this.buffer = [];
+    this.closed = false;
+    this.wake = null;
+  }
+
+  static from(text) {
+    const pipe = new Pipe();
+    pipe.write(text);
+    pipe.close();
+    return pipe;
+  }
+
+  write(text) {
+    if (this.closed || !text) return;
+    this.buffer.push(String(text));
+    this.signal();
+  }
+
+  close() {
+    this.closed = true;
+    this.signal();
+  }
+
+  signal() {
+    const wake = this.wake;
+    this.wake = null;
+    if (wake) wake();
+  }
+
+  // Next chunk, or null once the pipe is closed and drained
+  async read() {
+    while (!this.buffer.length && !this.closed) {
+      await new Promise((resolve) => (this.wake = resolve));
+    }
+    return this.buffer.length ? this.buffer.shift() : null;
+  }
+
+  async readAll() {
+    let text = "";
+    let chunk;
+    while ((chunk = await this.read()) !== null) text += chunk;
+    return text;
+  }
+
+  // Complete lines (without "\n") as they arrive
+  async *lines() {
+    let rest = "";
+    let chunk;
+    while ((chunk = await this.read()) !== null) {
+      const parts = (rest + chunk).split("\n");
+      rest = parts.pop();
+      yield* parts;
+    }
+    if (rest) yield rest;
+  }
+}
+
+// Writes into the screen of the command line being run; `color` is an SGR
+// code applied to everything written (stderr is red)
+class TerminalWriter {
+  constructor(screen, color = null) {
+    this.screen = screen;
+    this.color = color;
+    this.isTTY = true;
+  }
+
+  write(text) {
+    if (!text) return;
+    this.screen.write(
+      this.color ? `${ESC}[${this.color}m${text}${ESC}[39m` : text,
+    );
+  }
+
+  close() {}
+}
+
+// Target of `>` / `>>`; the file is created (or truncated) when opened
+class FileWriter {
+  constructor(file, append) {
+    const pathArray = parsePath(file);
+    const name = pathArray[pathArray.length - 1];
+    const parent = resolvePath(pathArray.slice(0, -1));
+    if (!parent || typeof parent !== "object" || pathArray.length < 2) {
+      throw new Error(`${file}: No such file or directory`);
+    }
+    if (!isValidName(name)) throw new Error(`${file}: Invalid argument`);
+    const exists = Object.hasOwn(parent, name);
+    if (exists && typeof parent[name] === "object") {
+      throw new Error(`${file}: Is a directory`);
+    }
+    if (!append || !exists) parent[name] = "";
+    this.parent = parent;
+    this.name = name;
+  }
+
+  write(text) {
+    if (text) this.parent[this.name] += text;
+  }
+
+  close() {}
+}
+
+// Source of `<`
+function openForRead(file) {
+  const node = resolvePath(parsePath(file));
+  if (node === null) throw new Error(`${file}: No such file or directory`);
+  if (typeof node === "object") throw new Error(`${file}: Is a directory`);
+  return Pipe.from(node);
+}
+
+/* * SHELL PARSER
+ * Grammar:  list     := pipeline ((";" | "&&" | "||") pipeline)* [";"]
+ *           pipeline := command ("|" command)*
+ *           command  := (word | redirect)+
+ *           redirect := (">" | ">>" | "<") word
+ * Words are kept as parts ({ type: "text" | "var", quoted }) so that
+ * expansion and globbing can run at execution time.
+ */
+const OPERATORS = ["&&", "||", ">>", "|", ">", "<", ";"];
+const isName = (text) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(text);
+
+// Reads $NAME, ${NAME} or $? starting at input[i] === "$"
+function readVariable(input, i) {
+  if (input[i + 1] === "?") return { name: "?", end: i + 2 };
+  if (input[i + 1] === "{") {
+    const close = input.indexOf("}", i + 2);
+    const name = close === -1 ? "" : input.slice(i + 2, close);
+    if (!isName(name)) {
+      throw new Error(
+        `${close === -1 ? input.slice(i) : input.slice(i, close + 1)}: bad substitution`,
+      );
+    }
+    return { name, end: close + 1 };
+  }
+  const match = input.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+  return match ? { name: match[0], end: i + 1 + match[0].length } : null;
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let parts = null; // parts of the word being read, null between words
+
+  const addText = (value, quoted) => {
+    parts = parts || [];
+    const last = parts[parts.length - 1];
+    if (last && last.type === "text" && last.quoted === quoted) {
+      last.value += value;
+    } else {
+      parts.push({ type: "text", value, quoted });
+    }
+  };
+  const addVariable = (name, quoted) => {
+    parts = parts || [];
+    parts.push({ type: "var", name, quoted });
+  };
+  const endWord = () => {
+    if (parts) tokens.push({ type: "word", parts });
+    parts = null;
+  };
+
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      endWord();
+      i++;
+      continue;
+    }
+
+    const op = OPERATORS.find((o) => input.startsWith(o, i));
+    if (op) {
+      endWord();
+      tokens.push({ type: "op", value: op });
+      i += op.length;
+      continue;
+    }
+
+    // Comment to end of line
+    if (ch === "#" && !parts) break;
+
+    if (ch === "\\") {
+      if (i + 1 < input.length) addText(input[i + 1], true);
+      i += 2;
+      continue;
+    }
+
+    if (ch === "'") {
+      const close = input.indexOf("'", i + 1);
+      if (close === -1) {
+        throw new Error("unexpected EOF while looking for matching `''");
+      }
+      addText(input.slice(i + 1, close), true);
+      i = close + 1;
+      continue;
+    }
+
+    if (ch === '"') {
+      parts = parts || [];
+      i++;
+      while (input[i] !== '"') {
+        if (i >= input.length) {
+          throw new Error("unexpected EOF while looking for matching `\"'");
+        }
+        // Inside double quotes only \$ \" \\ and \` are escapes
+        if (input[i] === "\\" && '$"\\`'.includes(input[i + 1])) {
+          addText(input[i + 1], true);
+          i += 2;
+          continue;
+        }
+        const variable = input[i] === "$" && readVariable(input, i);
+        if (variable) {
+          addVariable(variable.name, true);
+          i = variable.end;
+          continue;
+        }
+        addText(input[i], true);
+        i++;
+      }
+      i++;
+      continue;
+    }
+
+    const variable = ch === "$" && readVariable(input, i);
+    if (variable) {
+      addVariable(variable.name, false);
+      i = variable.end;
+      continue;
+    }
+
+    addText(ch, false);
+    i++;
+  }
+  endWord();
+  return tokens;
+}
+
+function parse(tokens) {
+  let pos = 0;
+  const unexpected = (token) =>
+    new Error(
+      `syntax error near unexpected token \`${token ? token.value : "newline"}'`,
+    );
+
+  const parseCommand = () => {
+    const command = { words: [], redirects: [] };
+    while (pos < tokens.length) {
+      const token = tokens[pos];
+      if (token.type === "word") {
+        command.words.push(token);
+        pos++;
+      } else if ([">", ">>", "<"].includes(token.value)) {
+        const target = tokens[pos + 1];
+        if (!target || target.type !== "word") throw unexpected(target);
+        command.redirects.push({ op: token.value, target });
+        pos += 2;
+      } else {
+        break;
+      }
+    }
+    if (!command.words.length && !command.redirects.length) {
+      throw unexpected(tokens[pos]);
+    }
+    return command;
+  };
+
+  const parsePipeline = () => {
+    const pipeline = [parseCommand()];
+    while (tokens[pos] && tokens[pos].value === "|") {
+      pos++;
+      pipeline.push(parseCommand());
+    }
+    return pipeline;
+  };
+
+  const list = [];
+  while (pos < tokens.length) {
+    const pipeline = parsePipeline();
+    const op = tokens[pos] ? tokens[pos].value : ";";
+    pos++;
+    if (op !== ";" && pos >= tokens.length) throw unexpected(null);
+    list.push({ pipeline, op });
+  }
+  return list;
+}
+
+/* * EXPANSION ($VAR, ~ and globs)
+ */
+function getVariable(name) {
+  if (name === "?") return String(state.lastStatus);
+  return state.env[name] ?? "";
+}
+
+// Escapes glob metacharacters so quoted text matches literally
+const escapeGlob = (text) => text.replace(/[*?[\]\\]/g, "\\$&");
+const unescapeGlob = (text) => text.replace(/\\(.)/g, "$1");
+const hasGlob = (pattern) => /(^|[^\\])[*?[]/.test(pattern);
+
+function globToRegExp(segment) {
+  let source = "";
+  for (let i = 0; i < segment.length; i++) {
+    const ch = segment[i];
+    if (ch === "\\") {
+      source += segment[++i].replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else if (ch === "[" && segment.indexOf("]", i + 2) !== -1) {
+      const close = segment.indexOf("]", i + 2);
+      const body = segment.slice(i + 1, close).replace(/\\/g, "\\\\");
+      source += `[${body.replace(/^!/, "^")}]`;
+      i = close;
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Matches a pattern against the VFS, segment by segment. Hidden entries only
+// match patterns that start with a dot.
+function glob(pattern) {
+  let matches = [
+    {
+      path: pattern.startsWith("/") ? ["root"] : [...state.path],
+      shown: pattern.startsWith("/") ? "/" : "",
+    },
+  ];
+  const join = (shown, name) =>
+    !shown ? name : shown.endsWith("/") ? shown + name : `${shown}/${name}`;
+
+  pattern
+    .split("/")
+    .filter(Boolean)
+    .forEach((segment) => {
+      const next = [];
+      matches.forEach(({ path, shown }) => {
+        if (!hasGlob(segment)) {
+          const name = unescapeGlob(segment);
+          const target = parsePath(name, path);
+          if (resolvePath(target) !== null) {
+            next.push({ path: target, shown: join(shown, name) });
+          }
+          return;
+        }
+        const dir = resolvePath(path);
+        if (!dir || typeof dir !== "object") return;
+        const regex = globToRegExp(segment);
+        Object.keys(dir)
+          .filter((name) => regex.test(name))
+          .filter((name) => !name.startsWith(".") || segment.startsWith("."))
+          .sort()
+          .forEach((name) =>
+            next.push({ path: [...path, name], shown: join(shown, name) }),
+          );
+      });
+      matches = next;
+    });
+  return matches.map((m) => m.shown);
+}
+
+// One word can expand to several arguments (globs); a glob without matches
+// stays literal, like bash. Variables are not field-split (zsh-style).
+function expandWord(word) {
+  let text = "";
+  let pattern = "";
+  word.parts.forEach((part, i) => {
+    let value = part.type === "var" ? getVariable(part.name) : part.value;
+    // Tilde expansion at the start of an unquoted word
+    if (
+      i === 0 &&
+      part.type === "text" &&
+      !part.quoted &&
+      /^~(\/|$)/.test(value)
+    ) {
+      text += state.env.HOME;
+      pattern += escapeGlob(state.env.HOME);
+      value = value.slice(1);
+    }
+    text += value;
+    pattern += part.type === "text" && !part.quoted ? value : escapeGlob(value);
+  });
+
+  if (hasGlob(pattern)) {
+    const matches = glob(pattern);
+    if (matches.length) return matches;
+  }
+  // An unquoted variable that is empty disappears instead of becoming ""
+  if (!text && word.parts.every((part) => !part.quoted)) return [];
+  return [text];
+}
+
 /* * COMMAND EXECUTION ENGINE
+ * Each command is called with (args, io) where io = { stdin, stdout, stderr }
+ * and returns its exit status (0 = success, 1 = failure, 2 = bad usage),
+ * directly or via a Promise. Messages follow the coreutils wording.
  */
+
+// Thrown by commands for an error already formatted as "cmd: message"
+class CommandError extends Error {
+  constructor(message, status = 1) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Splits args into single-letter flags (combinable, e.g. -la) and operands.
+// Letters in `values` take an argument: "-n 5" or "-n5".
+function getopts(cmd, args, { flags = "", values = "" } = {}) {
+  const opts = {};
+  const operands = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--") {
+      operands.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("-") || arg === "-") {
+      operands.push(arg);
+      continue;
+    }
+    for (let j = 1; j < arg.length; j++) {
+      const letter = arg[j];
+      if (values.includes(letter)) {
+        const value = arg.slice(j + 1) || args[++i];
+        if (value === undefined) {
+          throw new CommandError(
+            `${cmd}: option requires an argument -- '${letter}'`,
+            2,
+          );
+        }
+        opts[letter] = value;
+        break;
+      }
+      if (!flags.includes(letter)) {
+        throw new CommandError(`${cmd}: invalid option -- '${letter}'`, 2);
+      }
+      opts[letter] = true;
+    }
+  }
+  return { opts, operands };
+}
+
+// Runs `fn` for every operand; a CommandError is reported and the loop goes
+// on, so one bad operand does not stop the rest (like `rm a missing b`)
+async function forEachOperand(operands, stderr, fn) {
+  let status = 0;
+  for (const operand of operands) {
+    try {
+      await fn(operand);
+    } catch (err) {
+      if (!(err instanceof CommandError)) throw err;
+      stderr.write(`${err.message}\n`);
+      status = err.status;
+    }
+  }
+  return status;
+}
+
+// Helper: Where a path points: its parent directory, name and node (null if missing)
+function locate(pathStr) {
+  const path = parsePath(pathStr);
+  const parent = resolvePath(path.slice(0, -1));
+  return {
+    path,
+    name: path[path.length - 1],
+    parent: isDirectory(parent) ? parent : null,
+    node: resolvePath(path),
+  };
+}
+
+const isDirectory = (node) => node !== null && typeof node === "object";
+
+// Helper: Entries are plain object keys, and assigning "__proto__" would
+// replace the directory's prototype instead of creating an entry
+const isValidName = (name) => name !== "__proto__";
+
+// True when `inner` is `outer` or lies inside it
+const isWithin = (inner, outer) =>
+  outer.length <= inner.length && outer.every((key, i) => inner[i] === key);
+
+// Text of a file operand, or everything on stdin for "-"
+async function readSource(cmd, name, stdin) {
+  if (name === "-") return stdin.readAll();
+  const { node } = locate(name);
+  if (node === null) {
+    throw new CommandError(`${cmd}: ${name}: No such file or directory`);
+  }
+  if (isDirectory(node))
+    throw new CommandError(`${cmd}: ${name}: Is a directory`);
+  return node;
+}
+
+// Colors only on the terminal, like `ls --color=auto`
+const paint = (stream, codes, text) => (stream.isTTY ? sgr(codes, text) : text);
+const DIR_COLOR = "1;94";
+
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+// -n N for head/tail, also accepting the historical -N form
+function lineCount(cmd, args) {
+  const numeric = args.findIndex((arg) => /^-\d+$/.test(arg));
+  if (numeric !== -1) {
+    args = [...args];
+    args.splice(numeric, 1, "-n", args[numeric].slice(1));
+  }
+  const { opts, operands } = getopts(cmd, args, { values: "n" });
+  const count = opts.n === undefined ? 10 : Number(opts.n);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new CommandError(`${cmd}: invalid number of lines: '${opts.n}'`);
+  }
+  return { count, files: operands.length ? operands : ["-"] };
+}
+
+// Shared by mv and cp: resolves "src... dest" into [source, parent, name] moves
+function planTransfer(cmd, operands) {
+  if (operands.length < 2) {
+    throw new CommandError(
+      operands.length
+        ? `${cmd}: missing destination file operand after '${operands[0]}'`
+        : `${cmd}: missing file operand`,
+    );
+  }
+  const destName = operands[operands.length - 1];
+  const dest = locate(destName);
+  const sources = operands.slice(0, -1);
+  const intoDir = isDirectory(dest.node);
+  if (!intoDir && sources.length > 1) {
+    throw new CommandError(`${cmd}: target '${destName}' is not a directory`);
+  }
+  if (!intoDir && !dest.parent) {
+    throw new CommandError(
+      `${cmd}: cannot create '${destName}': No such file or directory`,
+    );
+  }
+  if (!intoDir && !isValidName(dest.name)) {
+    throw new CommandError(
+      `${cmd}: cannot create '${destName}': Invalid argument`,
+    );
+  }
+  return sources.map((source) => {
+    const src = locate(source);
+    const target = intoDir
+      ? {
+          dir: dest.node,
+          name: src.name,
+          path: [...dest.path, src.name],
+          shown: `${destName.replace(/\/+$/, "")}/${src.name}`,
+        }
+      : { dir: dest.parent, name: dest.name, path: dest.path, shown: destName };
+    return { source, src, target };
+  });
+}
+
+// Checks shared by mv and cp before anything is written
+function checkTransfer(cmd, { source, src, target }, verb) {
+  if (src.node === null) {
+    throw new CommandError(
+      `${cmd}: cannot stat '${source}': No such file or directory`,
+    );
+  }
+  if (isDirectory(src.node) && isWithin(target.path, src.path)) {
+    throw new CommandError(
+      `${cmd}: cannot ${verb} '${source}' to a subdirectory of itself, '${target.shown}'`,
+    );
+  }
+  const existing = Object.hasOwn(target.dir, target.name)
+    ? target.dir[target.name]
+    : undefined;
+  if (isDirectory(existing) && !isDirectory(src.node)) {
+    throw new CommandError(
+      `${cmd}: cannot overwrite directory '${target.shown}' with non-directory`,
+    );
+  }
+  if (
+    existing !== undefined &&
+    !isDirectory(existing) &&
+    isDirectory(src.node)
+  ) {
+    throw new CommandError(
+      `${cmd}: cannot overwrite non-directory '${target.shown}' with directory '${source}'`,
+    );
+  }
+}
+
+const ECHO_ESCAPES = {
+  a: "\x07",
+  b: "\b",
+  e: ESC,
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  "\\": "\\",
+};
+
+// Backslash escapes of `echo -e`: \n, \t, \e, \033, \x1b, \\ ...
+const unescapeEcho = (text) =>
+  text.replace(/\\(0[0-7]{0,3}|x[0-9a-fA-F]{1,2}|.)/g, (match, code) => {
+    if (code[0] === "0") return String.fromCharCode(parseInt(code, 8) || 0);
+    if (code[0] === "x" && code.length > 1) {
+      return String.fromCharCode(parseInt(code.slice(1), 16));
+    }
+    return ECHO_ESCAPES[code] ?? match;
+  });
+
 const commands = {
-  help: () => {
-    return `Available commands:\n  help, ls, cd [dir], mkdir [name], touch [name], cat [file], echo [text], clear`;
+  help: (args, { stdout }) => {
+    stdout.write(
+      `Available commands:
+  help, clear, pwd, cd [dir], ls [-la] [path...], tree [dir]
+  mkdir [-p] dir..., touch file..., rm [-rf] path..., mv src... dest,
+  cp [-r] src... dest, cat [file...], echo [-ne] [text],
+  grep [-niv] pattern [file...], find [path...] [-name glob] [-type f|d],
+  head/tail [-n N] [file...], wc [-lwc] [file...], nano file,
+  history [-c], js file [arg...], export [NAME=value], env, unset [NAME]
+
+Keys: Tab completes commands and paths, Ctrl+R searches history,
+  Ctrl+C stops a running script.
+
+Shell syntax:
+  'single' "double $VAR" \\escape   cmd | cmd   > file   >> file   < file
+  cmd && cmd   cmd || cmd   cmd ; cmd   *.txt   ~   $?
+`,
+    );
+    return 0;
+  },
+
+  clear: (args, { stdout }) => {
+    stdout.write(`${ESC}[H${ESC}[2J`);
+    return 0;
+  },
+
+  pwd: (args, { stdout }) => {
+    stdout.write(formatPath(state.path) + "\n");
+    return 0;
+  },
+
+  // Without an argument goes home; "-" returns to the previous directory
+  cd: (args, { stdout }) => {
+    if (args.length > 1) throw new CommandError("cd: too many arguments");
+    let target = args[0] ?? state.env.HOME;
+    if (target === "-") {
+      if (!state.env.OLDPWD) throw new CommandError("cd: OLDPWD not set");
+      target = state.env.OLDPWD;
+      stdout.write(target + "\n");
+    }
+
+    const { path, node } = locate(target);
+    if (node === null) {
+      throw new CommandError(`cd: ${target}: No such file or directory`);
+    }
+    if (!isDirectory(node)) {
+      throw new CommandError(`cd: ${target}: Not a directory`);
+    }
+    state.env.OLDPWD = formatPath(state.path);
+    state.path = path;
+    state.env.PWD = formatPath(path);
+    updatePrompt();
+    return 0;
+  },
+
+  ls: (args, { stdout, stderr }) => {
+    const { opts, operands } = getopts("ls", args, { flags: "la1" });
+    const targets = operands.length ? operands : ["."];
+
+    const write = (name, node) => {
+      const isDir = isDirectory(node);
+      const shown = isDir ? paint(stdout, DIR_COLOR, name) : name;
+      if (opts.l) {
+        const mode = isDir ? "drwxr-xr-x" : "-rw-r--r--";
+        const size = isDir ? 4096 : byteLength(node);
+        stdout.write(
+          `${mode} user user ${String(size).padStart(6)} ${shown}\n`,
+        );
+      } else {
+        stdout.write(shown + (isDir && stdout.isTTY ? "/" : ""));
+      }
+    };
+    // Names in columns on the terminal, one per line when piped or with -1
+    const writeAll = (entries) => {
+      entries.forEach(([name, node], i) => {
+        write(name, node);
+        if (opts.l) return;
+        const last = i === entries.length - 1;
+        stdout.write(!stdout.isTTY || opts["1"] || last ? "\n" : "  ");
+      });
+    };
+
+    const files = [];
+    const dirs = [];
+    const status = targets.reduce((result, target) => {
+      const { node } = locate(target);
+      if (node === null) {
+        stderr.write(
+          `ls: cannot access '${target}': No such file or directory\n`,
+        );
+        return 2;
+      }
+      (isDirectory(node) ? dirs : files).push([target, node]);
+      return result;
+    }, 0);
+
+    writeAll(files);
+    dirs.forEach(([target, dir], i) => {
+      if (targets.length > 1) {
+        stdout.write(`${files.length || i ? "\n" : ""}${target}:\n`);
+      }
+      const entries = Object.keys(dir)
+        .filter((name) => opts.a || !name.startsWith("."))
+        .sort()
+        .map((name) => [name, dir[name]]);
+      if (opts.a) {
+        entries.unshift(
+          [".", dir],
+          ["..", resolvePath(locate(target).path.slice(0, -1)) || dir],
+        );
+      }
+      writeAll(entries);
+    });
+    return status;
+  },
+
+  tree: (args, { stdout }) => {
+    const { opts, operands } = getopts("tree", args, { flags: "a" });
+    const target = operands[0] ?? ".";
+    const { node } = locate(target);
+    if (!isDirectory(node)) {
+      throw new CommandError(
+        `tree: ${target}: ${node === null ? "No such file or directory" : "Not a directory"}`,
+      );
+    }
+
+    let dirCount = 0;
+    let fileCount = 0;
+    const walk = (dir, prefix) => {
+      const names = Object.keys(dir)
+        .filter((name) => opts.a || !name.startsWith("."))
+        .sort();
+      names.forEach((name, i) => {
+        const last = i === names.length - 1;
+        const child = dir[name];
+        stdout.write(prefix + (last ? "└── " : "├── "));
+        if (isDirectory(child)) {
+          dirCount++;
+          stdout.write(paint(stdout, DIR_COLOR, name) + "\n");
+          walk(child, prefix + (last ? "    " : "│   "));
+        } else {
+          fileCount++;
+          stdout.write(name + "\n");
+        }
+      });
+    };
+
+    stdout.write(paint(stdout, DIR_COLOR, target) + "\n");
+    walk(node, "");
+    stdout.write(
+      `\n${dirCount} ${dirCount === 1 ? "directory" : "directories"}, ${fileCount} ${fileCount === 1 ? "file" : "files"}\n`,
+    );
+    return 0;
   },
 
-  clear: () => {
-    elements.output.innerHTML = "";
-    return null; // Return null prevents printing anything
+  mkdir: (args, { stderr }) => {
+    const { opts, operands } = getopts("mkdir", args, { flags: "p" });
+    if (!operands.length) throw new CommandError("mkdir: missing operand", 2);
+    return forEachOperand(operands, stderr, (operand) => {
+      const { path, parent, name, node } = locate(operand);
+      if (opts.p) {
+        // Create every missing segment; existing directories are fine
+        let dir = state.fileSystem;
+        path.forEach((key) => {
+          if (!isValidName(key)) {
+            throw new CommandError(
+              `mkdir: cannot create directory '${operand}': Invalid argument`,
+            );
+          }
+          if (!Object.hasOwn(dir, key)) dir[key] = {};
+          if (!isDirectory(dir[key])) {
+            throw new CommandError(
+              `mkdir: cannot create directory '${operand}': Not a directory`,
+            );
+          }
+          dir = dir[key];
+        });
+        return;
+      }
+      if (node !== null) {
+        throw new CommandError(
+          `mkdir: cannot create directory '${operand}': File exists`,
+        );
+      }
+      if (!parent) {
+        throw new CommandError(
+          `mkdir: cannot create directory '${operand}': No such file or directory`,
+        );
+      }
+      if (!isValidName(name)) {
+        throw new CommandError(
+          `mkdir: cannot create directory '${operand}': Invalid argument`,
+        );
+      }
+      parent[name] = {}; // Create new object
+    });
   },
 
-  ls: () => {
-    const currentDir = getCurrentDirectory();
-    const contents = Object.keys(currentDir).map((key) => {
-      const isDir = typeof currentDir[key] === "object";
-      const style = isDir ? 'class="directory"' : 'class="file"';
-      const suffix = isDir ? "/" : "";
-      return `<span ${style}>${key}${suffix}</span>`;
+  touch: (args, { stderr }) => {
+    if (!args.length) throw new CommandError("touch: missing file operand", 2);
+    return forEachOperand(args, stderr, (operand) => {
+      const { parent, name, node } = locate(operand);
+      if (!parent) {
+        throw new CommandError(
+          `touch: cannot touch '${operand}': No such file or directory`,
+        );
+      }
+      if (!isValidName(name)) {
+        throw new CommandError(
+          `touch: cannot touch '${operand}': Invalid argument`,
+        );
+      }
+      if (node === null) parent[name] = ""; // Create empty string
     });
-    return contents.join("  ");
   },
 
-  cd: (args) => {
-    if (!args[0]) return ""; // No arg, do nothing (or go home in real OS)
+  rm: (args, { stderr }) => {
+    const { opts, operands } = getopts("rm", args, { flags: "rRf" });
+    const recursive = opts.r || opts.R;
+    if (!operands.length && !opts.f) {
+      throw new CommandError("rm: missing operand", 2);
+    }
+    return forEachOperand(operands, stderr, (operand) => {
+      const { path, parent, name, node } = locate(operand);
+      if (/(^|\/)\.\.?\/*$/.test(operand)) {
+        throw new CommandError(
+          `rm: refusing to remove '.' or '..' directory: skipping '${operand}'`,
+        );
+      }
+      if (node === null) {
+        if (opts.f) return;
+        throw new CommandError(
+          `rm: cannot remove '${operand}': No such file or directory`,
+        );
+      }
+      if (isDirectory(node) && !recursive) {
+        throw new CommandError(
+          `rm: cannot remove '${operand}': Is a directory`,
+        );
+      }
+      if (path.length === 1) {
+        throw new CommandError(
+          `rm: it is dangerous to operate recursively on '/'`,
+        );
+      }
+      if (isWithin(state.path, path)) {
+        throw new CommandError(
+          `rm: cannot remove '${operand}': Device or resource busy`,
+        );
+      }
+      delete parent[name];
+    });
+  },
 
-    const target = args[0];
+  mv: (args, { stderr }) => {
+    const { operands } = getopts("mv", args);
+    return forEachOperand(planTransfer("mv", operands), stderr, (move) => {
+      checkTransfer("mv", move, "move");
+      const { src, target } = move;
+      if (isWithin(target.path, src.path)) return; // mv a a
+      target.dir[target.name] = src.node;
+      delete src.parent[src.name];
+      // Moving a directory we are inside of takes the shell along
+      if (isWithin(state.path, src.path)) {
+        state.path = [...target.path, ...state.path.slice(src.path.length)];
+        state.env.PWD = formatPath(state.path);
+        updatePrompt();
+      }
+    });
+  },
 
-    // Handle ".."
-    if (target === "..") {
-      if (state.path.length > 1) {
-        // Prevent going above root
-        state.path.pop();
+  cp: (args, { stderr }) => {
+    const { opts, operands } = getopts("cp", args, { flags: "rR" });
+    return forEachOperand(planTransfer("cp", operands), stderr, (copy) => {
+      const { source, src, target } = copy;
+      if (isDirectory(src.node) && !(opts.r || opts.R)) {
+        throw new CommandError(
+          `cp: -r not specified; omitting directory '${source}'`,
+        );
+      }
+      checkTransfer("cp", copy, "copy");
+      if (isWithin(target.path, src.path)) {
+        throw new CommandError(
+          `cp: '${source}' and '${target.shown}' are the same file`,
+        );
       }
-      updatePrompt();
-      return "";
+      target.dir[target.name] = structuredClone(src.node);
+    });
+  },
+
+  // With no files (or "-") copies stdin, which is what makes pipes useful
+  cat: async (args, { stdin, stdout, stderr }) => {
+    const { operands } = getopts("cat", args);
+    return forEachOperand(
+      operands.length ? operands : ["-"],
+      stderr,
+      async (name) => {
+        if (name !== "-") {
+          stdout.write(await readSource("cat", name, stdin));
+          return;
+        }
+        let chunk;
+        while ((chunk = await stdin.read()) !== null) stdout.write(chunk);
+      },
+    );
+  },
+
+  // -e interprets backslash escapes, so `echo -e "\e[1mbold"` reaches the terminal
+  echo: (args, { stdout }) => {
+    const opts = {};
+    while (/^-[neE]+$/.test(args[0])) {
+      [...args[0].slice(1)].forEach((letter) => (opts[letter] = true));
+      args = args.slice(1);
+    }
+    let text = args.join(" ") + (opts.n ? "" : "\n");
+    if (opts.e && !opts.E) text = unescapeEcho(text);
+    stdout.write(text);
+    return 0;
+  },
+
+  // Exit status: 0 = a line matched, 1 = no match, 2 = error
+  grep: async (args, { stdin, stdout, stderr }) => {
+    const { opts, operands } = getopts("grep", args, { flags: "niv" });
+    const [pattern, ...files] = operands;
+    if (pattern === undefined) {
+      throw new CommandError("usage: grep [-niv] pattern [file...]", 2);
+    }
+    let regex;
+    try {
+      regex = new RegExp(pattern, opts.i ? "i" : "");
+    } catch {
+      throw new CommandError(
+        `grep: invalid regular expression '${pattern}'`,
+        2,
+      );
     }
 
-    // Handle child directory
-    const currentDir = getCurrentDirectory();
-    if (currentDir[target] && typeof currentDir[target] === "object") {
-      state.path.push(target);
-      updatePrompt();
-      return "";
-    } else {
-      return `<span class="error">cd: ${target}: No such directory</span>`;
+    let matched = false;
+    const sources = files.length ? files : ["-"];
+    const status = await forEachOperand(sources, stderr, async (name) => {
+      const prefix = sources.length > 1 ? `${name}:` : "";
+      // stdin is filtered line by line as it streams in
+      const lines =
+        name === "-"
+          ? stdin.lines()
+          : splitLines(await readSource("grep", name, stdin));
+      let number = 0;
+      for await (const line of lines) {
+        number++;
+        if (regex.test(line) === !!opts.v) continue;
+        matched = true;
+        stdout.write(`${prefix}${opts.n ? `${number}:` : ""}${line}\n`);
+      }
+    });
+    return status ? 2 : matched ? 0 : 1;
+  },
+
+  // find [path...] [-name glob] [-type f|d]
+  find: (args, { stdout, stderr }) => {
+    const start = args.findIndex((arg) => arg.startsWith("-"));
+    const paths = start === -1 ? args : args.slice(0, start);
+    const tests = [];
+    const predicates = start === -1 ? [] : args.slice(start);
+    for (let i = 0; i < predicates.length; i += 2) {
+      const [predicate, value] = [predicates[i], predicates[i + 1]];
+      if (!["-name", "-iname", "-type"].includes(predicate)) {
+        throw new CommandError(`find: unknown predicate '${predicate}'`);
+      }
+      if (value === undefined) {
+        throw new CommandError(`find: missing argument to '${predicate}'`);
+      }
+      if (predicate === "-type") {
+        if (!["f", "d"].includes(value)) {
+          throw new CommandError(`find: Unknown argument to -type: ${value}`);
+        }
+        tests.push((name, node) => isDirectory(node) === (value === "d"));
+      } else {
+        const regex = globToRegExp(value);
+        const flags = predicate === "-iname" ? "i" : "";
+        const matcher = new RegExp(regex.source, flags);
+        tests.push((name) => matcher.test(name));
+      }
+    }
+
+    const walk = (shown, name, node) => {
+      if (tests.every((test) => test(name, node))) stdout.write(shown + "\n");
+      if (!isDirectory(node)) return;
+      Object.keys(node)
+        .sort()
+        .forEach((child) =>
+          walk(
+            shown.endsWith("/") ? shown + child : `${shown}/${child}`,
+            child,
+            node[child],
+          ),
+        );
+    };
+    return forEachOperand(paths.length ? paths : ["."], stderr, (path) => {
+      const { name, node } = locate(path);
+      if (node === null) {
+        throw new CommandError(`find: '${path}': No such file or directory`);
+      }
+      walk(path, name, node);
+    });
+  },
+
+  head: async (args, { stdin, stdout, stderr }) => {
+    const { count, files } = lineCount("head", args);
+    return forEachOperand(files, stderr, async (name) => {
+      if (files.length > 1) {
+        stdout.write(`${name === files[0] ? "" : "\n"}==> ${name} <==\n`);
+      }
+      if (name !== "-") {
+        const lines = splitLines(await readSource("head", name, stdin));
+        lines.slice(0, count).forEach((line) => stdout.write(line + "\n"));
+        return;
+      }
+      // Stop reading stdin once enough lines have arrived
+      let seen = 0;
+      for await (const line of stdin.lines()) {
+        if (seen++ >= count) break;
+        stdout.write(line + "\n");
+      }
+    });
+  },
+
+  tail: async (args, { stdin, stdout, stderr }) => {
+    const { count, files } = lineCount("tail", args);
+    return forEachOperand(files, stderr, async (name) => {
+      if (files.length > 1) {
+        stdout.write(`${name === files[0] ? "" : "\n"}==> ${name} <==\n`);
+      }
+      const lines = splitLines(await readSource("tail", name, stdin));
+      lines
+        .slice(count ? -count : lines.length)
+        .forEach((line) => stdout.write(line + "\n"));
+    });
+  },
+
+  wc: async (args, { stdin, stdout, stderr }) => {
+    const { opts, operands } = getopts("wc", args, { flags: "lwc" });
+    // No flags means all three counts
+    const fields = ["l", "w", "c"].filter(
+      (flag) => opts[flag] || !(opts.l || opts.w || opts.c),
+    );
+    const files = operands.length ? operands : ["-"];
+    const rows = [];
+    const status = await forEachOperand(files, stderr, async (name) => {
+      const text = await readSource("wc", name, stdin);
+      rows.push({
+        l: (text.match(/\n/g) || []).length,
+        w: text.split(/\s+/).filter(Boolean).length,
+        c: byteLength(text),
+        name: name === "-" ? "" : name,
+      });
+    });
+    if (rows.length > 1) {
+      rows.push(
+        fields.reduce(
+          (total, flag) => ({
+            ...total,
+            [flag]: rows.reduce((sum, row) => sum + row[flag], 0),
+          }),
+          { name: "total" },
+        ),
+      );
+    }
+    rows.forEach((row) => {
+      const counts = fields.map((flag) => String(row[flag]).padStart(7));
+      stdout.write(`${counts.join(" ")}${row.name ? ` ${row.name}` : ""}\n`);
+    });
+    return status;
+  },
+
+  history: (args, { stdout }) => {
+    const { opts } = getopts("history", args, { flags: "c" });
+    if (opts.c) {
+      state.history = [];
+      state.historyIndex = 0;
+      return 0;
+    }
+    state.history.forEach((line, i) =>
+      stdout.write(`${String(i + 1).padStart(5)}  ${line}\n`),
+    );
+    return 0;
+  },
+
+  nano: async (args) => {
+    const { operands } = getopts("nano", args);
+    if (operands.length !== 1) throw new CommandError("usage: nano file", 2);
+    if (isDirectory(locate(operands[0]).node)) {
+      throw new CommandError(`nano: ${operands[0]}: Is a directory`);
+    }
+    await editor.open(operands[0]);
+    return 0;
+  },
+
+  js: async (args, io) => {
+    const [file, ...rest] = args;
+    if (file === undefined) {
+      throw new CommandError("usage: js file [arg...]", 2);
     }
+    const source = await readSource("js", file, io.stdin);
+    return runScript(file, source, rest, io);
   },
 
-  mkdir: (args) => {
-    if (!args[0]) return '<span class="error">usage: mkdir [name]</span>';
-    const currentDir = getCurrentDirectory();
-    if (currentDir[args[0]]) {
-      return `<span class="error">mkdir: cannot create directory '${args[0]}': File exists</span>`;
+  export: (args, { stdout, stderr }) => {
+    if (!args.length) {
+      Object.keys(state.env)
+        .sort()
+        .forEach((name) =>
+          stdout.write(`declare -x ${name}="${state.env[name]}"\n`),
+        );
+      return 0;
     }
-    currentDir[args[0]] = {}; // Create new object
-    return "";
+    let status = 0;
+    args.forEach((arg) => {
+      const [name, ...rest] = arg.split("=");
+      if (!isName(name)) {
+        stderr.write(`export: \`${arg}': not a valid identifier\n`);
+        status = 1;
+      } else if (rest.length) {
+        state.env[name] = rest.join("=");
+      } else {
+        state.env[name] = state.env[name] ?? "";
+      }
+    });
+    return status;
+  },
+
+  env: (args, { stdout }) => {
+    Object.keys(state.env)
+      .sort()
+      .forEach((name) => stdout.write(`${name}=${state.env[name]}\n`));
+    return 0;
   },
 
-  touch: (args) => {
-    if (!args[0]) return '<span class="error">usage: touch [name]</span>';
-    const currentDir = getCurrentDirectory();
-    currentDir[args[0]] = ""; // Create empty string
-    return "";
+  unset: (args) => {
+    args.forEach((name) => delete state.env[name]);
+    return 0;
   },
+};
+
+/* * SCRIPTING (js)
+ * `js file [arg...]` runs a VFS script in a Web Worker, away from the page.
+ * The file is the body of an async function with argv, env, stdin, stdout,
+ * stderr, fs, console and exit() in scope. fs and stdin calls are messages
+ * to the shell, so they return Promises: `await fs.readFile("todo.txt")`.
+ */
+
+// Runs inside the Worker (serialized with toString, so it must not close over anything)
+function scriptWorker() {
+  // Hide the usual I/O APIs so scripts go through the shell. This is not a
+  // sandbox: dynamic import() can still load remote code
+  const post = self.postMessage.bind(self);
+  [
+    "fetch",
+    "XMLHttpRequest",
+    "WebSocket",
+    "EventSource",
+    "importScripts",
+    "indexedDB",
+    "caches",
+    "Worker",
+    "BroadcastChannel",
+  ].forEach((name) => {
+    for (let o = self; o; o = Object.getPrototypeOf(o)) delete o[name];
+  });
+
+  const calls = new Map();
+  let lastId = 0;
+  const call = (method, ...args) =>
+    new Promise((resolve, reject) => {
+      calls.set(++lastId, { resolve, reject });
+      post({ type: "call", id: lastId, method, args });
+    });
+
+  const inspect = (value) => {
+    if (typeof value === "string") return value;
+    if (value instanceof Error) return value.stack || String(value);
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch {
+      return String(value);
+    }
+  };
+  const stream = (fd) => ({
+    write: (text) => post({ type: "write", fd, text: String(text) }),
+  });
+  const stdout = stream(1);
+  const stderr = stream(2);
+  const log =
+    (out) =>
+    (...values) =>
+      out.write(values.map(inspect).join(" ") + "\n");
+  const console = {
+    log: log(stdout),
+    info: log(stdout),
+    error: log(stderr),
+    warn: log(stderr),
+  };
+  const stdin = { read: () => call("read"), readAll: () => call("readAll") };
+  const fs = Object.fromEntries(
+    [
+      "readFile",
+      "writeFile",
+      "appendFile",
+      "readdir",
+      "mkdir",
+      "rm",
+      "exists",
+      "stat",
+    ].map((method) => [method, (...args) => call(method, ...args)]),
+  );
+
+  // exit() stops the script where it is; the shell ends the worker on "exit"
+  class Exit {}
+  const exit = (status = 0) => {
+    post({ type: "exit", status: Number(status) || 0 });
+    throw new Exit();
+  };
+
+  self.onmessage = async ({ data }) => {
+    if (data.type === "reply") {
+      const { resolve, reject } = calls.get(data.id);
+      calls.delete(data.id);
+      if ("error" in data) reject(new Error(data.error));
+      else resolve(data.result);
+      return;
+    }
+    try {
+      const AsyncFunction = (async () => {}).constructor;
+      const main = new AsyncFunction(
+        "argv",
+        "env",
+        "stdin",
+        "stdout",
+        "stderr",
+        "fs",
+        "console",
+        "exit",
+        data.source,
+      );
+      await main(data.argv, data.env, stdin, stdout, stderr, fs, console, exit);
+      post({ type: "exit", status: 0 });
+    } catch (err) {
+      if (!(err instanceof Exit)) post({ type: "error", message: String(err) });
+    }
+  };
+  self.onunhandledrejection = (e) => {
+    if (!(e.reason instanceof Exit)) {
+      post({ type: "error", message: String(e.reason) });
+    }
+  };
+}
+
+// The shell side of the script's fs; paths resolve against the current directory
+const scriptFs = {
+  readFile(file) {
+    const { node } = locate(file);
+    if (node === null) throw new Error(`${file}: No such file or directory`);
+    if (isDirectory(node)) throw new Error(`${file}: Is a directory`);
+    return node;
+  },
+  writeFile(file, text) {
+    new FileWriter(file, false).write(String(text));
+  },
+  appendFile(file, text) {
+    new FileWriter(file, true).write(String(text));
+  },
+  readdir(dir = ".") {
+    const { node } = locate(dir);
+    if (node === null) throw new Error(`${dir}: No such file or directory`);
+    if (!isDirectory(node)) throw new Error(`${dir}: Not a directory`);
+    return Object.keys(node).sort();
+  },
+  mkdir(dir) {
+    const { parent, name, node } = locate(dir);
+    if (node !== null) throw new Error(`${dir}: File exists`);
+    if (!parent) throw new Error(`${dir}: No such file or directory`);
+    if (!isValidName(name)) throw new Error(`${dir}: Invalid argument`);
+    parent[name] = {};
+  },
+  rm(file) {
+    const { path, parent, name, node } = locate(file);
+    if (node === null) throw new Error(`${file}: No such file or directory`);
+    if (isWithin(state.path, path)) {
+      throw new Error(`${file}: Device or resource busy`);
+    }
+    delete parent[name];
+  },
+  exists(file) {
+    return locate(file).node !== null;
+  },
+  stat(file) {
+    const { node } = locate(file);
+    if (node === null) throw new Error(`${file}: No such file or directory`);
+    return isDirectory(node)
+      ? { type: "directory", size: 4096 }
+      : { type: "file", size: byteLength(node) };
+  },
+};
+
+// Resolves with the exit status; Ctrl+C terminates the worker with 130
+function runScript(file, source, args, { stdin, stdout, stderr }) {
+  if (typeof Worker === "undefined") {
+    throw new CommandError("js: Web Workers are not supported");
+  }
+  const url = URL.createObjectURL(
+    new Blob([`(${scriptWorker})();`], { type: "text/javascript" }),
+  );
+  const worker = new Worker(url);
+  const calls = {
+    ...scriptFs,
+    read: () => stdin.read(),
+    readAll: () => stdin.readAll(),
+  };
+
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (status) => {
+      if (done) return;
+      done = true;
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      state.interrupts.delete(interrupt);
+      resolve(status);
+    };
+    const interrupt = () => {
+      stderr.write("^C\n");
+      finish(130);
+    };
+    state.interrupts.add(interrupt);
+
+    worker.onmessage = async ({ data }) => {
+      if (done) return;
+      if (data.type === "write") {
+        (data.fd === 2 ? stderr : stdout).write(data.text);
+      } else if (data.type === "exit") {
+        finish(data.status);
+      } else if (data.type === "error") {
+        stderr.write(`js: ${file}: ${data.message}\n`);
+        finish(1);
+      } else if (data.type === "call") {
+        const reply = { type: "reply", id: data.id };
+        try {
+          if (!Object.hasOwn(calls, data.method)) {
+            throw new Error(`${data.method}: not a function`);
+          }
+          reply.result = await calls[data.method](...data.args);
+        } catch (err) {
+          reply.error = err.message;
+        }
+        if (!done) worker.postMessage(reply);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      stderr.write(`js: ${file}: ${e.message}\n`);
+      finish(1);
+    };
+    worker.postMessage({
+      type: "run",
+      source,
+      argv: [file, ...args],
+      env: { ...state.env },
+    });
+  });
+}
+
+/* * SHELL EXECUTOR
+ */
+
+// NAME=value on its own sets a variable, like `export NAME=value`
+const isAssignment = (arg) => isName(arg.split("=")[0]) && arg.includes("=");
 
-  cat: (args) => {
-    if (!args[0]) return '<span class="error">usage: cat [file]</span>';
-    const currentDir = getCurrentDirectory();
+async function runStage(stage, io) {
+  let stdin = io.stdin;
+  let stdout = io.stdout;
+  try {
+    const argv = stage.words.flatMap(expandWord);
+    stage.redirects.forEach(({ op, target }) => {
+      const [file, ...extra] = expandWord(target);
+      if (extra.length || !file) throw new Error(`${file}: ambiguous redirect`);
+      if (op === "<") stdin = openForRead(file);
+      else stdout = new FileWriter(file, op === ">>");
+    });
 
-    if (!currentDir[args[0]]) {
-      return `<span class="error">cat: ${args[0]}: No such file</span>`;
+    if (!argv.length) return 0;
+    if (argv.every(isAssignment)) {
+      argv.forEach((arg) => {
+        const [name, ...rest] = arg.split("=");
+        state.env[name] = rest.join("=");
+      });
+      return 0;
+    }
+
+    const [name, ...args] = argv;
+    if (!Object.hasOwn(commands, name)) {
+      io.stderr.write(`wsh: ${name}: command not found\n`);
+      return 127;
+    }
+    const status = await commands[name](args, {
+      stdin,
+      stdout,
+      stderr: io.stderr,
+    });
+    return status ?? 0;
+  } catch (err) {
+    if (err instanceof CommandError) {
+      io.stderr.write(`${err.message}\n`);
+      return err.status;
     }
+    io.stderr.write(`wsh: ${err.message}\n`);
+    return 1;
+  } finally {
+    // The next command in the pipeline sees EOF even when stdout was redirected
+    stdout.close();
+    io.stdout.close();
+  }
+}
+
+// All commands in a pipeline run concurrently; its status is the last one's
+async function runPipeline(pipeline, terminal) {
+  const pipes = pipeline.slice(1).map(() => new Pipe());
+  const statuses = await Promise.all(
+    pipeline.map((stage, i) =>
+      runStage(stage, {
+        stdin: i ? pipes[i - 1] : Pipe.from(""),
+        stdout: i < pipes.length ? pipes[i] : terminal.stdout,
+        stderr: terminal.stderr,
+      }),
+    ),
+  );
+  return statuses[statuses.length - 1];
+}
 
-    if (typeof currentDir[args[0]] === "object") {
-      return `<span class="error">cat: ${args[0]}: Is a directory</span>`;
+async function runCommandLine(input, terminal) {
+  let list;
+  try {
+    list = parse(tokenize(input));
+  } catch (err) {
+    terminal.stderr.write(`wsh: ${err.message}\n`);
+    state.lastStatus = 2;
+    return;
+  }
+
+  let status = state.lastStatus;
+  for (let i = 0; i < list.length; i++) {
+    const op = i ? list[i - 1].op : ";";
+    // `a && b` runs b only if a succeeded, `a || b` only if it failed
+    if ((op === "&&" && status !== 0) || (op === "||" && status === 0)) {
+      continue;
     }
+    status = await runPipeline(list[i].pipeline, terminal);
+    state.lastStatus = status;
+  }
+}
+
+/* * PERSISTENCE (IndexedDB)
+ * The filesystem and the command history are kept as two records, saved
+ * after every command line and whenever the editor writes a file.
+ */
+const HISTORY_LIMIT = 500;
+
+class TerminalStorage {
+  constructor() {
+    this.dbName = "web-terminal";
+    this.storeName = "session";
+    this.version = 1;
+    this.db = null;
+  }
+
+  // Opens the database connection
+  async init() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, this.version);
+
+      request.onupgradeneeded = (e) => {
+        const db = e.target.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName);
+        }
+      };
 
-    return currentDir[args[0]].replace(/\n/g, "<br>");
+      request.onsuccess = (e) => {
+        this.db = e.target.result;
+        resolve(this);
+      };
+
+      request.onerror = (e) => reject(`IDB Error: ${e.target.error}`);
+    });
+  }
+
+  _tx(type) {
+    return this.db
+      .transaction([this.storeName], type)
+      .objectStore(this.storeName);
+  }
+
+  async get(key) {
+    return new Promise((resolve, reject) => {
+      const request = this._tx("readonly").get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async set(key, value) {
+    return new Promise((resolve, reject) => {
+      const request = this._tx("readwrite").put(value, key);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+const storage = new TerminalStorage();
+
+async function saveSession() {
+  if (!storage.db) return;
+  try {
+    await Promise.all([
+      storage.set("fileSystem", state.fileSystem),
+      storage.set("history", state.history.slice(-HISTORY_LIMIT)),
+    ]);
+  } catch (err) {
+    console.error("Failed to save terminal session:", err);
+  }
+}
+
+// Without IndexedDB (e.g. private mode) the terminal still works in memory
+async function loadSession() {
+  try {
+    await storage.init();
+    const [fileSystem, history] = await Promise.all([
+      storage.get("fileSystem"),
+      storage.get("history"),
+    ]);
+    if (fileSystem) state.fileSystem = fileSystem;
+    if (history) {
+      state.history = history;
+      state.historyIndex = history.length;
+    }
+  } catch (err) {
+    console.warn("Terminal session will not persist:", err);
+  }
+  // The saved filesystem may no longer contain the home directory
+  if (!isDirectory(resolvePath(state.path))) state.path = ["root"];
+  state.env.PWD = formatPath(state.path);
+}
+
+/* * TEXT EDITOR (nano)
+ * A modal editor over the terminal. open() resolves once it is closed, so
+ * the `nano` command keeps the shell busy meanwhile.
+ */
+const editor = {
+  el: document.getElementById("editor"),
+  text: document.getElementById("editor-text"),
+  title: document.getElementById("editor-title"),
+  status: document.getElementById("editor-status"),
+  path: null,
+  saved: "",
+  confirming: false,
+  close: null,
+
+  open(file) {
+    this.path = parsePath(file);
+    const node = resolvePath(this.path);
+    this.saved = node === null ? "" : node;
+    this.text.value = this.saved;
+    this.title.textContent = `File: ${file}`;
+    this.setStatus(node === null ? "[ New File ]" : "");
+    this.el.classList.remove("hidden");
+    this.text.setSelectionRange(0, 0);
+    this.text.focus();
+    return new Promise((resolve) => (this.close = resolve));
+  },
+
+  isModified() {
+    return this.text.value !== this.saved;
   },
 
-  echo: (args) => {
-    return args.join(" ");
+  setStatus(message) {
+    this.status.textContent = message;
+    this.title.classList.toggle("modified", this.isModified());
+  },
+
+  write() {
+    const name = this.path[this.path.length - 1];
+    const parent = resolvePath(this.path.slice(0, -1));
+    if (!isDirectory(parent) || isDirectory(parent[name])) {
+      this.setStatus(
+        `[ Error writing ${formatPath(this.path)}: ${isDirectory(parent) ? "Is a directory" : "No such file or directory"} ]`,
+      );
+      return false;
+    }
+    parent[name] = this.text.value;
+    this.saved = this.text.value;
+    const lines = splitLines(this.saved).length;
+    this.setStatus(`[ Wrote ${lines} line${lines === 1 ? "" : "s"} ]`);
+    saveSession();
+    return true;
+  },
+
+  exit() {
+    this.confirming = false;
+    this.el.classList.add("hidden");
+    elements.hiddenInput.focus();
+    this.close();
   },
 };
 
+editor.text.addEventListener("input", () => editor.setStatus(""));
+
+editor.text.addEventListener("keydown", (e) => {
+  const key = e.key.toLowerCase();
+
+  // "Save modified buffer?" answers
+  if (editor.confirming) {
+    e.preventDefault();
+    if (key === "y") {
+      if (editor.write()) editor.exit();
+      else editor.confirming = false;
+    } else if (key === "n") {
+      editor.exit();
+    } else if (e.ctrlKey && key === "c") {
+      editor.confirming = false;
+      editor.setStatus("[ Cancelled ]");
+    }
+    return;
+  }
+
+  if (e.ctrlKey && key === "o") {
+    e.preventDefault();
+    editor.write();
+  } else if (e.ctrlKey && key === "x") {
+    e.preventDefault();
+    if (!editor.isModified()) {
+      editor.exit();
+      return;
+    }
+    editor.confirming = true;
+    editor.setStatus("Save modified buffer? (Y)es, (N)o, ^C Cancel");
+  } else if (e.key === "Tab") {
+    e.preventDefault();
+    editor.text.setRangeText(
+      "\t",
+      editor.text.selectionStart,
+      editor.text.selectionEnd,
+      "end",
+    );
+    editor.setStatus("");
+  }
+});
+
 /* * UI & EVENT HANDLERS
  */
 
+// Helper: Replace the command line being typed
+function setInput(value) {
+  elements.hiddenInput.value = value;
+  elements.typed.innerText = value;
+}
+
+// Helper: Echo a prompt line (plus optional output) without running anything
+function printLines(command, text) {
+  const commandRow = document.createElement("div");
+  commandRow.className = "output-cmd";
+  commandRow.textContent = `${elements.prompt.textContent} ${command}`;
+  elements.output.appendChild(commandRow);
+  if (text) {
+    const resultRow = document.createElement("div");
+    resultRow.className = "output-text";
+    resultRow.textContent = text;
+    elements.output.appendChild(resultRow);
+  }
+  elements.terminal.scrollTop = elements.terminal.scrollHeight;
+}
+
 // Execute the command string
-function executeCommand(rawInput) {
+async function executeCommand(rawInput) {
   const cleanInput = rawInput.trim();
   if (!cleanInput) return;
 
@@ -168,70 +2074,199 @@ function executeCommand(rawInput) {
   state.historyIndex = state.history.length;
 
   // Print the command line to history
-  const commandRow = document.createElement("div");
-  commandRow.className = "output-cmd";
-  commandRow.innerHTML = `${elements.prompt.innerHTML} ${cleanInput}`;
-  elements.output.appendChild(commandRow);
+  printLines(cleanInput);
 
-  // Parse command
-  const parts = cleanInput.split(" ");
-  const cmd = parts[0];
-  const args = parts.slice(1);
+  const resultRow = document.createElement("div");
+  resultRow.className = "output-text";
+  elements.output.appendChild(resultRow);
 
-  // Run command
-  if (commands[cmd]) {
-    const result = commands[cmd](args);
-    if (result !== null && result !== "") {
-      const resultRow = document.createElement("div");
-      resultRow.className = "output-text";
-      resultRow.innerHTML = result;
-      elements.output.appendChild(resultRow);
-    }
-  } else {
-    const errorRow = document.createElement("div");
-    errorRow.className = "output-text error";
-    errorRow.innerText = `Command not found: ${cmd}`;
-    elements.output.appendChild(errorRow);
-  }
+  // Hide the prompt while the command line runs
+  state.running = true;
+  elements.inputLine.classList.add("busy");
+  const screen = new AnsiScreen(resultRow);
+  await runCommandLine(cleanInput, {
+    stdout: new TerminalWriter(screen),
+    stderr: new TerminalWriter(screen, "31"),
+  });
+  state.running = false;
+  elements.inputLine.classList.remove("busy");
+  if (!resultRow.textContent) resultRow.remove();
+  saveSession();
 
   // Auto scroll
   elements.terminal.scrollTop = elements.terminal.scrollHeight;
 }
 
+// Tab completion: command names in command position, VFS paths elsewhere
+function completeInput() {
+  const value = elements.hiddenInput.value;
+  const word = value.match(/(?:\\.|[^\s|;&<>])*$/)[0];
+  const before = value.slice(0, value.length - word.length);
+  const raw = word.replace(/\\(.)/g, "$1");
+  const escape = (text) => text.replace(/[\s'"\\|;&<>$*?[\]#]/g, "\\$&");
+
+  let candidates;
+  if (/(^|[|;&])\s*$/.test(before) && !raw.includes("/")) {
+    candidates = Object.keys(commands)
+      .filter((name) => name.startsWith(raw))
+      .sort()
+      .map((name) => ({ label: name, text: name, suffix: " " }));
+  } else {
+    const dirPart = raw.slice(0, raw.lastIndexOf("/") + 1);
+    const prefix = raw.slice(dirPart.length);
+    const dir = resolvePath(
+      parsePath(dirPart.replace(/^~(?=\/|$)/, state.env.HOME) || "."),
+    );
+    if (!isDirectory(dir)) return;
+    candidates = Object.keys(dir)
+      .filter((name) => name.startsWith(prefix))
+      .filter((name) => prefix.startsWith(".") || !name.startsWith("."))
+      .sort()
+      .map((name) => {
+        const suffix = isDirectory(dir[name]) ? "/" : " ";
+        return { label: name + suffix.trim(), text: dirPart + name, suffix };
+      });
+  }
+  if (!candidates.length) return;
+
+  if (candidates.length === 1) {
+    const [only] = candidates;
+    setInput(before + escape(only.text) + only.suffix);
+    return;
+  }
+  // Extend to the longest common prefix, or list the options (like a double Tab)
+  let common = candidates[0].text;
+  candidates.forEach(({ text }) => {
+    while (!text.startsWith(common)) common = common.slice(0, -1);
+  });
+  if (common.length > raw.length) {
+    setInput(before + escape(common));
+  } else {
+    printLines(value, candidates.map((c) => c.label).join("  "));
+  }
+}
+
+// Ctrl+R reverse history search. While active, the hidden input holds the query.
+function searchHistory(older) {
+  const search = state.search;
+  const start = older ? search.index : state.history.length;
+  let found = -1;
+  if (search.query) {
+    for (let i = start - 1; i >= 0; i--) {
+      if (state.history[i].includes(search.query)) {
+        found = i;
+        break;
+      }
+    }
+  }
+  if (found !== -1) {
+    search.index = found;
+    search.match = state.history[found];
+  }
+  search.failed = !!search.query && found === -1;
+  elements.prompt.innerText = `(${search.failed ? "failed " : ""}reverse-i-search)\`${search.query}':`;
+  elements.typed.innerText = search.match;
+}
+
+function startSearch() {
+  state.search = {
+    query: "",
+    index: state.history.length,
+    match: "",
+    failed: false,
+    saved: elements.hiddenInput.value,
+  };
+  elements.hiddenInput.value = "";
+  searchHistory(false);
+}
+
+// Accepting puts the match on the command line; cancelling restores the input
+function endSearch(accept) {
+  const { match, saved } = state.search;
+  state.search = null;
+  updatePrompt();
+  setInput(accept && match ? match : saved);
+}
+
 // Sync hidden input with visible cursor
 elements.hiddenInput.addEventListener("input", (e) => {
+  if (state.search) {
+    state.search.query = elements.hiddenInput.value;
+    searchHistory(false);
+    return;
+  }
   elements.typed.innerText = elements.hiddenInput.value;
 });
 
-// Keydown Logic (Enter, Up, Down)
+// Keydown Logic (Enter, Up, Down, Tab, Ctrl+R)
 elements.hiddenInput.addEventListener("keydown", (e) => {
+  if (state.running) {
+    e.preventDefault();
+    if (e.ctrlKey && e.key.toLowerCase() === "c") {
+      state.interrupts.forEach((interrupt) => interrupt());
+    }
+    return;
+  }
+
+  if (state.search) {
+    if (e.ctrlKey && e.key.toLowerCase() === "r") {
+      e.preventDefault();
+      searchHistory(true);
+      return;
+    }
+    if (e.key === "Escape" || (e.ctrlKey && e.key.toLowerCase() === "g")) {
+      e.preventDefault();
+      endSearch(false);
+      return;
+    }
+    if (e.key === "Enter") {
+      endSearch(true); // then run it below
+    } else if (
+      ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Tab"].includes(e.key)
+    ) {
+      e.preventDefault();
+      endSearch(true);
+      return;
+    } else {
+      return;
+    }
+  }
+
   if (e.key === "Enter") {
     const input = elements.hiddenInput.value;
     executeCommand(input);
-    elements.hiddenInput.value = ""; // Clear input
-    elements.typed.innerText = "";
+    setInput(""); // Clear input
+  } else if (e.key === "Tab") {
+    e.preventDefault();
+    completeInput();
+  } else if (e.ctrlKey && e.key.toLowerCase() === "r") {
+    e.preventDefault(); // Not a page reload
+    startSearch();
   } else if (e.key === "ArrowUp") {
     e.preventDefault();
     if (state.historyIndex > 0) {
       state.historyIndex--;
-      const historyCmd = state.history[state.historyIndex];
-      elements.hiddenInput.value = historyCmd;
-      elements.typed.innerText = historyCmd;
+      setInput(state.history[state.historyIndex]);
     }
   } else if (e.key === "ArrowDown") {
     e.preventDefault();
     if (state.historyIndex < state.history.length - 1) {
       state.historyIndex++;
-      const historyCmd = state.history[state.historyIndex];
-      elements.hiddenInput.value = historyCmd;
-      elements.typed.innerText = historyCmd;
+      setInput(state.history[state.historyIndex]);
     } else {
       state.historyIndex = state.history.length;
-      elements.hiddenInput.value = "";
-      elements.typed.innerText = "";
+      setInput("");
     }
   }
 });
 
-// Initialize
+// Initialize: restore the saved session before accepting input
 updatePrompt();
+(async () => {
+  state.running = true;
+  elements.inputLine.classList.add("busy");
+  await loadSession();
+  state.running = false;
+  elements.inputLine.classList.remove("busy");
+  updatePrompt();
+})();
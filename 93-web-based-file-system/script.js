@@ -42,21 +42,53 @@ const fileSystem = {
 // 2. App State
 let currentPath = ["root"]; // Breadcrumb stack
 let viewMode = "grid"; // 'grid' or 'list'
-let selectedItem = null; // Name of selected item
+let selectedItems = new Set(); // Selected item objects in the current folder
+let selectionAnchor = null; // Item a Shift+Click range starts from
 let contextTarget = null; // Name of item right-clicked
+let clipboard = null; // { mode: 'cut' | 'copy', folder, items }
+let dragItems = []; // Items being dragged
+
+// 3. History: every change is an action { label, redo(), undo() }
+const undoStack = [];
+const redoStack = [];
 
 /* --- VFS CORE HELPERS --- */
 
-// Traverses the fileSystem object based on currentPath array
-function getCurrentFolder() {
+// Traverses the fileSystem object based on a path array
+function getFolder(path) {
   let node = fileSystem;
   // We skip index 0 because it's 'root', and our 'node' starts at root
-  for (let i = 1; i < currentPath.length; i++) {
-    node = node.children.find((child) => child.name === currentPath[i]);
+  for (let i = 1; i < path.length && node; i++) {
+    node = node.children.find((child) => child.name === path[i]);
   }
   return node;
 }
 
+function getCurrentFolder() {
+  // Undo can rename or move a folder we are inside of; fall back to the deepest one left
+  while (!getFolder(currentPath)) currentPath.pop();
+  return getFolder(currentPath);
+}
+
+// Adds " (1)", " (2)"... until the name is free in the folder
+function uniqueName(folder, baseName) {
+  let name = baseName;
+  let counter = 1;
+  while (folder.children.find((c) => c.name === name)) {
+    name = `${baseName} (${counter++})`;
+  }
+  return name;
+}
+
+// True if `folder` is `item` itself or somewhere inside it
+function isInside(folder, item) {
+  if (folder === item) return true;
+  return (item.children || []).some((child) => isInside(folder, child));
+}
+
+const describe = (items) =>
+  items.length === 1 ? `"${items[0].name}"` : `${items.length} items`;
+
 function findItemInCurrentFolder(name) {
   const folder = getCurrentFolder();
   return folder.children.find((child) => child.name === name);
@@ -66,6 +98,11 @@ function findItemInCurrentFolder(name) {
 
 const viewport = document.getElementById("viewport");
 const breadcrumbsEl = document.getElementById("breadcrumbs");
+const btnCut = document.getElementById("btn-cut");
+const btnCopy = document.getElementById("btn-copy");
+const btnPaste = document.getElementById("btn-paste");
+const btnUndo = document.getElementById("btn-undo");
+const btnRedo = document.getElementById("btn-redo");
 
 function render() {
   const folder = getCurrentFolder();
@@ -77,6 +114,10 @@ function render() {
     span.className = "breadcrumb-item";
     span.textContent = step;
     span.onclick = () => navigateToPathIndex(index);
+    // Every folder above the current one is a drop target
+    if (index < currentPath.length - 1) {
+      addDropTarget(span, () => getFolder(currentPath.slice(0, index + 1)));
+    }
 
     breadcrumbsEl.appendChild(span);
     if (index < currentPath.length - 1) {
@@ -87,7 +128,19 @@ function render() {
     }
   });
 
-  // 2. Render Viewport
+  // 2. Toolbar state
+  btnCut.disabled = btnCopy.disabled = selectedItems.size === 0;
+  btnPaste.disabled = !clipboard;
+  [
+    [btnUndo, undoStack, "Undo"],
+    [btnRedo, redoStack, "Redo"],
+  ].forEach(([button, stack, verb]) => {
+    const action = stack[stack.length - 1];
+    button.disabled = !action;
+    button.title = action ? `${verb} ${action.label}` : verb;
+  });
+
+  // 3. Render Viewport
   viewport.innerHTML = "";
   viewport.className = `viewport ${viewMode}-view`;
 
@@ -100,9 +153,13 @@ function render() {
   folder.children.forEach((item) => {
     const el = document.createElement("div");
     el.className = "file-item";
-    if (selectedItem === item.name) el.classList.add("selected");
+    if (selectedItems.has(item)) el.classList.add("selected");
+    if (clipboard?.mode === "cut" && clipboard.items.includes(item)) {
+      el.classList.add("cut");
+    }
     el.dataset.name = item.name;
     el.dataset.type = item.type;
+    el.draggable = true;
 
     const icon = item.type === "folder" ? "📁" : "📄";
 
@@ -114,10 +171,13 @@ function render() {
             <div class="meta">${item.modified || "-"}</div>
         `;
 
-    // Event: Select on click
+    // Event: Select on click (Ctrl/Cmd toggles, Shift selects a range)
     el.onclick = (e) => {
       e.stopPropagation();
-      selectItem(item.name);
+      selectItem(item.name, {
+        toggle: e.ctrlKey || e.metaKey,
+        range: e.shiftKey,
+      });
     };
 
     // Event: Double click to open
@@ -126,28 +186,113 @@ function render() {
       openItem(item);
     };
 
+    // Event: Drag to move (folders accept drops)
+    el.ondragstart = (e) => startDrag(e, item);
+    el.ondragend = endDrag;
+    if (item.type === "folder") addDropTarget(el, () => item);
+
     viewport.appendChild(el);
   });
 }
 
+/* --- HISTORY (UNDO / REDO) --- */
+
+// Runs an action and records it; a new action discards the redo stack
+function perform(action) {
+  action.redo();
+  undoStack.push(action);
+  redoStack.length = 0;
+  render();
+}
+
+function undo() {
+  const action = undoStack.pop();
+  if (!action) return;
+  action.undo();
+  redoStack.push(action);
+  clearSelection();
+  render();
+}
+
+function redo() {
+  const action = redoStack.pop();
+  if (!action) return;
+  action.redo();
+  undoStack.push(action);
+  clearSelection();
+  render();
+}
+
+// Removes items from a folder, remembering where they were so undo can put them back
+function removeItems(folder, items) {
+  return items
+    .map((item) => ({ item, index: folder.children.indexOf(item) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map((entry) => {
+      folder.children.splice(folder.children.indexOf(entry.item), 1);
+      return entry;
+    });
+}
+
+function restoreItems(folder, entries) {
+  entries.forEach(({ item, index }) => folder.children.splice(index, 0, item));
+}
+
 /* --- ACTIONS & NAVIGATION --- */
 
-function selectItem(name) {
-  selectedItem = name;
+function clearSelection() {
+  selectedItems = new Set();
+  selectionAnchor = null;
+}
+
+function selectItem(name, { toggle = false, range = false } = {}) {
+  const folder = getCurrentFolder();
+  const item = folder.children.find((c) => c.name === name);
+  if (!item) return;
+
+  if (range && selectionAnchor && folder.children.includes(selectionAnchor)) {
+    // Everything between the anchor and the clicked item, in display order
+    const [from, to] = [
+      folder.children.indexOf(selectionAnchor),
+      folder.children.indexOf(item),
+    ].sort((a, b) => a - b);
+    if (!toggle) selectedItems = new Set();
+    folder.children
+      .slice(from, to + 1)
+      .forEach((child) => selectedItems.add(child));
+  } else if (toggle) {
+    if (selectedItems.has(item)) selectedItems.delete(item);
+    else selectedItems.add(item);
+    selectionAnchor = item;
+  } else {
+    selectedItems = new Set([item]);
+    selectionAnchor = item;
+  }
+  render();
+}
+
+function selectAll() {
+  selectedItems = new Set(getCurrentFolder().children);
   render();
 }
 
+// Selected items in folder order
+function getSelection() {
+  return getCurrentFolder().children.filter((c) => selectedItems.has(c));
+}
+
 function navigateToPathIndex(index) {
   // Slice path back to index
   currentPath = currentPath.slice(0, index + 1);
-  selectedItem = null;
+  clearSelection();
   render();
 }
 
 function openItem(item) {
   if (item.type === "folder") {
     currentPath.push(item.name);
-    selectedItem = null;
+    clearSelection();
     render();
   } else {
     openFileModal(item);
@@ -157,31 +302,33 @@ function openItem(item) {
 function createItem(type) {
   const folder = getCurrentFolder();
   const baseName = type === "folder" ? "New Folder" : "New File.txt";
-  let name = baseName;
-  let counter = 1;
-
-  // Handle duplicates
-  while (folder.children.find((c) => c.name === name)) {
-    name = `${baseName} (${counter++})`;
-  }
 
   const newItem = {
-    name: name,
+    name: uniqueName(folder, baseName),
     type: type,
     modified: new Date().toISOString().split("T")[0],
     children: type === "folder" ? [] : undefined,
     content: type === "file" ? "" : undefined,
   };
 
-  folder.children.push(newItem);
-  render();
+  perform({
+    label: `New ${type === "folder" ? "Folder" : "File"}`,
+    redo: () => folder.children.push(newItem),
+    undo: () => removeItems(folder, [newItem]),
+  });
 }
 
-function deleteItem(name) {
+function deleteItems(items) {
+  if (!items.length) return;
   const folder = getCurrentFolder();
-  folder.children = folder.children.filter((child) => child.name !== name);
-  selectedItem = null;
-  render();
+  let removed = [];
+
+  clearSelection();
+  perform({
+    label: `Delete ${describe(items)}`,
+    redo: () => (removed = removeItems(folder, items)),
+    undo: () => restoreItems(folder, removed),
+  });
 }
 
 function renameItem(oldName) {
@@ -196,9 +343,123 @@ function renameItem(oldName) {
       alert("A file with that name already exists.");
       return;
     }
-    item.name = newName;
+    perform({
+      label: `Rename "${oldName}"`,
+      redo: () => (item.name = newName),
+      undo: () => (item.name = oldName),
+    });
+  }
+}
+
+// Moves items into another folder; a clashing name gets a " (1)" suffix
+function moveItems(items, from, to) {
+  items = items.filter((item) => from.children.includes(item));
+  if (!items.length || from === to) return false;
+  if (items.some((item) => isInside(to, item))) {
+    alert("Cannot move a folder into itself.");
+    return false;
+  }
+
+  const names = items.map((item) => item.name);
+  let removed = [];
+  perform({
+    label: `Move ${describe(items)}`,
+    redo: () => {
+      removed = removeItems(from, items);
+      items.forEach((item) => {
+        item.name = uniqueName(to, item.name);
+        to.children.push(item);
+      });
+    },
+    undo: () => {
+      removeItems(to, items);
+      items.forEach((item, i) => (item.name = names[i]));
+      restoreItems(from, removed);
+    },
+  });
+  return true;
+}
+
+/* --- CLIPBOARD --- */
+
+function copySelection(mode) {
+  const items = getSelection();
+  if (!items.length) return;
+  clipboard = { mode, folder: getCurrentFolder(), items };
+  render();
+}
+
+// Cut items are moved (once); copied items are duplicated and can be pasted again
+function paste() {
+  if (!clipboard) return;
+  const target = getCurrentFolder();
+
+  if (clipboard.mode === "cut") {
+    const { folder, items } = clipboard;
+    if (moveItems(items, folder, target)) clipboard = null;
     render();
+    return;
   }
+
+  const copies = clipboard.items.map((item) => {
+    const copy = structuredClone(item);
+    copy.name = uniqueName(target, item.name);
+    return copy;
+  });
+  perform({
+    label: `Paste ${describe(copies)}`,
+    redo: () => target.children.push(...copies),
+    undo: () => removeItems(target, copies),
+  });
+}
+
+/* --- DRAG & DROP --- */
+
+function startDrag(e, item) {
+  // Dragging an unselected item drags just that item
+  if (!selectedItems.has(item)) {
+    selectedItems = new Set([item]);
+    selectionAnchor = item;
+    viewport.querySelectorAll(".file-item").forEach((el) => {
+      el.classList.toggle("selected", el.dataset.name === item.name);
+    });
+  }
+  dragItems = getSelection();
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData("text/plain", dragItems.map((i) => i.name).join("\n"));
+}
+
+function endDrag() {
+  dragItems = [];
+  document
+    .querySelectorAll(".drop-target")
+    .forEach((el) => el.classList.remove("drop-target"));
+}
+
+// `getTarget` runs on every event, so the target is looked up fresh
+function addDropTarget(el, getTarget) {
+  const accepts = () => {
+    const target = getTarget();
+    return dragItems.length > 0 && !dragItems.some((i) => isInside(target, i));
+  };
+
+  el.addEventListener("dragover", (e) => {
+    if (!accepts()) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    el.classList.add("drop-target");
+  });
+  el.addEventListener("dragleave", () => el.classList.remove("drop-target"));
+  el.addEventListener("drop", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (accepts()) {
+      const items = dragItems;
+      endDrag();
+      clearSelection();
+      moveItems(items, getCurrentFolder(), getTarget());
+    }
+  });
 }
 
 /* --- CONTEXT MENU LOGIC --- */
@@ -220,25 +481,26 @@ viewport.addEventListener("contextmenu", (e) => {
   if (fileItem) {
     // Clicked on a file/folder
     contextTarget = fileItem.dataset.name;
-    selectItem(contextTarget); // Auto-select on right click
-
-    // Show file-specific options
-    document.getElementById("ctx-open").style.display = "block";
-    document.getElementById("ctx-rename").style.display = "block";
-    document.getElementById("ctx-delete").style.display = "block";
+    // Auto-select on right click, keeping a selection the item is part of
+    const item = findItemInCurrentFolder(contextTarget);
+    if (!selectedItems.has(item)) selectItem(contextTarget);
   } else {
     // Clicked on empty white space
     contextTarget = null;
-    selectedItem = null;
+    clearSelection();
     render(); // clear selection
-
-    // Show generic options (e.g. only New Folder - streamlined for demo)
-    // For this demo, we'll hide specific file ops
-    document.getElementById("ctx-open").style.display = "none";
-    document.getElementById("ctx-rename").style.display = "none";
-    document.getElementById("ctx-delete").style.display = "none";
   }
 
+  // File-specific options only for items; Paste only with something to paste
+  ["ctx-open", "ctx-rename", "ctx-cut", "ctx-copy", "ctx-delete"].forEach(
+    (id) => {
+      document.getElementById(id).style.display = fileItem ? "block" : "none";
+    },
+  );
+  document.getElementById("ctx-paste").style.display = clipboard
+    ? "block"
+    : "none";
+
   // Position Menu
   const { clientX: mouseX, clientY: mouseY } = e;
   ctxMenu.style.top = `${mouseY}px`;
@@ -251,8 +513,11 @@ document.getElementById("ctx-open").onclick = () => {
   if (contextTarget) openItem(findItemInCurrentFolder(contextTarget));
 };
 document.getElementById("ctx-delete").onclick = () => {
-  if (contextTarget) deleteItem(contextTarget);
+  if (contextTarget) deleteItems(getSelection());
 };
+document.getElementById("ctx-cut").onclick = () => copySelection("cut");
+document.getElementById("ctx-copy").onclick = () => copySelection("copy");
+document.getElementById("ctx-paste").onclick = paste;
 document.getElementById("ctx-rename").onclick = () => {
   if (contextTarget) renameItem(contextTarget);
 };
@@ -262,6 +527,11 @@ document.getElementById("ctx-rename").onclick = () => {
 // Toolbar Buttons
 document.getElementById("btn-new-folder").onclick = () => createItem("folder");
 document.getElementById("btn-new-file").onclick = () => createItem("file");
+btnCut.onclick = () => copySelection("cut");
+btnCopy.onclick = () => copySelection("copy");
+btnPaste.onclick = paste;
+btnUndo.onclick = undo;
+btnRedo.onclick = redo;
 
 // View Toggles
 document.getElementById("btn-grid").onclick = function () {
@@ -298,10 +568,33 @@ modal.onclick = (e) => {
 // Deselect on empty space click
 viewport.onclick = (e) => {
   if (e.target === viewport) {
-    selectedItem = null;
+    clearSelection();
     render();
   }
 };
 
+// Keyboard Shortcuts (Ctrl or Cmd)
+document.addEventListener("keydown", (e) => {
+  if (!modal.classList.contains("hidden")) return;
+  const key = e.key.toLowerCase();
+  const mod = e.ctrlKey || e.metaKey;
+  // Leave copy and select all to the page unless the files are in use
+  const active =
+    viewport.contains(document.activeElement) || selectedItems.size > 0;
+
+  if (mod && key === "z" && !e.shiftKey) undo();
+  else if (mod && (key === "y" || (key === "z" && e.shiftKey))) redo();
+  else if (mod && key === "x" && active) copySelection("cut");
+  else if (mod && key === "c" && active) copySelection("copy");
+  else if (mod && key === "v") paste();
+  else if (mod && key === "a" && active) selectAll();
+  else if (e.key === "Delete") deleteItems(getSelection());
+  else if (e.key === "Escape") {
+    clearSelection();
+    render();
+  } else return;
+  e.preventDefault();
+});
+
 /* --- INIT --- */
 render();
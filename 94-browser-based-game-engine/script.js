@@ -3,18 +3,263 @@
    ========================================= */
 
 /**
- * Handles keyboard state.
- * Decouples DOM events from the Game Loop.
+ * Named actions and the inputs bound to them.
+ * Bindings are strings: "key:<code>", "mouse:<button>",
+ * "pad:<button>" or "pad:axis<index><+|->" (standard gamepad mapping).
+ */
+const DEFAULT_BINDINGS = {
+  up: ["key:ArrowUp", "key:KeyW", "pad:12", "pad:axis1-"],
+  down: ["key:ArrowDown", "key:KeyS", "pad:13", "pad:axis1+"],
+  left: ["key:ArrowLeft", "key:KeyA", "pad:14", "pad:axis0-"],
+  right: ["key:ArrowRight", "key:KeyD", "pad:15", "pad:axis0+"],
+  jump: ["key:Space", "mouse:0", "pad:0"],
+  confirm: ["key:Enter", "pad:9"],
+  restart: ["key:KeyR", "pad:8"],
+  back: ["key:Escape", "pad:1"],
+  benchmark: ["key:KeyB", "pad:3"],
+  controls: ["key:KeyC", "pad:8"],
+  record: ["key:F9"],
+  replay: ["key:F10"],
+  pause: ["key:KeyP"],
+  step: ["key:Period"],
+};
+
+// Session controls: always read live, never recorded or replayed
+const META_ACTIONS = ["record", "replay", "pause", "step"];
+const BINDINGS_KEY = "micro-engine-bindings";
+const REPLAY_KEY = "micro-engine-replay";
+const AXIS_DEADZONE = 0.25;
+
+/**
+ * Maps keyboard, mouse and gamepad state to named actions.
+ * Devices are sampled once per frame in beginFrame(); the game then reads
+ * actions through isDown/value/wasPressed. A frame can be fed from a
+ * recording instead of the devices (see setFrame), which is what makes
+ * replays deterministic.
  */
 class InputHandler {
-  constructor() {
+  constructor(target = window) {
     this.keys = {};
-    window.addEventListener("keydown", (e) => (this.keys[e.code] = true));
+    this.buttons = {};
+    this.tapped = new Set(); // Inputs that went down since the last sample
+    this.bindings = InputHandler.loadBindings();
+    this.live = {}; // action -> value (0..1), sampled from devices
+    this.prevLive = {};
+    this.state = {}; // action -> value for the current game frame
+    this.prev = {};
+    this.capture = null; // Resolver while waiting for a new binding
+    this.padHeld = new Set();
+
+    window.addEventListener("keydown", (e) => {
+      if (this._captured(`key:${e.code}`)) return e.preventDefault();
+      if (!this.keys[e.code]) this.tapped.add(`key:${e.code}`);
+      this.keys[e.code] = true;
+      if (this._isBound(`key:${e.code}`)) e.preventDefault();
+    });
     window.addEventListener("keyup", (e) => (this.keys[e.code] = false));
+    target.addEventListener("mousedown", (e) => {
+      if (this._captured(`mouse:${e.button}`)) return;
+      this.tapped.add(`mouse:${e.button}`);
+      this.buttons[e.button] = true;
+    });
+    window.addEventListener("mouseup", (e) => (this.buttons[e.button] = false));
+    // Released keys never fire keyup once the window loses focus
+    window.addEventListener("blur", () => {
+      this.keys = {};
+      this.buttons = {};
+    });
+  }
+
+  static loadBindings() {
+    const bindings = structuredClone(DEFAULT_BINDINGS);
+    try {
+      const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY)) || {};
+      for (const [action, list] of Object.entries(saved)) {
+        const valid =
+          Array.isArray(list) && list.every((b) => typeof b === "string");
+        if (Object.hasOwn(bindings, action) && valid) bindings[action] = list;
+      }
+    } catch {
+      // Corrupt settings fall back to the defaults
+    }
+    return bindings;
+  }
+
+  saveBindings() {
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(this.bindings));
+  }
+
+  rebind(action, list) {
+    if (!(action in this.bindings))
+      throw new Error(`Unknown action: ${action}`);
+    this.bindings[action] = list;
+    this.saveBindings();
+  }
+
+  resetBindings() {
+    this.bindings = structuredClone(DEFAULT_BINDINGS);
+    localStorage.removeItem(BINDINGS_KEY);
+  }
+
+  // Resolves with the binding string of the next key, click or pad input
+  captureNext() {
+    this.cancelCapture();
+    return new Promise((resolve) => (this.capture = resolve));
+  }
+
+  cancelCapture() {
+    this.capture?.(null);
+    this.capture = null;
+  }
+
+  _captured(binding) {
+    if (!this.capture) return false;
+    const resolve = this.capture;
+    this.capture = null;
+    resolve(binding);
+    return true;
+  }
+
+  _isBound(binding) {
+    return Object.values(this.bindings).some((list) => list.includes(binding));
+  }
+
+  _pads() {
+    return [...(navigator.getGamepads?.() || [])].filter(Boolean);
+  }
+
+  // Value of one binding: 0 or 1 for buttons, analog magnitude for axes
+  _read(binding, pads) {
+    const [device, id] = binding.split(":");
+    if (device === "key") {
+      return this.keys[id] || this.tapped.has(binding) ? 1 : 0;
+    }
+    if (device === "mouse") {
+      return this.buttons[id] || this.tapped.has(binding) ? 1 : 0;
+    }
+    let best = 0;
+    const axis = id.match(/^axis(\d+)([+-])$/);
+    for (const pad of pads) {
+      if (axis) {
+        const v = (pad.axes[axis[1]] || 0) * (axis[2] === "-" ? -1 : 1);
+        if (v > AXIS_DEADZONE) best = Math.max(best, v);
+      } else if (pad.buttons[id]?.pressed) {
+        best = 1;
+      }
+    }
+    return best;
+  }
+
+  // Every pad button and stick direction currently held, as bindings
+  _padBindings(pads) {
+    const held = [];
+    for (const pad of pads) {
+      pad.buttons.forEach((b, i) => b.pressed && held.push(`pad:${i}`));
+      pad.axes.forEach((v, i) => {
+        if (Math.abs(v) > 0.5) held.push(`pad:axis${i}${v < 0 ? "-" : "+"}`);
+      });
+    }
+    return held;
+  }
+
+  // Sample every device once; call at the top of each frame
+  beginFrame() {
+    const pads = this._pads();
+    // Pads have no events, so a new binding is whatever went down since last frame
+    const held = this._padBindings(pads);
+    const fresh = held.find((b) => !this.padHeld.has(b));
+    this.padHeld = new Set(held);
+    if (fresh) this._captured(fresh);
+
+    this.prevLive = this.live;
+    this.live = {};
+    for (const [action, list] of Object.entries(this.bindings)) {
+      const value = Math.max(0, ...list.map((b) => this._read(b, pads)));
+      if (value) this.live[action] = value;
+    }
+    this.tapped.clear();
+  }
+
+  /**
+   * Advances gameplay input by one frame, either from the live devices or
+   * from a recorded snapshot. Frames the game skips (e.g. a paused replay)
+   * simply don't call this, so edge detection stays frame-accurate.
+   */
+  setFrame(snapshot = null) {
+    this.prev = this.state;
+    if (snapshot) {
+      this.state = { ...snapshot };
+    } else {
+      this.state = {};
+      for (const [action, value] of Object.entries(this.live)) {
+        if (!META_ACTIONS.includes(action)) this.state[action] = value;
+      }
+    }
+  }
+
+  // Gameplay actions for the current frame, as stored in recordings
+  snapshot() {
+    return { ...this.state };
+  }
+
+  _source(action) {
+    return META_ACTIONS.includes(action)
+      ? [this.live, this.prevLive]
+      : [this.state, this.prev];
+  }
+
+  value(action) {
+    return this._source(action)[0][action] || 0;
+  }
+
+  isDown(action) {
+    return this.value(action) > 0;
+  }
+
+  // True only on the first frame an action is held (menus, toggles)
+  wasPressed(action) {
+    const [now, before] = this._source(action);
+    return !!now[action] && !before[action];
+  }
+
+  // Human readable label for the controls screen
+  static describe(binding) {
+    const [device, id] = binding.split(":");
+    if (device === "key") return id.replace(/^(Key|Digit)/, "");
+    if (device === "mouse")
+      return ["Left Click", "Middle Click", "Right Click"][id] || `Mouse ${id}`;
+    const axis = id.match(/^axis(\d+)([+-])$/);
+    return axis ? `Pad Axis ${axis[1]}${axis[2]}` : `Pad ${id}`;
+  }
+}
+
+/**
+ * A recorded session: the level it started on plus one input snapshot and
+ * delta time per frame. Replaying the same frames through the same level
+ * reproduces the run exactly, independent of the display's frame rate.
+ */
+class InputRecording {
+  constructor({ level, progress, frames = [] }) {
+    this.version = 1;
+    this.level = level;
+    this.progress = progress;
+    this.frames = frames;
   }
 
-  isDown(code) {
-    return !!this.keys[code];
+  static parse(text) {
+    const data = JSON.parse(text);
+    if (data.version !== 1 || !data.level || !Array.isArray(data.frames)) {
+      throw new Error("Not a Micro Engine input recording");
+    }
+    return new InputRecording(data);
+  }
+
+  push(dt, snapshot) {
+    this.frames.push({ dt, input: snapshot });
+  }
+
+  get duration() {
+    return this.frames.reduce((sum, f) => sum + f.dt, 0);
   }
 }
 
@@ -33,6 +278,36 @@ class Physics {
     );
   }
 
+  /**
+   * Swept AABB: when does box `a` moving by (dx, dy) first touch box `b`?
+   * Returns { time: 0..1, nx, ny } (surface normal) or null if it doesn't.
+   * Boxes that already overlap are ignored so bodies can move out of them.
+   */
+  static sweep(a, dx, dy, b) {
+    const axis = (aPos, aSize, d, bPos, bSize) => {
+      if (d === 0) {
+        // No motion on this axis: must already overlap on it
+        const overlap = aPos < bPos + bSize && aPos + aSize > bPos;
+        return overlap ? [-Infinity, Infinity] : null;
+      }
+      const near = d > 0 ? bPos - (aPos + aSize) : bPos + bSize - aPos;
+      const far = d > 0 ? bPos + bSize - aPos : bPos - (aPos + aSize);
+      return [near / d, far / d];
+    };
+
+    const x = axis(a.x, a.width, dx, b.x, b.width);
+    const y = axis(a.y, a.height, dy, b.y, b.height);
+    if (!x || !y) return null;
+
+    const entry = Math.max(x[0], y[0]);
+    const exit = Math.min(x[1], y[1]);
+    if (entry > exit || entry < 0 || entry > 1) return null;
+
+    return x[0] > y[0]
+      ? { time: entry, nx: dx > 0 ? -1 : 1, ny: 0 }
+      : { time: entry, nx: 0, ny: dy > 0 ? -1 : 1 };
+  }
+
   // Helps center text or objects
   static center(obj, canvasWidth, canvasHeight) {
     obj.x = (canvasWidth - obj.width) / 2;
@@ -40,9 +315,252 @@ class Physics {
   }
 }
 
+/**
+ * Named collision layers (bit flags). A pair of colliders interacts only
+ * if each one's mask contains the other's layer.
+ */
+const COLLISION_LAYERS = {
+  default: 1,
+  player: 2,
+  wall: 4,
+  pickup: 8,
+  hazard: 16,
+  goal: 32,
+  body: 64,
+  sensor: 128,
+};
+
+/**
+ * Collision settings attached to a GameObject (obj.collider).
+ * - trigger: overlaps raise onTriggerEnter/onTriggerExit instead of blocking
+ * - dynamic: velocity is integrated by the PhysicsWorld with swept collision
+ */
+class Collider {
+  constructor({
+    layer = "default",
+    mask = Object.keys(COLLISION_LAYERS),
+    trigger = false,
+    dynamic = false,
+  } = {}) {
+    this.layer = Collider.bits([layer]);
+    this.mask = Collider.bits(mask);
+    this.trigger = trigger;
+    this.dynamic = dynamic;
+  }
+
+  static bits(names) {
+    return names.reduce((bits, name) => {
+      if (!(name in COLLISION_LAYERS)) {
+        throw new Error(`Unknown collision layer "${name}"`);
+      }
+      return bits | COLLISION_LAYERS[name];
+    }, 0);
+  }
+
+  canCollide(other) {
+    return (this.mask & other.layer) !== 0 && (other.mask & this.layer) !== 0;
+  }
+}
+
+/**
+ * Uniform grid broadphase. Objects are bucketed by the cells their bounds
+ * cover, so a query only looks at nearby objects instead of all of them.
+ */
+class SpatialHash {
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  // Packs cell coordinates into one number (valid for |cell| < 32768)
+  _key(cx, cy) {
+    return (cx + 32768) * 65536 + (cy + 32768);
+  }
+
+  _forEachCell(box, fn) {
+    const size = this.cellSize;
+    const x0 = Math.floor(box.x / size);
+    const y0 = Math.floor(box.y / size);
+    const x1 = Math.floor((box.x + box.width) / size);
+    const y1 = Math.floor((box.y + box.height) / size);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) fn(this._key(cx, cy));
+    }
+  }
+
+  insert(item, box) {
+    this._forEachCell(box, (key) => {
+      const cell = this.cells.get(key);
+      if (cell) cell.push(item);
+      else this.cells.set(key, [item]);
+    });
+  }
+
+  // Candidates near the box; callers still need a narrowphase test
+  query(box, out = new Set()) {
+    this._forEachCell(box, (key) => {
+      const cell = this.cells.get(key);
+      if (cell) for (const item of cell) out.add(item);
+    });
+    return out;
+  }
+}
+
+/**
+ * Per-scene collision system.
+ * Each step: moves dynamic bodies with swept AABB (no tunnelling), slides them
+ * along solids, then diffs trigger overlaps to raise enter/exit events.
+ * Every layer gets its own SpatialHash, so a query only visits layers in the
+ * collider's mask (5,000 bodies that ignore each other cost nothing).
+ *
+ * Callbacks on GameObjects (all optional):
+ *   onCollide(other, { nx, ny })  – a dynamic body hit a solid
+ *   onTriggerEnter(other) / onTriggerExit(other)
+ */
+class PhysicsWorld {
+  constructor({ cellSize = 64, bounds = null } = {}) {
+    this.cellSize = cellSize;
+    this.hashes = new Map(); // layer bit → SpatialHash
+    this.bounds = bounds; // Optional { x, y, width, height } dynamic bodies stay inside
+    this.overlaps = new Map(); // "idA:idB" → [a, b] trigger pairs from last step
+    this.stats = { colliders: 0, narrowphase: 0, pairs: 0, ms: 0 };
+  }
+
+  step(scene, dt) {
+    const start = performance.now();
+    this.stats.narrowphase = 0;
+
+    const colliders = [...scene.root.traverse()].filter((obj) => obj.collider);
+    this.stats.colliders = colliders.length;
+
+    // 1. Broadphase for solids at their start-of-step positions
+    this._rebuild(colliders);
+
+    // 2. Integrate dynamic bodies
+    colliders.forEach((obj) => {
+      if (obj.collider.dynamic) this._move(obj, obj.vx * dt, obj.vy * dt);
+    });
+
+    // 3. Trigger overlaps at end-of-step positions
+    this._rebuild(colliders);
+    this._updateTriggers(colliders);
+
+    this.stats.ms = performance.now() - start;
+  }
+
+  _rebuild(colliders) {
+    this.hashes.forEach((hash) => hash.clear());
+    colliders.forEach((obj) => {
+      const { layer } = obj.collider;
+      if (!this.hashes.has(layer)) {
+        this.hashes.set(layer, new SpatialHash(this.cellSize));
+      }
+      this.hashes.get(layer).insert(obj, obj.getBounds());
+    });
+  }
+
+  // Candidates near the box on any layer in the mask
+  _query(mask, box) {
+    const out = new Set();
+    this.hashes.forEach((hash, layer) => {
+      if (mask & layer) hash.query(box, out);
+    });
+    return out;
+  }
+
+  // Move by (dx, dy), stopping at the first solid hit and sliding along it
+  _move(obj, dx, dy) {
+    for (let iter = 0; iter < 3 && (dx || dy); iter++) {
+      const box = obj.getBounds();
+      const swept = {
+        x: Math.min(box.x, box.x + dx),
+        y: Math.min(box.y, box.y + dy),
+        width: box.width + Math.abs(dx),
+        height: box.height + Math.abs(dy),
+      };
+
+      let hit = null;
+      for (const other of this._query(obj.collider.mask, swept)) {
+        if (other === obj || other.collider.trigger) continue;
+        if (!obj.collider.canCollide(other.collider)) continue;
+        this.stats.narrowphase++;
+        const h = Physics.sweep(box, dx, dy, other.getBounds());
+        if (h && (!hit || h.time < hit.time)) hit = { ...h, other };
+      }
+
+      if (!hit) {
+        obj.x += dx;
+        obj.y += dy;
+        break;
+      }
+
+      obj.x += dx * hit.time;
+      obj.y += dy * hit.time;
+      // Keep the remaining motion that runs along the surface
+      const remaining = 1 - hit.time;
+      dx = hit.nx ? 0 : dx * remaining;
+      dy = hit.ny ? 0 : dy * remaining;
+      obj.onCollide?.(hit.other, { nx: hit.nx, ny: hit.ny });
+    }
+
+    if (this.bounds) {
+      const { x, y, width, height } = this.bounds;
+      obj.x = Math.max(x, Math.min(obj.x, x + width - obj.width));
+      obj.y = Math.max(y, Math.min(obj.y, y + height - obj.height));
+    }
+  }
+
+  // Objects whose trigger pairs with obj were overlapping after the last step
+  overlapping(obj) {
+    const result = [];
+    this.overlaps.forEach(([a, b]) => {
+      if (a === obj) result.push(b);
+      else if (b === obj) result.push(a);
+    });
+    return result;
+  }
+
+  _updateTriggers(colliders) {
+    const current = new Map();
+    colliders.forEach((trigger) => {
+      if (!trigger.collider.trigger) return;
+      const box = trigger.getBounds();
+      for (const other of this._query(trigger.collider.mask, box)) {
+        if (other === trigger) continue;
+        if (!trigger.collider.canCollide(other.collider)) continue;
+        this.stats.narrowphase++;
+        if (!Physics.checkCollision(box, other.getBounds())) continue;
+        const [a, b] =
+          trigger.id < other.id ? [trigger, other] : [other, trigger];
+        current.set(`${a.id}:${b.id}`, [a, b]);
+      }
+    });
+
+    current.forEach(([a, b], key) => {
+      if (this.overlaps.has(key)) return;
+      a.onTriggerEnter?.(b);
+      b.onTriggerEnter?.(a);
+    });
+    this.overlaps.forEach(([a, b], key) => {
+      if (current.has(key)) return;
+      a.onTriggerExit?.(b);
+      b.onTriggerExit?.(a);
+    });
+
+    this.overlaps = current;
+    this.stats.pairs = current.size;
+  }
+}
+
 /**
  * Base Entity Class.
  * All game objects inherit from this.
+ * Objects form a scene graph: x/y are relative to the parent, so children
+ * move along with it. Use worldX/worldY or getBounds() for world space.
  */
 class GameObject {
   constructor(x, y, width, height, color) {
@@ -54,308 +572,1539 @@ class GameObject {
     this.vx = 0;
     this.vy = 0;
     this.markedForDeletion = false;
+
+    this.id = GameObject.nextId++;
+    this.type = "object"; // Used by scenes to query entities
+    this.collider = null; // Collider, if the object takes part in physics
+    this.sprite = null; // Sprite, drawn instead of the flat color
+    this.parent = null;
+    this.children = [];
   }
 
-  update(dt) {
-    // Basic Euler integration
-    this.x += this.vx * dt;
-    this.y += this.vy * dt;
+  /* --- Scene Graph --- */
+
+  addChild(child) {
+    child.parent?.removeChild(child);
+    child.parent = this;
+    this.children.push(child);
+    return child;
   }
 
-  draw(ctx) {
-    ctx.fillStyle = this.color;
-    ctx.fillRect(this.x, this.y, this.width, this.height);
+  removeChild(child) {
+    this.children = this.children.filter((c) => c !== child);
+    child.parent = null;
   }
-}
 
-/* =========================================
-   REGION 2: GAME SPECIFIC LOGIC
-   ========================================= */
+  get worldX() {
+    return this.x + (this.parent ? this.parent.worldX : 0);
+  }
 
-class Player extends GameObject {
-  constructor(x, y) {
-    super(x, y, 30, 30, "#0ff"); // Cyan Player
-    this.speed = 300; // Pixels per second
+  get worldY() {
+    return this.y + (this.parent ? this.parent.worldY : 0);
   }
 
-  update(dt, input, walls, canvasWidth, canvasHeight) {
-    // 1. Reset Velocity
-    this.vx = 0;
-    this.vy = 0;
+  getBounds() {
+    return {
+      x: this.worldX,
+      y: this.worldY,
+      width: this.width,
+      height: this.height,
+    };
+  }
 
-    // 2. Handle Input
-    if (input.isDown("ArrowUp") || input.isDown("KeyW")) this.vy = -this.speed;
-    if (input.isDown("ArrowDown") || input.isDown("KeyS")) this.vy = this.speed;
-    if (input.isDown("ArrowLeft") || input.isDown("KeyA"))
-      this.vx = -this.speed;
-    if (input.isDown("ArrowRight") || input.isDown("KeyD"))
-      this.vx = this.speed;
+  // Depth-first walk over this object and all descendants
+  *traverse() {
+    yield this;
+    for (const child of this.children) yield* child.traverse();
+  }
 
-    // 3. Move & Resolve Collisions (Axis Separation)
+  /* --- Lifecycle --- */
 
-    // Move X
+  update(dt) {
+    // Dynamic bodies are moved by the PhysicsWorld instead
+    if (this.collider?.dynamic) return;
+    // Basic Euler integration
     this.x += this.vx * dt;
-    // Check Wall Collision X
-    for (const wall of walls) {
-      if (Physics.checkCollision(this, wall)) {
-        // Resolve X: If moving right, snap to left of wall, etc.
-        if (this.vx > 0) this.x = wall.x - this.width;
-        else if (this.vx < 0) this.x = wall.x + wall.width;
-      }
-    }
-
-    // Move Y
     this.y += this.vy * dt;
-    // Check Wall Collision Y
-    for (const wall of walls) {
-      if (Physics.checkCollision(this, wall)) {
-        // Resolve Y
-        if (this.vy > 0) this.y = wall.y - this.height;
-        else if (this.vy < 0) this.y = wall.y + wall.height;
-      }
-    }
+  }
 
-    // 4. Screen Bounds
-    this.x = Math.max(0, Math.min(this.x, canvasWidth - this.width));
-    this.y = Math.max(0, Math.min(this.y, canvasHeight - this.height));
+  updateTree(dt, scene) {
+    this.update(dt, scene);
+    this.sprite?.update(dt);
+    this.children.forEach((child) => child.updateTree(dt, scene));
+    this.children = this.children.filter((child) => !child.markedForDeletion);
   }
-}
 
-class Coin extends GameObject {
-  constructor(x, y) {
-    super(x, y, 15, 15, "#ffd700"); // Gold
-    this.timer = 0;
+  draw(ctx) {
+    if (this.sprite) {
+      this.sprite.draw(ctx, this.worldX, this.worldY, this.width, this.height);
+      return;
+    }
+    ctx.fillStyle = this.color;
+    ctx.fillRect(this.worldX, this.worldY, this.width, this.height);
   }
 
-  // Override update to add a simple visual pulse effect
-  update(dt) {
-    this.timer += dt * 5;
-    // Sine wave scaling effect
-    const scale = 1 + Math.sin(this.timer) * 0.2;
-    // Note: For collision to remain accurate, we don't change actual width/height,
-    // just visual drawing logic or centered offset.
-    // Keeping it simple for this demo.
+  // view: visible world rect; objects outside it are skipped (children still visited)
+  drawTree(ctx, view = null) {
+    const visible =
+      !view || !this.width || Physics.checkCollision(this.getBounds(), view);
+    if (visible) this.draw(ctx, view);
+    this.children.forEach((child) => child.drawTree(ctx, view));
   }
 }
 
+GameObject.nextId = 1;
+
 /**
- * Main Game Controller.
- * Manages states, loop, and high-level logic.
+ * Base Scene.
+ * Owns a root GameObject; subclasses override the lifecycle hooks.
  */
-class Game {
-  constructor(canvasId) {
-    this.canvas = document.getElementById(canvasId);
-    this.ctx = this.canvas.getContext("2d");
-    this.width = this.canvas.width;
-    this.height = this.canvas.height;
+class Scene {
+  constructor(game) {
+    this.game = game;
+    this.root = new GameObject(0, 0, 0, 0);
+    this.background = "#111";
+    this.physics = new PhysicsWorld({
+      bounds: { x: 0, y: 0, width: game.width, height: game.height },
+    });
+    this.camera = null; // Optional Camera for worlds larger than the canvas
+  }
 
-    this.input = new InputHandler();
-    this.lastTime = 0;
+  // Called once before the scene becomes active (may be async, e.g. fetching a level)
+  async load() {}
 
-    // Game State Enum
-    this.STATES = { MENU: 0, PLAYING: 1, GAMEOVER: 2 };
-    this.currentState = this.STATES.MENU;
+  // Called when the scene is replaced; release timers, listeners, etc.
+  unload() {
+    this.root.children = [];
+  }
 
-    // Entities
-    this.player = null;
-    this.walls = [];
-    this.coins = [];
+  add(obj, parent = this.root) {
+    return parent.addChild(obj);
+  }
 
-    this.score = 0;
-    this.fps = 0;
+  // All descendants of the given type ("wall", "coin", ...)
+  findAll(type) {
+    return [...this.root.traverse()].filter((obj) => obj.type === type);
+  }
 
-    // Bind loop
-    this.loop = this.loop.bind(this);
+  find(type) {
+    return this.findAll(type)[0] || null;
   }
 
-  init() {
-    this.resetGame();
-    requestAnimationFrame(this.loop);
+  update(dt) {
+    this.root.updateTree(dt, this);
+    this.physics.step(this, dt);
+    this.camera?.update(dt);
   }
 
-  resetGame() {
-    this.score = 0;
-    this.player = new Player(100, 100);
-    this.walls = [];
-    this.coins = [];
-
-    // Level Design (Simple Map)
-    // 5 random walls
-    for (let i = 0; i < 5; i++) {
-      this.walls.push(
-        new GameObject(
-          200 + Math.random() * 400,
-          100 + Math.random() * 400,
-          50 + Math.random() * 100,
-          20,
-          "#d32f2f", // Red Wall
-        ),
-      );
+  draw(ctx) {
+    if (!this.camera) {
+      this.root.drawTree(ctx);
+      return;
     }
+    this.camera.begin(ctx);
+    this.root.drawTree(ctx, this.camera.view);
+    this.camera.end(ctx);
+  }
+}
 
-    // Spawn Coins
-    this.spawnCoins(10);
+/**
+ * Switches between scenes with an optional fade transition.
+ * The outgoing scene keeps rendering while it fades out; the next one
+ * is loaded in the meantime so slow levels don't show a blank frame.
+ */
+class SceneManager {
+  constructor(game) {
+    this.game = game;
+    this.current = null;
+    this.transition = null; // { phase: "out" | "in", t, duration, next }
   }
 
-  spawnCoins(count) {
-    for (let i = 0; i < count; i++) {
-      let safe = false;
-      let c;
-      // Ensure coins don't spawn inside walls
-      while (!safe) {
-        c = new Coin(
-          Math.random() * (this.width - 50),
-          Math.random() * (this.height - 50),
-        );
-        safe = true;
-        for (let w of this.walls) {
-          if (Physics.checkCollision(c, w)) safe = false;
-        }
-      }
-      this.coins.push(c);
+  // Resolves true once the scene is in place, false if it failed to load
+  change(scene, { fade = 0.4 } = {}) {
+    // Ignore requests mid-transition
+    if (this.transition) return Promise.resolve(false);
+    const instant = !this.current || fade === 0;
+    if (!instant) {
+      this.transition = { phase: "out", t: 0, duration: fade, next: null };
     }
-  }
 
-  /* --- THE GAME LOOP --- */
-  loop(timestamp) {
-    // Calculate Delta Time (in seconds)
-    const dt = (timestamp - this.lastTime) / 1000;
-    this.lastTime = timestamp;
-    this.fps = Math.round(1 / dt);
+    return scene
+      .load()
+      .then(() => {
+        if (instant) this._swap(scene);
+        else this.transition.next = scene;
+        return true;
+      })
+      .catch((err) => {
+        console.error("Scene failed to load:", err);
+        if (!instant) this.transition = null;
+        return false;
+      });
+  }
 
-    // Clear Screen
-    this.ctx.fillStyle = "#111";
-    this.ctx.fillRect(0, 0, this.width, this.height);
-    this.drawGrid();
+  _swap(scene) {
+    this.current?.unload();
+    this.current = scene;
+  }
 
-    // State Machine
-    switch (this.currentState) {
-      case this.STATES.MENU:
-        this.updateMenu();
-        this.drawMenu();
-        break;
-      case this.STATES.PLAYING:
-        this.updatePlaying(dt);
-        this.drawPlaying();
-        break;
-      case this.STATES.GAMEOVER:
-        this.updateGameOver();
-        this.drawGameOver();
-        break;
+  update(dt) {
+    const tr = this.transition;
+    if (tr) {
+      tr.t += dt;
+      if (tr.phase === "out" && tr.t >= tr.duration && tr.next) {
+        this._swap(tr.next);
+        tr.phase = "in";
+        tr.t = 0;
+      } else if (tr.phase === "in" && tr.t >= tr.duration) {
+        this.transition = null;
+      }
+      // Freeze gameplay while fading out
+      if (tr.phase === "out") return;
     }
-
-    requestAnimationFrame(this.loop);
+    this.current?.update(dt);
   }
 
-  /* --- STATE LOGIC --- */
+  draw(ctx) {
+    this.current?.draw(ctx);
 
-  // MENU
-  updateMenu() {
-    if (this.input.isDown("Enter")) {
-      this.resetGame();
-      this.currentState = this.STATES.PLAYING;
+    const tr = this.transition;
+    if (tr) {
+      const progress = Math.min(tr.t / tr.duration, 1);
+      ctx.fillStyle = "#000";
+      ctx.globalAlpha = tr.phase === "out" ? progress : 1 - progress;
+      ctx.fillRect(0, 0, this.game.width, this.game.height);
+      ctx.globalAlpha = 1;
     }
   }
-  drawMenu() {
-    this.ctx.fillStyle = "white";
-    this.ctx.font = '30px "Courier New"';
-    this.ctx.textAlign = "center";
-    this.ctx.fillText(
-      "MICRO ENGINE DEMO",
-      this.width / 2,
-      this.height / 2 - 40,
-    );
-    this.ctx.font = '20px "Courier New"';
-    this.ctx.fillStyle = "#0ff";
-    this.ctx.fillText(
-      "Press ENTER to Start",
-      this.width / 2,
-      this.height / 2 + 20,
-    );
-    this.ctx.fillStyle = "#aaa";
-    this.ctx.fillText(
-      "Arrow Keys to Move",
-      this.width / 2,
-      this.height / 2 + 60,
-    );
-  }
-
-  // PLAYING
-  updatePlaying(dt) {
-    // Update Player (Passes dt, input, and walls for resolution)
-    this.player.update(dt, this.input, this.walls, this.width, this.height);
+}
 
-    // Update Coins
-    this.coins.forEach((c) => c.update(dt));
+/**
+ * Loads JSON level files at runtime.
+ *
+ * Format:
+ * {
+ *   "name": "Level 1",
+ *   "background": "#111",
+ *   "spawnPoints": { "player": { "x": 60, "y": 60 }, "checkpoint": {...} },
+ *   "tilemap": { "atlas": "../assets/tiles.json", "tileSize": 32,   // optional,
+ *                "legend": { "#": { "tile": "wall", "solid": true } }, // sets the
+ *                "rows": ["#####", "#...#"] },                        // world size
+ *   "walls": [{ "x": 0, "y": 0, "width": 100, "height": 20, "color": "#d32f2f" }],
+ *   "entities": [
+ *     { "type": "coin", "x": 10, "y": 10 },
+ *     { "type": "mover", "x": 0, "y": 0, "vx": 80, "range": 200,
+ *       "children": [{ "type": "coin", "x": 5, "y": -20 }] }
+ *   ],
+ *   "win": { "type": "collectAll" | "score" | "reachExit", "target": 100 },
+ *   "timeLimit": 60,            // optional, seconds
+ *   "next": "level-2.json"      // optional, relative to this file
+ * }
+ */
+class LevelLoader {
+  static async fetch(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Level ${url}: HTTP ${res.status}`);
+    const data = await res.json();
+    LevelLoader.validate(data, url);
+    return { ...data, url };
+  }
 
-    // Check Coin Collection
-    this.coins = this.coins.filter((coin) => {
-      if (Physics.checkCollision(this.player, coin)) {
-        this.score += 10;
-        return false; // Remove coin
+  static validate(data, url = "level") {
+    const fail = (msg) => {
+      throw new Error(`${url}: ${msg}`);
+    };
+    if (!data.spawnPoints?.player) fail("missing spawnPoints.player");
+    if (!Array.isArray(data.walls || [])) fail("walls must be an array");
+    if (!Array.isArray(data.entities || [])) fail("entities must be an array");
+    const winTypes = ["collectAll", "score", "reachExit"];
+    if (!winTypes.includes(data.win?.type)) {
+      fail(`win.type must be one of ${winTypes.join(", ")}`);
+    }
+    if (data.win.type === "score" && !(data.win.target > 0)) {
+      fail("win.target must be a positive number");
+    }
+    if (data.tilemap) {
+      const { rows, legend, tileSize } = data.tilemap;
+      if (!Array.isArray(rows) || !legend || !(tileSize > 0)) {
+        fail("tilemap needs rows, legend and a positive tileSize");
       }
-      return true; // Keep coin
-    });
-
-    // Win Condition (All coins collected) -> Just spawn more for endless mode
-    if (this.coins.length === 0) {
-      this.spawnCoins(5);
-    }
-
-    // Game Over Trigger (Arbitrary: If player hits 'Q' or specific logic)
-    // For this demo, let's say colliding with a specific "Trap" ends game.
-    // We will just use 'Q' to simulate dying for testing,
-    // or we could make Walls deadly. Let's keep walls as obstacles.
-  }
-
-  drawPlaying() {
-    // Draw Walls
-    this.walls.forEach((w) => w.draw(this.ctx));
-    // Draw Coins
-    this.coins.forEach((c) => c.draw(this.ctx));
-    // Draw Player
-    this.player.draw(this.ctx);
-    // Draw HUD
-    this.drawHUD();
-  }
-
-  // GAME OVER
-  updateGameOver() {
-    if (this.input.isDown("KeyR")) {
-      this.resetGame();
-      this.currentState = this.STATES.PLAYING;
-    }
-  }
-  drawGameOver() {
-    this.ctx.fillStyle = "red";
-    this.ctx.font = '40px "Courier New"';
-    this.ctx.textAlign = "center";
-    this.ctx.fillText("GAME OVER", this.width / 2, this.height / 2 - 20);
-    this.ctx.fillStyle = "white";
-    this.ctx.font = '20px "Courier New"';
-    this.ctx.fillText(
-      `Final Score: ${this.score}`,
-      this.width / 2,
-      this.height / 2 + 30,
-    );
-    this.ctx.fillStyle = "#0ff";
-    this.ctx.fillText(
-      "Press R to Restart",
-      this.width / 2,
-      this.height / 2 + 70,
-    );
+    }
   }
 
-  /* --- HELPERS --- */
-  drawHUD() {
-    this.ctx.fillStyle = "white";
-    this.ctx.font = '20px "Courier New"';
-    this.ctx.textAlign = "left";
-    this.ctx.fillText(`SCORE: ${this.score}`, 20, 30);
+  // Resolve "next" relative to the current level file
+  static resolve(from, next) {
+    return new URL(next, new URL(from, location.href)).href;
+  }
+}
 
+/**
+ * Loads and caches images, JSON and sprite atlases.
+ * Concurrent requests for the same URL share one promise.
+ */
+class AssetLoader {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  _cached(key, load) {
+    if (!this.cache.has(key)) {
+      const promise = load().catch((err) => {
+        this.cache.delete(key); // Allow a retry later
+        throw err;
+      });
+      this.cache.set(key, promise);
+    }
+    return this.cache.get(key);
+  }
+
+  loadImage(url) {
+    return this._cached(`image:${url}`, () => {
+      return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Image ${url} failed to load`));
+        img.src = url;
+      });
+    });
+  }
+
+  loadJSON(url) {
+    return this._cached(`json:${url}`, async () => {
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+      return res.json();
+    });
+  }
+
+  // Atlas JSON: { image, frames: { name: {x, y, w, h} }, clips: { name: {frames, fps, loop} } }
+  loadAtlas(url) {
+    return this._cached(`atlas:${url}`, async () => {
+      const data = await this.loadJSON(url);
+      const imageUrl = new URL(data.image, new URL(url, location.href)).href;
+      return new SpriteAtlas(await this.loadImage(imageUrl), data);
+    });
+  }
+}
+
+class SpriteAtlas {
+  constructor(image, { frames, clips = {} }) {
+    this.image = image;
+    this.frames = frames;
+    this.clips = clips;
+
+    Object.entries(clips).forEach(([name, clip]) => {
+      const missing = clip.frames.filter((frame) => !frames[frame]);
+      if (missing.length) {
+        throw new Error(
+          `Clip "${name}" uses unknown frames: ${missing.join(", ")}`,
+        );
+      }
+    });
+  }
+
+  drawFrame(ctx, name, x, y, width, height, flipX = false) {
+    const f = this.frames[name];
+    if (!f) return;
+    if (flipX) {
+      ctx.save();
+      ctx.translate(x + width, y);
+      ctx.scale(-1, 1);
+      ctx.drawImage(this.image, f.x, f.y, f.w, f.h, 0, 0, width, height);
+      ctx.restore();
+    } else {
+      ctx.drawImage(this.image, f.x, f.y, f.w, f.h, x, y, width, height);
+    }
+  }
+}
+
+// Plays one atlas clip at a time
+class Animator {
+  constructor(atlas, clip) {
+    this.atlas = atlas;
+    this.play(clip);
+  }
+
+  play(name, { restart = false } = {}) {
+    if (name === this.clipName && !restart) return;
+    const clip = this.atlas.clips[name];
+    if (!clip) throw new Error(`Unknown animation clip "${name}"`);
+    this.clipName = name;
+    this.clip = clip;
+    this.time = 0;
+  }
+
+  update(dt) {
+    this.time += dt;
+  }
+
+  get finished() {
+    const { frames, fps, loop = true } = this.clip;
+    return !loop && this.time * fps >= frames.length;
+  }
+
+  get frame() {
+    const { frames, fps, loop = true } = this.clip;
+    const i = Math.floor(this.time * fps);
+    return frames[loop ? i % frames.length : Math.min(i, frames.length - 1)];
+  }
+}
+
+/**
+ * Animation state machine on top of an Animator.
+ * states map a state name to a clip; the first matching transition wins:
+ *   { from: "idle" | "*", to: "run", when: (params, animator) => boolean }
+ */
+class AnimationStateMachine {
+  constructor(animator, { initial, states, transitions }) {
+    this.animator = animator;
+    this.states = states;
+    this.transitions = transitions;
+    this.state = initial;
+    animator.play(states[initial]);
+  }
+
+  update(params) {
+    const next = this.transitions.find(
+      (t) =>
+        (t.from === "*" || t.from === this.state) &&
+        t.to !== this.state &&
+        t.when(params, this.animator),
+    );
+    if (next) {
+      this.state = next.to;
+      this.animator.play(this.states[next.to], { restart: true });
+    }
+  }
+}
+
+/**
+ * Visual for a GameObject: draws the animator's current frame centered on
+ * its bounds, at the object's size unless width/height are given.
+ */
+class Sprite {
+  constructor(atlas, clip, { width = null, height = null } = {}) {
+    this.atlas = atlas;
+    this.animator = new Animator(atlas, clip);
+    this.width = width;
+    this.height = height;
+    this.flipX = false;
+    this.offsetY = 0; // Purely visual lift (e.g. a jump hop)
+  }
+
+  update(dt) {
+    this.animator.update(dt);
+  }
+
+  draw(ctx, x, y, width, height) {
+    const w = this.width ?? width;
+    const h = this.height ?? height;
+    this.atlas.drawFrame(
+      ctx,
+      this.animator.frame,
+      x + (width - w) / 2,
+      y + (height - h) / 2 - this.offsetY,
+      w,
+      h,
+      this.flipX,
+    );
+  }
+}
+
+/**
+ * Grid of tiles described by rows of characters and a legend:
+ *   legend: { "#": { "tile": "wall", "color": "#d32f2f", "solid": true } }
+ * Solid tiles become merged wall colliders; only tiles inside the
+ * camera view are drawn.
+ */
+class Tilemap extends GameObject {
+  constructor({ rows, legend, tileSize }, atlas = null) {
+    const cols = Math.max(...rows.map((row) => row.length));
+    super(0, 0, cols * tileSize, rows.length * tileSize, "transparent");
+    this.type = "tilemap";
+    this.rows = rows;
+    this.legend = legend;
+    this.tileSize = tileSize;
+    this.atlas = atlas;
+    this._buildColliders();
+  }
+
+  // One collider per horizontal run of solid tiles keeps the broadphase small
+  _buildColliders() {
+    const ts = this.tileSize;
+    this.rows.forEach((row, r) => {
+      let start = -1;
+      for (let c = 0; c <= row.length; c++) {
+        const solid = c < row.length && this.legend[row[c]]?.solid;
+        if (solid && start < 0) start = c;
+        if (!solid && start >= 0) {
+          const wall = new GameObject(start * ts, r * ts, (c - start) * ts, ts);
+          wall.type = "wall";
+          wall.collider = new Collider({ layer: "wall" });
+          wall.draw = () => {}; // Drawn as tiles
+          this.addChild(wall);
+          start = -1;
+        }
+      }
+    });
+  }
+
+  draw(ctx, view) {
+    const ts = this.tileSize;
+    const area = view || this.getBounds();
+    const c0 = Math.max(0, Math.floor((area.x - this.worldX) / ts));
+    const r0 = Math.max(0, Math.floor((area.y - this.worldY) / ts));
+    const c1 = Math.ceil((area.x + area.width - this.worldX) / ts);
+    const r1 = Math.min(
+      this.rows.length,
+      Math.ceil((area.y + area.height - this.worldY) / ts),
+    );
+
+    for (let r = r0; r < r1; r++) {
+      const row = this.rows[r];
+      for (let c = c0; c < Math.min(c1, row.length); c++) {
+        const tile = this.legend[row[c]];
+        if (!tile) continue;
+        const x = this.worldX + c * ts;
+        const y = this.worldY + r * ts;
+        if (this.atlas && tile.tile) {
+          this.atlas.drawFrame(ctx, tile.tile, x, y, ts, ts);
+        } else if (tile.color) {
+          ctx.fillStyle = tile.color;
+          ctx.fillRect(x, y, ts, ts);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 2D camera: follows a target with a deadzone, stays inside world bounds
+ * and supports decaying screen shake.
+ */
+class Camera {
+  constructor(width, height) {
+    this.x = 0;
+    this.y = 0;
+    this.width = width;
+    this.height = height;
+    this.target = null;
+    this.deadzone = { width: width * 0.3, height: height * 0.3 };
+    this.bounds = null; // { width, height } of the world
+    this.shakeTime = 0;
+    this.shakeDuration = 0;
+    this.shakeIntensity = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+  }
+
+  follow(target, deadzone = this.deadzone) {
+    this.target = target;
+    this.deadzone = deadzone;
+    this.snapToTarget();
+  }
+
+  // Center on the target immediately (level start, respawn)
+  snapToTarget() {
+    if (!this.target) return;
+    const { x, y, width, height } = this.target.getBounds();
+    this.x = x + width / 2 - this.width / 2;
+    this.y = y + height / 2 - this.height / 2;
+    this._clamp();
+  }
+
+  shake(intensity = 8, duration = 0.3) {
+    this.shakeIntensity = intensity;
+    this.shakeDuration = duration;
+    this.shakeTime = duration;
+  }
+
+  update(dt) {
+    if (this.target) {
+      const { x, y, width, height } = this.target.getBounds();
+      const cx = x + width / 2;
+      const cy = y + height / 2;
+      const left = this.x + (this.width - this.deadzone.width) / 2;
+      const top = this.y + (this.height - this.deadzone.height) / 2;
+      // Only scroll once the target leaves the deadzone
+      if (cx < left) this.x -= left - cx;
+      if (cx > left + this.deadzone.width) {
+        this.x += cx - (left + this.deadzone.width);
+      }
+      if (cy < top) this.y -= top - cy;
+      if (cy > top + this.deadzone.height) {
+        this.y += cy - (top + this.deadzone.height);
+      }
+    }
+    this._clamp();
+
+    if (this.shakeTime > 0) {
+      this.shakeTime = Math.max(0, this.shakeTime - dt);
+      const strength =
+        this.shakeIntensity * (this.shakeTime / this.shakeDuration);
+      this.shakeX = (Math.random() * 2 - 1) * strength;
+      this.shakeY = (Math.random() * 2 - 1) * strength;
+    } else {
+      this.shakeX = this.shakeY = 0;
+    }
+  }
+
+  // Keep the view inside the world; center it if the world is smaller
+  _clamp() {
+    if (!this.bounds) return;
+    const { width, height } = this.bounds;
+    this.x =
+      width <= this.width
+        ? (width - this.width) / 2
+        : Math.max(0, Math.min(this.x, width - this.width));
+    this.y =
+      height <= this.height
+        ? (height - this.height) / 2
+        : Math.max(0, Math.min(this.y, height - this.height));
+  }
+
+  get view() {
+    return { x: this.x, y: this.y, width: this.width, height: this.height };
+  }
+
+  begin(ctx) {
+    ctx.save();
+    ctx.translate(
+      -Math.round(this.x + this.shakeX),
+      -Math.round(this.y + this.shakeY),
+    );
+  }
+
+  end(ctx) {
+    ctx.restore();
+  }
+}
+
+/* =========================================
+   REGION 2: GAME SPECIFIC LOGIC
+   ========================================= */
+
+const JUMP_DURATION = 0.45; // Seconds in the air
+const JUMP_HEIGHT = 18; // Visual hop in pixels
+
+class Player extends GameObject {
+  constructor(x, y, atlas = null) {
+    super(x, y, 30, 30, "#0ff"); // Cyan Player
+    this.type = "player";
+    this.collider = new Collider({
+      layer: "player",
+      mask: ["wall", "pickup", "hazard", "goal"],
+      dynamic: true,
+    });
+    this.speed = 300; // Pixels per second
+    this.jumpTime = 0;
+    this.hop = 0;
+    this.onLand = null; // Set by the scene
+
+    if (atlas) {
+      this.sprite = new Sprite(atlas, "player-idle", { width: 32, height: 32 });
+      this.anim = new AnimationStateMachine(this.sprite.animator, {
+        initial: "idle",
+        states: { idle: "player-idle", run: "player-run", jump: "player-jump" },
+        transitions: [
+          { from: "*", to: "jump", when: (p) => p.airborne },
+          { from: "jump", to: "run", when: (p) => !p.airborne && p.moving },
+          { from: "jump", to: "idle", when: (p) => !p.airborne && !p.moving },
+          { from: "idle", to: "run", when: (p) => p.moving },
+          { from: "run", to: "idle", when: (p) => !p.moving },
+        ],
+      });
+    }
+  }
+
+  // Jumping is a visual hop over hazards; walls still block the player
+  get airborne() {
+    return this.jumpTime > 0;
+  }
+
+  // Only sets velocity; the PhysicsWorld moves the player and resolves walls
+  update(dt, scene) {
+    const { input } = scene.game;
+
+    // Analog sticks give partial values, keys and d-pads give full speed
+    this.vx = (input.value("right") - input.value("left")) * this.speed;
+    this.vy = (input.value("down") - input.value("up")) * this.speed;
+
+    if (input.wasPressed("jump") && !this.airborne) {
+      this.jumpTime = JUMP_DURATION;
+    } else if (this.airborne) {
+      this.jumpTime = Math.max(0, this.jumpTime - dt);
+      if (!this.airborne) this.onLand?.();
+    }
+    const progress = 1 - this.jumpTime / JUMP_DURATION;
+    this.hop = this.airborne ? Math.sin(progress * Math.PI) * JUMP_HEIGHT : 0;
+
+    if (this.sprite) {
+      if (this.vx) this.sprite.flipX = this.vx < 0;
+      this.sprite.offsetY = this.hop;
+      this.anim.update({
+        moving: this.vx !== 0 || this.vy !== 0,
+        airborne: this.airborne,
+      });
+    }
+  }
+
+  draw(ctx) {
+    if (this.sprite) return super.draw(ctx);
+    ctx.fillStyle = this.color;
+    ctx.fillRect(this.worldX, this.worldY - this.hop, this.width, this.height);
+  }
+}
+
+class Wall extends GameObject {
+  constructor(x, y, width, height, color = "#d32f2f") {
+    super(x, y, width, height, color); // Red Wall
+    this.type = "wall";
+    this.collider = new Collider({ layer: "wall" });
+  }
+}
+
+class Coin extends GameObject {
+  constructor(x, y, value = 10, atlas = null) {
+    super(x, y, 15, 15, "#ffd700"); // Gold
+    this.type = "coin";
+    this.collider = new Collider({
+      layer: "pickup",
+      mask: ["player"],
+      trigger: true,
+    });
+    this.value = value;
+    this.timer = 0;
+    if (atlas)
+      this.sprite = new Sprite(atlas, "coin-spin", { width: 32, height: 32 });
+  }
+
+  // Override update to add a simple visual pulse effect
+  update(dt) {
+    this.timer += dt * 5;
+  }
+
+  // Pulse is visual only; collision keeps the real width/height
+  draw(ctx) {
+    if (this.sprite) return super.draw(ctx);
+    const scale = 1 + Math.sin(this.timer) * 0.2;
+    const size = this.width * scale;
+    const offset = (this.width - size) / 2;
+    ctx.fillStyle = this.color;
+    ctx.fillRect(this.worldX + offset, this.worldY + offset, size, size);
+  }
+}
+
+// Touching a hazard costs a life and sends the player back to spawn
+class Hazard extends GameObject {
+  constructor(x, y, width = 30, height = 30, atlas = null) {
+    super(x, y, width, height, "#ff00aa");
+    this.type = "hazard";
+    this.collider = new Collider({
+      layer: "hazard",
+      mask: ["player"],
+      trigger: true,
+    });
+    if (atlas) this.sprite = new Sprite(atlas, "hazard-pulse");
+  }
+}
+
+class Exit extends GameObject {
+  constructor(x, y, atlas = null) {
+    super(x, y, 40, 40, "#0f0");
+    this.type = "exit";
+    this.collider = new Collider({
+      layer: "goal",
+      mask: ["player"],
+      trigger: true,
+    });
+    if (atlas) this.sprite = new Sprite(atlas, "exit-glow");
+  }
+
+  draw(ctx) {
+    if (this.sprite) return super.draw(ctx);
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(this.worldX, this.worldY, this.width, this.height);
+  }
+}
+
+/**
+ * Moves back and forth along its velocity, carrying its children with it
+ * (e.g. a patrol route with coins or hazards attached).
+ */
+class Mover extends GameObject {
+  constructor(x, y, { vx = 0, vy = 0, range = 100 } = {}) {
+    super(x, y, 0, 0, "transparent");
+    this.type = "mover";
+    this.originX = x;
+    this.originY = y;
+    this.vx = vx;
+    this.vy = vy;
+    this.range = range;
+  }
+
+  update(dt) {
+    super.update(dt);
+    const dx = this.x - this.originX;
+    const dy = this.y - this.originY;
+    const dist = Math.hypot(dx, dy);
+    // Turn around at either end of the path
+    if (dist > this.range) {
+      this.x = this.originX + (dx / dist) * this.range;
+      this.y = this.originY + (dy / dist) * this.range;
+      this.vx *= -1;
+      this.vy *= -1;
+    }
+  }
+
+  draw() {}
+}
+
+// Level JSON "type" → entity constructor (atlas is null when art failed to load)
+const ENTITY_TYPES = {
+  coin: (def, atlas) => new Coin(def.x, def.y, def.value, atlas),
+  wall: (def) => new Wall(def.x, def.y, def.width, def.height, def.color),
+  hazard: (def, atlas) =>
+    new Hazard(def.x, def.y, def.width, def.height, atlas),
+  exit: (def, atlas) => new Exit(def.x, def.y, atlas),
+  mover: (def) => new Mover(def.x, def.y, def),
+};
+
+function createEntity(def, atlas = null) {
+  const factory = ENTITY_TYPES[def.type];
+  if (!factory) throw new Error(`Unknown entity type "${def.type}"`);
+  const entity = factory(def, atlas);
+  (def.children || []).forEach((child) =>
+    entity.addChild(createEntity(child, atlas)),
+  );
+  return entity;
+}
+
+function warnAndSkip(err) {
+  console.warn(`${err.message} — drawing without sprites`);
+  return null;
+}
+
+// Random single-screen level, used when level files can't be fetched (file://)
+function generateLevel(width, height) {
+  const walls = [];
+  for (let i = 0; i < 5; i++) {
+    walls.push({
+      x: 200 + Math.random() * 400,
+      y: 100 + Math.random() * 400,
+      width: 50 + Math.random() * 100,
+      height: 20,
+    });
+  }
+
+  const entities = [];
+  while (entities.length < 10) {
+    const coin = {
+      type: "coin",
+      x: Math.random() * (width - 50),
+      y: Math.random() * (height - 50),
+    };
+    // Ensure coins don't spawn inside walls
+    const bounds = { ...coin, width: 15, height: 15 };
+    if (!walls.some((w) => Physics.checkCollision(bounds, w))) {
+      entities.push(coin);
+    }
+  }
+
+  return {
+    name: "Random Level",
+    spawnPoints: { player: { x: 100, y: 100 } },
+    walls,
+    entities,
+    win: { type: "collectAll" },
+  };
+}
+
+/* --- Scenes --- */
+
+function drawCenteredText(ctx, lines, width, height) {
+  ctx.textAlign = "center";
+  lines.forEach(({ text, font, color, dy }) => {
+    ctx.font = font;
+    ctx.fillStyle = color;
+    ctx.fillText(text, width / 2, height / 2 + dy);
+  });
+}
+
+class MenuScene extends Scene {
+  update() {
+    const { input } = this.game;
+    if (input.wasPressed("confirm")) this.game.startLevel();
+    if (input.wasPressed("benchmark")) {
+      this.game.scenes.change(new BenchmarkScene(this.game));
+    }
+    if (input.wasPressed("controls")) {
+      this.game.scenes.change(new ControlsScene(this.game));
+    }
+  }
+
+  draw(ctx) {
+    drawCenteredText(
+      ctx,
+      [
+        {
+          text: "MICRO ENGINE DEMO",
+          font: '30px "Courier New"',
+          color: "white",
+          dy: -40,
+        },
+        {
+          text: "Press ENTER to Start",
+          font: '20px "Courier New"',
+          color: "#0ff",
+          dy: 20,
+        },
+        {
+          text: "Arrow Keys to Move, SPACE to Jump",
+          font: '20px "Courier New"',
+          color: "#aaa",
+          dy: 60,
+        },
+        {
+          text: "B: Benchmark   C: Controls   F9: Record a Run",
+          font: '16px "Courier New"',
+          color: "#666",
+          dy: 100,
+        },
+      ],
+      this.game.width,
+      this.game.height,
+    );
+  }
+}
+
+class LevelScene extends Scene {
+  // `level` skips the fetch (replays carry the exact level they were recorded on)
+  constructor(game, url, { score = 0, lives = 3, level = null } = {}) {
+    super(game);
+    this.url = url;
+    this.level = level;
+    this.progress = { score, lives }; // As the level started, for recordings
+    this.score = score;
+    this.lives = lives;
+    this.elapsed = 0;
+    this.reachedExit = false;
+    this.done = false;
+  }
+
+  async load() {
+    try {
+      this.level ??= await LevelLoader.fetch(this.url);
+    } catch (err) {
+      console.warn(`${err.message} — using a generated level instead`);
+      this.level = generateLevel(this.game.width, this.game.height);
+    }
+    if (this.level.background) this.background = this.level.background;
+
+    // Missing art is not fatal: entities fall back to flat colors
+    const { assets } = this.game;
+    const { tilemap } = this.level;
+    const [sprites, tiles] = await Promise.all([
+      assets.loadAtlas(this.game.spriteAtlas).catch(warnAndSkip),
+      tilemap?.atlas && this.level.url
+        ? assets
+            .loadAtlas(LevelLoader.resolve(this.level.url, tilemap.atlas))
+            .catch(warnAndSkip)
+        : null,
+    ]);
+
+    let world = { width: this.game.width, height: this.game.height };
+    if (tilemap) {
+      const map = this.add(new Tilemap(tilemap, tiles));
+      world = { width: map.width, height: map.height };
+    }
+    this.physics.bounds = { x: 0, y: 0, ...world };
+
+    const { spawnPoints, walls = [], entities = [] } = this.level;
+    walls.forEach((def) => this.add(createEntity({ ...def, type: "wall" })));
+    entities.forEach((def) => this.add(createEntity(def, sprites)));
+    this.player = this.add(
+      new Player(spawnPoints.player.x, spawnPoints.player.y, sprites),
+    );
+    this.player.onTriggerEnter = (other) => this.onPlayerTouch(other);
+    this.player.onLand = () => {
+      // Landing on a hazard that was jumped into still hurts
+      const hazard = this.physics
+        .overlapping(this.player)
+        .find((other) => other.type === "hazard");
+      if (hazard) this.onPlayerTouch(hazard);
+    };
+
+    this.camera = new Camera(this.game.width, this.game.height);
+    this.camera.bounds = world;
+    this.camera.follow(this.player, { width: 160, height: 120 });
+  }
+
+  onPlayerTouch(other) {
+    switch (other.type) {
+      case "coin":
+        this.score += other.value;
+        other.parent.removeChild(other);
+        break;
+      case "hazard": {
+        if (this.player.airborne) break;
+        this.lives--;
+        const { x, y } = this.level.spawnPoints.player;
+        this.player.x = x;
+        this.player.y = y;
+        this.camera.shake(10, 0.35);
+        this.camera.snapToTarget();
+        break;
+      }
+      case "exit":
+        this.reachedExit = true;
+        break;
+    }
+  }
+
+  update(dt) {
+    if (this.done) return;
+    super.update(dt);
+    this.elapsed += dt;
+
+    if (this.lives <= 0 || this._timeLeft() === 0) {
+      this.done = true;
+      this.game.scenes.change(new GameOverScene(this.game, this.score));
+    } else if (this._hasWon()) {
+      this.done = true;
+      this._complete();
+    }
+  }
+
+  _hasWon() {
+    const { win } = this.level;
+    switch (win.type) {
+      case "collectAll":
+        return this.find("coin") === null;
+      case "score":
+        return this.score >= win.target;
+      case "reachExit":
+        return this.reachedExit;
+    }
+    return false;
+  }
+
+  _complete() {
+    const { next, url } = this.level;
+    if (next) {
+      this.game.startLevel(LevelLoader.resolve(url, next), {
+        score: this.score,
+        lives: this.lives,
+      });
+    } else {
+      this.game.scenes.change(new VictoryScene(this.game, this.score));
+    }
+  }
+
+  _timeLeft() {
+    const { timeLimit } = this.level;
+    return timeLimit ? Math.max(0, Math.ceil(timeLimit - this.elapsed)) : null;
+  }
+
+  draw(ctx) {
+    super.draw(ctx);
+    this.drawHUD(ctx);
+  }
+
+  drawHUD(ctx) {
+    ctx.fillStyle = "white";
+    ctx.font = '20px "Courier New"';
+    ctx.textAlign = "left";
+    ctx.fillText(`SCORE: ${this.score}`, 20, 30);
+    ctx.fillText(`LIVES: ${"♥".repeat(Math.max(this.lives, 0))}`, 20, 55);
+
+    ctx.textAlign = "center";
+    const timeLeft = this._timeLeft();
+    ctx.fillText(
+      this.level.name + (timeLeft !== null ? `  ⏱ ${timeLeft}` : ""),
+      this.game.width / 2,
+      30,
+    );
+
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#0f0";
+    ctx.fillText(`FPS: ${this.game.fps}`, this.game.width - 20, 30);
+  }
+}
+
+class GameOverScene extends Scene {
+  constructor(game, score) {
+    super(game);
+    this.score = score;
+  }
+
+  update() {
+    if (this.game.input.wasPressed("restart")) this.game.startLevel();
+  }
+
+  draw(ctx) {
+    drawCenteredText(
+      ctx,
+      [
+        {
+          text: "GAME OVER",
+          font: '40px "Courier New"',
+          color: "red",
+          dy: -20,
+        },
+        {
+          text: `Final Score: ${this.score}`,
+          font: '20px "Courier New"',
+          color: "white",
+          dy: 30,
+        },
+        {
+          text: "Press R to Restart",
+          font: '20px "Courier New"',
+          color: "#0ff",
+          dy: 70,
+        },
+      ],
+      this.game.width,
+      this.game.height,
+    );
+  }
+}
+
+class VictoryScene extends Scene {
+  constructor(game, score) {
+    super(game);
+    this.score = score;
+  }
+
+  update() {
+    if (this.game.input.wasPressed("confirm")) {
+      this.game.scenes.change(new MenuScene(this.game));
+    }
+  }
+
+  draw(ctx) {
+    drawCenteredText(
+      ctx,
+      [
+        {
+          text: "YOU WIN!",
+          font: '40px "Courier New"',
+          color: "#ffd700",
+          dy: -20,
+        },
+        {
+          text: `Final Score: ${this.score}`,
+          font: '20px "Courier New"',
+          color: "white",
+          dy: 30,
+        },
+        {
+          text: "Press ENTER for Menu",
+          font: '20px "Courier New"',
+          color: "#0ff",
+          dy: 70,
+        },
+      ],
+      this.game.width,
+      this.game.height,
+    );
+  }
+}
+
+/**
+ * Physics stress test: thousands of fast dynamic bodies bouncing off walls.
+ * Bodies ignore each other (layer mask) but count themselves in and out of
+ * two sensor triggers. Esc returns to the menu.
+ */
+class BenchmarkScene extends Scene {
+  constructor(game, count = 5000) {
+    super(game);
+    this.count = count;
+  }
+
+  async load() {
+    const { width, height } = this.game;
+    const t = 20; // Border thickness
+    [
+      [0, 0, width, t],
+      [0, height - t, width, t],
+      [0, 0, t, height],
+      [width - t, 0, t, height],
+      [width / 2 - 100, height / 2 - 10, 200, 20],
+      [width / 2 - 10, height / 2 - 100, 20, 200],
+    ].forEach(([x, y, w, h]) => this.add(new Wall(x, y, w, h, "#555")));
+
+    this.sensors = [
+      this.add(new Sensor(80, 80, 200, 150)),
+      this.add(new Sensor(width - 280, height - 230, 200, 150)),
+    ];
+
+    for (let i = 0; i < this.count; i++) {
+      const body = new GameObject(
+        t + Math.random() * (width - 2 * t - 4),
+        t + Math.random() * (height - 2 * t - 4),
+        4,
+        4,
+        `hsl(${Math.floor(Math.random() * 360)}, 80%, 60%)`,
+      );
+      body.type = "body";
+      body.collider = new Collider({
+        layer: "body",
+        mask: ["wall", "sensor"],
+        dynamic: true,
+      });
+      // Fast enough to tunnel through a 20px wall without swept collision
+      const angle = Math.random() * Math.PI * 2;
+      const speed = 200 + Math.random() * 800;
+      body.vx = Math.cos(angle) * speed;
+      body.vy = Math.sin(angle) * speed;
+      body.onCollide = (other, { nx, ny }) => {
+        if (nx) body.vx = -body.vx;
+        if (ny) body.vy = -body.vy;
+      };
+      this.add(body);
+    }
+  }
+
+  update(dt) {
+    if (this.game.input.wasPressed("back")) {
+      this.game.scenes.change(new MenuScene(this.game));
+    }
+    super.update(dt);
+  }
+
+  draw(ctx) {
+    super.draw(ctx);
+    const { colliders, narrowphase, pairs, ms } = this.physics.stats;
+    const lines = [
+      `BODIES: ${this.count}  COLLIDERS: ${colliders}`,
+      `PHYSICS: ${ms.toFixed(2)} ms  FPS: ${this.game.fps}`,
+      `NARROWPHASE: ${narrowphase} (naive: ${((colliders * (colliders - 1)) / 2).toLocaleString()})`,
+      `TRIGGER PAIRS: ${pairs}   ESC: Menu`,
+    ];
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(30, 30, 520, lines.length * 22 + 10);
+    ctx.fillStyle = "#0f0";
+    ctx.font = '16px "Courier New"';
+    ctx.textAlign = "left";
+    lines.forEach((line, i) => ctx.fillText(line, 40, 52 + i * 22));
+  }
+}
+
+/**
+ * Lists every action with its bindings. Rebinding replaces the bindings of
+ * the same kind (keyboard/mouse or gamepad) so the other device keeps working.
+ */
+class ControlsScene extends Scene {
+  constructor(game) {
+    super(game);
+    this.actions = Object.keys(game.input.bindings);
+    this.selected = 0;
+    this.waiting = false;
+  }
+
+  update() {
+    const { input } = this.game;
+    if (this.waiting) return;
+
+    const count = this.actions.length;
+    if (input.wasPressed("up"))
+      this.selected = (this.selected + count - 1) % count;
+    if (input.wasPressed("down")) this.selected = (this.selected + 1) % count;
+    if (input.wasPressed("confirm")) this.rebind(this.actions[this.selected]);
+    if (input.wasPressed("restart")) input.resetBindings();
+    if (input.wasPressed("back")) {
+      this.game.scenes.change(new MenuScene(this.game));
+    }
+  }
+
+  async rebind(action) {
+    const { input } = this.game;
+    this.waiting = true;
+    const binding = await input.captureNext();
+    this.waiting = false;
+    if (!binding || binding === "key:Escape") return;
+
+    const isPad = (b) => b.startsWith("pad:");
+    const kept = input.bindings[action].filter(
+      (b) => isPad(b) !== isPad(binding),
+    );
+    input.rebind(action, [binding, ...kept]);
+  }
+
+  unload() {
+    super.unload();
+    this.game.input.cancelCapture();
+  }
+
+  draw(ctx) {
+    const { input, width, height } = this.game;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "white";
+    ctx.font = '30px "Courier New"';
+    ctx.fillText("CONTROLS", width / 2, 50);
+
+    ctx.font = '16px "Courier New"';
+    this.actions.forEach((action, i) => {
+      const y = 90 + i * 28;
+      const active = i === this.selected;
+      if (active) {
+        ctx.fillStyle = "rgba(0, 255, 255, 0.15)";
+        ctx.fillRect(60, y - 18, width - 120, 26);
+      }
+      ctx.textAlign = "left";
+      ctx.fillStyle = active ? "#0ff" : "#aaa";
+      ctx.fillText(action.toUpperCase(), 80, y);
+      const label =
+        active && this.waiting
+          ? "Press a key, click or pad button... (ESC cancels)"
+          : input.bindings[action].map(InputHandler.describe).join(" / ") ||
+            "(unbound)";
+      ctx.fillText(label, 240, y);
+    });
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#666";
+    ctx.fillText(
+      "ENTER: Rebind   R: Reset Defaults   ESC: Back",
+      width / 2,
+      height - 30,
+    );
+  }
+}
+
+// Trigger zone that counts the bodies currently inside it
+class Sensor extends GameObject {
+  constructor(x, y, width, height) {
+    super(x, y, width, height, "rgba(0, 255, 204, 0.15)");
+    this.type = "sensor";
+    this.collider = new Collider({
+      layer: "sensor",
+      mask: ["body"],
+      trigger: true,
+    });
+    this.inside = 0;
+  }
+
+  onTriggerEnter() {
+    this.inside++;
+  }
+
+  onTriggerExit() {
+    this.inside--;
+  }
+
+  draw(ctx) {
+    super.draw(ctx);
+    ctx.fillStyle = "#0fc";
+    ctx.font = '14px "Courier New"';
+    ctx.textAlign = "center";
+    ctx.fillText(
+      `${this.inside} inside`,
+      this.worldX + this.width / 2,
+      this.worldY + this.height / 2,
+    );
+  }
+}
+
+/**
+ * Main Game Controller.
+ * Owns the canvas, loop and scene manager; gameplay lives in scenes.
+ */
+class Game {
+  constructor(canvasId) {
+    this.canvas = document.getElementById(canvasId);
+    this.ctx = this.canvas.getContext("2d");
+    this.width = this.canvas.width;
+    this.height = this.canvas.height;
+
+    this.input = new InputHandler(this.canvas);
+    this.assets = new AssetLoader();
+    this.scenes = new SceneManager(this);
+    this.lastTime = 0;
+    this.fps = 0;
+    this.recorder = null; // { recording, scene }
+    this.replay = null; // { recording, scene, frame, paused, resolve }
+
+    this.firstLevel = "levels/level-1.json";
+    this.spriteAtlas = "assets/sprites.json";
+
+    // Bind loop
+    this.loop = this.loop.bind(this);
+  }
+
+  init() {
+    this.scenes.change(new MenuScene(this));
+
+    // Dropping a recording file onto the page replays it
+    window.addEventListener("dragover", (e) => e.preventDefault());
+    window.addEventListener("drop", async (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer.files[0];
+      if (!file) return;
+      try {
+        this.playRecording(InputRecording.parse(await file.text()));
+      } catch (err) {
+        console.error("Could not load recording:", err);
+      }
+    });
+
+    requestAnimationFrame(this.loop);
+  }
+
+  startLevel(url = this.firstLevel, progress) {
+    this.scenes.change(new LevelScene(this, url, progress));
+  }
+
+  /* --- RECORDING & REPLAY --- */
+
+  // Restarts the current level and records every frame of input from there
+  async startRecording() {
+    const scene = this.scenes.current;
+    if (!(scene instanceof LevelScene) || this.replay) return;
+    if (this.scenes.transition) return;
+
+    const recording = new InputRecording({
+      level: structuredClone(scene.level),
+      progress: scene.progress,
+    });
+    const fresh = this._levelFor(recording);
+    if (!(await this.scenes.change(fresh, { fade: 0 }))) return;
+    this.recorder = { recording, scene: fresh };
+  }
+
+  // Saves the recording for F10 and downloads it for bug reports
+  stopRecording() {
+    const { recording } = this.recorder;
+    this.recorder = null;
+    const json = JSON.stringify(recording);
+    try {
+      localStorage.setItem(REPLAY_KEY, json);
+    } catch (err) {
+      console.warn("Recording too large to keep in localStorage:", err);
+    }
+
+    const url = URL.createObjectURL(
+      new Blob([json], { type: "application/json" }),
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `replay-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return recording;
+  }
+
+  lastRecording() {
+    const json = localStorage.getItem(REPLAY_KEY);
+    return json ? InputRecording.parse(json) : null;
+  }
+
+  /**
+   * Replays a recording on a fresh copy of its level. Resolves with the
+   * scene's final state, which makes replays usable as automated tests.
+   * With realtime: false every frame runs immediately, without rendering.
+   */
+  async playRecording(
+    recording = this.lastRecording(),
+    { realtime = true } = {},
+  ) {
+    if (!recording || this.replay || this.scenes.transition) return null;
+    if (this.recorder) this.stopRecording();
+
+    const scene = this._levelFor(recording);
+    if (!(await this.scenes.change(scene, { fade: 0 }))) return null;
+    return new Promise((resolve) => {
+      this.replay = { recording, scene, frame: 0, paused: false, resolve };
+      if (!realtime) while (this.replay) this._advanceReplay();
+    });
+  }
+
+  _levelFor({ level, progress }) {
+    return new LevelScene(this, level.url, {
+      ...progress,
+      level: structuredClone(level),
+    });
+  }
+
+  _replayFrame() {
+    const { input } = this;
+    const replay = this.replay;
+    if (input.wasPressed("pause")) replay.paused = !replay.paused;
+    if (replay.paused && !input.wasPressed("step")) return;
+    this._advanceReplay();
+  }
+
+  // Feeds exactly one recorded frame through input and the scene
+  _advanceReplay() {
+    const replay = this.replay;
+    const { frames } = replay.recording;
+    const frame = frames[replay.frame++];
+    this.input.setFrame(frame.input);
+    this.scenes.update(frame.dt);
+
+    if (replay.frame >= frames.length || this.scenes.current !== replay.scene) {
+      this.replay = null;
+      const { score, lives, elapsed, done } = replay.scene;
+      replay.resolve({ frames: replay.frame, score, lives, elapsed, done });
+    }
+  }
+
+  /* --- THE GAME LOOP --- */
+  loop(timestamp) {
+    // Calculate Delta Time (in seconds), capped so a background tab doesn't teleport entities
+    const dt = Math.min((timestamp - this.lastTime) / 1000, 0.1);
+    this.lastTime = timestamp;
+    this.fps = Math.round(1 / dt);
+
+    this.input.beginFrame();
+    if (this.input.wasPressed("record")) {
+      if (this.recorder) this.stopRecording();
+      else this.startRecording();
+    }
+    if (this.input.wasPressed("replay")) this.playRecording();
+
+    // Clear Screen
+    this.ctx.fillStyle = this.scenes.current?.background || "#111";
+    this.ctx.fillRect(0, 0, this.width, this.height);
+    this.drawGrid();
+
+    if (this.replay) {
+      this._replayFrame();
+    } else {
+      this.input.setFrame();
+      this.recorder?.recording.push(dt, this.input.snapshot());
+      this.scenes.update(dt);
+      // A recording covers one level attempt
+      const recorded = this.recorder?.scene;
+      if (recorded && (recorded.done || this.scenes.current !== recorded)) {
+        this.stopRecording();
+      }
+    }
+    this.scenes.draw(this.ctx);
+    this.drawSessionStatus();
+
+    requestAnimationFrame(this.loop);
+  }
+
+  /* --- HELPERS --- */
+  drawSessionStatus() {
+    let text;
+    if (this.recorder) {
+      text = `● REC ${this.recorder.recording.duration.toFixed(1)}s  F9: Stop`;
+    } else if (this.replay) {
+      const { frame, paused, recording } = this.replay;
+      text = `▶ REPLAY ${frame}/${recording.frames.length}`;
+      text += paused ? "  ❚❚ P: Resume  .: Step" : "  P: Pause";
+    } else {
+      return;
+    }
+    this.ctx.font = '16px "Courier New"';
     this.ctx.textAlign = "right";
-    this.ctx.fillStyle = "#0f0";
-    this.ctx.fillText(`FPS: ${this.fps}`, this.width - 20, 30);
+    this.ctx.fillStyle = "#f44";
+    this.ctx.fillText(text, this.width - 20, this.height - 20);
   }
 
   drawGrid() {
@@ -1,31 +1,100 @@
 /**
  * ARCHITECTURE:
  * 1. Store: Manages Schema State.
- * 2. Validator: Pure functions for input validation.
- * 3. FormRenderer: Factory Pattern to generate DOM and handle Logic.
- * 4. BuilderUI: Manages the Editor interface.
+ * 2. Schema Format: Versioned documents, migrations, JSON Schema I/O.
+ * 3. Validator: Pure functions for input validation.
+ * 4. Logic: Condition groups and computed-field formulas.
+ * 5. FormRenderer: Factory Pattern to generate DOM and handle Logic.
+ * 6. BuilderUI: Manages the Editor interface.
  */
 
 // --- 1. UTILS & STORE ---
 const generateId = () => "field_" + Math.random().toString(36).substr(2, 9);
 
+// Every field type the builder knows; "page" and "group" are layout only
+const FIELD_TYPES = [
+  "text",
+  "textarea",
+  "select",
+  "checkbox",
+  "radio",
+  "number",
+  "date",
+  "file",
+  "rating",
+  "signature",
+  "matrix",
+  "computed",
+  "group",
+  "page",
+];
+const STRUCTURAL_TYPES = ["group", "page"];
+
+/**
+ * Type-specific settings, edited in the properties panel. `list` settings
+ * are comma separated there and `number` ones are whole numbers >= 0.
+ */
+const FIELD_SETTINGS = {
+  number: { step: { label: "Step", default: "any" } },
+  file: {
+    accept: { label: "Accepted types (e.g. image/*,.pdf)", default: "" },
+    maxSizeKB: { label: "Max size (KB)", default: 1024, number: true },
+  },
+  rating: { max: { label: "Number of stars", default: 5, number: true } },
+  matrix: {
+    rows: {
+      label: "Rows (comma separated)",
+      default: ["Quality", "Price"],
+      list: true,
+    },
+    columns: {
+      label: "Columns (comma separated)",
+      default: ["Poor", "Fair", "Good"],
+      list: true,
+    },
+  },
+  group: {
+    minItems: { label: "Min entries", default: 1, number: true },
+    maxItems: { label: "Max entries", default: 5, number: true },
+  },
+};
+
+const defaultSettings = (type) =>
+  Object.fromEntries(
+    Object.entries(FIELD_SETTINGS[type] || {}).map(([key, s]) => [
+      key,
+      structuredClone(s.default),
+    ]),
+  );
+
 const AppState = {
+  title: "Untitled Form",
   schema: [], // Array of Field Objects
   subscribers: [],
 
   addField(type) {
+    const label = `New ${type}`;
     const newField = {
       id: generateId(),
+      name: toFieldName(
+        label,
+        this.schema.map((f) => f.name),
+      ),
       type: type,
-      label: `New ${type}`,
+      label,
       placeholder: "",
       required: false,
       options:
         type === "select" || type === "radio" ? ["Option 1", "Option 2"] : [],
-      visibleIf: null,
+      validation: [], // [{ type, value, message }], see RULE_TYPES
+      logic: Logic.emptyLogic(),
+      settings: defaultSettings(type),
+      group: null, // Id of the repeatable group this field sits in
     };
+    if (type === "computed") newField.formula = "";
     this.schema.push(newField);
     this.notify();
+    return newField;
   },
 
   updateField(id, updates) {
@@ -39,7 +108,15 @@ const AppState = {
   deleteField(id) {
     this.schema = this.schema.filter((f) => f.id !== id);
     this.schema.forEach((f) => {
-      if (f.visibleIf && f.visibleIf.field === id) f.visibleIf = null;
+      if (f.group === id) f.group = null;
+      LOGIC_EFFECTS.forEach((effect) => {
+        f.logic[effect] = Logic.mapRules(f.logic[effect], (rule) =>
+          rule.field === id ? null : rule,
+        );
+      });
+      f.validation = f.validation.filter(
+        (r) => RULE_TYPES[r.type]?.arg !== "field" || r.value !== id,
+      );
     });
     this.notify();
   },
@@ -48,6 +125,23 @@ const AppState = {
     return this.schema.find((f) => f.id === id);
   },
 
+  setTitle(title) {
+    this.title = title;
+    this.notify();
+  },
+
+  // Versioned, serializable snapshot of the form
+  toDocument() {
+    return { version: SCHEMA_VERSION, title: this.title, fields: this.schema };
+  },
+
+  load(doc) {
+    const { title, fields } = migrateSchema(doc);
+    this.title = title;
+    this.schema = fields;
+    this.notify();
+  },
+
   subscribe(fn) {
     this.subscribers.push(fn);
   },
@@ -57,67 +151,1413 @@ const AppState = {
   },
 };
 
-// --- 2. VALIDATION ENGINE ---
+// --- 2. SCHEMA FORMAT ---
+// Saved forms are versioned documents: { version, title, fields }.
+// Bump SCHEMA_VERSION whenever the field shape changes and add a migration
+// from the previous version, so forms saved by older builds still load.
+const SCHEMA_VERSION = 4;
+const STORAGE_KEY = "form-engine-schema";
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+// Turns a label into a valid, unique data key ("First Name" -> "first_name")
+const toFieldName = (label, taken = []) => {
+  let base = label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  if (!base || /^\d/.test(base)) base = `field_${base}`;
+  let name = base;
+  for (let n = 2; taken.includes(name); n++) name = `${base}_${n}`;
+  return name;
+};
+
+const SchemaMigrations = {
+  // v0: a bare array of fields keyed only by random ids.
+  // v1: wrapped in a document, and every field gets a stable data `name`.
+  0: (fields) => {
+    const names = [];
+    return {
+      version: 1,
+      title: "Untitled Form",
+      fields: fields.map((f) => {
+        const name = toFieldName(f.label || f.id, names);
+        names.push(name);
+        return { ...f, name };
+      }),
+    };
+  },
+  // v2: fields carry a `validation` rule list. v1 applied an email check to
+  // any text field whose label mentioned "email"; keep that as a real rule.
+  1: (doc) => ({
+    ...doc,
+    version: 2,
+    fields: doc.fields.map((f) => ({
+      ...f,
+      validation:
+        f.type === "text" && f.label.toLowerCase().includes("email")
+          ? [{ type: "email", value: "", message: "" }]
+          : [],
+    })),
+  }),
+  // v3: the single `visibleIf` equality check becomes `logic`, one condition
+  // group each for visibility, required-ness and enabled state
+  2: (doc) => ({
+    ...doc,
+    version: 3,
+    fields: doc.fields.map(({ visibleIf, ...f }) => ({
+      ...f,
+      logic: { ...Logic.emptyLogic(), visible: visibleIfToGroup(visibleIf) },
+    })),
+  }),
+  // v4: type-specific `settings`, and `group` membership for repeatable groups
+  3: (doc) => ({
+    ...doc,
+    version: 4,
+    fields: doc.fields.map((f) => ({
+      ...f,
+      settings: defaultSettings(f.type),
+      group: null,
+    })),
+  }),
+};
+
+// Legacy { field, value } visibility check -> condition group
+const visibleIfToGroup = (visibleIf) =>
+  visibleIf
+    ? {
+        combinator: "and",
+        rules: [
+          {
+            field: visibleIf.field,
+            operator: "equals",
+            value: String(visibleIf.value),
+          },
+        ],
+      }
+    : null;
+
+const migrateSchema = (data) => {
+  let doc = data;
+  let version = Array.isArray(data) ? 0 : data?.version;
+  if (!Number.isInteger(version)) throw new Error("Unrecognized form document");
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Form was saved by a newer version (v${version}) of the builder`,
+    );
+  }
+  while (version < SCHEMA_VERSION) {
+    doc = SchemaMigrations[version](doc);
+    version = doc.version;
+  }
+  return doc;
+};
+
+/**
+ * JSON Schema (draft 2020-12) + UI-schema conversion.
+ * The JSON Schema describes the submitted data, keyed by field name, so a
+ * backend can validate submissions with it. Everything about presentation
+ * (widget, order, placeholder, conditional logic, formulas) goes in the
+ * UI-schema, using the "ui:" keys popularised by react-jsonschema-form.
+ * Conditional required-ness is also expressed as allOf/if/then where the
+ * conditions' operators have a JSON Schema equivalent.
+ *
+ * Validation rules that have a JSON Schema keyword are mapped onto it. The
+ * full rule list also goes in "ui:rules", since custom messages, cross-field
+ * and server-side checks have no standard equivalent.
+ */
+const SchemaIO = {
+  toJSONSchema(doc) {
+    return {
+      $schema: JSON_SCHEMA_DIALECT,
+      title: doc.title,
+      ...this.objectSchema(
+        doc.fields.filter((f) => !f.group),
+        doc.fields,
+      ),
+    };
+  },
+
+  // Object schema for one level: the top-level fields or a group's members.
+  // Conditions can only be expressed against fields on the same level.
+  objectSchema(fields, all) {
+    const local = Object.fromEntries(fields.map((f) => [f.id, f]));
+    const schema = { type: "object", properties: {}, required: [] };
+    const conditional = [];
+    let page = null;
+
+    fields.forEach((field) => {
+      if (field.type === "page") {
+        page = field;
+        return;
+      }
+      schema.properties[field.name] =
+        field.type === "group"
+          ? this.groupSchema(field, all)
+          : this.propertySchema(field);
+
+      // Hidden and disabled fields are not submitted, so a field is only
+      // required while it and its page are shown, it is enabled and it is
+      // (statically or by rule) required. Groups are required by minItems.
+      const isRequired =
+        field.type === "group" ? field.settings.minItems > 0 : field.required;
+      const { visible, required, enabled } = field.logic;
+      if (!isRequired && !required) return;
+      const conditions = [
+        page?.logic.visible,
+        visible,
+        enabled,
+        isRequired ? null : required,
+      ];
+      const rules = conditions.filter(Boolean);
+      if (!rules.length) {
+        schema.required.push(field.name);
+        return;
+      }
+      const when = this.conditionToSchema({ combinator: "and", rules }, local);
+      if (when)
+        conditional.push({ if: when, then: { required: [field.name] } });
+    });
+
+    if (conditional.length) schema.allOf = conditional;
+    return schema;
+  },
+
+  groupSchema(group, all) {
+    return {
+      title: group.label,
+      type: "array",
+      items: this.objectSchema(
+        all.filter((f) => f.group === group.id),
+        all,
+      ),
+      minItems: group.settings.minItems,
+      maxItems: group.settings.maxItems,
+    };
+  },
+
+  propertySchema(field) {
+    const prop = { title: field.label };
+    const { settings } = field;
+    switch (field.type) {
+      case "checkbox":
+        prop.type = "boolean";
+        return prop;
+      case "computed":
+        return { ...prop, type: "number", readOnly: true };
+      case "rating":
+        return { ...prop, type: "integer", minimum: 1, maximum: settings.max };
+      case "signature":
+        return {
+          ...prop,
+          type: "string",
+          contentMediaType: "image/png",
+          pattern: "^data:image/png;base64,",
+        };
+      case "file":
+        // The file travels inline as a data: URL
+        return {
+          ...prop,
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            type: { type: "string" },
+            size: { type: "integer", maximum: settings.maxSizeKB * 1024 },
+            data: { type: "string", pattern: "^data:" },
+          },
+          required: ["name", "size", "data"],
+        };
+      case "matrix":
+        // One answer per row; "required" means every row is answered
+        return {
+          ...prop,
+          type: "object",
+          properties: Object.fromEntries(
+            settings.rows.map((row) => [row, { enum: [...settings.columns] }]),
+          ),
+          required: field.required ? [...settings.rows] : [],
+          additionalProperties: false,
+        };
+    }
+
+    if (Validator.isNumeric(field)) {
+      prop.type = "number";
+    } else {
+      prop.type = "string";
+      if (field.type === "select" || field.type === "radio") {
+        prop.enum = [...field.options];
+      }
+      if (Validator.isDate(field)) prop.format = "date";
+      // "Required" in the builder also rejects an empty string
+      if (field.required) prop.minLength = 1;
+    }
+    field.validation.forEach((rule) => {
+      if (rule.type === "minLength") {
+        prop.minLength = Math.max(prop.minLength || 0, Number(rule.value));
+      } else if (rule.type === "maxLength") {
+        prop.maxLength = Number(rule.value);
+      } else if (rule.type === "pattern") {
+        prop.pattern = `^(?:${rule.value})$`; // Builder patterns are anchored
+      } else if (rule.type === "email") {
+        prop.format = "email";
+      } else if (rule.type === "min") {
+        prop.minimum = Number(rule.value);
+      } else if (rule.type === "max") {
+        prop.maximum = Number(rule.value);
+      }
+    });
+    return prop;
+  },
+
+  // JSON Schema that a submission matches exactly when `group` holds, or
+  // null when an operator has no equivalent for that field's data type
+  conditionToSchema(group, byId) {
+    const parts = [];
+    for (const node of group.rules) {
+      const part = isGroup(node)
+        ? this.conditionToSchema(node, byId)
+        : this.ruleToSchema(node, byId[node.field]);
+      if (!part) return null;
+      parts.push(part);
+    }
+    if (parts.length === 1) return parts[0];
+    return group.combinator === "or" ? { anyOf: parts } : { allOf: parts };
+  },
+
+  ruleToSchema(rule, target) {
+    if (!target || STRUCTURAL_TYPES.includes(target.type)) return null;
+    const present = (schema) => ({
+      properties: { [target.name]: schema },
+      required: [target.name],
+    });
+    const boolean = target.type === "checkbox";
+    const numeric = Validator.isNumeric(target);
+    // Files and matrices are objects: only presence can be tested
+    const object = ["file", "matrix"].includes(target.type);
+    if (object && !rule.operator.endsWith("Empty")) return null;
+    const value = boolean
+      ? rule.value === "true"
+      : numeric
+        ? Number(rule.value)
+        : rule.value;
+
+    switch (rule.operator) {
+      case "equals":
+        return present({ const: value });
+      case "notEquals":
+        return { not: present({ const: value }) };
+      case "contains":
+        if (boolean || numeric) return null;
+        return present({
+          pattern: rule.value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        });
+      case "greaterThan":
+        return numeric ? present({ exclusiveMinimum: value }) : null;
+      case "lessThan":
+        return numeric ? present({ exclusiveMaximum: value }) : null;
+      // Empty text is left out of submissions; checkboxes are always sent
+      case "isEmpty":
+        return boolean
+          ? present({ const: false })
+          : { not: { required: [target.name] } };
+      case "isNotEmpty":
+        return boolean ? present({ const: true }) : { required: [target.name] };
+      default:
+        return null;
+    }
+  },
+
+  toUISchema(doc) {
+    const byId = Object.fromEntries(doc.fields.map((f) => [f.id, f]));
+    // Groups nest their members' UI-schema under "items", as RJSF does
+    const level = (fields) => {
+      const ui = { "ui:order": fields.map((f) => f.name) };
+      fields.forEach((field) => {
+        const entry = { "ui:widget": field.type };
+        if (field.type === "page") entry["ui:title"] = field.label;
+        if (field.placeholder) entry["ui:placeholder"] = field.placeholder;
+        if (field.type === "computed") entry["ui:formula"] = field.formula;
+        if (Object.keys(field.settings).length) {
+          entry["ui:options"] = structuredClone(field.settings);
+        }
+        const logic = {};
+        LOGIC_EFFECTS.forEach((effect) => {
+          const group = Logic.mapRules(field.logic[effect], (rule) =>
+            byId[rule.field] ? { ...rule, field: byId[rule.field].name } : null,
+          );
+          if (group) logic[effect] = group;
+        });
+        if (Object.keys(logic).length) entry["ui:logic"] = logic;
+        if (field.validation.length) {
+          // Cross-field rules point at other fields by name, like ui:logic
+          entry["ui:rules"] = field.validation.map((rule) =>
+            RULE_TYPES[rule.type]?.arg === "field"
+              ? { ...rule, value: byId[rule.value]?.name || "" }
+              : { ...rule },
+          );
+        }
+        if (field.type === "group") {
+          entry.items = level(doc.fields.filter((f) => f.group === field.id));
+        }
+        ui[field.name] = entry;
+      });
+      return ui;
+    };
+    return level(doc.fields.filter((f) => !f.group));
+  },
+
+  // Builds a current-version document; unsupported keywords are ignored
+  fromJSONSchema(schema, uiSchema = {}) {
+    if (schema?.type !== "object" || typeof schema.properties !== "object") {
+      throw new Error("Expected a JSON Schema with type object and properties");
+    }
+    const fields = this.fieldsFromObject(schema, uiSchema, null);
+
+    // Conditions and cross-field rules reference fields by name; the builder
+    // uses ids. Names are only unique per level, so fields are keyed by their
+    // JSON pointer, and a name resolves to a sibling first, then a top-level field.
+    const byId = Object.fromEntries(fields.map((f) => [f.id, f]));
+    const levelOf = (f) => (f.group ? `${pointerOf(byId[f.group])}/items` : "");
+    const pointerOf = (f) => `${levelOf(f)}/properties/${f.name}`;
+    const idOf = new Map(fields.map((f) => [pointerOf(f), f.id]));
+    const resolve = (f, name) =>
+      idOf.get(`${levelOf(f)}/properties/${name}`) ||
+      idOf.get(`/properties/${name}`);
+
+    fields.forEach((f) => {
+      LOGIC_EFFECTS.forEach((effect) => {
+        f.logic[effect] = Logic.mapRules(f.logic[effect], (rule) =>
+          resolve(f, rule.field) &&
+          Object.hasOwn(CONDITION_OPERATORS, rule.operator)
+            ? {
+                field: resolve(f, rule.field),
+                operator: rule.operator,
+                value: String(rule.value ?? ""),
+              }
+            : null,
+        );
+      });
+      f.validation = f.validation
+        .filter((r) => Object.hasOwn(RULE_TYPES, r.type))
+        .map((r) => ({
+          type: r.type,
+          value:
+            RULE_TYPES[r.type].arg === "field"
+              ? resolve(f, r.value) || ""
+              : String(r.value ?? ""),
+          message: r.message || "",
+        }))
+        .filter((r) => RULE_TYPES[r.type].arg !== "field" || r.value);
+    });
+
+    // The builder needs names unique across the form: a group member that
+    // shares its name with an earlier field becomes "name_2", and formulas
+    // in its group (where the name meant that member) follow the rename
+    const taken = new Set();
+    fields.forEach((f) => {
+      let name = f.name;
+      for (let n = 2; taken.has(name); n++) name = `${f.name}_${n}`;
+      taken.add(name);
+      if (name === f.name) return;
+      fields
+        .filter((c) => c.type === "computed" && c.group && c.group === f.group)
+        .forEach((c) => (c.formula = Formula.rename(c.formula, f.name, name)));
+      f.name = name;
+    });
+
+    return {
+      version: SCHEMA_VERSION,
+      title: schema.title || "Imported Form",
+      fields,
+    };
+  },
+
+  // Flat field list for one object level; group members follow their group
+  fieldsFromObject(schema, uiSchema, groupId) {
+    const names = Object.keys(schema.properties || {});
+    // Page breaks exist only in the UI-schema, and only at the top level
+    const isPage = (n) =>
+      !groupId && uiSchema[n]?.["ui:widget"] === "page" && !names.includes(n);
+    const order = (uiSchema["ui:order"] || []).filter(
+      (n) => names.includes(n) || isPage(n),
+    );
+    names.forEach((n) => !order.includes(n) && order.push(n));
+
+    const required = new Set(schema.required || []);
+    const requiredWhen = new Set();
+    (schema.allOf || []).forEach((rule) => {
+      (rule?.then?.required || []).forEach((n) => requiredWhen.add(n));
+    });
+
+    return order.flatMap((name) => {
+      const prop = schema.properties?.[name] || {};
+      const ui = uiSchema[name] || {};
+      const type = isPage(name) ? "page" : this.typeOf(prop, ui);
+      // Older exports carry a single ui:visibleIf instead of ui:logic
+      const logic = { ...Logic.emptyLogic(), ...ui["ui:logic"] };
+      if (!ui["ui:logic"]) logic.visible = visibleIfToGroup(ui["ui:visibleIf"]);
+      // Conditionally required: static unless a rule explains the condition
+      const isRequired =
+        type !== "group" &&
+        (required.has(name) || (requiredWhen.has(name) && !logic.required));
+      const textLike = ["text", "textarea", "number", "date"].includes(type);
+
+      const field = {
+        id: generateId(),
+        name,
+        type,
+        label: (type === "page" ? ui["ui:title"] : prop.title) || name,
+        placeholder: ui["ui:placeholder"] || "",
+        required: isRequired,
+        options:
+          type === "select" || type === "radio"
+            ? (prop.enum || []).map(String)
+            : [],
+        // Still keyed by name here
+        validation:
+          ui["ui:rules"] ||
+          (textLike ? this.rulesFromKeywords(prop, isRequired) : []),
+        logic,
+        settings: {
+          ...defaultSettings(type),
+          ...this.settingsFromKeywords(type, prop),
+          ...ui["ui:options"],
+        },
+        group: groupId,
+      };
+      if (type === "computed") field.formula = String(ui["ui:formula"] || "");
+      if (type !== "group") return [field];
+      return [
+        field,
+        ...this.fieldsFromObject(prop.items || {}, ui.items || {}, field.id),
+      ];
+    });
+  },
+
+  // The UI-schema widget wins; otherwise infer from the JSON Schema
+  typeOf(prop, ui) {
+    const widget = ui["ui:widget"];
+    if (FIELD_TYPES.includes(widget) && widget !== "page") return widget;
+    if (prop.type === "boolean") return "checkbox";
+    if (prop.type === "array" && prop.items?.type === "object") return "group";
+    if (prop.enum?.length) return "select";
+    if (prop.type === "number" || prop.type === "integer") return "number";
+    if (prop.format === "date") return "date";
+    return "text";
+  },
+
+  settingsFromKeywords(type, prop) {
+    const settings = {};
+    if (type === "group") {
+      if (prop.minItems !== undefined) settings.minItems = prop.minItems;
+      if (prop.maxItems !== undefined) settings.maxItems = prop.maxItems;
+    } else if (type === "rating" && prop.maximum) {
+      settings.max = prop.maximum;
+    } else if (type === "matrix" && prop.properties) {
+      settings.rows = Object.keys(prop.properties);
+      const first = Object.values(prop.properties)[0];
+      if (first?.enum) settings.columns = first.enum.map(String);
+    } else if (type === "file" && prop.properties?.size?.maximum) {
+      settings.maxSizeKB = Math.round(prop.properties.size.maximum / 1024);
+    }
+    return settings;
+  },
+
+  // Best-effort rules for schemas that were not exported by this builder
+  rulesFromKeywords(prop, required) {
+    const rules = [];
+    const add = (type, value = "") => rules.push({ type, value, message: "" });
+    if (prop.minLength > (required ? 1 : 0)) add("minLength", prop.minLength);
+    if (prop.maxLength !== undefined) add("maxLength", prop.maxLength);
+    if (prop.pattern) {
+      // Unwrap our own anchoring; otherwise allow anything around the pattern
+      const own = prop.pattern.match(/^\^\(\?:(.*)\)\$$/);
+      add("pattern", own ? own[1] : `.*(?:${prop.pattern}).*`);
+    }
+    if (prop.format === "email") add("email");
+    if (prop.minimum !== undefined) add("min", prop.minimum);
+    if (prop.maximum !== undefined) add("max", prop.maximum);
+    return rules;
+  },
+
+  /**
+   * Accepts any of: a saved form document (any version), a legacy field
+   * array, { schema, uiSchema }, or a bare JSON Schema.
+   */
+  parse(text) {
+    const data = JSON.parse(text);
+    let doc;
+    if (Array.isArray(data) || Number.isInteger(data?.version)) {
+      doc = migrateSchema(data);
+    } else if (data?.schema) {
+      doc = this.fromJSONSchema(data.schema, data.uiSchema);
+    } else {
+      doc = this.fromJSONSchema(data);
+    }
+    return this.checkDocument(doc);
+  },
+
+  /**
+   * Imported files are untrusted: rebuilds the document field by field,
+   * rejecting what the builder could not have produced and giving every
+   * field a fresh id (ids end up in selectors and DOM keys). References
+   * between fields (group, logic, cross-field rules) follow the new ids.
+   */
+  checkDocument(doc) {
+    const fail = (message) => {
+      throw new Error(`Invalid form document: ${message}`);
+    };
+    const isObject = (value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value);
+    const text = (value, what) => {
+      if (value === undefined || value === null) return "";
+      if (typeof value !== "string" && typeof value !== "number") {
+        fail(`${what} must be text`);
+      }
+      return String(value);
+    };
+
+    if (!isObject(doc) || !Array.isArray(doc.fields)) fail("no field list");
+    const seen = new Set();
+    doc.fields.forEach((f, i) => {
+      if (!isObject(f)) fail(`field ${i + 1} is not an object`);
+      // References are remapped by id, so each one has to be unique
+      if (typeof f.id !== "string" || !f.id) fail(`field ${i + 1} has no id`);
+      if (seen.has(f.id)) fail(`two fields have the id "${f.id}"`);
+      seen.add(f.id);
+    });
+    const newIds = new Map(doc.fields.map((f) => [f.id, generateId()]));
+    const groupIds = new Set(
+      doc.fields.filter((f) => f.type === "group").map((f) => newIds.get(f.id)),
+    );
+    const names = new Set();
+
+    const condition = (group) => {
+      if (group === null || group === undefined) return null;
+      if (!isGroup(group)) fail("a condition group has no rules");
+      return Logic.mapRules(
+        {
+          combinator: group.combinator === "or" ? "or" : "and",
+          rules: group.rules,
+        },
+        (rule) =>
+          isObject(rule) &&
+          newIds.has(rule.field) &&
+          Object.hasOwn(CONDITION_OPERATORS, rule.operator)
+            ? {
+                field: newIds.get(rule.field),
+                operator: rule.operator,
+                value: text(rule.value, "a condition value"),
+              }
+            : null,
+      );
+    };
+
+    const settings = (type, values) => {
+      const result = defaultSettings(type);
+      if (!isObject(values)) return result;
+      Object.entries(FIELD_SETTINGS[type] || {}).forEach(([key, def]) => {
+        const value = values[key];
+        if (def.list) {
+          if (Array.isArray(value)) result[key] = value.map(String);
+        } else if (def.number) {
+          if (Number.isInteger(value) && value >= 0) result[key] = value;
+        } else if (typeof value === "string") {
+          result[key] = value;
+        }
+      });
+      return result;
+    };
+
+    const fields = doc.fields.map((f, i) => {
+      const where = `field ${i + 1}`;
+      if (!FIELD_TYPES.includes(f.type)) fail(`${where} has unknown type`);
+      if (typeof f.name !== "string" || !f.name) fail(`${where} has no name`);
+      if (names.has(f.name)) fail(`two fields are named "${f.name}"`);
+      names.add(f.name);
+      if (f.validation !== undefined && !Array.isArray(f.validation)) {
+        fail(`${where} has an invalid rule list`);
+      }
+
+      const logic = Logic.emptyLogic();
+      LOGIC_EFFECTS.forEach((effect) => {
+        logic[effect] = condition(f.logic?.[effect]);
+      });
+      const field = {
+        id: newIds.get(f.id),
+        name: f.name,
+        type: f.type,
+        label: text(f.label, `label of ${where}`),
+        placeholder: text(f.placeholder, `placeholder of ${where}`),
+        required: f.required === true,
+        options: Array.isArray(f.options) ? f.options.map(String) : [],
+        validation: (f.validation || [])
+          .filter((r) => isObject(r) && Object.hasOwn(RULE_TYPES, r.type))
+          .map((r) => ({
+            type: r.type,
+            value:
+              RULE_TYPES[r.type].arg === "field"
+                ? newIds.get(r.value) || ""
+                : text(r.value, `a rule of ${where}`),
+            message: text(r.message, `a rule message of ${where}`),
+          }))
+          .filter((r) => RULE_TYPES[r.type].arg !== "field" || r.value)
+          .map((r) => {
+            const problem = Validator.checkRule(r);
+            if (problem) fail(`${where} has a bad rule (${problem})`);
+            return r;
+          }),
+        logic,
+        settings: settings(f.type, f.settings),
+        // Groups don't nest, and pages are never inside one
+        group:
+          !STRUCTURAL_TYPES.includes(f.type) &&
+          groupIds.has(newIds.get(f.group))
+            ? newIds.get(f.group)
+            : null,
+      };
+      if (f.type === "computed") {
+        field.formula = text(f.formula, `formula of ${where}`);
+      }
+      return field;
+    });
+
+    return {
+      version: SCHEMA_VERSION,
+      title: text(doc.title, "title") || "Imported Form",
+      fields,
+    };
+  },
+};
+
+// --- 3. VALIDATION ENGINE ---
+// Fake backend for async rules. Each endpoint resolves after a network-like
+// delay with { valid, message? }; swap `request` for fetch() against a real API.
+const MockAPI = {
+  latency: 400,
+  endpoints: {
+    "username-available": (value) => {
+      const taken = ["admin", "root", "test", "user", "support"];
+      return taken.includes(value.trim().toLowerCase())
+        ? { valid: false, message: "This username is already taken" }
+        : { valid: true };
+    },
+    "email-deliverable": (value) => {
+      const blocked = ["mailinator.com", "tempmail.com", "example.com"];
+      const domain = value.split("@")[1]?.toLowerCase();
+      return blocked.includes(domain)
+        ? {
+            valid: false,
+            message: "Disposable email addresses are not allowed",
+          }
+        : { valid: true };
+    },
+  },
+
+  request(endpoint, value) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        const handler = this.endpoints[endpoint];
+        if (handler) resolve(handler(value));
+        else reject(new Error(`Unknown endpoint: ${endpoint}`));
+      }, this.latency);
+    });
+  },
+};
+
+const ASYNC_DEBOUNCE_MS = 500;
+
+const parseDate = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  // Reject dates like 2024-02-30 that Date would silently roll over
+  return isNaN(date) || date.toISOString().slice(0, 10) !== value ? null : date;
+};
+
+/**
+ * Rule catalogue. Every rule on a field is { type, value, message } where
+ * `message` overrides the default. `arg` says what `value` holds, which also
+ * drives the properties panel: "number", "text", "date", "field" (the id of
+ * another field, for cross-field rules), "endpoint" (a MockAPI endpoint) or
+ * "none". Rules only run on non-empty values; emptiness is `required`'s job.
+ */
+const RULE_TYPES = {
+  minLength: {
+    label: "Min length",
+    arg: "number",
+    test: (v, n) => v.length >= Number(n),
+    message: (n) => `Must be at least ${n} characters`,
+  },
+  maxLength: {
+    label: "Max length",
+    arg: "number",
+    test: (v, n) => v.length <= Number(n),
+    message: (n) => `Must be at most ${n} characters`,
+  },
+  pattern: {
+    label: "Matches pattern",
+    arg: "text",
+    test: (v, p) => new RegExp(`^(?:${p})$`).test(v),
+    message: () => "Invalid format",
+  },
+  email: {
+    label: "Email address",
+    arg: "none",
+    test: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    message: () => "Please enter a valid email",
+  },
+  min: {
+    label: "Number ≥",
+    arg: "number",
+    test: (v, n) => Validator.isNumber(v) && Number(v) >= Number(n),
+    message: (n) => `Must be a number no less than ${n}`,
+  },
+  max: {
+    label: "Number ≤",
+    arg: "number",
+    test: (v, n) => Validator.isNumber(v) && Number(v) <= Number(n),
+    message: (n) => `Must be a number no greater than ${n}`,
+  },
+  minDate: {
+    label: "Date on/after",
+    arg: "date",
+    test: (v, d) => parseDate(v) && parseDate(v) >= parseDate(d),
+    message: (d) => `Must be a date (YYYY-MM-DD) on or after ${d}`,
+  },
+  maxDate: {
+    label: "Date on/before",
+    arg: "date",
+    test: (v, d) => parseDate(v) && parseDate(v) <= parseDate(d),
+    message: (d) => `Must be a date (YYYY-MM-DD) on or before ${d}`,
+  },
+  matches: {
+    label: "Same as field",
+    arg: "field",
+    test: (v, other) => v === other,
+    message: (other, field) => `Must match ${field.label}`,
+  },
+  after: {
+    label: "Date after field",
+    arg: "field",
+    // Nothing to compare against until the other date is valid
+    test: (v, other) =>
+      !parseDate(other) || (parseDate(v) && parseDate(v) > parseDate(other)),
+    message: (other, field) => `Must be a date after ${field.label}`,
+  },
+  before: {
+    label: "Date before field",
+    arg: "field",
+    test: (v, other) =>
+      !parseDate(other) || (parseDate(v) && parseDate(v) < parseDate(other)),
+    message: (other, field) => `Must be a date before ${field.label}`,
+  },
+  remote: {
+    label: "Server check",
+    arg: "endpoint",
+    async: true,
+    message: () => "Rejected by server",
+  },
+};
+
 const Validator = {
   rules: {
     required: (value) => value && value.trim() !== "",
-    email: (value) => !value || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
-    minLength: (value, min) => !value || value.length >= min,
   },
 
-  validateField(field, value) {
-    if (field.required && !this.rules.required(value)) {
-      return "This field is required";
+  isNumber: (value) => value.trim() !== "" && !isNaN(Number(value)),
+
+  // Fields whose submitted value is a number / an ISO date, by type or by rule
+  isNumeric: (field) =>
+    ["number", "rating", "computed"].includes(field.type) ||
+    (field.validation || []).some((r) => r.type === "min" || r.type === "max"),
+  isDate: (field) =>
+    field.type === "date" ||
+    (field.validation || []).some((r) =>
+      ["minDate", "maxDate", "after", "before"].includes(r.type),
+    ),
+
+  // Files are objects once picked; a matrix needs an answer on every row
+  isEmpty(field, value) {
+    if (field.type === "matrix") {
+      return !value || field.settings.rows.some((row) => !value[row]);
+    }
+    if (value && typeof value === "object") return false;
+    return !this.rules.required(value);
+  },
+
+  checkFile(field, file) {
+    const { accept, maxSizeKB } = field.settings;
+    if (file.size > maxSizeKB * 1024) {
+      return `File must be ${maxSizeKB} KB or smaller`;
     }
-    if (
-      field.type === "text" &&
-      field.label.toLowerCase().includes("email") &&
-      !this.rules.email(value)
-    ) {
-      return "Please enter a valid email";
+    const patterns = accept
+      .split(",")
+      .map((p) => p.trim().toLowerCase())
+      .filter(Boolean);
+    const allowed = patterns.some((p) =>
+      p.startsWith(".")
+        ? file.name.toLowerCase().endsWith(p)
+        : p.endsWith("/*")
+          ? file.type.startsWith(p.slice(0, -1))
+          : file.type === p,
+    );
+    return patterns.length && !allowed ? "This file type is not allowed" : null;
+  },
+
+  /**
+   * Synchronous checks. `values` is the renderer's formValues (keyed by id)
+   * and `schema` the field list, both needed for cross-field rules.
+   */
+  validateField(field, value, values = {}, schema = []) {
+    value = value || "";
+    if (field.required && this.isEmpty(field, value)) {
+      return field.type === "matrix"
+        ? "Please answer every row"
+        : "This field is required";
+    }
+    if (!value) return null;
+    if (field.type === "file") return this.checkFile(field, value);
+    if (typeof value !== "string") return null;
+    if (field.type === "number" && !this.isNumber(value)) {
+      return "Please enter a number";
+    }
+    if (field.type === "date" && !parseDate(value)) {
+      return "Please enter a valid date";
+    }
+
+    for (const rule of field.validation || []) {
+      const def = RULE_TYPES[rule.type];
+      if (!def || def.async) continue;
+
+      let arg = rule.value;
+      let other = null;
+      if (def.arg === "field") {
+        other = schema.find((f) => f.id === rule.value);
+        if (!other) continue;
+        arg = values[other.id] || "";
+      }
+      if (!def.test(value, arg)) {
+        return rule.message || def.message(rule.value, other);
+      }
+    }
+    return null;
+  },
+
+  // Runs the field's async rules in order; resolves with the first error
+  async validateAsync(field, value) {
+    if (!value || typeof value !== "string") return null;
+    for (const rule of field.validation || []) {
+      if (!RULE_TYPES[rule.type]?.async) continue;
+      try {
+        const res = await MockAPI.request(rule.value, value);
+        if (!res.valid) {
+          return rule.message || res.message || RULE_TYPES.remote.message();
+        }
+      } catch (err) {
+        console.error("Async validation failed:", err);
+        return "Could not verify this value, please try again";
+      }
+    }
+    return null;
+  },
+
+  hasAsyncRules: (field) =>
+    (field.validation || []).some((r) => RULE_TYPES[r.type]?.async),
+
+  // Ids of the fields this field's cross-field rules compare against
+  dependenciesOf: (field) =>
+    (field.validation || [])
+      .filter((r) => RULE_TYPES[r.type]?.arg === "field")
+      .map((r) => r.value),
+
+  // Returns an error string for a badly configured rule (used by the builder)
+  checkRule(rule) {
+    const def = RULE_TYPES[rule.type];
+    if (!def) return `Unknown rule "${rule.type}"`;
+    if (def.arg === "number" && !this.isNumber(String(rule.value))) {
+      return `${def.label}: enter a number`;
+    }
+    if (def.arg === "date" && !parseDate(rule.value)) {
+      return `${def.label}: enter a date as YYYY-MM-DD`;
+    }
+    if (def.arg === "text") {
+      try {
+        new RegExp(rule.value);
+      } catch (err) {
+        return `${def.label}: ${err.message}`;
+      }
+    }
+    if ((def.arg === "field" || def.arg === "endpoint") && !rule.value) {
+      return `${def.label}: choose a ${def.arg}`;
     }
     return null;
   },
 };
 
-// --- 3. FORM RENDERER (The Engine) ---
+// --- 4. LOGIC ENGINE ---
+/**
+ * Conditions are nested groups:
+ *   { combinator: "and" | "or", rules: [Rule | Group] }
+ *   Rule = { field: <field id>, operator: <CONDITION_OPERATORS key>, value }
+ * A field's `logic` holds one optional group per effect
+ * ({ visible, required, enabled }); null means "always".
+ */
+const CONDITION_OPERATORS = {
+  equals: { label: "equals", test: (v, x) => v === x },
+  notEquals: { label: "does not equal", test: (v, x) => v !== x },
+  contains: { label: "contains", test: (v, x) => v.includes(x) },
+  greaterThan: {
+    label: "greater than",
+    test: (v, x) => Validator.isNumber(v) && Number(v) > Number(x),
+  },
+  lessThan: {
+    label: "less than",
+    test: (v, x) => Validator.isNumber(v) && Number(v) < Number(x),
+  },
+  isEmpty: { label: "is empty", unary: true, test: (v) => v === "" },
+  isNotEmpty: { label: "is not empty", unary: true, test: (v) => v !== "" },
+};
+
+const LOGIC_EFFECTS = ["visible", "required", "enabled"];
+
+const isGroup = (node) => Array.isArray(node?.rules);
+
+const Logic = {
+  emptyLogic: () => ({ visible: null, required: null, enabled: null }),
+
+  /**
+   * `values` is keyed by field id. Checkboxes compare as "true"/"false",
+   * except that an unchecked one counts as empty.
+   */
+  evaluate(group, values, fields = []) {
+    if (!group || !group.rules.length) return true;
+    const results = group.rules.map((node) => {
+      if (isGroup(node)) return this.evaluate(node, values, fields);
+      const op = CONDITION_OPERATORS[node.operator];
+      if (!op) return false;
+      let value = values[node.field] ?? "";
+      // Files compare by name, matrices by their JSON answers
+      if (typeof value === "object") {
+        value = Object.keys(value).length
+          ? value.name || JSON.stringify(value)
+          : "";
+      }
+      if (fields.find((f) => f.id === node.field)?.type === "checkbox") {
+        value = value === "true" ? "true" : "false";
+        if (op.unary && value === "false") value = "";
+      }
+      return op.test(value, node.value ?? "");
+    });
+    return group.combinator === "or"
+      ? results.some(Boolean)
+      : results.every(Boolean);
+  },
+
+  // Applies `fn` to every leaf rule; returns a new tree without the leaves
+  // for which it returns null, and without groups left empty by that
+  mapRules(group, fn) {
+    if (!group) return null;
+    const rules = group.rules
+      .map((node) => (isGroup(node) ? this.mapRules(node, fn) : fn(node)))
+      .filter(Boolean);
+    return rules.length ? { combinator: group.combinator, rules } : null;
+  },
+};
+
+/**
+ * Formulas for computed fields: arithmetic over other fields' names, e.g.
+ * "round(qty * price * (1 + tax / 100), 2)". Parsed by a small recursive
+ * descent parser rather than eval, so a shared form can't run code.
+ * Empty or non-numeric inputs count as 0. Outside its group, a group
+ * member's name stands for the list of its values across entries.
+ */
+const FORMULA_FUNCTIONS = {
+  round: (x, digits = 0) => {
+    const f = 10 ** digits;
+    return Math.round(x * f) / f;
+  },
+  floor: Math.floor,
+  ceil: Math.ceil,
+  abs: Math.abs,
+  // Aggregates also take a repeatable group's field, e.g. sum(line_total)
+  min: (...xs) => Math.min(...xs.flat()),
+  max: (...xs) => Math.max(...xs.flat()),
+  sum: (...xs) => xs.flat().reduce((a, b) => a + b, 0),
+  avg: (...xs) => {
+    const all = xs.flat();
+    return all.length ? all.reduce((a, b) => a + b, 0) / all.length : 0;
+  },
+};
+const FORMULA_AGGREGATES = ["min", "max", "sum", "avg"];
+
+const Formula = {
+  tokenize(expr) {
+    const tokens = [];
+    const re = /\s*(?:(\d+\.?\d*|\.\d+)|([A-Za-z_]\w*)|(\S))/g;
+    let m;
+    while ((m = re.exec(expr)) && m[0].trim()) {
+      if (m[1]) tokens.push({ type: "num", value: Number(m[1]) });
+      else if (m[2]) tokens.push({ type: "name", value: m[2] });
+      else if ("+-*/%(),".includes(m[3])) tokens.push({ type: m[3] });
+      else throw new Error(`Unexpected "${m[3]}"`);
+    }
+    return tokens;
+  },
+
+  // Returns an AST: { num } | { name } | { op, args } | { call, args }
+  parse(expr) {
+    const tokens = this.tokenize(expr);
+    let pos = 0;
+    const peek = () => tokens[pos]?.type;
+    const expect = (type) => {
+      if (peek() !== type) {
+        throw new Error(
+          peek() ? `Unexpected "${peek()}"` : `Missing "${type}"`,
+        );
+      }
+      return tokens[pos++];
+    };
+
+    const primary = () => {
+      const tok = tokens[pos++];
+      if (!tok) throw new Error("Unexpected end of formula");
+      if (tok.type === "num") return { num: tok.value };
+      if (tok.type === "-") return { op: "neg", args: [primary()] };
+      if (tok.type === "(") {
+        const node = sum();
+        expect(")");
+        return node;
+      }
+      if (tok.type === "name") {
+        if (peek() !== "(") return { name: tok.value };
+        if (!Object.hasOwn(FORMULA_FUNCTIONS, tok.value)) {
+          throw new Error(`Unknown function "${tok.value}"`);
+        }
+        pos++;
+        const args = peek() === ")" ? [] : [sum()];
+        while (peek() === ",") {
+          pos++;
+          args.push(sum());
+        }
+        expect(")");
+        return { call: tok.value, args };
+      }
+      throw new Error(`Unexpected "${tok.type}"`);
+    };
+    const product = () => {
+      let node = primary();
+      while (["*", "/", "%"].includes(peek())) {
+        node = { op: tokens[pos++].type, args: [node, primary()] };
+      }
+      return node;
+    };
+    const sum = () => {
+      let node = product();
+      while (["+", "-"].includes(peek())) {
+        node = { op: tokens[pos++].type, args: [node, product()] };
+      }
+      return node;
+    };
+
+    const ast = sum();
+    if (pos < tokens.length) throw new Error(`Unexpected "${peek()}"`);
+    return ast;
+  },
+
+  // Field names the formula reads
+  namesIn(expr) {
+    return [
+      ...new Set(
+        this.tokenize(expr)
+          .filter((t, i, all) => t.type === "name" && all[i + 1]?.type !== "(")
+          .map((t) => t.value),
+      ),
+    ];
+  },
+
+  evaluate(ast, scope) {
+    if ("num" in ast) return ast.num;
+    const toNumber = (v) => (isNaN(Number(v)) ? 0 : Number(v));
+    if ("name" in ast) {
+      const value = scope[ast.name];
+      return Array.isArray(value) ? value.map(toNumber) : toNumber(value);
+    }
+    const args = ast.args.map((a) => this.evaluate(a, scope));
+    if (args.some(Array.isArray) && !FORMULA_AGGREGATES.includes(ast.call)) {
+      throw new Error("Group fields need sum(), avg(), min() or max()");
+    }
+    if (ast.call) return FORMULA_FUNCTIONS[ast.call](...args);
+    const [a, b] = args;
+    switch (ast.op) {
+      case "neg":
+        return -a;
+      case "+":
+        return a + b;
+      case "-":
+        return a - b;
+      case "*":
+        return a * b;
+      case "/":
+        return a / b;
+      case "%":
+        return a % b;
+    }
+  },
+
+  // Rewrites references after a field is renamed
+  rename(expr, from, to) {
+    return expr.replace(/[A-Za-z_]\w*/g, (word, i) =>
+      word === from && !/[\w.]/.test(expr[i - 1] || "") ? to : word,
+    );
+  },
+};
+
+// --- 5. FORM RENDERER (The Engine) ---
+/**
+ * Every value lives in `formValues` under a key: the field id for top-level
+ * fields, "<group id>.<entry index>.<field id>" for a repeatable group's
+ * members. An "instance" is one rendered occurrence of a field:
+ * { field, index, key, page, parents } where `parents` are the keys of the
+ * enclosing page and group, whose state also applies to it.
+ */
 class FormRenderer {
   constructor(containerId) {
     this.container = document.getElementById(containerId);
     this.formValues = {}; // Mirrors current state of inputs
     this.currentSchema = []; // Keep track of schema for logic checks
+    this.touched = new Set(); // Keys the user has edited
+    this.asyncTimers = {}; // Debounce timers for async rules, by key
+    this.asyncRuns = {}; // Latest async check per key; older results are dropped
+    this.fieldState = {}; // { visible, required, enabled } by key
+    this.formulaErrors = {}; // Failing formulas, by key of the computed field
+    this.entryCounts = {}; // Entries per repeatable group, by group id
+    this.pages = [];
+    this.pageIndex = 0;
 
     // FIX #2: Setup Event Delegation ONCE in constructor
     this.setupDelegation();
   }
 
+  keyOf(field, index = null) {
+    return index === null ? field.id : `${field.group}.${index}.${field.id}`;
+  }
+
+  membersOf(group) {
+    return this.currentSchema.filter((f) => f.group === group.id);
+  }
+
+  entryCount(group) {
+    const { minItems, maxItems } = group.settings;
+    const count = this.entryCounts[group.id] ?? Math.max(minItems, 1);
+    return Math.min(Math.max(count, minItems), maxItems);
+  }
+
+  // Page fields split the form; group members render inside their group
+  paginate(schema) {
+    const pages = [{ field: null, fields: [] }];
+    schema.forEach((field) => {
+      if (field.type === "page") pages.push({ field, fields: [] });
+      else if (!field.group) pages[pages.length - 1].fields.push(field);
+    });
+    // A leading page break replaces the implicit first page
+    if (pages.length > 1 && !pages[0].fields.length) pages.shift();
+    return pages;
+  }
+
+  instances() {
+    const list = [];
+    this.pages.forEach((page, p) => {
+      const pageKeys = page.field ? [page.field.id] : [];
+      if (page.field) {
+        list.push({
+          field: page.field,
+          index: null,
+          key: page.field.id,
+          page: p,
+          parents: [],
+        });
+      }
+      page.fields.forEach((field) => {
+        list.push({
+          field,
+          index: null,
+          key: field.id,
+          page: p,
+          parents: pageKeys,
+        });
+        if (field.type !== "group") return;
+        const members = this.membersOf(field);
+        for (let i = 0; i < this.entryCount(field); i++) {
+          members.forEach((m) => {
+            list.push({
+              field: m,
+              index: i,
+              key: this.keyOf(m, i),
+              page: p,
+              parents: [...pageKeys, field.id],
+            });
+          });
+        }
+      });
+    });
+    return list;
+  }
+
+  // Values as seen from an instance: inside a group entry, member ids
+  // resolve to that entry's values
+  scopeValues(inst) {
+    if (inst.index === null) return this.formValues;
+    const values = { ...this.formValues };
+    this.currentSchema
+      .filter((f) => f.group === inst.field.group)
+      .forEach((m) => {
+        values[m.id] = this.formValues[this.keyOf(m, inst.index)];
+      });
+    return values;
+  }
+
   render(schema) {
     this.currentSchema = schema;
+    this.pages = this.paginate(schema);
     this.container.innerHTML = ""; // Clear DOM
 
-    schema.forEach((field) => {
-      const fieldDOM = this.createFieldDOM(field);
-      this.container.appendChild(fieldDOM);
+    if (this.pages.length > 1) {
+      this.container.appendChild(this.createProgressDOM());
+    }
+    this.pages.forEach((page, p) => {
+      const section = document.createElement("section");
+      section.className = "form-page";
+      section.dataset.page = p;
+      if (page.field) section.appendChild(this.createPageHeaderDOM(page.field));
+      page.fields.forEach((field) => {
+        section.appendChild(
+          field.type === "group"
+            ? this.createGroupDOM(field)
+            : this.createFieldDOM(field),
+        );
+      });
+      this.container.appendChild(section);
     });
+    if (this.pages.length > 1) {
+      this.container.appendChild(this.createPagerDOM());
+    }
 
     // Re-evaluate logic immediately to hide/show fields based on existing values
-    this.evaluateVisibility();
+    this.applyLogic();
+  }
+
+  createActionsDOM(field) {
+    const actions = document.createElement("div");
+    actions.className = "field-actions";
+    actions.innerHTML = `
+            <button class="action-btn edit" type="button">Edit</button>
+            <button class="action-btn delete" type="button">Delete</button>
+        `;
+    actions
+      .querySelector(".edit")
+      .addEventListener("click", () => BuilderUI.editField(field.id));
+    actions
+      .querySelector(".delete")
+      .addEventListener("click", () => AppState.deleteField(field.id));
+    return actions;
+  }
+
+  createProgressDOM() {
+    const progress = document.createElement("div");
+    progress.className = "form-progress";
+    progress.innerHTML = `
+            <div class="progress-label"></div>
+            <div class="progress-track"><div class="progress-fill"></div></div>
+            <ol class="progress-steps"></ol>
+        `;
+    return progress;
+  }
+
+  createPageHeaderDOM(page) {
+    const header = document.createElement("div");
+    header.className = "page-header";
+    header.dataset.key = page.id;
+    const title = document.createElement("h3");
+    title.textContent = page.label;
+    header.append(title, this.createActionsDOM(page));
+    return header;
+  }
+
+  createPagerDOM() {
+    const nav = document.createElement("div");
+    nav.className = "page-nav";
+    nav.innerHTML = `
+            <button type="button" class="secondary-btn" data-action="page-back">Back</button>
+            <button type="button" class="primary-btn" data-action="page-next">Next</button>
+        `;
+    return nav;
+  }
+
+  createGroupDOM(group) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "field-container group-container visible";
+    wrapper.dataset.id = group.id;
+    wrapper.dataset.key = group.id;
+
+    const label = document.createElement("label");
+    label.className = "form-label";
+    label.textContent = group.label;
+    wrapper.appendChild(label);
+
+    const members = this.membersOf(group);
+    const count = this.entryCount(group);
+    const { minItems, maxItems } = group.settings;
+    for (let i = 0; i < count; i++) {
+      const entry = document.createElement("div");
+      entry.className = "group-entry";
+      members.forEach((m) => entry.appendChild(this.createFieldDOM(m, i)));
+      if (!members.length) {
+        entry.innerHTML = `<p class="group-empty">Pick this group in a field's properties to add it here.</p>`;
+      }
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "group-remove";
+      remove.textContent = "Remove";
+      remove.dataset.action = "remove-entry";
+      remove.dataset.group = group.id;
+      remove.dataset.index = i;
+      remove.hidden = count <= minItems;
+      entry.appendChild(remove);
+      wrapper.appendChild(entry);
+    }
+
+    const add = document.createElement("button");
+    add.type = "button";
+    add.className = "group-add";
+    add.textContent = `+ Add ${group.label}`;
+    add.dataset.action = "add-entry";
+    add.dataset.group = group.id;
+    add.hidden = count >= maxItems;
+    wrapper.appendChild(add);
+    wrapper.appendChild(this.createActionsDOM(group));
+    return wrapper;
   }
 
   // Factory Pattern
-  createFieldDOM(field) {
+  createFieldDOM(field, index = null) {
+    const key = this.keyOf(field, index);
     const wrapper = document.createElement("div");
     wrapper.className = "field-container visible";
     wrapper.dataset.id = field.id;
+    wrapper.dataset.key = key;
+    if (index !== null) wrapper.dataset.index = index;
 
     // Label
     const label = document.createElement("label");
     label.className = "form-label";
-    label.innerHTML = `${field.label} ${field.required ? '<span class="required-star">*</span>' : ""}`;
+    // The star is toggled by applyLogic, since required-ness can be conditional
+    const requiredStar = document.createElement("span");
+    requiredStar.className = "required-star hidden";
+    requiredStar.textContent = "*";
+    label.append(`${field.label} `, requiredStar);
     wrapper.appendChild(label);
 
     let inputEl;
-    const currentValue = this.formValues[field.id] || ""; // FIX #1: Retrieve existing value
+    const currentValue = this.formValues[key] || ""; // FIX #1: Retrieve existing value
 
     if (field.type === "textarea") {
       inputEl = document.createElement("textarea");
@@ -145,7 +1585,7 @@ class FormRenderer {
         lbl.style.marginRight = "10px";
         const radio = document.createElement("input");
         radio.type = "radio";
-        radio.name = field.id;
+        radio.name = key;
         radio.value = opt;
         // Restore checked state
         if (currentValue === opt) radio.checked = true;
@@ -154,17 +1594,34 @@ class FormRenderer {
         lbl.appendChild(document.createTextNode(opt));
         inputEl.appendChild(lbl);
       });
+    } else if (field.type === "rating") {
+      inputEl = this.createRatingDOM(field, currentValue);
+    } else if (field.type === "signature") {
+      inputEl = this.createSignatureDOM(field, index, currentValue);
+    } else if (field.type === "matrix") {
+      inputEl = this.createMatrixDOM(field, key, currentValue);
     } else {
-      // Text / Checkbox
+      // Text / Checkbox / Computed / Number / Date / File
       inputEl = document.createElement("input");
       inputEl.className = "form-input";
 
-      if (field.type === "checkbox") {
+      if (field.type === "computed") {
+        inputEl.type = "text";
+        inputEl.readOnly = true;
+        inputEl.classList.add("computed-output");
+      } else if (field.type === "checkbox") {
         inputEl.type = "checkbox";
         // Checkbox value handling
         if (currentValue === "true") inputEl.checked = true;
+      } else if (field.type === "file") {
+        // A file input can't be refilled, so show what was picked instead
+        inputEl.type = "file";
+        if (field.settings.accept) inputEl.accept = field.settings.accept;
       } else {
-        inputEl.type = "text";
+        inputEl.type = ["number", "date"].includes(field.type)
+          ? field.type
+          : "text";
+        if (field.type === "number") inputEl.step = field.settings.step;
         inputEl.value = currentValue; // Restore value
       }
     }
@@ -172,103 +1629,639 @@ class FormRenderer {
     if (
       field.placeholder &&
       inputEl.tagName === "INPUT" &&
-      field.type !== "checkbox" &&
-      field.type !== "radio"
+      !["checkbox", "radio", "file", "date"].includes(field.type)
     ) {
       inputEl.placeholder = field.placeholder;
     }
 
-    // Add ID (skip for radio container)
-    if (field.type !== "radio") {
-      inputEl.name = field.id;
-      inputEl.id = field.id;
+    // Add ID (skip for containers)
+    if (inputEl.tagName !== "DIV") {
+      inputEl.name = key;
+      inputEl.id = key;
     }
 
     wrapper.appendChild(inputEl);
 
+    if (field.type === "file") {
+      const info = document.createElement("div");
+      info.className = "file-info";
+      if (currentValue) {
+        info.textContent = `${currentValue.name} (${Math.ceil(currentValue.size / 1024)} KB)`;
+      }
+      wrapper.appendChild(info);
+    }
+
     // Error Container
     const errorDiv = document.createElement("div");
     errorDiv.className = "error-message";
     wrapper.appendChild(errorDiv);
 
-    // UI Controls
-    const actions = document.createElement("div");
-    actions.className = "field-actions";
-    actions.innerHTML = `
-            <button class="action-btn edit" type="button" onclick="BuilderUI.editField('${field.id}')">Edit</button>
-            <button class="action-btn delete" type="button" onclick="AppState.deleteField('${field.id}')">Delete</button>
-        `;
-    wrapper.appendChild(actions);
+    // UI Controls, once per field rather than per group entry
+    if (index === null || index === 0) {
+      wrapper.appendChild(this.createActionsDOM(field));
+    }
 
     return wrapper;
   }
 
+  createRatingDOM(field, value) {
+    const stars = document.createElement("div");
+    stars.className = "rating-stars";
+    for (let n = 1; n <= field.settings.max; n++) {
+      const star = document.createElement("button");
+      star.type = "button";
+      star.className = "rating-star";
+      star.classList.toggle("filled", n <= Number(value));
+      star.textContent = "★";
+      star.dataset.action = "rate";
+      star.dataset.value = n;
+      star.setAttribute("aria-label", `${n} of ${field.settings.max}`);
+      stars.appendChild(star);
+    }
+    return stars;
+  }
+
+  createMatrixDOM(field, key, value) {
+    const { rows, columns } = field.settings;
+    const table = document.createElement("table");
+    table.className = "matrix-table";
+    const head = table.createTHead().insertRow();
+    head.appendChild(document.createElement("th"));
+    columns.forEach((col) => {
+      const th = document.createElement("th");
+      th.textContent = col;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach((row, r) => {
+      const tr = body.insertRow();
+      const th = document.createElement("th");
+      th.scope = "row";
+      th.textContent = row;
+      tr.appendChild(th);
+      columns.forEach((col) => {
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = `${key}:${r}`;
+        radio.value = col;
+        radio.dataset.row = row;
+        radio.checked = value?.[row] === col;
+        radio.setAttribute("aria-label", `${row}: ${col}`);
+        tr.insertCell().appendChild(radio);
+      });
+    });
+    const wrap = document.createElement("div");
+    wrap.className = "matrix-wrapper";
+    wrap.appendChild(table);
+    return wrap;
+  }
+
+  createSignatureDOM(field, index, value) {
+    const pad = document.createElement("div");
+    pad.className = "signature-pad";
+    const canvas = document.createElement("canvas");
+    canvas.className = "signature-canvas";
+    canvas.width = 480;
+    canvas.height = 160;
+    const ctx = canvas.getContext("2d");
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.strokeStyle = "#111827";
+    if (value) {
+      const img = new Image();
+      img.onload = () => ctx.drawImage(img, 0, 0);
+      img.src = value;
+    }
+
+    const point = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return [
+        ((e.clientX - rect.left) * canvas.width) / rect.width,
+        ((e.clientY - rect.top) * canvas.height) / rect.height,
+      ];
+    };
+    let drawing = false;
+    canvas.addEventListener("pointerdown", (e) => {
+      if (pad.closest(".disabled")) return;
+      drawing = true;
+      canvas.setPointerCapture(e.pointerId);
+      ctx.beginPath();
+      ctx.moveTo(...point(e));
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      if (!drawing) return;
+      ctx.lineTo(...point(e));
+      ctx.stroke();
+    });
+    const finish = () => {
+      if (!drawing) return;
+      drawing = false;
+      this.setValue(field, index, canvas.toDataURL("image/png"));
+    };
+    canvas.addEventListener("pointerup", finish);
+    canvas.addEventListener("pointercancel", finish);
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "signature-clear";
+    clear.textContent = "Clear";
+    clear.addEventListener("click", () => {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      this.setValue(field, index, "");
+    });
+
+    pad.append(canvas, clear);
+    return pad;
+  }
+
+  instanceFrom(el) {
+    const wrapper = el.closest(".field-container[data-key]");
+    if (!wrapper) return null;
+    const field = this.currentSchema.find((f) => f.id === wrapper.dataset.id);
+    if (!field) return null;
+    const index = wrapper.dataset.index;
+    return { field, index: index === undefined ? null : Number(index) };
+  }
+
   setupDelegation() {
     this.container.addEventListener("input", (e) => {
       const target = e.target;
-      // Handle Radio Buttons (name attribute) vs others (id attribute)
-      const fieldId = target.name || target.id;
-      const fieldDef = this.currentSchema.find((f) => f.id === fieldId);
-
-      if (!fieldDef) return;
+      const inst = this.instanceFrom(target);
+      if (!inst || target.type === "file") return;
+      const { field, index } = inst;
+      const key = this.keyOf(field, index);
 
       // 1. Capture Value
       let value = target.value;
       if (target.type === "checkbox") value = target.checked ? "true" : "false";
+      if (field.type === "matrix") {
+        value = { ...this.formValues[key], [target.dataset.row]: target.value };
+      }
+      this.setValue(field, index, value);
+    });
+
+    // Files are read into data: URLs so submissions stay plain JSON
+    this.container.addEventListener("change", (e) => {
+      const target = e.target;
+      if (target.type !== "file") return;
+      const inst = this.instanceFrom(target);
+      if (!inst) return;
+      const file = target.files[0];
+      if (!file) return this.setValue(inst.field, inst.index, "");
 
-      this.formValues[fieldId] = value;
+      const meta = { name: file.name, type: file.type, size: file.size };
+      // Don't bother reading a file that will be rejected anyway
+      if (Validator.checkFile(inst.field, meta)) {
+        return this.setValue(inst.field, inst.index, { ...meta, data: "" });
+      }
+      const reader = new FileReader();
+      reader.onload = () => {
+        this.setValue(inst.field, inst.index, { ...meta, data: reader.result });
+      };
+      reader.readAsDataURL(file);
+    });
 
-      // 2. Validate Real-time
-      const errorMsg = Validator.validateField(fieldDef, value);
-      const wrapper = target.closest(".field-container");
-      const errorEl = wrapper.querySelector(".error-message");
+    this.container.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-action]");
+      if (!btn || btn.disabled) return;
+      const group = this.currentSchema.find((f) => f.id === btn.dataset.group);
 
-      if (errorMsg) {
-        target.classList.add("invalid");
-        errorEl.textContent = errorMsg;
-        errorEl.classList.add("active");
-      } else {
-        target.classList.remove("invalid");
-        errorEl.classList.remove("active");
+      switch (btn.dataset.action) {
+        case "rate": {
+          const inst = this.instanceFrom(btn);
+          const key = this.keyOf(inst.field, inst.index);
+          // Clicking the current rating again clears it
+          const value =
+            this.formValues[key] === btn.dataset.value ? "" : btn.dataset.value;
+          this.setValue(inst.field, inst.index, value);
+          btn.parentElement.querySelectorAll(".rating-star").forEach((s) => {
+            s.classList.toggle(
+              "filled",
+              Number(s.dataset.value) <= Number(value),
+            );
+          });
+          break;
+        }
+        case "add-entry":
+          this.entryCounts[group.id] = this.entryCount(group) + 1;
+          this.render(this.currentSchema);
+          break;
+        case "remove-entry":
+          this.removeEntry(group, Number(btn.dataset.index));
+          break;
+        case "page-back":
+          this.goToPage(this.adjacentPage(-1));
+          break;
+        case "page-next":
+          this.nextPage();
+          break;
+        case "page-goto":
+          this.goToPage(Number(btn.dataset.page));
+          break;
       }
+    });
+  }
 
-      // 3. Trigger Dependency Check
-      this.evaluateVisibility();
+  // Later entries move up to fill the gap
+  removeEntry(group, index) {
+    const count = this.entryCount(group);
+    this.membersOf(group).forEach((m) => {
+      for (let i = index; i < count - 1; i++) {
+        this.formValues[this.keyOf(m, i)] =
+          this.formValues[this.keyOf(m, i + 1)];
+      }
+      delete this.formValues[this.keyOf(m, count - 1)];
+    });
+    this.touched.forEach((key) => {
+      if (key.startsWith(`${group.id}.`)) this.touched.delete(key);
     });
+    this.entryCounts[group.id] = count - 1;
+    this.render(this.currentSchema);
   }
 
-  evaluateVisibility() {
-    this.currentSchema.forEach((field) => {
-      if (field.visibleIf) {
-        const parentFieldId = field.visibleIf.field;
-        const parentValue = this.formValues[parentFieldId];
-        const requiredValue = field.visibleIf.value;
+  setValue(field, index, value) {
+    const key = this.keyOf(field, index);
+    this.formValues[key] = value;
 
-        const domEl = document.querySelector(`div[data-id="${field.id}"]`);
-        if (domEl) {
-          // Logic: Does current parent value match required value?
-          const isVisible = parentValue === requiredValue;
+    // 2. Recompute formulas and conditional state
+    const changed = this.applyLogic();
 
-          if (isVisible) {
-            domEl.classList.remove("hidden");
-            domEl.classList.add("visible");
-          } else {
-            domEl.classList.add("hidden");
-            domEl.classList.remove("visible");
-          }
-        }
+    // 3. Validate Real-time, plus touched fields that compare against this
+    // one or whose required/enabled state just changed
+    this.touched.add(key);
+    const all = this.instances();
+    all
+      .filter((inst) => inst.key === key)
+      .forEach((inst) => this.validate(inst));
+    all
+      .filter(
+        (inst) =>
+          inst.key !== key &&
+          this.touched.has(inst.key) &&
+          (changed.includes(inst.key) ||
+            Validator.dependenciesOf(inst.field).includes(field.id)),
+      )
+      .forEach((inst) => this.validate(inst));
+  }
+
+  // Sync rules report at once; async rules wait until typing pauses
+  validate(inst) {
+    const { field, key } = inst;
+    const value = this.formValues[key] || "";
+    const errorMsg = Validator.validateField(
+      this.withState(inst),
+      value,
+      this.scopeValues(inst),
+      this.currentSchema,
+    );
+    clearTimeout(this.asyncTimers[key]);
+    const run = (this.asyncRuns[key] || 0) + 1;
+    this.asyncRuns[key] = run;
+
+    if (!this.isActive(inst)) {
+      this.showError(key, null);
+      return;
+    }
+    if (errorMsg || !value || !Validator.hasAsyncRules(field)) {
+      this.showError(key, errorMsg);
+      return;
+    }
+    this.showError(key, "Checking…", true);
+    this.asyncTimers[key] = setTimeout(async () => {
+      const asyncMsg = await Validator.validateAsync(field, value);
+      if (this.asyncRuns[key] === run) this.showError(key, asyncMsg);
+    }, ASYNC_DEBOUNCE_MS);
+  }
+
+  showError(key, message, pending = false) {
+    const wrapper = this.container.querySelector(
+      `.field-container[data-key="${key}"]`,
+    );
+    if (!wrapper) return;
+    const errorEl = wrapper.querySelector(".error-message");
+    errorEl.textContent = message || "";
+    errorEl.classList.toggle("active", !!message);
+    errorEl.classList.toggle("pending", pending);
+    wrapper
+      .querySelectorAll(".form-input, .form-select, .form-textarea")
+      .forEach((el) => el.classList.toggle("invalid", !!message && !pending));
+  }
+
+  /**
+   * Recomputes formula fields, then each instance's visible / required /
+   * enabled state from its field's logic. Returns the keys whose state changed.
+   */
+  applyLogic() {
+    this.updateComputed();
+    const changed = [];
+
+    this.instances().forEach((inst) => {
+      const { field, key } = inst;
+      const values = this.scopeValues(inst);
+      const test = (group) => Logic.evaluate(group, values, this.currentSchema);
+      const { visible, required, enabled } = field.logic;
+      const state = {
+        visible: test(visible),
+        required: field.required || (!!required && test(required)),
+        enabled: test(enabled),
+      };
+      const prev = this.fieldState[key];
+      if (prev && LOGIC_EFFECTS.some((k) => prev[k] !== state[k])) {
+        changed.push(key);
       }
+      this.fieldState[key] = state;
+
+      // Pages are shown and hidden by the pager
+      if (field.type === "page") return;
+      const domEl = this.container.querySelector(
+        `.field-container[data-key="${key}"]`,
+      );
+      if (!domEl) return;
+      const enabledHere = [key, ...inst.parents].every(
+        (k) => this.fieldState[k]?.enabled !== false,
+      );
+      domEl.classList.toggle("hidden", !state.visible);
+      domEl.classList.toggle("visible", state.visible);
+      domEl.classList.toggle("disabled", !enabledHere);
+      domEl
+        .querySelector(".required-star")
+        ?.classList.toggle("hidden", !state.required);
+      const controls =
+        field.type === "group"
+          ? ".group-add, .group-remove"
+          : "input, select, textarea, .rating-star, .signature-clear";
+      domEl.querySelectorAll(controls).forEach((el) => {
+        el.disabled = !enabledHere;
+      });
+    });
+
+    this.updatePager();
+    return changed;
+  }
+
+  // Formula scope by field name; see Formula for how group members resolve
+  formulaScope(inst) {
+    const scope = {};
+    this.currentSchema.forEach((f) => {
+      const group = f.group && this.currentSchema.find((g) => g.id === f.group);
+      scope[f.name] = group
+        ? Array.from(
+            { length: this.entryCount(group) },
+            (_, i) => this.formValues[this.keyOf(f, i)],
+          )
+        : this.formValues[f.id];
     });
+    if (inst.index !== null) {
+      this.currentSchema
+        .filter((f) => f.group === inst.field.group)
+        .forEach((m) => {
+          scope[m.name] = this.formValues[this.keyOf(m, inst.index)];
+        });
+    }
+    return scope;
   }
 
-  exportData() {
-    console.log("--- FORM SUBMISSION DATA ---");
-    console.log(JSON.stringify(this.formValues, null, 2));
-    alert("Form Data exported to Console!");
+  updateComputed() {
+    const computed = this.instances().filter(
+      (inst) => inst.field.type === "computed",
+    );
+    const errors = {};
+    // Formulas may read other computed fields, so settle in a few passes
+    for (let pass = 0; pass <= computed.length; pass++) {
+      let settled = true;
+      computed.forEach((inst) => {
+        const { field, key } = inst;
+        let result = "";
+        delete errors[key];
+        try {
+          const n = Formula.evaluate(
+            Formula.parse(field.formula || "0"),
+            this.formulaScope(inst),
+          );
+          // Trim float noise such as 0.1 + 0.2 = 0.30000000000000004
+          if (Number.isFinite(n)) result = String(Number(n.toFixed(10)));
+        } catch (err) {
+          errors[key] = `Formula error: ${err.message}`;
+        }
+        if (this.formValues[key] !== result) {
+          this.formValues[key] = result;
+          settled = false;
+        }
+      });
+      if (settled) break;
+    }
+    computed.forEach(({ key }) => {
+      const el = document.getElementById(key);
+      if (el) el.value = this.formValues[key];
+      // Only clear errors this method set, not those from validation
+      if (errors[key]) this.showError(key, errors[key]);
+      else if (this.formulaErrors[key]) this.showError(key, "");
+    });
+    this.formulaErrors = errors;
+  }
+
+  // Hidden and disabled fields (or pages / groups) are neither validated nor submitted
+  isActive(inst) {
+    return [inst.key, ...inst.parents].every((k) => {
+      const state = this.fieldState[k];
+      return !state || (state.visible && state.enabled);
+    });
+  }
+
+  withState(inst) {
+    const state = this.fieldState[inst.key];
+    return state ? { ...inst.field, required: state.required } : inst.field;
+  }
+
+  // --- Pages ---
+  visiblePages() {
+    return this.pages
+      .map((page, p) => p)
+      .filter((p) => {
+        const page = this.pages[p].field;
+        return !page || this.fieldState[page.id]?.visible !== false;
+      });
+  }
+
+  adjacentPage(step) {
+    const visible = this.visiblePages();
+    const pos = visible.indexOf(this.pageIndex);
+    return visible[Math.min(Math.max(pos + step, 0), visible.length - 1)];
+  }
+
+  goToPage(p) {
+    this.pageIndex = p;
+    this.updatePager();
+    this.container.scrollIntoView?.({ block: "start", behavior: "smooth" });
+  }
+
+  // Only leave a page once everything on it is valid
+  async nextPage() {
+    const from = this.pageIndex;
+    const invalid = await this.validateAll((inst) => inst.page === from);
+    if (!invalid.length && this.pageIndex === from) {
+      this.goToPage(this.adjacentPage(1));
+    }
+  }
+
+  // Brings the page holding a field into view (used by the builder)
+  showField(id) {
+    const field = this.currentSchema.find((f) => f.id === id);
+    const topId = field?.group || id;
+    const p = this.pages.findIndex(
+      (page) =>
+        page.field?.id === topId || page.fields.some((f) => f.id === topId),
+    );
+    if (p > -1) this.goToPage(p);
+  }
+
+  updatePager() {
+    const visible = this.visiblePages();
+    if (!visible.includes(this.pageIndex)) {
+      this.pageIndex =
+        visible.find((p) => p > this.pageIndex) ?? visible[visible.length - 1];
+    }
+    this.container.querySelectorAll(".form-page").forEach((section) => {
+      section.classList.toggle(
+        "hidden",
+        Number(section.dataset.page) !== this.pageIndex,
+      );
+    });
+
+    const progress = this.container.querySelector(".form-progress");
+    if (!progress) return;
+    const pos = visible.indexOf(this.pageIndex);
+    const title = this.pages[this.pageIndex].field?.label;
+    progress.querySelector(".progress-label").textContent =
+      `Step ${pos + 1} of ${visible.length}${title ? `: ${title}` : ""}`;
+    progress.querySelector(".progress-fill").style.width =
+      `${((pos + 1) / visible.length) * 100}%`;
+
+    // Earlier steps can be revisited; later ones are reached with Next
+    const steps = progress.querySelector(".progress-steps");
+    steps.innerHTML = "";
+    visible.forEach((p, i) => {
+      const item = document.createElement("li");
+      const step = document.createElement("button");
+      step.type = "button";
+      step.textContent = this.pages[p].field?.label || "Start";
+      step.dataset.action = "page-goto";
+      step.dataset.page = p;
+      step.disabled = i > pos;
+      item.classList.toggle("current", i === pos);
+      item.classList.toggle("done", i < pos);
+      item.appendChild(step);
+      steps.appendChild(item);
+    });
+
+    const nav = this.container.querySelector(".page-nav");
+    nav.querySelector('[data-action="page-back"]').disabled = pos === 0;
+    nav.querySelector('[data-action="page-next"]').hidden =
+      pos === visible.length - 1;
+  }
+
+  // --- Submission ---
+  submitValue(field, key) {
+    const value = this.formValues[key];
+    if (field.type === "checkbox") return value === "true";
+    if (typeof value === "object") {
+      return Object.keys(value).length ? structuredClone(value) : undefined;
+    }
+    if (!value) return undefined;
+    return Validator.isNumeric(field) ? Number(value) : value;
+  }
+
+  /**
+   * Submission payload keyed by field name and typed to match
+   * SchemaIO.toJSONSchema, so a backend can validate it with the same schema.
+   * Repeatable groups become arrays of objects; files and matrices objects.
+   * Hidden, disabled and unanswered optional fields are omitted.
+   */
+  getSubmission() {
+    const active = new Map(
+      this.instances()
+        .filter((inst) => this.isActive(inst))
+        .map((inst) => [inst.key, inst]),
+    );
+    const collect = (fields, index) => {
+      const data = {};
+      fields.forEach((field) => {
+        if (field.type === "page") return;
+        const key = this.keyOf(field, index);
+        if (!active.has(key)) return;
+        if (field.type === "group") {
+          const members = this.membersOf(field);
+          data[field.name] = Array.from(
+            { length: this.entryCount(field) },
+            (_, i) => collect(members, i),
+          );
+          return;
+        }
+        const value = this.submitValue(field, key);
+        if (value !== undefined) data[field.name] = value;
+      });
+      return data;
+    };
+    return collect(
+      this.currentSchema.filter((f) => !f.group),
+      null,
+    );
+  }
+
+  /**
+   * Runs every rule (async ones without debounce) on the active instances
+   * that pass `filter`, and resolves with the invalid ones.
+   */
+  async validateAll(filter = () => true) {
+    const targets = this.instances().filter(
+      (inst) => !STRUCTURAL_TYPES.includes(inst.field.type) && filter(inst),
+    );
+    const results = await Promise.all(
+      targets.map(async (inst) => {
+        const { field, key } = inst;
+        clearTimeout(this.asyncTimers[key]);
+        const run = (this.asyncRuns[key] || 0) + 1;
+        this.asyncRuns[key] = run;
+        if (!this.isActive(inst)) {
+          this.showError(key, null);
+          return null;
+        }
+
+        const value = this.formValues[key] || "";
+        let errorMsg = Validator.validateField(
+          this.withState(inst),
+          value,
+          this.scopeValues(inst),
+          this.currentSchema,
+        );
+        if (!errorMsg && Validator.hasAsyncRules(field) && value) {
+          this.showError(key, "Checking…", true);
+          errorMsg = await Validator.validateAsync(field, value);
+        }
+        if (this.asyncRuns[key] === run) this.showError(key, errorMsg);
+        return errorMsg ? inst : null;
+      }),
+    );
+    return results.filter(Boolean);
+  }
+
+  async exportData() {
+    const output = document.getElementById("submission-output");
+    output.classList.add("hidden");
+    const invalid = await this.validateAll();
+    if (invalid.length) {
+      // Take the user to the first problem
+      this.goToPage(invalid[0].page);
+      return null;
+    }
+    const data = this.getSubmission();
+    output.textContent = JSON.stringify(data, null, 2);
+    output.classList.remove("hidden");
+    return data;
   }
 }
 
-// --- 4. BUILDER UI (Left Pane Logic) ---
+// --- 6. BUILDER UI (Left Pane Logic) ---
 const BuilderUI = {
   selectedFieldId: null,
   renderer: null,
@@ -279,7 +2272,8 @@ const BuilderUI = {
     // Tool Buttons
     document.querySelectorAll(".tool-btn").forEach((btn) => {
       btn.addEventListener("click", () => {
-        AppState.addField(btn.dataset.type);
+        const field = AppState.addField(btn.dataset.type);
+        this.renderer.showField(field.id);
       });
     });
 
@@ -290,6 +2284,14 @@ const BuilderUI = {
     document
       .getElementById("cancel-props-btn")
       .addEventListener("click", () => this.hideEditor());
+    document.getElementById("add-rule-btn").addEventListener("click", () => {
+      const row = this.createRuleRow({
+        type: "minLength",
+        value: "",
+        message: "",
+      });
+      document.getElementById("prop-rules").appendChild(row);
+    });
 
     // Export
     document.getElementById("export-btn").addEventListener("click", (e) => {
@@ -297,11 +2299,69 @@ const BuilderUI = {
       this.renderer.exportData();
     });
 
+    // Schema Import / Export
+    const titleInput = document.getElementById("form-title");
+    titleInput.addEventListener("change", () =>
+      AppState.setTitle(titleInput.value.trim() || "Untitled Form"),
+    );
+    document
+      .getElementById("export-schema-btn")
+      .addEventListener("click", () => this.exportSchema());
+    const importInput = document.getElementById("import-schema-input");
+    document
+      .getElementById("import-schema-btn")
+      .addEventListener("click", () => importInput.click());
+    importInput.addEventListener("change", () => {
+      if (importInput.files[0]) this.importSchema(importInput.files[0]);
+      importInput.value = "";
+    });
+
     // Subscribe Renderer to State
     AppState.subscribe((schema) => {
       this.renderer.render(schema);
-      this.updateDependencyDropdown(schema);
+      titleInput.value = AppState.title;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(AppState.toDocument()));
+    });
+
+    this.restore();
+  },
+
+  // Loads the autosaved form, migrating it if an older build saved it
+  restore() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (!saved) return AppState.notify();
+    try {
+      AppState.load(JSON.parse(saved));
+    } catch (err) {
+      console.error("Could not restore saved form:", err);
+      AppState.notify();
+    }
+  },
+
+  exportSchema() {
+    const doc = AppState.toDocument();
+    const payload = {
+      schema: SchemaIO.toJSONSchema(doc),
+      uiSchema: SchemaIO.toUISchema(doc),
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], {
+      type: "application/json",
     });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${toFieldName(doc.title) || "form"}.schema.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+
+  async importSchema(file) {
+    try {
+      const doc = SchemaIO.parse(await file.text());
+      this.hideEditor();
+      AppState.load(doc);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+    }
   },
 
   editField(id) {
@@ -309,11 +2369,26 @@ const BuilderUI = {
     const field = AppState.getField(id);
     if (!field) return;
 
-    // Populate Form
-    document.getElementById("property-editor").classList.remove("hidden");
+    // Populate Form; data-type hides sections that don't apply to pages/groups
+    const editor = document.getElementById("property-editor");
+    editor.classList.remove("hidden");
+    editor.dataset.type = field.type;
+    this.renderer.showField(id);
     document.getElementById("prop-label").value = field.label;
+    document.getElementById("prop-name").value = field.name;
     document.getElementById("prop-placeholder").value = field.placeholder || "";
     document.getElementById("prop-required").checked = field.required;
+    this.renderRuleRows(field.validation);
+    this.renderSettings(field);
+
+    // Handle Group membership (groups don't nest)
+    const groupSelect = document.getElementById("prop-group");
+    groupSelect.innerHTML = "";
+    groupSelect.add(new Option("-- None --", ""));
+    AppState.schema
+      .filter((f) => f.type === "group")
+      .forEach((g) => groupSelect.add(new Option(g.label, g.id)));
+    groupSelect.value = field.group || "";
 
     // Handle Options
     const optsGroup = document.getElementById("prop-options-group");
@@ -325,56 +2400,400 @@ const BuilderUI = {
       optsGroup.classList.add("hidden");
     }
 
+    // Handle Formula
+    const formulaGroup = document.getElementById("prop-formula-group");
+    formulaGroup.classList.toggle("hidden", field.type !== "computed");
+    document.getElementById("prop-formula").value = field.formula || "";
+
     // Handle Logic
-    document.getElementById("prop-dependency-value").value = field.visibleIf
-      ? field.visibleIf.value
-      : "";
-    const depSelect = document.getElementById("prop-dependency-target");
-    // Need to update dropdown options first to ensure current selection exists
-    this.updateDependencyDropdown(AppState.schema);
-    depSelect.value = field.visibleIf ? field.visibleIf.field : "";
+    LOGIC_EFFECTS.forEach((effect) => {
+      const container = document.getElementById(`logic-${effect}`);
+      container.innerHTML = "";
+      container.appendChild(
+        this.createGroupEditor(
+          field.logic[effect] || { combinator: "and", rules: [] },
+          true,
+        ),
+      );
+    });
   },
 
   saveProperties() {
     if (!this.selectedFieldId) return;
 
+    const field = AppState.getField(this.selectedFieldId);
     const optionsStr = document.getElementById("prop-options").value;
-    const depTarget = document.getElementById("prop-dependency-target").value;
-    const depValue = document.getElementById("prop-dependency-value").value;
+    const formula = document.getElementById("prop-formula").value.trim();
+    const name = document.getElementById("prop-name").value.trim();
+    const validation = this.readRules();
+
+    // Names become JSON property keys in exports and submissions
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      alert(
+        "Field name must start with a letter or _ and use only A-Z, 0-9, _",
+      );
+      return;
+    }
+    const clash = AppState.schema.some(
+      (f) => f.name === name && f.id !== this.selectedFieldId,
+    );
+    if (clash) {
+      alert(`Another field is already named "${name}"`);
+      return;
+    }
+
+    for (const rule of validation) {
+      const problem = Validator.checkRule(rule);
+      if (problem) {
+        alert(problem);
+        return;
+      }
+    }
+
+    const [settings, settingsProblem] = this.readSettings(field);
+    if (settingsProblem) {
+      alert(settingsProblem);
+      return;
+    }
+
+    if (field.type === "computed") {
+      const problem = this.checkFormula(formula, field);
+      if (problem) {
+        alert(`Formula: ${problem}`);
+        return;
+      }
+    }
+
+    // Formulas refer to fields by name, so follow a rename
+    if (name !== field.name) {
+      AppState.schema.forEach((f) => {
+        if (f.type === "computed") {
+          f.formula = Formula.rename(f.formula, field.name, name);
+        }
+      });
+    }
 
     const updates = {
+      name,
+      validation,
       label: document.getElementById("prop-label").value,
       placeholder: document.getElementById("prop-placeholder").value,
       required: document.getElementById("prop-required").checked,
       options: optionsStr ? optionsStr.split(",").map((s) => s.trim()) : [],
-      visibleIf:
-        depTarget && depValue ? { field: depTarget, value: depValue } : null,
+      settings,
+      group: STRUCTURAL_TYPES.includes(field.type)
+        ? null
+        : document.getElementById("prop-group").value || null,
+      logic: Object.fromEntries(
+        LOGIC_EFFECTS.map((effect) => [
+          effect,
+          this.readGroup(
+            document.getElementById(`logic-${effect}`).firstElementChild,
+          ),
+        ]),
+      ),
     };
+    if (field.type === "computed") updates.formula = formula;
 
     AppState.updateField(this.selectedFieldId, updates);
     this.hideEditor();
   },
 
+  renderSettings(field) {
+    const container = document.getElementById("prop-settings");
+    container.innerHTML = "";
+    Object.entries(FIELD_SETTINGS[field.type] || {}).forEach(([key, def]) => {
+      const group = document.createElement("div");
+      group.className = "form-group";
+      const label = document.createElement("label");
+      label.textContent = def.label;
+      const input = document.createElement("input");
+      input.type = "text";
+      input.dataset.setting = key;
+      const value = field.settings[key];
+      input.value = def.list ? value.join(", ") : value;
+      group.append(label, input);
+      container.appendChild(group);
+    });
+  },
+
+  // Returns [settings, null] or [null, problem]
+  readSettings(field) {
+    const settings = {};
+    const defs = Object.entries(FIELD_SETTINGS[field.type] || {});
+    for (const [key, def] of defs) {
+      const raw = document
+        .querySelector(`#prop-settings [data-setting="${key}"]`)
+        .value.trim();
+      if (def.list) {
+        const items = raw
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        if (!items.length) return [null, `${def.label}: enter at least one`];
+        // Matrix rows become JSON keys
+        if (new Set(items).size !== items.length) {
+          return [null, `${def.label}: entries must be unique`];
+        }
+        settings[key] = items;
+      } else if (def.number) {
+        if (!/^\d+$/.test(raw))
+          return [null, `${def.label}: enter a whole number`];
+        settings[key] = Number(raw);
+      } else {
+        settings[key] = raw;
+      }
+    }
+
+    if (field.type === "number" && settings.step !== "any") {
+      if (!(Number(settings.step) > 0)) {
+        return [null, 'Step: enter a positive number or "any"'];
+      }
+    }
+    if (field.type === "rating" && !(settings.max >= 1 && settings.max <= 10)) {
+      return [null, "Number of stars: enter 1 to 10"];
+    }
+    if (field.type === "group" && settings.minItems > settings.maxItems) {
+      return [null, "Min entries can't be more than max entries"];
+    }
+    return [settings, null];
+  },
+
+  renderRuleRows(rules) {
+    const list = document.getElementById("prop-rules");
+    list.innerHTML = "";
+    rules.forEach((rule) => list.appendChild(this.createRuleRow(rule)));
+  },
+
+  // One editable rule: type, argument (input or picker), custom message
+  createRuleRow(rule) {
+    const row = document.createElement("div");
+    row.className = "rule-row";
+
+    const typeSelect = document.createElement("select");
+    typeSelect.className = "rule-type";
+    Object.entries(RULE_TYPES).forEach(([type, def]) => {
+      typeSelect.add(new Option(def.label, type));
+    });
+    typeSelect.value = rule.type;
+
+    const argSlot = document.createElement("div");
+    argSlot.className = "rule-arg";
+    const renderArg = (value) => {
+      argSlot.innerHTML = "";
+      const def = RULE_TYPES[typeSelect.value];
+      let control;
+      if (def.arg === "field" || def.arg === "endpoint") {
+        control = document.createElement("select");
+        control.add(new Option(`-- Choose ${def.arg} --`, ""));
+        if (def.arg === "field") {
+          AppState.schema
+            .filter(
+              (f) =>
+                f.id !== this.selectedFieldId &&
+                !STRUCTURAL_TYPES.includes(f.type),
+            )
+            .forEach((f) => control.add(new Option(f.label, f.id)));
+        } else {
+          Object.keys(MockAPI.endpoints).forEach((name) =>
+            control.add(new Option(name, name)),
+          );
+        }
+      } else if (def.arg !== "none") {
+        control = document.createElement("input");
+        control.type = "text";
+        control.placeholder = {
+          number: "e.g. 8",
+          text: "Regular expression",
+          date: "YYYY-MM-DD",
+        }[def.arg];
+      } else {
+        return;
+      }
+      control.value = value;
+      argSlot.appendChild(control);
+    };
+    renderArg(rule.value);
+    typeSelect.addEventListener("change", () => renderArg(""));
+
+    const message = document.createElement("input");
+    message.type = "text";
+    message.className = "rule-message";
+    message.placeholder = "Custom error message (optional)";
+    message.value = rule.message || "";
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "rule-remove";
+    removeBtn.title = "Remove rule";
+    removeBtn.textContent = "×";
+    removeBtn.addEventListener("click", () => row.remove());
+
+    row.append(typeSelect, argSlot, removeBtn, message);
+    return row;
+  },
+
+  readRules() {
+    return [...document.querySelectorAll("#prop-rules .rule-row")].map(
+      (row) => ({
+        type: row.querySelector(".rule-type").value,
+        value: (
+          row.querySelector(".rule-arg input, .rule-arg select")?.value || ""
+        ).trim(),
+        message: row.querySelector(".rule-message").value.trim(),
+      }),
+    );
+  },
+
   hideEditor() {
     document.getElementById("property-editor").classList.add("hidden");
     this.selectedFieldId = null;
   },
 
-  updateDependencyDropdown(schema) {
-    const select = document.getElementById("prop-dependency-target");
-    const currentVal = select.value;
-
-    select.innerHTML = '<option value="">-- None --</option>';
-    schema.forEach((f) => {
-      if (f.id !== this.selectedFieldId) {
-        const opt = document.createElement("option");
-        opt.value = f.id;
-        opt.text = `${f.label} (${f.id})`;
-        select.appendChild(opt);
+  checkFormula(formula, field) {
+    if (!formula) return "enter a formula, e.g. qty * price";
+    try {
+      Formula.parse(formula);
+    } catch (err) {
+      return err.message;
+    }
+    for (const name of Formula.namesIn(formula)) {
+      if (name === field.name) return "a field can't refer to itself";
+      if (!AppState.schema.some((f) => f.name === name)) {
+        return `no field named "${name}"`;
       }
+    }
+    return null;
+  },
+
+  /**
+   * Editor for one condition group: an All/Any switch, its conditions and
+   * nested groups. The root group can't be removed; leaving it empty means
+   * the effect always applies.
+   */
+  createGroupEditor(group, isRoot = false) {
+    const box = document.createElement("div");
+    box.className = "logic-group";
+
+    const header = document.createElement("div");
+    header.className = "logic-group-header";
+    const combinator = document.createElement("select");
+    combinator.className = "logic-combinator";
+    combinator.add(new Option("All of", "and"));
+    combinator.add(new Option("Any of", "or"));
+    combinator.value = group.combinator;
+
+    const body = document.createElement("div");
+    body.className = "logic-group-rules";
+    group.rules.forEach((node) => {
+      body.appendChild(
+        isGroup(node)
+          ? this.createGroupEditor(node)
+          : this.createConditionRow(node),
+      );
     });
 
-    if (currentVal) select.value = currentVal;
+    const button = (text, title, onClick) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "logic-btn";
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener("click", onClick);
+      return btn;
+    };
+    header.append(
+      combinator,
+      button("+ Condition", "Add condition", () =>
+        body.appendChild(
+          this.createConditionRow({ field: "", operator: "equals", value: "" }),
+        ),
+      ),
+      button("+ Group", "Add nested group", () =>
+        body.appendChild(
+          this.createGroupEditor({ combinator: "and", rules: [] }),
+        ),
+      ),
+    );
+    if (!isRoot) {
+      header.appendChild(button("×", "Remove group", () => box.remove()));
+    }
+
+    box.append(header, body);
+    return box;
+  },
+
+  createConditionRow(rule) {
+    const row = document.createElement("div");
+    row.className = "logic-rule";
+
+    const fieldSelect = document.createElement("select");
+    fieldSelect.className = "logic-field";
+    fieldSelect.add(new Option("-- Field --", ""));
+    AppState.schema
+      .filter(
+        (f) =>
+          f.id !== this.selectedFieldId && !STRUCTURAL_TYPES.includes(f.type),
+      )
+      .forEach((f) => fieldSelect.add(new Option(f.label, f.id)));
+    fieldSelect.value = rule.field;
+
+    const operator = document.createElement("select");
+    operator.className = "logic-operator";
+    Object.entries(CONDITION_OPERATORS).forEach(([key, op]) => {
+      operator.add(new Option(op.label, key));
+    });
+    operator.value = rule.operator;
+
+    const value = document.createElement("input");
+    value.type = "text";
+    value.className = "logic-value";
+    value.placeholder = "Value";
+    value.value = rule.value;
+    const syncValue = () => {
+      value.classList.toggle(
+        "hidden",
+        !!CONDITION_OPERATORS[operator.value].unary,
+      );
+    };
+    operator.addEventListener("change", syncValue);
+    syncValue();
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "rule-remove";
+    removeBtn.title = "Remove condition";
+    removeBtn.textContent = "×";
+    removeBtn.addEventListener("click", () => row.remove());
+
+    row.append(fieldSelect, operator, value, removeBtn);
+    return row;
+  },
+
+  // Reads a group editor back into data; conditions without a field and
+  // empty groups are dropped, so an empty root reads as null ("always")
+  readGroup(box) {
+    const [header, body] = box.children;
+    const rules = [...body.children]
+      .map((el) => {
+        if (el.classList.contains("logic-group")) return this.readGroup(el);
+        const field = el.querySelector(".logic-field").value;
+        const operator = el.querySelector(".logic-operator").value;
+        if (!field) return null;
+        return {
+          field,
+          operator,
+          value: CONDITION_OPERATORS[operator].unary
+            ? ""
+            : el.querySelector(".logic-value").value.trim(),
+        };
+      })
+      .filter(Boolean);
+    if (!rules.length) return null;
+    return {
+      combinator: header.querySelector(".logic-combinator").value,
+      rules,
+    };
   },
 };
 
@@ -1,8 +1,16 @@
 /**
  * SENIOR ARCHITECT NOTES:
  * 1. Data Source: Hardcoded as requested, using Unsplash IDs for high-quality imagery.
+ *    A product has either a single `sku`/`stock`, or `variants` (size, color)
+ *    with their own SKU, price and stock; `price` is the lowest of them.
  * 2. State Management: 'CartStore' class uses Singleton pattern + Observer pattern.
+ *    It also owns inventory, the wishlist and recently viewed products.
  * 3. Routing: Hash-based routing to handle navigation without page reloads.
+ * 4. Checkout: Totals (coupons, shipping, per-region tax) are derived in
+ *    CartStore.getTotals; payments go through a local mock gateway.
+ * 5. Catalog: Search, facets and sort live in the hash query string
+ *    (e.g. #/shop?q=lamp&category=Home,Electronics&sort=price-asc), so every
+ *    filtered view is shareable and survives a refresh.
  */
 
 // --- 1. MOCK DATA ---
@@ -12,6 +20,24 @@ const PRODUCTS = [
     name: "Minimalist Watch",
     price: 129.99,
     category: "Accessories",
+    tags: ["gift", "bestseller"],
+    rating: 4.6,
+    reviews: 212,
+    sold: 1840,
+    variants: [
+      {
+        sku: "LUM-001-SLV",
+        options: { color: "Silver" },
+        price: 129.99,
+        stock: 6,
+      },
+      {
+        sku: "LUM-001-GLD",
+        options: { color: "Gold" },
+        price: 149.99,
+        stock: 2,
+      },
+    ],
     image:
       "https://images.unsplash.com/photo-1524805444758-089113d48a6d?auto=format&fit=crop&w=600&q=80",
   },
@@ -20,6 +46,12 @@ const PRODUCTS = [
     name: "Leather Tote",
     price: 189.5,
     category: "Accessories",
+    tags: ["leather", "gift"],
+    rating: 4.4,
+    reviews: 98,
+    sold: 760,
+    sku: "LUM-002",
+    stock: 5,
     image:
       "https://images.unsplash.com/photo-1590874102752-ce22d84f5fa1?auto=format&fit=crop&w=600&q=80",
   },
@@ -28,6 +60,12 @@ const PRODUCTS = [
     name: "Ceramic Vase",
     price: 45.0,
     category: "Home",
+    tags: ["handmade", "eco-friendly"],
+    rating: 4.2,
+    reviews: 41,
+    sold: 320,
+    sku: "LUM-003",
+    stock: 14,
     image:
       "https://images.unsplash.com/photo-1578500494198-246f612d3b3d?auto=format&fit=crop&w=600&q=80",
   },
@@ -36,6 +74,24 @@ const PRODUCTS = [
     name: "Wireless Headphones",
     price: 249.99,
     category: "Electronics",
+    tags: ["wireless", "bestseller"],
+    rating: 4.7,
+    reviews: 530,
+    sold: 2650,
+    variants: [
+      {
+        sku: "LUM-004-BLK",
+        options: { color: "Black" },
+        price: 249.99,
+        stock: 10,
+      },
+      {
+        sku: "LUM-004-WHT",
+        options: { color: "White" },
+        price: 249.99,
+        stock: 0,
+      },
+    ],
     image:
       "https://images.unsplash.com/photo-1505740420928-5e560c06d30e?auto=format&fit=crop&w=600&q=80",
   },
@@ -44,6 +100,15 @@ const PRODUCTS = [
     name: "Cotton Crewneck",
     price: 35.0,
     category: "Clothing",
+    tags: ["organic", "eco-friendly"],
+    rating: 4.1,
+    reviews: 150,
+    sold: 1420,
+    variants: [
+      { sku: "LUM-005-S", options: { size: "S" }, price: 35.0, stock: 4 },
+      { sku: "LUM-005-M", options: { size: "M" }, price: 35.0, stock: 9 },
+      { sku: "LUM-005-L", options: { size: "L" }, price: 35.0, stock: 0 },
+    ],
     image:
       "https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?auto=format&fit=crop&w=600&q=80",
   },
@@ -52,6 +117,16 @@ const PRODUCTS = [
     name: "Running Sneakers",
     price: 110.0,
     category: "Clothing",
+    tags: ["bestseller"],
+    rating: 4.5,
+    reviews: 388,
+    sold: 2100,
+    variants: [
+      { sku: "LUM-006-8", options: { size: "8" }, price: 110.0, stock: 3 },
+      { sku: "LUM-006-9", options: { size: "9" }, price: 110.0, stock: 7 },
+      { sku: "LUM-006-10", options: { size: "10" }, price: 110.0, stock: 5 },
+      { sku: "LUM-006-11", options: { size: "11" }, price: 110.0, stock: 1 },
+    ],
     image:
       "https://images.unsplash.com/photo-1542291026-7eec264c27ff?auto=format&fit=crop&w=600&q=80",
   },
@@ -60,6 +135,12 @@ const PRODUCTS = [
     name: "Smart Speaker",
     price: 89.99,
     category: "Electronics",
+    tags: ["wireless", "smart-home"],
+    rating: 3.9,
+    reviews: 204,
+    sold: 980,
+    sku: "LUM-007",
+    stock: 20,
     image:
       "https://images.unsplash.com/photo-1589492477829-5e65395b66cc?auto=format&fit=crop&w=600&q=80",
   },
@@ -68,6 +149,12 @@ const PRODUCTS = [
     name: "Linen Sheets",
     price: 150.0,
     category: "Home",
+    tags: ["organic", "eco-friendly"],
+    rating: 4.6,
+    reviews: 120,
+    sold: 640,
+    sku: "LUM-008",
+    stock: 9,
     image:
       "https://images.unsplash.com/photo-1616486338812-3dadae4b4f9d?auto=format&fit=crop&w=600&q=80",
   },
@@ -76,6 +163,12 @@ const PRODUCTS = [
     name: "Sunglasses",
     price: 145.0,
     category: "Accessories",
+    tags: ["gift"],
+    rating: 4.0,
+    reviews: 75,
+    sold: 530,
+    sku: "LUM-009",
+    stock: 0,
     image:
       "https://images.unsplash.com/photo-1511499767150-a48a237f0083?auto=format&fit=crop&w=600&q=80",
   },
@@ -84,6 +177,12 @@ const PRODUCTS = [
     name: "Desk Lamp",
     price: 65.0,
     category: "Home",
+    tags: ["smart-home"],
+    rating: 3.7,
+    reviews: 58,
+    sold: 410,
+    sku: "LUM-010",
+    stock: 11,
     image:
       "https://images.unsplash.com/photo-1507473888900-52e1ad145924?auto=format&fit=crop&w=600&q=80",
   },
@@ -92,6 +191,16 @@ const PRODUCTS = [
     name: "Denim Jacket",
     price: 85.0,
     category: "Clothing",
+    tags: ["new"],
+    rating: 4.3,
+    reviews: 96,
+    sold: 700,
+    variants: [
+      { sku: "LUM-011-S", options: { size: "S" }, price: 85.0, stock: 2 },
+      { sku: "LUM-011-M", options: { size: "M" }, price: 85.0, stock: 6 },
+      { sku: "LUM-011-L", options: { size: "L" }, price: 85.0, stock: 4 },
+      { sku: "LUM-011-XL", options: { size: "XL" }, price: 95.0, stock: 3 },
+    ],
     image:
       "https://images.unsplash.com/photo-1576871337622-98d48d1cf531?auto=format&fit=crop&w=600&q=80",
   },
@@ -100,6 +209,12 @@ const PRODUCTS = [
     name: "Mechanical Keyboard",
     price: 160.0,
     category: "Electronics",
+    tags: ["new"],
+    rating: 4.8,
+    reviews: 310,
+    sold: 1250,
+    sku: "LUM-012",
+    stock: 4,
     image:
       "https://images.unsplash.com/photo-1511467687858-23d96c32e4ae?auto=format&fit=crop&w=600&q=80",
   },
@@ -108,6 +223,12 @@ const PRODUCTS = [
     name: "Travel Backpack",
     price: 95.0,
     category: "Accessories",
+    tags: ["eco-friendly", "bestseller"],
+    rating: 4.5,
+    reviews: 260,
+    sold: 1580,
+    sku: "LUM-013",
+    stock: 16,
     image:
       "https://images.unsplash.com/photo-1553062407-98eeb64c6a62?auto=format&fit=crop&w=600&q=80",
   },
@@ -116,6 +237,12 @@ const PRODUCTS = [
     name: "Coffee Maker",
     price: 199.0,
     category: "Home",
+    tags: ["smart-home", "gift"],
+    rating: 4.2,
+    reviews: 180,
+    sold: 890,
+    sku: "LUM-014",
+    stock: 7,
     image:
       "https://images.unsplash.com/photo-1495474472287-4d71bcdd2085?auto=format&fit=crop&w=600&q=80",
   },
@@ -124,6 +251,36 @@ const PRODUCTS = [
     name: "Hoodie",
     price: 45.0,
     category: "Clothing",
+    tags: ["organic"],
+    rating: 4.4,
+    reviews: 220,
+    sold: 1690,
+    variants: [
+      {
+        sku: "LUM-015-M-GRY",
+        options: { size: "M", color: "Grey" },
+        price: 45.0,
+        stock: 5,
+      },
+      {
+        sku: "LUM-015-L-GRY",
+        options: { size: "L", color: "Grey" },
+        price: 45.0,
+        stock: 3,
+      },
+      {
+        sku: "LUM-015-M-NVY",
+        options: { size: "M", color: "Navy" },
+        price: 45.0,
+        stock: 0,
+      },
+      {
+        sku: "LUM-015-L-NVY",
+        options: { size: "L", color: "Navy" },
+        price: 45.0,
+        stock: 4,
+      },
+    ],
     image:
       "https://images.unsplash.com/photo-1556905055-8f358a7a47b2?auto=format&fit=crop&w=600&q=80",
   },
@@ -132,6 +289,12 @@ const PRODUCTS = [
     name: "Tablet",
     price: 350.0,
     category: "Electronics",
+    tags: ["wireless", "new"],
+    rating: 4.3,
+    reviews: 145,
+    sold: 820,
+    sku: "LUM-016",
+    stock: 3,
     image:
       "https://images.unsplash.com/photo-1544244015-0df4b3ffc6b0?auto=format&fit=crop&w=600&q=80",
   },
@@ -140,6 +303,12 @@ const PRODUCTS = [
     name: "Wall Art",
     price: 120.0,
     category: "Home",
+    tags: ["handmade", "new"],
+    rating: 3.8,
+    reviews: 22,
+    sold: 150,
+    sku: "LUM-017",
+    stock: 2,
     image:
       "https://images.unsplash.com/photo-1513519245088-0e12902e5a38?auto=format&fit=crop&w=600&q=80",
   },
@@ -148,6 +317,24 @@ const PRODUCTS = [
     name: "Beanie",
     price: 25.0,
     category: "Clothing",
+    tags: ["handmade", "gift"],
+    rating: 4.0,
+    reviews: 64,
+    sold: 980,
+    variants: [
+      {
+        sku: "LUM-018-BLK",
+        options: { color: "Black" },
+        price: 25.0,
+        stock: 12,
+      },
+      {
+        sku: "LUM-018-MST",
+        options: { color: "Mustard" },
+        price: 25.0,
+        stock: 6,
+      },
+    ],
     image:
       "https://images.unsplash.com/photo-1576036195536-bb9ea3c713c4?auto=format&fit=crop&w=600&q=80",
   },
@@ -156,6 +343,12 @@ const PRODUCTS = [
     name: "Camera Lens",
     price: 450.0,
     category: "Electronics",
+    tags: [],
+    rating: 4.9,
+    reviews: 37,
+    sold: 190,
+    sku: "LUM-019",
+    stock: 1,
     image:
       "https://images.unsplash.com/photo-1617005082133-548c4dd27f35?auto=format&fit=crop&w=600&q=80",
   },
@@ -164,17 +357,322 @@ const PRODUCTS = [
     name: "Wallet",
     price: 55.0,
     category: "Accessories",
+    tags: ["leather", "gift"],
+    rating: 4.1,
+    reviews: 110,
+    sold: 1020,
+    sku: "LUM-020",
+    stock: 25,
     image:
       "https://images.unsplash.com/photo-1627123424574-1800390cb1d5?auto=format&fit=crop&w=600&q=80",
   },
 ];
 
-// --- 2. STATE MANAGEMENT (CartStore) ---
+// --- 2. CATALOG (Variants, Search, Facets, Sort) ---
+const OPTION_LABELS = { size: "Size", color: "Color" };
+
+// Simple products behave like a product with one option-less variant
+const variantsOf = (product) =>
+  product.variants || [
+    {
+      sku: product.sku,
+      options: {},
+      price: product.price,
+      stock: product.stock,
+    },
+  ];
+
+const VARIANTS_BY_SKU = new Map(
+  PRODUCTS.flatMap((product) =>
+    variantsOf(product).map((variant) => [
+      variant.sku,
+      { ...variant, product },
+    ]),
+  ),
+);
+
+const variantLabel = (variant) => Object.values(variant.options).join(" / ");
+
+const PRICE_RANGES = [
+  { id: "0-50", label: "Under $50", min: 0, max: 50 },
+  { id: "50-100", label: "$50 – $100", min: 50, max: 100 },
+  { id: "100-200", label: "$100 – $200", min: 100, max: 200 },
+  { id: "200-", label: "$200 & Above", min: 200, max: Infinity },
+];
+
+const SORT_OPTIONS = {
+  featured: { label: "Featured", compare: (a, b) => a.id - b.id },
+  popularity: { label: "Most Popular", compare: (a, b) => b.sold - a.sold },
+  "price-asc": {
+    label: "Price: Low to High",
+    compare: (a, b) => a.price - b.price,
+  },
+  "price-desc": {
+    label: "Price: High to Low",
+    compare: (a, b) => b.price - a.price,
+  },
+  "name-asc": {
+    label: "Name: A to Z",
+    compare: (a, b) => a.name.localeCompare(b.name),
+  },
+  "name-desc": {
+    label: "Name: Z to A",
+    compare: (a, b) => b.name.localeCompare(a.name),
+  },
+};
+
+// Each facet maps a product to the option values it belongs to. Options
+// within a facet are OR'ed together; different facets are AND'ed.
+const FACETS = {
+  category: {
+    label: "Category",
+    values: (p) => [p.category],
+    options: () =>
+      [...new Set(PRODUCTS.map((p) => p.category))].map((c) => ({
+        value: c,
+        label: c,
+      })),
+  },
+  price: {
+    label: "Price",
+    values: (p) =>
+      PRICE_RANGES.filter((r) => p.price >= r.min && p.price < r.max).map(
+        (r) => r.id,
+      ),
+    options: () => PRICE_RANGES.map((r) => ({ value: r.id, label: r.label })),
+  },
+  tags: {
+    label: "Tags",
+    values: (p) => p.tags,
+    options: () =>
+      [...new Set(PRODUCTS.flatMap((p) => p.tags))]
+        .sort()
+        .map((t) => ({ value: t, label: t })),
+  },
+  rating: {
+    label: "Rating",
+    values: (p) => [String(Math.floor(p.rating))],
+    options: () =>
+      [5, 4, 3, 2, 1].map((n) => ({
+        value: String(n),
+        label: `${"★".repeat(n)}${"☆".repeat(5 - n)}`,
+      })),
+  },
+};
+
+const parseShopQuery = (hash = window.location.hash) => {
+  const params = new URLSearchParams(hash.split("?")[1]);
+  const sort = params.get("sort");
+  const filters = {};
+  Object.keys(FACETS).forEach((key) => {
+    // Accept both "category=A,B" and repeated "category=A&category=B"
+    filters[key] = params
+      .getAll(key)
+      .flatMap((v) => v.split(","))
+      .filter(Boolean);
+  });
+  return {
+    q: (params.get("q") || "").trim(),
+    sort: SORT_OPTIONS[sort] ? sort : "featured",
+    filters,
+  };
+};
+
+const buildShopHash = ({ q, sort, filters }) => {
+  const params = new URLSearchParams();
+  if (q) params.set("q", q);
+  Object.entries(filters).forEach(([key, values]) => {
+    if (values.length) params.set(key, values.join(","));
+  });
+  if (sort !== "featured") params.set("sort", sort);
+  // Commas are legal in a query string and keep shared links readable
+  const search = params.toString().replace(/%2C/g, ",");
+  return `#/shop${search ? `?${search}` : ""}`;
+};
+
+const matchesSearch = (product, q) => {
+  const haystack = [product.name, product.category, ...product.tags]
+    .join(" ")
+    .toLowerCase();
+  return q
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => haystack.includes(word));
+};
+
+// `ignore` skips one facet, which is how option counts are computed
+const queryProducts = (query, ignore = null) =>
+  PRODUCTS.filter(
+    (p) =>
+      matchesSearch(p, query.q) &&
+      Object.entries(query.filters).every(
+        ([key, selected]) =>
+          key === ignore ||
+          !selected.length ||
+          FACETS[key].values(p).some((v) => selected.includes(v)),
+      ),
+  );
+
+// --- 3. CHECKOUT CONFIG (Tax, Shipping, Coupons, Payments) ---
+const TAX_REGIONS = {
+  CA: { label: "California", rate: 0.0725 },
+  FL: { label: "Florida", rate: 0.06 },
+  IL: { label: "Illinois", rate: 0.0625 },
+  NY: { label: "New York", rate: 0.04 },
+  OR: { label: "Oregon", rate: 0 },
+  TX: { label: "Texas", rate: 0.0625 },
+  WA: { label: "Washington", rate: 0.065 },
+};
+const DEFAULT_REGION = "CA";
+
+const SHIPPING_METHODS = {
+  standard: {
+    label: "Standard",
+    eta: "5–7 business days",
+    cost: 5.99,
+    freeOver: 150,
+  },
+  express: { label: "Express", eta: "2–3 business days", cost: 14.99 },
+  overnight: { label: "Overnight", eta: "Next business day", cost: 29.99 },
+};
+
+// type: "percent" | "fixed" (dollars off) | "shipping" (free shipping)
+const COUPONS = {
+  SAVE10: { label: "10% off your order", type: "percent", value: 10 },
+  WELCOME20: {
+    label: "$20 off orders over $100",
+    type: "fixed",
+    value: 20,
+    minSubtotal: 100,
+  },
+  FREESHIP: { label: "Free shipping", type: "shipping" },
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Stands in for a real payment provider: validates card details, then
+// approves or declines after some latency. Card numbers are never stored.
+class PaymentGateway {
+  constructor() {
+    this.latency = 1500;
+    // Well-known test numbers that always fail, like a provider's sandbox
+    this.declines = {
+      4000000000000002: "Your card was declined.",
+      4000000000009995: "Your card has insufficient funds.",
+    };
+  }
+
+  brandOf(number) {
+    if (/^4/.test(number)) return "Visa";
+    if (/^5[1-5]/.test(number)) return "Mastercard";
+    if (/^3[47]/.test(number)) return "Amex";
+    if (/^6(011|5)/.test(number)) return "Discover";
+    return null;
+  }
+
+  // Luhn checksum
+  isValidNumber(number) {
+    let sum = 0;
+    [...number].reverse().forEach((char, i) => {
+      let digit = Number(char);
+      if (i % 2) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    });
+    return sum % 10 === 0;
+  }
+
+  // Returns { field: message } for every invalid field (empty when valid)
+  validate(card) {
+    const errors = {};
+    const number = (card.number || "").replace(/[\s-]/g, "");
+    const brand = this.brandOf(number);
+
+    if (!/^\d{13,19}$/.test(number) || !this.isValidNumber(number)) {
+      errors.number = "Enter a valid card number";
+    } else if (!brand) {
+      errors.number = "This card type is not supported";
+    }
+
+    if (!(card.name || "").trim()) errors.name = "Enter the name on the card";
+
+    const expiry = (card.expiry || "").match(
+      /^(0[1-9]|1[0-2])\s*\/\s*(\d{2})$/,
+    );
+    if (!expiry) {
+      errors.expiry = "Use the format MM/YY";
+    } else {
+      // Cards are valid through the last day of their expiry month
+      const end = new Date(2000 + Number(expiry[2]), Number(expiry[1]), 1);
+      if (end <= new Date()) errors.expiry = "This card has expired";
+    }
+
+    const cvcLength = brand === "Amex" ? 4 : 3;
+    if (!new RegExp(`^\\d{${cvcLength}}$`).test(card.cvc || "")) {
+      errors.cvc = `Enter the ${cvcLength}-digit security code`;
+    }
+    return errors;
+  }
+
+  charge(card, amount) {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (Object.keys(this.validate(card)).length) {
+          reject(new Error("Invalid payment details."));
+          return;
+        }
+        const number = card.number.replace(/[\s-]/g, "");
+        if (this.declines[number]) {
+          reject(new Error(this.declines[number]));
+          return;
+        }
+        resolve({
+          transactionId: `txn_${Math.random().toString(36).slice(2, 12)}`,
+          brand: this.brandOf(number),
+          last4: number.slice(-4),
+          amount: Number(amount),
+        });
+      }, this.latency);
+    });
+  }
+}
+
+const gateway = new PaymentGateway();
+
+// --- 4. STATE MANAGEMENT (CartStore) ---
 class CartStore {
   constructor() {
-    this.cart = JSON.parse(localStorage.getItem("luminary_cart")) || [];
+    // Carts saved before variants existed have no SKU; use the default one
+    this.cart = (JSON.parse(localStorage.getItem("luminary_cart")) || [])
+      .map((item) => ({
+        ...item,
+        sku:
+          item.sku ||
+          variantsOf(PRODUCTS.find((p) => p.id === item.id) || {})[0].sku,
+      }))
+      .filter((item) => VARIANTS_BY_SKU.has(item.sku));
+    this.orders = JSON.parse(localStorage.getItem("luminary_orders")) || [];
+    // Units sold per SKU, subtracted from the catalog stock
+    this.sold = JSON.parse(localStorage.getItem("luminary_sold")) || {};
+    this.wishlist = JSON.parse(localStorage.getItem("luminary_wishlist")) || [];
+    this.recentlyViewed =
+      JSON.parse(localStorage.getItem("luminary_recent")) || [];
+    this.recentLimit = 8;
+    const checkout =
+      JSON.parse(localStorage.getItem("luminary_checkout")) || {};
+    this.coupon = Object.hasOwn(COUPONS, checkout.coupon)
+      ? checkout.coupon
+      : null;
+    this.region = TAX_REGIONS[checkout.region]
+      ? checkout.region
+      : DEFAULT_REGION;
+    this.shippingMethod = SHIPPING_METHODS[checkout.shippingMethod]
+      ? checkout.shippingMethod
+      : "standard";
     this.subscribers = [];
-    this.taxRate = 0.08;
   }
 
   subscribe(callback) {
@@ -183,31 +681,97 @@ class CartStore {
 
   notify() {
     localStorage.setItem("luminary_cart", JSON.stringify(this.cart));
+    localStorage.setItem("luminary_orders", JSON.stringify(this.orders));
+    localStorage.setItem("luminary_sold", JSON.stringify(this.sold));
+    localStorage.setItem("luminary_wishlist", JSON.stringify(this.wishlist));
+    localStorage.setItem(
+      "luminary_recent",
+      JSON.stringify(this.recentlyViewed),
+    );
+    localStorage.setItem(
+      "luminary_checkout",
+      JSON.stringify({
+        coupon: this.coupon,
+        region: this.region,
+        shippingMethod: this.shippingMethod,
+      }),
+    );
     this.subscribers.forEach((cb) => cb(this));
   }
 
-  add(product, qty = 1) {
-    const existing = this.cart.find((item) => item.id === product.id);
+  // --- Inventory ---
+  getStock(sku) {
+    const variant = VARIANTS_BY_SKU.get(sku);
+    return variant ? Math.max(variant.stock - (this.sold[sku] || 0), 0) : 0;
+  }
+
+  isSoldOut(product) {
+    return variantsOf(product).every((v) => !this.getStock(v.sku));
+  }
+
+  stockError(sku, qty) {
+    const stock = this.getStock(sku);
+    if (qty <= stock) return null;
+    const { product } = VARIANTS_BY_SKU.get(sku);
+    return stock
+      ? `Only ${stock} of ${product.name} left in stock`
+      : `${product.name} is out of stock`;
+  }
+
+  // Re-checked before payment, since stock may have changed since adding
+  checkStock() {
+    for (const item of this.cart) {
+      const error = this.stockError(item.sku, item.qty);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  // --- Cart (line items are keyed by SKU) ---
+  // Returns an error message, or null once the item is added
+  add(product, qty = 1, sku = variantsOf(product)[0].sku) {
+    const variant = VARIANTS_BY_SKU.get(sku);
+    if (!variant || variant.product.id !== product.id) {
+      return "Please choose an available option";
+    }
+    const existing = this.cart.find((item) => item.sku === sku);
+    const error = this.stockError(sku, (existing ? existing.qty : 0) + qty);
+    if (error) return error;
+
     if (existing) {
       existing.qty += qty;
     } else {
-      this.cart.push({ ...product, qty });
+      this.cart.push({
+        id: product.id,
+        sku,
+        name: product.name,
+        variant: variantLabel(variant),
+        price: variant.price,
+        image: product.image,
+        qty,
+      });
     }
     this.notify();
+    return null;
   }
 
-  remove(id) {
-    this.cart = this.cart.filter((item) => item.id !== id);
+  remove(sku) {
+    this.cart = this.cart.filter((item) => item.sku !== sku);
     this.notify();
   }
 
-  updateQty(id, change) {
-    const item = this.cart.find((i) => i.id === id);
-    if (item) {
-      item.qty += change;
-      if (item.qty <= 0) this.remove(id);
-      else this.notify();
+  // Returns an error message when the change would exceed the stock
+  updateQty(sku, change) {
+    const item = this.cart.find((i) => i.sku === sku);
+    if (!item) return null;
+    if (change > 0) {
+      const error = this.stockError(sku, item.qty + change);
+      if (error) return error;
     }
+    item.qty += change;
+    if (item.qty <= 0) this.remove(sku);
+    else this.notify();
+    return null;
   }
 
   clear() {
@@ -215,83 +779,317 @@ class CartStore {
     this.notify();
   }
 
+  // --- Wishlist & Recently Viewed (product ids, newest first) ---
+  isWishlisted(id) {
+    return this.wishlist.includes(id);
+  }
+
+  toggleWishlist(id) {
+    this.wishlist = this.isWishlisted(id)
+      ? this.wishlist.filter((w) => w !== id)
+      : [id, ...this.wishlist];
+    this.notify();
+    return this.isWishlisted(id);
+  }
+
+  trackView(id) {
+    this.recentlyViewed = [
+      id,
+      ...this.recentlyViewed.filter((r) => r !== id),
+    ].slice(0, this.recentLimit);
+    this.notify();
+  }
+
+  // --- Checkout ---
+  // Returns an error message, or null once the coupon is applied
+  applyCoupon(code) {
+    const key = code.trim().toUpperCase();
+    const coupon = COUPONS[key];
+    if (!coupon) return "This coupon code is not valid";
+    if (coupon.minSubtotal && this.getSubtotal() < coupon.minSubtotal) {
+      return `Spend ${formatPrice(coupon.minSubtotal)} or more to use ${key}`;
+    }
+    this.coupon = key;
+    this.notify();
+    return null;
+  }
+
+  removeCoupon() {
+    this.coupon = null;
+    this.notify();
+  }
+
+  setRegion(region) {
+    if (!TAX_REGIONS[region]) return;
+    this.region = region;
+    this.notify();
+  }
+
+  setShippingMethod(id) {
+    if (!SHIPPING_METHODS[id]) return;
+    this.shippingMethod = id;
+    this.notify();
+  }
+
+  // Snapshots the cart and totals into the order history, takes the units
+  // out of stock and empties the cart
+  placeOrder({ address, payment }) {
+    if (this.cart.length === 0) throw new Error("Your cart is empty");
+    const order = {
+      id: `LUM-${Date.now().toString(36).toUpperCase()}`,
+      date: new Date().toISOString(),
+      items: this.cart.map((item) => ({ ...item })),
+      address,
+      shipping: {
+        id: this.shippingMethod,
+        ...SHIPPING_METHODS[this.shippingMethod],
+      },
+      payment,
+      totals: this.getTotals(),
+    };
+    this.orders.unshift(order);
+    this.cart.forEach((item) => {
+      this.sold[item.sku] = (this.sold[item.sku] || 0) + item.qty;
+    });
+    this.cart = [];
+    this.coupon = null;
+    this.notify();
+    return order;
+  }
+
+  getSubtotal() {
+    return this.cart.reduce((sum, item) => sum + item.price * item.qty, 0);
+  }
+
   getTotals() {
-    const subtotal = this.cart.reduce(
-      (sum, item) => sum + item.price * item.qty,
-      0,
-    );
-    const tax = subtotal * this.taxRate;
+    const subtotal = this.getSubtotal();
+
+    // A coupon stays attached but stops applying if the cart drops below its minimum
+    const coupon = COUPONS[this.coupon];
+    const couponActive = !!coupon && subtotal >= (coupon.minSubtotal || 0);
+    let discount = 0;
+    if (couponActive && coupon.type === "percent") {
+      discount = roundCents((subtotal * coupon.value) / 100);
+    } else if (couponActive && coupon.type === "fixed") {
+      discount = Math.min(coupon.value, subtotal);
+    }
+
+    const method = SHIPPING_METHODS[this.shippingMethod];
+    const freeShipping =
+      !subtotal ||
+      (couponActive && coupon.type === "shipping") ||
+      (method.freeOver && subtotal >= method.freeOver);
+    const shipping = freeShipping ? 0 : method.cost;
+
+    // Shipping is not taxed
+    const taxRate = TAX_REGIONS[this.region].rate;
+    const tax = roundCents((subtotal - discount) * taxRate);
     return {
       count: this.cart.reduce((c, i) => c + i.qty, 0),
       subtotal: subtotal.toFixed(2),
+      discount: discount.toFixed(2),
+      shipping: shipping.toFixed(2),
       tax: tax.toFixed(2),
-      total: (subtotal + tax).toFixed(2),
+      total: (subtotal - discount + shipping + tax).toFixed(2),
+      taxRate,
+      region: this.region,
+      coupon: couponActive ? this.coupon : null,
     };
   }
 }
 
 const store = new CartStore();
 
-// --- 3. UI RENDERERS ---
+// --- 5. UI RENDERERS ---
 
 const formatPrice = (price) => `$${parseFloat(price).toFixed(2)}`;
 
+const escapeHTML = (str) =>
+  String(str).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+
+const renderStars = (rating) => {
+  const full = Math.round(rating);
+  return `<span class="stars" title="${rating} out of 5">${"★".repeat(full)}${"☆".repeat(5 - full)}</span>`;
+};
+
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(2))}%`;
+
+const formatDate = (iso) =>
+  new Date(iso).toLocaleDateString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+
+const showToast = (message) => {
+  const toast = document.createElement("div");
+  toast.className = "toast fade-in";
+  toast.textContent = message;
+  document.getElementById("toast-container").appendChild(toast);
+  setTimeout(() => toast.remove(), 3000);
+};
+
+const renderWishlistButton = (product) => {
+  const active = store.isWishlisted(product.id);
+  return `<button class="wishlist-btn ${active ? "active" : ""}" data-id="${product.id}" aria-pressed="${active}"
+        aria-label="Save ${product.name} to wishlist" onclick="event.stopPropagation(); toggleWishlist(${product.id})">♥</button>`;
+};
+
+// Product tile used by the shop grid, recommendations and the wishlist
+const renderProductCard = (p) => {
+  const prices = variantsOf(p).map((v) => v.price);
+  const soldOut = store.isSoldOut(p);
+  return `
+    <div class="product-card ${soldOut ? "sold-out" : ""}" onclick="window.location.hash = '#/product/${p.id}'">
+        <div class="card-media">
+            <img src="${p.image}" class="card-img" alt="${p.name}">
+            ${renderWishlistButton(p)}
+            ${soldOut ? `<span class="card-badge">Sold Out</span>` : ""}
+        </div>
+        <div class="card-info">
+            <h4>${p.name}</h4>
+            <p>${p.category}</p>
+            <div class="rating">${renderStars(p.rating)} <small>(${p.reviews})</small></div>
+            <span class="price">${Math.min(...prices) < Math.max(...prices) ? "From " : ""}${formatPrice(p.price)}</span>
+        </div>
+    </div>
+`;
+};
+
+// Totals rows shared by the cart, checkout and order pages
+const renderSummaryRows = (totals) => `
+    <div class="summary-row"><span>Subtotal:</span> <span>$${totals.subtotal}</span></div>
+    ${totals.coupon ? `<div class="summary-row discount"><span>Discount (${totals.coupon}):</span> <span>-$${totals.discount}</span></div>` : ""}
+    <div class="summary-row"><span>Shipping:</span> <span>${Number(totals.shipping) ? `$${totals.shipping}` : "Free"}</span></div>
+    <div class="summary-row"><span>Tax (${totals.region} ${formatRate(totals.taxRate)}):</span> <span>$${totals.tax}</span></div>
+    <div class="summary-row total"><span>Total:</span> <span>$${totals.total}</span></div>
+`;
+
 // Header Updater (Observer)
-store.subscribe((state) => {
+const updateHeader = (state) => {
   const badge = document.getElementById("cart-count");
   const { count } = state.getTotals();
+  document.getElementById("wishlist-count").textContent = state.wishlist.length;
+  // Views and wishlist changes notify too; only bounce when the cart changed
+  if (badge.textContent === String(count)) return;
   badge.textContent = count;
 
   // Animation
   badge.classList.remove("bounce");
   void badge.offsetWidth; // Trigger reflow
   badge.classList.add("bounce");
+};
+store.subscribe(updateHeader);
+
+// Wishlist hearts on any visible product card or detail page
+store.subscribe((state) => {
+  document.querySelectorAll(".wishlist-btn").forEach((btn) => {
+    const active = state.isWishlisted(Number(btn.dataset.id));
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", active);
+  });
+  if (window.location.hash.split("?")[0] === "#/wishlist") {
+    renderWishlist(document.getElementById("app-root"));
+  }
+});
+
+// Cart View and the checkout summary follow quantity, coupon and shipping changes
+store.subscribe(() => {
+  const path = window.location.hash.split("?")[0];
+  if (path === "#/cart") renderCart(document.getElementById("app-root"));
+  const summary = document.getElementById("checkout-summary");
+  if (summary) summary.innerHTML = renderCheckoutSummary();
 });
 
 // Shop View
 function renderShop(container) {
-  const urlParams = new URLSearchParams(window.location.hash.split("?")[1]);
-  const activeCategory = urlParams.get("category");
+  const query = parseShopQuery();
+  const results = queryProducts(query).sort(SORT_OPTIONS[query.sort].compare);
+  const activeCount = Object.values(query.filters).flat().length;
 
-  let filtered = activeCategory
-    ? PRODUCTS.filter((p) => p.category === activeCategory)
-    : PRODUCTS;
+  // Typing in the search box re-renders the view; keep focus, and any
+  // keystrokes still waiting on the debounce, in place
+  const search = document.getElementById("shop-search");
+  const typing = search && document.activeElement === search;
+  const typed = typing && searchTimer ? search.value : query.q;
 
-  const categories = [...new Set(PRODUCTS.map((p) => p.category))];
+  const facetGroup = (key) => {
+    const facet = FACETS[key];
+    const selected = query.filters[key];
+    // Counts reflect every other active filter, so they match the result of ticking the box
+    const pool = queryProducts(query, key);
+    return `
+            <h3>${facet.label}</h3>
+            <div class="filter-group">
+                ${facet
+                  .options()
+                  .map((option) => {
+                    const count = pool.filter((p) =>
+                      facet.values(p).includes(option.value),
+                    ).length;
+                    const checked = selected.includes(option.value);
+                    return `
+                    <label class="filter-option ${checked ? "active" : ""} ${!count && !checked ? "disabled" : ""}">
+                        <input type="checkbox" data-facet="${key}" data-value="${escapeHTML(option.value)}"
+                            onchange="toggleFacet(this.dataset.facet, this.dataset.value)"
+                            ${checked ? "checked" : ""} ${!count && !checked ? "disabled" : ""}>
+                        <span>${escapeHTML(option.label)}</span>
+                        <span class="facet-count">${count}</span>
+                    </label>
+                `;
+                  })
+                  .join("")}
+            </div>
+        `;
+  };
 
   container.innerHTML = `
         <div class="container shop-layout fade-in">
             <aside class="sidebar">
-                <h3>Categories</h3>
-                <div class="filter-group">
-                    <a href="#/shop" class="filter-btn ${!activeCategory ? "active" : ""}">All Products</a>
-                    ${categories
-                      .map(
-                        (cat) => `
-                        <a href="#/shop?category=${cat}" class="filter-btn ${activeCategory === cat ? "active" : ""}">${cat}</a>
-                    `,
-                      )
-                      .join("")}
-                </div>
+                ${Object.keys(FACETS).map(facetGroup).join("")}
+                ${activeCount ? `<a href="${buildShopHash({ ...query, filters: {} })}" class="filter-btn">Clear Filters (${activeCount})</a>` : ""}
             </aside>
-            <section class="product-grid">
-                ${filtered
-                  .map(
-                    (p) => `
-                    <div class="product-card" onclick="window.location.hash = '#/product/${p.id}'">
-                        <img src="${p.image}" class="card-img" alt="${p.name}">
-                        <div class="card-info">
-                            <h4>${p.name}</h4>
-                            <p>${p.category}</p>
-                            <span class="price">${formatPrice(p.price)}</span>
-                        </div>
-                    </div>
-                `,
-                  )
-                  .join("")}
+            <section>
+                <div class="shop-toolbar">
+                    <input type="search" id="shop-search" class="search-input" placeholder="Search products..."
+                        value="${escapeHTML(typed)}" oninput="searchProducts(this.value)">
+                    <span class="result-count">${results.length} ${results.length === 1 ? "product" : "products"}</span>
+                    <select class="sort-select" onchange="sortProducts(this.value)" aria-label="Sort by">
+                        ${Object.entries(SORT_OPTIONS)
+                          .map(
+                            ([value, option]) =>
+                              `<option value="${value}" ${value === query.sort ? "selected" : ""}>${option.label}</option>`,
+                          )
+                          .join("")}
+                    </select>
+                </div>
+                ${
+                  results.length
+                    ? ""
+                    : `
+                <div class="empty-results">
+                    <p>No products match your search.</p>
+                    <a href="#/shop" class="btn btn-outline">Reset</a>
+                </div>`
+                }
+                <div class="product-grid">
+                    ${results.map(renderProductCard).join("")}
+                </div>
             </section>
         </div>
     `;
+
+  if (typing) {
+    const input = document.getElementById("shop-search");
+    input.focus();
+    input.setSelectionRange(typed.length, typed.length);
+  }
 }
 
 // Product Detail View
@@ -303,6 +1101,13 @@ function renderProduct(container, id) {
     return;
   }
 
+  store.trackView(product.id);
+
+  // Start on the first variant that can actually be bought
+  const variants = variantsOf(product);
+  const optionKeys = Object.keys(variants[0].options);
+  let variant = variants.find((v) => store.getStock(v.sku)) || variants[0];
+
   // Related products (Random 3 from same category, excluding current)
   const related = PRODUCTS.filter(
     (p) => p.category === product.category && p.id !== product.id,
@@ -310,6 +1115,12 @@ function renderProduct(container, id) {
     .sort(() => 0.5 - Math.random())
     .slice(0, 3);
 
+  const recent = store.recentlyViewed
+    .filter((recentId) => recentId !== product.id)
+    .map((recentId) => PRODUCTS.find((p) => p.id === recentId))
+    .filter(Boolean)
+    .slice(0, 3);
+
   container.innerHTML = `
         <div class="container fade-in">
             <div class="product-detail">
@@ -317,49 +1128,148 @@ function renderProduct(container, id) {
                 <div class="detail-info">
                     <p>${product.category}</p>
                     <h1>${product.name}</h1>
-                    <span class="price">${formatPrice(product.price)}</span>
+                    <span class="price" id="detail-price"></span>
                     <p>Experience premium quality with our ${product.name}. Designed for durability and style, this item fits perfectly into your modern lifestyle.</p>
-                    <button id="add-to-cart-btn" class="btn">Add to Cart</button>
+                    <div id="variant-picker">
+                        ${optionKeys
+                          .map(
+                            (key) => `
+                            <div class="option-group">
+                                <h4>${OPTION_LABELS[key] || key}: <span data-selected="${key}"></span></h4>
+                                <div class="option-values">
+                                    ${[
+                                      ...new Set(
+                                        variants.map((v) => v.options[key]),
+                                      ),
+                                    ]
+                                      .map(
+                                        (value) =>
+                                          `<button type="button" class="option-btn" data-option="${key}" data-value="${value}">${value}</button>`,
+                                      )
+                                      .join("")}
+                                </div>
+                            </div>
+                        `,
+                          )
+                          .join("")}
+                    </div>
+                    <p id="stock-status" class="stock-status"></p>
+                    <div class="detail-actions">
+                        <button id="add-to-cart-btn" class="btn">Add to Cart</button>
+                        ${renderWishlistButton(product)}
+                    </div>
+                    <small class="sku">SKU: <span id="detail-sku"></span></small>
                 </div>
             </div>
             
             <div style="margin-top: 60px;">
                 <h3 style="margin-bottom: 20px;">You Might Also Like</h3>
                 <div class="product-grid">
-                    ${related
-                      .map(
-                        (p) => `
-                        <div class="product-card" onclick="window.location.hash = '#/product/${p.id}'">
-                            <img src="${p.image}" class="card-img" alt="${p.name}">
-                            <div class="card-info">
-                                <h4>${p.name}</h4>
-                                <span class="price">${formatPrice(p.price)}</span>
-                            </div>
-                        </div>
-                    `,
-                      )
-                      .join("")}
+                    ${related.map(renderProductCard).join("")}
                 </div>
             </div>
+            ${
+              recent.length
+                ? `
+            <div style="margin: 60px 0;">
+                <h3 style="margin-bottom: 20px;">Recently Viewed</h3>
+                <div class="product-grid">
+                    ${recent.map(renderProductCard).join("")}
+                </div>
+            </div>`
+                : ""
+            }
         </div>
     `;
 
-  // Micro-interaction logic
   const btn = document.getElementById("add-to-cart-btn");
+  const picker = document.getElementById("variant-picker");
+
+  // Syncs price, SKU, stock and option buttons with the chosen variant
+  const showVariant = () => {
+    const stock = store.getStock(variant.sku);
+    document.getElementById("detail-price").textContent = formatPrice(
+      variant.price,
+    );
+    document.getElementById("detail-sku").textContent = variant.sku;
+    const status = document.getElementById("stock-status");
+    status.textContent = !stock
+      ? "Out of stock"
+      : stock <= 3
+        ? `Only ${stock} left`
+        : "In stock";
+    status.classList.toggle("low", stock > 0 && stock <= 3);
+    status.classList.toggle("out", !stock);
+    // Units already in the cart can't be added again
+    const inCart =
+      store.cart.find((item) => item.sku === variant.sku)?.qty || 0;
+    btn.disabled = stock <= inCart;
+    btn.textContent = !stock
+      ? "Sold Out"
+      : stock > inCart
+        ? "Add to Cart"
+        : "All in Cart";
+
+    picker.querySelectorAll("[data-selected]").forEach((label) => {
+      label.textContent = variant.options[label.dataset.selected];
+    });
+    picker.querySelectorAll(".option-btn").forEach((optionBtn) => {
+      const { option, value } = optionBtn.dataset;
+      // Unavailable = no in-stock variant with this value and the other current choices
+      const candidate = variants.find((v) =>
+        optionKeys.every((key) =>
+          key === option
+            ? v.options[key] === value
+            : v.options[key] === variant.options[key],
+        ),
+      );
+      optionBtn.classList.toggle("active", variant.options[option] === value);
+      optionBtn.classList.toggle(
+        "unavailable",
+        !candidate || !store.getStock(candidate.sku),
+      );
+    });
+  };
+
+  picker.onclick = (e) => {
+    const optionBtn = e.target.closest(".option-btn");
+    if (!optionBtn) return;
+    const { option, value } = optionBtn.dataset;
+    const wanted = { ...variant.options, [option]: value };
+    // Keep the other choices if that combination exists, otherwise switch to
+    // the best match for the clicked value
+    const withValue = variants.filter((v) => v.options[option] === value);
+    variant =
+      withValue.find((v) =>
+        optionKeys.every((key) => v.options[key] === wanted[key]),
+      ) ||
+      withValue.find((v) => store.getStock(v.sku)) ||
+      withValue[0];
+    showVariant();
+  };
+
+  showVariant();
+
+  // Micro-interaction logic
   btn.onclick = (e) => {
     e.stopPropagation();
+    const { sku } = variant;
     btn.classList.add("loading");
 
     // Mock API Latency
     setTimeout(() => {
-      store.add(product);
+      const error = store.add(product, 1, sku);
       btn.classList.remove("loading");
+      if (error) {
+        showToast(error);
+        return;
+      }
       btn.classList.add("success");
       btn.textContent = "Added!";
 
       setTimeout(() => {
         btn.classList.remove("success");
-        btn.textContent = "Add to Cart";
+        if (btn.isConnected) showVariant();
       }, 2000);
     }, 600);
   };
@@ -391,13 +1301,15 @@ function renderCart(container) {
                     <div class="cart-item">
                         <img src="${item.image}" alt="${item.name}">
                         <div>
-                            <h4>${item.name}</h4>
+                            <h4><a href="#/product/${item.id}">${item.name}</a></h4>
+                            ${item.variant ? `<small>${item.variant}</small><br>` : ""}
                             <small>${formatPrice(item.price)}</small>
                         </div>
                         <div class="qty-controls">
-                            <button class="qty-btn" onclick="updateItem(${item.id}, -1)">-</button>
+                            <button class="qty-btn" onclick="updateItem('${item.sku}', -1)">-</button>
                             <span>${item.qty}</span>
-                            <button class="qty-btn" onclick="updateItem(${item.id}, 1)">+</button>
+                            <button class="qty-btn" onclick="updateItem('${item.sku}', 1)"
+                                ${item.qty >= store.getStock(item.sku) ? "disabled" : ""}>+</button>
                         </div>
                         <div>${formatPrice(item.price * item.qty)}</div>
                     </div>
@@ -406,29 +1318,437 @@ function renderCart(container) {
                   .join("")}
             </div>
             <div class="cart-summary">
-                <div class="summary-row"><span>Subtotal:</span> <span>$${totals.subtotal}</span></div>
-                <div class="summary-row"><span>Tax (8%):</span> <span>$${totals.tax}</span></div>
-                <div class="summary-row total"><span>Total:</span> <span>$${totals.total}</span></div>
-                <button onclick="handleCheckout()" class="btn" style="margin-top: 20px; width: 100%;">Checkout</button>
+                <div class="coupon-box">
+                    ${
+                      store.coupon
+                        ? `
+                    <div class="coupon-applied">
+                        <strong>${store.coupon}</strong>
+                        <span>${totals.coupon ? COUPONS[store.coupon].label : `Needs a subtotal of ${formatPrice(COUPONS[store.coupon].minSubtotal)}`}</span>
+                        <button class="link-btn" onclick="removeCoupon()">Remove</button>
+                    </div>`
+                        : `
+                    <form class="coupon-form" onsubmit="return applyCoupon(this)">
+                        <input name="code" placeholder="Coupon code" aria-label="Coupon code">
+                        <button type="submit" class="btn btn-outline">Apply</button>
+                    </form>
+                    <small id="coupon-error" class="form-error"></small>`
+                    }
+                </div>
+                <div class="summary-row">
+                    <span>Ship to:</span>
+                    <select class="region-select" onchange="store.setRegion(this.value)" aria-label="Shipping region">
+                        ${Object.entries(TAX_REGIONS)
+                          .map(
+                            ([code, region]) =>
+                              `<option value="${code}" ${code === store.region ? "selected" : ""}>${region.label}</option>`,
+                          )
+                          .join("")}
+                    </select>
+                </div>
+                ${renderSummaryRows(totals)}
+                <a href="#/checkout/address" class="btn" style="margin-top: 20px; width: 100%;">Checkout</a>
+            </div>
+        </div>
+    `;
+}
+
+// Checkout View
+const CHECKOUT_STEPS = [
+  { id: "address", label: "Address" },
+  { id: "shipping", label: "Shipping" },
+  { id: "payment", label: "Payment" },
+];
+
+// The address survives a refresh for this tab; card details are never saved
+let checkoutAddress =
+  JSON.parse(sessionStorage.getItem("luminary_address")) || {};
+let lastOrderId = null;
+
+const validateAddress = (address) => {
+  const errors = {};
+  ["name", "street", "city"].forEach((key) => {
+    if (!(address[key] || "").trim()) errors[key] = "This field is required";
+  });
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address.email || "")) {
+    errors.email = "Enter a valid email address";
+  }
+  if (!TAX_REGIONS[address.region]) errors.region = "Choose a state";
+  if (!/^\d{5}(-\d{4})?$/.test(address.zip || "")) {
+    errors.zip = "Enter a 5-digit ZIP code";
+  }
+  return errors;
+};
+
+const formField = ({ name, label, value = "", type = "text", attrs = "" }) => `
+    <label class="form-field" data-field="${name}">
+        <span>${label}</span>
+        <input type="${type}" name="${name}" value="${escapeHTML(value)}" ${attrs}>
+        <small class="form-error"></small>
+    </label>
+`;
+
+// Marks invalid fields in place so typed values are kept
+const showFormErrors = (form, errors) => {
+  form.querySelectorAll(".form-field").forEach((field) => {
+    const error = errors[field.dataset.field];
+    field.classList.toggle("invalid", !!error);
+    field.querySelector(".form-error").textContent = error || "";
+  });
+  form.querySelector(".invalid input, .invalid select")?.focus();
+};
+
+const renderCheckoutSummary = () => `
+    <h3>Order Summary</h3>
+    <div class="summary-items">
+        ${store.cart
+          .map(
+            (item) => `
+            <div class="summary-row"><span>${item.name}${item.variant ? ` (${item.variant})` : ""} × ${item.qty}</span> <span>${formatPrice(item.price * item.qty)}</span></div>
+        `,
+          )
+          .join("")}
+    </div>
+    ${renderSummaryRows(store.getTotals())}
+`;
+
+const checkoutSteps = {
+  address: {
+    render: () => `
+        <h2>Shipping Address</h2>
+        ${formField({ name: "name", label: "Full Name", value: checkoutAddress.name, attrs: 'autocomplete="name"' })}
+        ${formField({ name: "email", label: "Email", type: "email", value: checkoutAddress.email, attrs: 'autocomplete="email"' })}
+        ${formField({ name: "street", label: "Street Address", value: checkoutAddress.street, attrs: 'autocomplete="street-address"' })}
+        <div class="form-row">
+            ${formField({ name: "city", label: "City", value: checkoutAddress.city, attrs: 'autocomplete="address-level2"' })}
+            <label class="form-field" data-field="region">
+                <span>State</span>
+                <select name="region">
+                    ${Object.entries(TAX_REGIONS)
+                      .map(
+                        ([code, region]) =>
+                          `<option value="${code}" ${code === (checkoutAddress.region || store.region) ? "selected" : ""}>${region.label}</option>`,
+                      )
+                      .join("")}
+                </select>
+                <small class="form-error"></small>
+            </label>
+            ${formField({ name: "zip", label: "ZIP Code", value: checkoutAddress.zip, attrs: 'autocomplete="postal-code" inputmode="numeric"' })}
+        </div>
+    `,
+    submit: (form) => {
+      const address = Object.fromEntries(new FormData(form));
+      const errors = validateAddress(address);
+      showFormErrors(form, errors);
+      if (Object.keys(errors).length) return;
+
+      checkoutAddress = address;
+      sessionStorage.setItem("luminary_address", JSON.stringify(address));
+      // Tax follows the destination
+      store.setRegion(address.region);
+      window.location.hash = "#/checkout/shipping";
+    },
+  },
+  shipping: {
+    render: () => {
+      const subtotal = store.getSubtotal();
+      return `
+        <h2>Shipping Method</h2>
+        <div class="shipping-options">
+            ${Object.entries(SHIPPING_METHODS)
+              .map(([id, method]) => {
+                const free = method.freeOver && subtotal >= method.freeOver;
+                return `
+                <label class="shipping-option">
+                    <input type="radio" name="shipping" value="${id}" ${id === store.shippingMethod ? "checked" : ""}
+                        onchange="store.setShippingMethod(this.value)">
+                    <span><strong>${method.label}</strong><small>${method.eta}</small></span>
+                    <span>${free ? "Free" : formatPrice(method.cost)}</span>
+                </label>
+            `;
+              })
+              .join("")}
+        </div>
+        <p class="ship-to">Shipping to ${escapeHTML(checkoutAddress.street)}, ${escapeHTML(checkoutAddress.city)}, ${checkoutAddress.region} ${escapeHTML(checkoutAddress.zip)}</p>
+    `;
+    },
+    submit: () => {
+      window.location.hash = "#/checkout/payment";
+    },
+  },
+  payment: {
+    render: () => `
+        <h2>Payment</h2>
+        <div id="payment-error" class="payment-error hidden"></div>
+        ${formField({ name: "number", label: "Card Number", attrs: 'autocomplete="cc-number" inputmode="numeric" placeholder="4242 4242 4242 4242"' })}
+        ${formField({ name: "name", label: "Name on Card", value: checkoutAddress.name, attrs: 'autocomplete="cc-name"' })}
+        <div class="form-row">
+            ${formField({ name: "expiry", label: "Expiry", attrs: 'autocomplete="cc-exp" placeholder="MM/YY"' })}
+            ${formField({ name: "cvc", label: "CVC", attrs: 'autocomplete="cc-csc" inputmode="numeric"' })}
+        </div>
+        <p class="form-hint">Test mode: use 4242 4242 4242 4242 with any future date. 4000 0000 0000 0002 is declined.</p>
+    `,
+    submit: async (form) => {
+      const payButton = form.querySelector('button[type="submit"]');
+      if (payButton.disabled) return; // A charge is already in flight
+      const card = Object.fromEntries(new FormData(form));
+      const errors = gateway.validate(card);
+      showFormErrors(form, errors);
+      if (Object.keys(errors).length) return;
+
+      const errorBox = document.getElementById("payment-error");
+      const modal = document.getElementById("checkout-modal");
+      errorBox.classList.add("hidden");
+      const stockError = store.checkStock();
+      if (stockError) {
+        errorBox.textContent = `${stockError}. Please update your cart.`;
+        errorBox.classList.remove("hidden");
+        return;
+      }
+      modal.classList.remove("hidden");
+      payButton.disabled = true;
+      try {
+        const payment = await gateway.charge(card, store.getTotals().total);
+        const order = store.placeOrder({ address: checkoutAddress, payment });
+        lastOrderId = order.id;
+        window.location.hash = `#/order/${order.id}`;
+      } catch (err) {
+        errorBox.textContent = err.message;
+        errorBox.classList.remove("hidden");
+      } finally {
+        modal.classList.add("hidden");
+        payButton.disabled = false;
+      }
+    },
+  },
+};
+
+function renderCheckout(container, step) {
+  if (store.cart.length === 0) {
+    window.location.hash = "#/cart";
+    return;
+  }
+  const index = CHECKOUT_STEPS.findIndex((s) => s.id === step);
+  // Unknown steps, and later steps without a valid address, start over
+  if (
+    index === -1 ||
+    (index > 0 && Object.keys(validateAddress(checkoutAddress)).length)
+  ) {
+    window.location.hash = "#/checkout/address";
+    return;
+  }
+  const isLast = index === CHECKOUT_STEPS.length - 1;
+
+  container.innerHTML = `
+        <div class="container checkout-page fade-in">
+            <ol class="checkout-steps">
+                ${CHECKOUT_STEPS.map(
+                  (s, i) => `
+                    <li class="${i === index ? "current" : ""} ${i < index ? "done" : ""}">
+                        ${i < index ? `<a href="#/checkout/${s.id}">${s.label}</a>` : s.label}
+                    </li>
+                `,
+                ).join("")}
+            </ol>
+            <div class="checkout-layout">
+                <form id="checkout-form" class="checkout-form" novalidate>
+                    ${checkoutSteps[step].render()}
+                    <div class="checkout-actions">
+                        <a href="${index ? `#/checkout/${CHECKOUT_STEPS[index - 1].id}` : "#/cart"}" class="btn btn-outline">Back</a>
+                        <button type="submit" class="btn">${isLast ? `Pay $${store.getTotals().total}` : "Continue"}</button>
+                    </div>
+                </form>
+                <aside id="checkout-summary" class="checkout-summary">
+                    ${renderCheckoutSummary()}
+                </aside>
+            </div>
+        </div>
+    `;
+
+  const form = document.getElementById("checkout-form");
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    checkoutSteps[step].submit(form);
+  };
+}
+
+// Order Confirmation View
+function renderOrder(container, id) {
+  const order = store.orders.find((o) => o.id === id);
+
+  if (!order) {
+    container.innerHTML = `<div class="container" style="padding:100px; text-align:center"><h1>404</h1><p>Order not found.</p><a href="#/orders" class="btn">Order History</a></div>`;
+    return;
+  }
+
+  const { address, payment, shipping } = order;
+  container.innerHTML = `
+        <div class="container cart-page fade-in">
+            ${
+              order.id === lastOrderId
+                ? `<h2>Thank you, ${escapeHTML(address.name)}!</h2>
+            <p class="order-intro">Your order is confirmed. A receipt is on its way to ${escapeHTML(address.email)}.</p>`
+                : `<h2>Order ${order.id}</h2>`
+            }
+            <div class="order-meta">
+                <div><h4>Order</h4><p>${order.id}<br>${formatDate(order.date)}</p></div>
+                <div><h4>Ship To</h4><p>${escapeHTML(address.name)}<br>${escapeHTML(address.street)}<br>${escapeHTML(address.city)}, ${address.region} ${escapeHTML(address.zip)}</p></div>
+                <div><h4>Delivery</h4><p>${shipping.label}<br>${shipping.eta}</p></div>
+                <div><h4>Payment</h4><p>${payment.brand} •••• ${payment.last4}<br><small>${payment.transactionId}</small></p></div>
+            </div>
+            <div class="cart-list">
+                ${order.items
+                  .map(
+                    (item) => `
+                    <div class="cart-item">
+                        <img src="${item.image}" alt="${item.name}">
+                        <div>
+                            <h4><a href="#/product/${item.id}">${item.name}</a></h4>
+                            ${item.variant ? `<small>${item.variant}</small><br>` : ""}
+                            <small>${formatPrice(item.price)} × ${item.qty}</small>
+                        </div>
+                        <div></div>
+                        <div>${formatPrice(item.price * item.qty)}</div>
+                    </div>
+                `,
+                  )
+                  .join("")}
+            </div>
+            <div class="cart-summary">
+                ${renderSummaryRows(order.totals)}
+                <div class="order-actions">
+                    <a href="#/orders" class="btn btn-outline">Order History</a>
+                    <a href="#/shop" class="btn">Continue Shopping</a>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Order History View
+function renderOrders(container) {
+  const { orders } = store;
+
+  if (orders.length === 0) {
+    container.innerHTML = `
+            <div class="container cart-page fade-in" style="text-align:center">
+                <h2>No Orders Yet</h2>
+                <p style="margin: 20px 0;">Orders you place will show up here.</p>
+                <a href="#/shop" class="btn">Start Shopping</a>
+            </div>
+        `;
+    return;
+  }
+
+  container.innerHTML = `
+        <div class="container cart-page fade-in">
+            <h2>Order History</h2>
+            <div class="order-list">
+                ${orders
+                  .map(
+                    (order) => `
+                    <a href="#/order/${order.id}" class="order-row">
+                        <div>
+                            <h4>${order.id}</h4>
+                            <small>${formatDate(order.date)} · ${order.totals.count} ${order.totals.count === 1 ? "item" : "items"}</small>
+                        </div>
+                        <div class="order-thumbs">
+                            ${order.items
+                              .slice(0, 4)
+                              .map(
+                                (item) =>
+                                  `<img src="${item.image}" alt="${item.name}">`,
+                              )
+                              .join("")}
+                        </div>
+                        <strong>$${order.totals.total}</strong>
+                    </a>
+                `,
+                  )
+                  .join("")}
+            </div>
+        </div>
+    `;
+}
+
+// Wishlist View
+function renderWishlist(container) {
+  const saved = store.wishlist
+    .map((id) => PRODUCTS.find((p) => p.id === id))
+    .filter(Boolean);
+
+  if (saved.length === 0) {
+    container.innerHTML = `
+            <div class="container cart-page fade-in" style="text-align:center">
+                <h2>Your Wishlist is Empty</h2>
+                <p style="margin: 20px 0;">Tap the heart on any product to save it for later.</p>
+                <a href="#/shop" class="btn">Start Shopping</a>
+            </div>
+        `;
+    return;
+  }
+
+  container.innerHTML = `
+        <div class="container fade-in" style="padding: 40px 20px;">
+            <h2 style="margin-bottom: 30px;">Wishlist (${saved.length})</h2>
+            <div class="product-grid">
+                ${saved.map(renderProductCard).join("")}
             </div>
         </div>
     `;
 }
 
 // Global functions for inline HTML event handlers
-window.updateItem = (id, delta) => store.updateQty(id, delta);
-window.handleCheckout = () => {
-  const modal = document.getElementById("checkout-modal");
-  modal.classList.remove("hidden");
-  setTimeout(() => {
-    store.clear();
-    modal.classList.add("hidden");
-    window.location.hash = "#/shop";
-    alert("Payment Successful! Thank you for your order.");
-  }, 2000);
+window.updateItem = (sku, delta) => {
+  const error = store.updateQty(sku, delta);
+  if (error) showToast(error);
+};
+
+window.toggleWishlist = (id) => {
+  const added = store.toggleWishlist(id);
+  showToast(added ? "Saved to your wishlist" : "Removed from your wishlist");
+};
+
+window.toggleFacet = (key, value) => {
+  const query = parseShopQuery();
+  const selected = query.filters[key];
+  query.filters[key] = selected.includes(value)
+    ? selected.filter((v) => v !== value)
+    : [...selected, value];
+  window.location.hash = buildShopHash(query);
+};
+
+window.sortProducts = (sort) => {
+  window.location.hash = buildShopHash({ ...parseShopQuery(), sort });
+};
+
+// Debounced, and replaces the history entry so Back skips keystrokes
+let searchTimer = null;
+window.searchProducts = (q) => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    searchTimer = null;
+    const hash = buildShopHash({ ...parseShopQuery(), q: q.trim() });
+    if (hash !== window.location.hash) window.location.replace(hash);
+  }, 250);
 };
 
-// --- 4. ROUTER ---
+window.applyCoupon = (form) => {
+  const code = form.elements.code.value;
+  const error = store.applyCoupon(code);
+  if (error) {
+    document.getElementById("coupon-error").textContent = error;
+  } else {
+    showToast(`Coupon ${code.trim().toUpperCase()} applied`);
+  }
+  return false;
+};
+
+window.removeCoupon = () => store.removeCoupon();
+
+// --- 6. ROUTER ---
+let currentPath = null;
+
 const router = () => {
   const app = document.getElementById("app-root");
   // Default to shop if hash is empty
@@ -444,15 +1764,25 @@ const router = () => {
   } else if (path.startsWith("#/product/")) {
     const id = path.split("/")[2];
     renderProduct(app, id);
+  } else if (path.startsWith("#/checkout")) {
+    renderCheckout(app, path.split("/")[2] || "address");
+  } else if (path === "#/wishlist") {
+    renderWishlist(app);
+  } else if (path === "#/orders") {
+    renderOrders(app);
+  } else if (path.startsWith("#/order/")) {
+    renderOrder(app, path.split("/")[2]);
   } else {
     // Fallback
     window.location.hash = "#/shop";
   }
 
-  // Scroll to top on route change
-  window.scrollTo(0, 0);
+  // Scroll to top on route change (not when only the shop filters change)
+  if (path !== currentPath) window.scrollTo(0, 0);
+  currentPath = path;
 };
 
 // Initialize Router
 window.addEventListener("hashchange", router);
 window.addEventListener("load", router);
+window.addEventListener("load", () => updateHeader(store));